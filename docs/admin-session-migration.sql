@@ -0,0 +1,32 @@
+-- ===================================================================
+-- 관리자 세션 마이그레이션
+-- 설명: 서버가 발급한 서명 토큰의 세션 기록 (폐기, 유휴 만료 확인용)
+-- ===================================================================
+
+-- 1. 관리자(계정) 세션 테이블
+-- ===================================================================
+-- 토큰 자체는 서버의 SESSION_SECRET으로 서명되며, 이 테이블에는 세션 ID만 저장한다
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(64) UNIQUE NOT NULL,
+    role VARCHAR(20) NOT NULL,                  -- admin | event_manager | operator
+    user_id INTEGER NOT NULL,                   -- admins.id 또는 operators.id
+    username VARCHAR(50),
+    created_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,              -- 발급 후 8시간
+    last_activity TIMESTAMP DEFAULT NOW(),      -- 30분 동안 활동이 없으면 만료
+    revoked_at TIMESTAMP,                       -- 로그아웃/강제 종료 시각
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(role, user_id);
+
+-- 2. 브라우저(anon/authenticated) 접근 차단 (서버만 service_role 키로 접근)
+-- ===================================================================
+ALTER TABLE admin_sessions ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON admin_sessions FROM anon, authenticated;
+
+-- 3. 오래된 세션 정리 (선택)
+-- ===================================================================
+-- DELETE FROM admin_sessions WHERE expires_at < NOW() - INTERVAL '30 days';
@@ -24,11 +24,12 @@ ALTER TABLE booths ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
 ALTER TABLE booths ADD COLUMN IF NOT EXISTS booth_code VARCHAR(10);
 
 -- 기본 관리자 계정 생성 (admin/0627)
+-- 첫 로그인 시 서버가 해시로 교체 (docs/password-hash-migration.sql 참고)
 INSERT INTO admins (username, password, is_super_admin) 
 VALUES ('admin', '0627', true)
 ON CONFLICT (username) DO NOTHING;
 
--- 부스별 통계 뷰 생성
+-- 부스별 통계 뷰 생성 (성별/교급 값은 docs/demographics-migration.sql 참고)
 CREATE OR REPLACE VIEW booth_statistics AS
 SELECT 
     b.id as booth_id,
@@ -39,7 +40,10 @@ SELECT
     COUNT(CASE WHEN p.school_level = '초등' THEN 1 END) as elementary_count,
     COUNT(CASE WHEN p.school_level = '중등' THEN 1 END) as middle_count,
     COUNT(CASE WHEN p.school_level = '고등' THEN 1 END) as high_count,
-    MAX(p.created_at) as last_participation
+    MAX(p.created_at) as last_participation,
+    COUNT(CASE WHEN p.school_level = '유아' THEN 1 END) as preschool_count,
+    COUNT(CASE WHEN p.school_level = '대학' THEN 1 END) as university_count,
+    COUNT(CASE WHEN p.school_level = '성인' THEN 1 END) as adult_count
 FROM booths b
 LEFT JOIN participants p ON b.id = p.booth_id
 GROUP BY b.id, b.name;
@@ -296,9 +296,11 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- 권한 설정 (Supabase RLS 정책을 위한 준비)
-GRANT ALL ON booths TO authenticated;
-GRANT ALL ON booth_operations TO authenticated;
-GRANT ALL ON code_attempts TO authenticated;
-GRANT ALL ON operator_sessions TO authenticated;
-GRANT ALL ON booth_daily_stats TO authenticated;
\ No newline at end of file
+-- 권한 설정
+-- 브라우저는 서버 API(/api)로만 접근하므로 anon, authenticated에 권한을 주지 않는다
+-- (기존 DB는 docs/browser-access-migration.sql로 회수)
+REVOKE ALL ON booths FROM anon, authenticated;
+REVOKE ALL ON booth_operations FROM anon, authenticated;
+REVOKE ALL ON code_attempts FROM anon, authenticated;
+REVOKE ALL ON operator_sessions FROM anon, authenticated;
+REVOKE ALL ON booth_daily_stats FROM anon, authenticated;
\ No newline at end of file
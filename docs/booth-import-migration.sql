@@ -0,0 +1,12 @@
+-- ===================================================================
+-- 부스 일괄 등록 마이그레이션
+-- 설명: 부스 CSV 일괄 등록(POST /api/booths/import)에서 받는 분류와 운영 담당 연락처 컬럼 추가
+-- ===================================================================
+
+-- 1. 부스 분류와 운영 담당 연락처
+-- ===================================================================
+-- category: 체험, 상담, 전시 등 (관리자 대시보드 부스 목록에 표시)
+-- contact_phone: 숫자만 저장, API는 가린 값(010-****-5678)으로 돌려줌 (src/server/privacy.js)
+ALTER TABLE booths ADD COLUMN IF NOT EXISTS category VARCHAR(50);
+ALTER TABLE booths ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(20);
+
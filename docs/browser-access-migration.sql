@@ -0,0 +1,43 @@
+-- ===================================================================
+-- 브라우저 직접 접근 차단 마이그레이션
+-- 설명: 모든 화면이 서버 API(/api)로 조회/등록하므로 브라우저(anon, authenticated 역할)가
+--       Supabase 테이블과 뷰를 직접 읽고 쓰지 못하게 한다.
+--       서버는 service role 키로 접근하므로 영향을 받지 않는다.
+-- ===================================================================
+
+-- 1. 테이블 권한 회수
+-- ===================================================================
+-- docs/booth-code-migration.sql의 GRANT ALL ... TO authenticated와
+-- Supabase 기본 권한(anon, authenticated에 모든 권한)을 회수한다.
+-- 테이블 권한을 회수하면 docs/privacy-masking-migration.sql 이전에 허용했던 컬럼 권한도 함께 회수된다.
+REVOKE ALL ON events FROM anon, authenticated;
+REVOKE ALL ON booths FROM anon, authenticated;
+REVOKE ALL ON participants FROM anon, authenticated;
+REVOKE ALL ON guardian_consents FROM anon, authenticated;
+REVOKE ALL ON booth_operations FROM anon, authenticated;
+REVOKE ALL ON operator_sessions FROM anon, authenticated;
+REVOKE ALL ON operation_handovers FROM anon, authenticated;
+REVOKE ALL ON code_attempts FROM anon, authenticated;
+REVOKE ALL ON booth_daily_stats FROM anon, authenticated;
+-- 방명록 양식은 GET /api/form-schemas/current로 조회
+REVOKE ALL ON form_schemas FROM anon, authenticated;
+
+-- 통계 뷰 (참가자 수와 운영자 정보를 담고 있음)
+REVOKE ALL ON booth_statistics FROM anon, authenticated;
+REVOKE ALL ON hourly_statistics FROM anon, authenticated;
+REVOKE ALL ON booth_realtime_stats FROM anon, authenticated;
+REVOKE ALL ON operator_performance FROM anon, authenticated;
+
+-- 2. 행 수준 보안
+-- ===================================================================
+-- 정책이 없으므로 권한이 다시 부여되더라도 anon, authenticated는 어떤 행도 읽거나 쓸 수 없다
+ALTER TABLE events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booths ENABLE ROW LEVEL SECURITY;
+ALTER TABLE participants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE guardian_consents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booth_operations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE operator_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE operation_handovers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE code_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booth_daily_stats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE form_schemas ENABLE ROW LEVEL SECURITY;
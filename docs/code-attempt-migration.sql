@@ -0,0 +1,24 @@
+-- ===================================================================
+-- 부스 코드 입력 제한 마이그레이션
+-- 설명: 서버(src/server/code-attempts.js)가 모든 코드 입력을 기록하고
+--       같은 IP/같은 코드의 실패가 반복되면 입력을 잠시 막는다
+-- ===================================================================
+
+-- 1. 부스 삭제 시 입력 기록은 남기고 부스 연결만 해제
+-- ===================================================================
+ALTER TABLE code_attempts DROP CONSTRAINT IF EXISTS code_attempts_booth_id_fkey;
+ALTER TABLE code_attempts
+    ADD CONSTRAINT code_attempts_booth_id_fkey
+    FOREIGN KEY (booth_id) REFERENCES booths(id) ON DELETE SET NULL;
+
+-- 2. 잠금 확인용 인덱스 (IP별/코드별 최근 실패 조회)
+-- ===================================================================
+CREATE INDEX IF NOT EXISTS idx_code_attempts_ip_time
+    ON code_attempts(ip_address, attempted_at DESC) WHERE success = false;
+CREATE INDEX IF NOT EXISTS idx_code_attempts_code_time
+    ON code_attempts(attempted_code, attempted_at DESC) WHERE success = false;
+
+-- 3. 브라우저에서 직접 읽고 쓰지 못하도록 제한 (기록은 서버만 작성)
+-- ===================================================================
+ALTER TABLE code_attempts ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON code_attempts FROM anon, authenticated;
@@ -0,0 +1,50 @@
+-- ===================================================================
+-- 개인정보 수집·이용 동의 기록 마이그레이션
+-- 설명: 행사별 동의서를 버전으로 저장하고, 참가자마다 동의한 버전과 동의 시각을 기록
+--       (참가자가 어떤 내용에 동의했는지 증명하기 위함)
+-- ===================================================================
+
+-- 1. 동의서
+-- ===================================================================
+-- 한 번 게시한 버전은 고치지 않는다 (내용을 바꾸면 version + 1로 새로 게시)
+-- 행사를 만들거나 부스를 추가할 때 서버가 기본 안내문으로 1번 버전을 게시한다 (created_by = 'system')
+-- 이 마이그레이션 이전에 만든 행사는 서버 시작 시 한 번에 게시한다 (ensureDefaultConsentDocuments)
+-- 기본 안내문에는 행사의 보유 기간이 들어가므로 SQL로 넣지 않는다
+-- 서버를 다시 시작하기 전까지는 GET /api/consent-documents/current가 404를 반환하고 방명록을 받을 수 없다
+CREATE TABLE IF NOT EXISTS consent_documents (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL,
+    created_by VARCHAR(50),
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (event_id, version)
+);
+
+-- 2. 참가자 동의 기록
+-- ===================================================================
+-- consent_version은 동의서가 지워져도 남도록 함께 저장한다
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS consent_document_id INTEGER
+    REFERENCES consent_documents(id) ON DELETE SET NULL;
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS consent_version INTEGER;
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS consented_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_participants_consent
+    ON participants(consent_document_id);
+
+-- 3. 동의 없는 새 기록 막기
+-- ===================================================================
+-- 서버 API(POST /api/participants)는 동의서 ID가 없으면 등록을 거부한다
+-- 방명록을 받는 화면은 모두 서버 API로 등록하므로 브라우저의 INSERT 권한을 회수하고
+-- 동의서 ID가 없는 새 기록을 막는다 (NOT VALID: 이전 기록은 검사하지 않음)
+-- 동의 기록이 없는 예전 참가자가 든 행사 백업 묶음은 이 제약 때문에 가져올 수 없다
+ALTER TABLE participants DROP CONSTRAINT IF EXISTS participants_consent_required;
+ALTER TABLE participants ADD CONSTRAINT participants_consent_required
+    CHECK (consent_document_id IS NOT NULL) NOT VALID;
+REVOKE INSERT ON participants FROM anon, authenticated;
+
+-- 4. 권한
+-- ===================================================================
+-- 동의서는 서버 API(/api/consent-documents)로만 조회/게시
+REVOKE ALL ON consent_documents FROM anon, authenticated;
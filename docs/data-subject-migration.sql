@@ -0,0 +1,49 @@
+-- ===================================================================
+-- 정보주체 요청 처리 기록 마이그레이션
+-- 설명: 한 사람의 방명록 기록을 내보내거나 파기/삭제할 때마다 처리 기록을 남김
+--       (관리자 대시보드 "개인정보 요청" 탭, /api/data-subjects)
+-- ===================================================================
+
+-- 1. 처리 기록
+-- ===================================================================
+-- action: export(내보내기), anonymize(개인정보 파기, 통계 유지), delete(기록 삭제)
+-- 처리한 사람의 개인정보는 남기지 않는다 (subject_label은 가운데를 가린 이름, 참가자는 ID만)
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+    id SERIAL PRIMARY KEY,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('export', 'anonymize', 'delete')),
+    subject_label VARCHAR(50),
+    participant_ids TEXT NOT NULL,
+    event_ids TEXT,
+    record_count INTEGER NOT NULL DEFAULT 0,
+    reason VARCHAR(500),
+    requested_by VARCHAR(50),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_created
+    ON data_subject_requests(created_at DESC);
+
+-- 2. 검색 인덱스
+-- ===================================================================
+-- 이름 + 생년월일 또는 연락처로 모든 행사의 기록을 찾는다
+CREATE INDEX IF NOT EXISTS idx_participants_subject
+    ON participants(name, birth_date);
+
+-- 3. 생년월일, 연락처 형식 통일
+-- ===================================================================
+-- 검색은 저장 형식(생년월일 YYYY-MM-DD, 연락처 숫자만)과 같은 값만 찾으므로
+-- 예전 화면이 저장한 YYYYMMDD 생년월일과 하이픈이 들어간 연락처를 바꾼다
+-- 여러 번 실행해도 결과는 같다 (API 서버도 시작할 때 같은 변환을 실행: normalizeStoredContacts)
+UPDATE participants
+SET birth_date = SUBSTRING(birth_date, 1, 4) || '-' || SUBSTRING(birth_date, 5, 2) || '-' || SUBSTRING(birth_date, 7, 2)
+WHERE birth_date ~ '^[0-9]{8}$';
+
+UPDATE participants
+SET phone = REGEXP_REPLACE(phone, '[^0-9]', '', 'g')
+WHERE phone LIKE '%-%'
+  AND LENGTH(REGEXP_REPLACE(phone, '[^0-9]', '', 'g')) BETWEEN 10 AND 11;
+
+-- 4. 권한
+-- ===================================================================
+-- 처리 기록은 관리자 API(/api/data-subjects/requests)로만 조회
+REVOKE ALL ON data_subject_requests FROM anon, authenticated;
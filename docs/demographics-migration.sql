@@ -0,0 +1,85 @@
+-- ===================================================================
+-- 참가자 성별/교급 통일 마이그레이션
+-- 설명: 화면마다 다르게 저장하던 성별/교급 값을 하나의 분류(src/js/demographics.js, src/server/demographics.js)로 통일
+--       성별 '남성'/'여성', 교급 school_level '유아'/'초등'/'중등'/'고등'/'대학'/'성인'
+--       (예전 participant.html, operator-dashboard.html 등은 '남'/'여'와 grade '초등학생'/'중학생'/'고등학생'을 저장)
+-- 여러 번 실행해도 결과는 같다 (API 서버도 시작할 때 같은 변환을 실행)
+-- ===================================================================
+
+-- 1. 성별
+-- ===================================================================
+UPDATE participants SET gender = '남성'
+WHERE LOWER(TRIM(gender)) IN ('남', '남자', 'male', 'm');
+
+UPDATE participants SET gender = '여성'
+WHERE LOWER(TRIM(gender)) IN ('여', '여자', 'female', 'f');
+
+-- 2. 교급 (school_level에 예전 이름이 들어간 기록)
+-- ===================================================================
+UPDATE participants SET school_level = CASE TRIM(school_level)
+        WHEN '유치원' THEN '유아'
+        WHEN '미취학' THEN '유아'
+        WHEN '초등학생' THEN '초등'
+        WHEN '초등학교' THEN '초등'
+        WHEN '초' THEN '초등'
+        WHEN '중학생' THEN '중등'
+        WHEN '중학교' THEN '중등'
+        WHEN '중' THEN '중등'
+        WHEN '고등학생' THEN '고등'
+        WHEN '고등학교' THEN '고등'
+        WHEN '고' THEN '고등'
+        WHEN '대학생' THEN '대학'
+        WHEN '대학교' THEN '대학'
+        WHEN '일반' THEN '성인'
+        WHEN '어른' THEN '성인'
+    END
+WHERE TRIM(school_level) IN (
+    '유치원', '미취학', '초등학생', '초등학교', '초', '중학생', '중학교', '중',
+    '고등학생', '고등학교', '고', '대학생', '대학교', '일반', '어른'
+);
+
+-- 3. grade에 교급을 저장한 기록 → school_level로 옮기고 grade는 비움
+-- ===================================================================
+UPDATE participants SET
+    school_level = CASE
+        WHEN TRIM(grade) IN ('유아', '유치원', '미취학') THEN '유아'
+        WHEN TRIM(grade) IN ('초등', '초등학생', '초등학교', '초') THEN '초등'
+        WHEN TRIM(grade) IN ('중등', '중학생', '중학교', '중') THEN '중등'
+        WHEN TRIM(grade) IN ('고등', '고등학생', '고등학교', '고') THEN '고등'
+        WHEN TRIM(grade) IN ('대학', '대학생', '대학교') THEN '대학'
+        WHEN TRIM(grade) IN ('성인', '일반', '어른') THEN '성인'
+    END,
+    grade = NULL
+WHERE school_level IS NULL
+  AND TRIM(grade) IN (
+    '유아', '유치원', '미취학', '초등', '초등학생', '초등학교', '초', '중등', '중학생', '중학교', '중',
+    '고등', '고등학생', '고등학교', '고', '대학', '대학생', '대학교', '성인', '일반', '어른'
+);
+
+-- 4. 부스별 통계 뷰 (유아/대학/성인 인원 추가)
+-- ===================================================================
+-- 기존 컬럼은 그대로 두고 뒤에 추가 (CREATE OR REPLACE VIEW는 컬럼 추가만 허용)
+CREATE OR REPLACE VIEW booth_statistics AS
+SELECT
+    b.id as booth_id,
+    b.name as booth_name,
+    COUNT(p.id) as total_participants,
+    COUNT(CASE WHEN p.gender = '남성' THEN 1 END) as male_count,
+    COUNT(CASE WHEN p.gender = '여성' THEN 1 END) as female_count,
+    COUNT(CASE WHEN p.school_level = '초등' THEN 1 END) as elementary_count,
+    COUNT(CASE WHEN p.school_level = '중등' THEN 1 END) as middle_count,
+    COUNT(CASE WHEN p.school_level = '고등' THEN 1 END) as high_count,
+    MAX(p.created_at) as last_participation,
+    COUNT(CASE WHEN p.school_level = '유아' THEN 1 END) as preschool_count,
+    COUNT(CASE WHEN p.school_level = '대학' THEN 1 END) as university_count,
+    COUNT(CASE WHEN p.school_level = '성인' THEN 1 END) as adult_count
+FROM booths b
+LEFT JOIN participants p ON b.id = p.booth_id
+GROUP BY b.id, b.name;
+
+-- 5. 변환되지 않은 값 확인 (결과가 있으면 직접 확인 후 수정)
+-- ===================================================================
+-- SELECT gender, school_level, grade, COUNT(*) FROM participants
+-- WHERE (gender IS NOT NULL AND gender NOT IN ('남성', '여성'))
+--    OR (school_level IS NOT NULL AND school_level NOT IN ('유아', '초등', '중등', '고등', '대학', '성인'))
+-- GROUP BY gender, school_level, grade;
@@ -0,0 +1,39 @@
+-- ===================================================================
+-- 행사 담당자(event_manager) 역할 마이그레이션
+-- 설명: 행사 담당자는 배정된 행사의 부스, 부스 코드, 통계, 내보내기만 관리한다
+--       권한 정의는 src/shared/rbac.js 참고
+-- ===================================================================
+
+-- 1. 행사 담당자 계정 (비밀번호는 서버가 scrypt 해시로 저장)
+-- ===================================================================
+CREATE TABLE IF NOT EXISTS event_managers (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    password VARCHAR(255) NOT NULL,
+    name VARCHAR(100),
+    organization VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. 담당 행사 배정
+-- ===================================================================
+CREATE TABLE IF NOT EXISTS event_manager_events (
+    id SERIAL PRIMARY KEY,
+    manager_id INTEGER NOT NULL REFERENCES event_managers(id) ON DELETE CASCADE,
+    event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (manager_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_manager_events_manager ON event_manager_events(manager_id);
+
+-- 3. 로그인 세션 역할에 event_manager 추가 (admin | event_manager | operator)
+-- ===================================================================
+COMMENT ON COLUMN admin_sessions.role IS 'admin | event_manager | operator';
+
+-- 4. 브라우저(anon/authenticated) 접근 차단 (서버만 service_role 키로 접근)
+-- ===================================================================
+ALTER TABLE event_managers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_manager_events ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON event_managers FROM anon, authenticated;
+REVOKE ALL ON event_manager_events FROM anon, authenticated;
@@ -0,0 +1,58 @@
+-- ===================================================================
+-- 방명록 양식 마이그레이션
+-- 설명: 행사별(필요하면 부스별) 방명록 양식과 참가자의 추가 질문 답 저장
+--       양식이 없는 행사는 기존 항목(이름, 성별, 교급, 생년월일, 연락처, 메시지)의 기본 양식을 쓴다
+--       (src/server/form-schemas.js, src/shared/form-fields.js)
+-- ===================================================================
+
+-- 1. 방명록 양식
+-- ===================================================================
+-- booth_id가 NULL이면 행사 양식, 있으면 그 부스만 쓰는 양식 (부스 양식 → 행사 양식 → 기본 양식 순으로 찾음)
+-- fields: [{ key, label, type, required, help, ... }] JSON 문자열, 배열 순서가 화면 순서
+CREATE TABLE IF NOT EXISTS form_schemas (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    booth_id INTEGER UNIQUE REFERENCES booths(id) ON DELETE CASCADE,
+    fields TEXT NOT NULL,
+    updated_by VARCHAR(50),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- 행사 양식은 행사당 하나
+CREATE UNIQUE INDEX IF NOT EXISTS idx_form_schemas_event
+    ON form_schemas(event_id) WHERE booth_id IS NULL;
+
+-- 2. 참가자 추가 질문 답
+-- ===================================================================
+-- [{ key, label, type, value }] JSON 문자열 (질문 이름과 형식을 함께 남겨 양식이 바뀌어도 내보내기와 통계가 읽힘)
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS answers TEXT;
+
+-- 3. 파기 시 추가 질문 답 정리
+-- ===================================================================
+-- 선택형(choice), 체크박스(checkbox), 점수(rating) 답만 통계용으로 남기고 글, 날짜, 연락처 답은 지운다
+-- 서버 파기 작업(src/server/retention.js)은 직접 처리하고,
+-- DB에서 직접 anonymized_at을 채워 파기하는 경우는 이 트리거가 처리한다
+CREATE OR REPLACE FUNCTION keep_stat_answers()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.answers := (
+        SELECT CASE WHEN COUNT(*) = 0 THEN NULL ELSE jsonb_agg(answer)::text END
+        FROM jsonb_array_elements(NEW.answers::jsonb) AS answer
+        WHERE answer->>'type' IN ('choice', 'checkbox', 'rating')
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_participants_keep_stat_answers ON participants;
+CREATE TRIGGER trg_participants_keep_stat_answers
+    BEFORE UPDATE OF anonymized_at ON participants
+    FOR EACH ROW
+    WHEN (OLD.anonymized_at IS NULL AND NEW.anonymized_at IS NOT NULL AND NEW.answers IS NOT NULL)
+    EXECUTE FUNCTION keep_stat_answers();
+
+-- 4. 권한
+-- ===================================================================
+-- 양식은 서버 API(/api/form-schemas)로 조회/저장
+REVOKE ALL ON form_schemas FROM anon, authenticated;
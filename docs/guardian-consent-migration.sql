@@ -0,0 +1,51 @@
+-- ===================================================================
+-- 법정대리인 동의 마이그레이션
+-- 설명: 만 14세 미만 참가자의 법정대리인(보호자) 동의를 참가자 기록과 함께 저장
+--       (개인정보 보호법 제22조의2, docs/consent-migration.sql 이후 실행)
+-- ===================================================================
+
+-- 1. 법정대리인 동의
+-- ===================================================================
+-- 참가자 1명당 1행, 서명은 방명록 화면에서 받은 PNG data URL
+-- 서버는 작성 시각 기준 만 14세 미만(한국 날짜)인데 보호자 동의가 없으면 등록을 거부한다
+CREATE TABLE IF NOT EXISTS guardian_consents (
+    id SERIAL PRIMARY KEY,
+    participant_id INTEGER NOT NULL UNIQUE REFERENCES participants(id) ON DELETE CASCADE,
+    event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+    guardian_name VARCHAR(50) NOT NULL,
+    relationship VARCHAR(20) NOT NULL,
+    guardian_phone VARCHAR(20),
+    signature_image TEXT,
+    signed_at TIMESTAMP,
+    anonymized_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_guardian_consents_event
+    ON guardian_consents(event_id, created_at DESC);
+
+-- 2. 참가자 파기 시 보호자 정보도 파기
+-- ===================================================================
+-- 서버 파기 작업(src/server/retention.js)은 직접 처리하고,
+-- DB에서 직접 anonymized_at을 채워 파기하는 경우는 이 트리거가 처리한다
+CREATE OR REPLACE FUNCTION anonymize_guardian_consent()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE guardian_consents
+    SET guardian_name = '(파기됨)', guardian_phone = NULL, signature_image = NULL, anonymized_at = NEW.anonymized_at
+    WHERE participant_id = NEW.id AND anonymized_at IS NULL;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_participants_anonymize_guardian ON participants;
+CREATE TRIGGER trg_participants_anonymize_guardian
+    AFTER UPDATE OF anonymized_at ON participants
+    FOR EACH ROW
+    WHEN (OLD.anonymized_at IS NULL AND NEW.anonymized_at IS NOT NULL)
+    EXECUTE FUNCTION anonymize_guardian_consent();
+
+-- 3. 권한
+-- ===================================================================
+-- 보호자 정보와 서명은 서버 API(/api/guardian-consents)로만 조회
+REVOKE ALL ON guardian_consents FROM anon, authenticated;
@@ -0,0 +1,29 @@
+-- ===================================================================
+-- 로그인 입력 제한 마이그레이션
+-- 설명: 서버(src/server/code-attempts.js)가 관리자/행사 담당자/운영자 로그인을 기록하고
+--       같은 IP/같은 사용자명의 실패가 반복되면 로그인을 잠시 막는다
+-- ===================================================================
+
+-- 1. 로그인 기록
+-- ===================================================================
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    attempted_at TIMESTAMP DEFAULT NOW(),
+    success BOOLEAN DEFAULT false,
+    error_message VARCHAR(255)
+);
+
+-- 2. 잠금 확인용 인덱스 (IP별/사용자명별 최근 실패 조회)
+-- ===================================================================
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_time
+    ON login_attempts(ip_address, attempted_at DESC) WHERE success = false;
+CREATE INDEX IF NOT EXISTS idx_login_attempts_username_time
+    ON login_attempts(username, attempted_at DESC) WHERE success = false;
+
+-- 3. 브라우저에서 직접 읽고 쓰지 못하도록 제한 (기록은 서버만 작성)
+-- ===================================================================
+ALTER TABLE login_attempts ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON login_attempts FROM anon, authenticated;
@@ -0,0 +1,13 @@
+-- ===================================================================
+-- 오프라인 방명록 대기열 마이그레이션
+-- 설명: 오프라인에서 작성 후 재전송되는 방명록의 중복 등록 방지
+-- ===================================================================
+
+-- 1. 참가자 테이블에 클라이언트 전송 ID 추가
+-- ===================================================================
+-- 브라우저 대기열(src/js/offline-queue.js)에서 기록마다 UUID를 발급하며,
+-- 같은 ID로 다시 전송되면 서버가 기존 기록을 돌려준다
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS client_id VARCHAR(36);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_participants_client_id
+    ON participants(client_id) WHERE client_id IS NOT NULL;
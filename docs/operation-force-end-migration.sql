@@ -0,0 +1,21 @@
+-- ===================================================================
+-- 운영 강제 종료 마이그레이션
+-- 설명: 운영 종료 방식과 사유를 기록하고, 종료된 운영자 세션을 삭제 대신 무효화
+-- ===================================================================
+
+-- 1. 운영 종료 정보
+-- ===================================================================
+-- end_reason: logout(운영자 종료), replaced(새 운영자로 교체), forced(관리자 강제 종료), idle(무응답 자동 종료)
+ALTER TABLE booth_operations ADD COLUMN IF NOT EXISTS end_reason VARCHAR(20);
+ALTER TABLE booth_operations ADD COLUMN IF NOT EXISTS ended_by VARCHAR(50);
+ALTER TABLE booth_operations ADD COLUMN IF NOT EXISTS end_message VARCHAR(200);
+
+-- 기존 종료 기록은 운영자 종료로 간주
+UPDATE booth_operations SET end_reason = 'logout'
+WHERE ended_at IS NOT NULL AND end_reason IS NULL;
+
+-- 2. 운영자 세션 무효화 시각
+-- ===================================================================
+-- 운영이 끝나도 세션 행은 만료 시각까지 남겨 두어,
+-- 운영자 화면이 GET /api/operations/current로 종료 사유를 받을 수 있게 한다
+ALTER TABLE operator_sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
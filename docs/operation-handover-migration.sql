@@ -0,0 +1,38 @@
+-- ===================================================================
+-- 운영자 교대 마이그레이션
+-- 설명: 나가는 운영자의 인수인계 메모와 물품 수량을 남기고,
+--       들어오는 운영자가 인수를 확인하면 두 운영을 연결
+-- ===================================================================
+
+-- 1. 교대 기록 테이블
+-- ===================================================================
+-- status: pending(인수 대기), acknowledged(교대 완료), cancelled(요청 취소)
+-- 인수를 확인하면 to_operation_id를 기록하고, 나가는 운영은 end_reason = 'handover'로 종료된다
+CREATE TABLE IF NOT EXISTS operation_handovers (
+    id SERIAL PRIMARY KEY,
+    booth_id INTEGER REFERENCES booths(id) ON DELETE CASCADE,
+    event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+    from_operation_id INTEGER NOT NULL REFERENCES booth_operations(id) ON DELETE CASCADE,
+    to_operation_id INTEGER REFERENCES booth_operations(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'acknowledged', 'cancelled')),
+    notes VARCHAR(1000),
+    supply_count INTEGER CHECK (supply_count >= 0),
+    acknowledge_note VARCHAR(500),
+    created_at TIMESTAMP DEFAULT NOW(),
+    acknowledged_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_operation_handovers_booth
+    ON operation_handovers(booth_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_operation_handovers_from_operation
+    ON operation_handovers(from_operation_id);
+
+-- 운영 하나에 대기 중인 교대 요청은 하나만
+CREATE UNIQUE INDEX IF NOT EXISTS idx_operation_handovers_pending
+    ON operation_handovers(from_operation_id) WHERE status = 'pending';
+
+-- 2. 권한
+-- ===================================================================
+-- 교대 요청과 인수 확인은 서버 API로만 처리
+REVOKE ALL ON operation_handovers FROM anon, authenticated;
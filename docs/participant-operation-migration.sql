@@ -0,0 +1,60 @@
+-- ===================================================================
+-- 참가자-운영 연결 마이그레이션
+-- 설명: 참가자가 어느 부스 운영(booth_operations)에서 기록됐는지 저장하고,
+--       운영별 참가자 수와 운영자 성과를 시간대 추정 대신 이 연결로 계산
+-- ===================================================================
+
+-- 1. 참가자 테이블에 운영 ID 추가
+-- ===================================================================
+-- 운영자 세션으로 등록하면 서버가 현재 운영 ID를 기록하고,
+-- 방문자가 직접 작성한 방명록은 NULL로 남는다
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS booth_operation_id INTEGER
+    REFERENCES booth_operations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_participants_booth_operation
+    ON participants(booth_operation_id);
+
+-- 2. 기존 기록 연결 (가능한 경우만)
+-- ===================================================================
+-- 작성 시각이 같은 부스의 운영 하나에만 해당하는 기록만 연결한다
+-- (운영이 겹치는 시간대의 기록은 어느 운영자의 것인지 알 수 없으므로 NULL 유지)
+UPDATE participants p
+SET booth_operation_id = matched.operation_id
+FROM (
+    SELECT p2.id AS participant_id, MIN(bo.id) AS operation_id
+    FROM participants p2
+    JOIN booth_operations bo ON bo.booth_id = p2.booth_id
+        AND p2.created_at BETWEEN bo.started_at AND COALESCE(bo.ended_at, NOW())
+    WHERE p2.booth_operation_id IS NULL
+    GROUP BY p2.id
+    HAVING COUNT(bo.id) = 1
+) matched
+WHERE p.id = matched.participant_id;
+
+-- 3. 종료된 운영의 참가자 수 재계산
+-- ===================================================================
+UPDATE booth_operations bo
+SET total_participants = (
+    SELECT COUNT(*) FROM participants p WHERE p.booth_operation_id = bo.id
+)
+WHERE bo.ended_at IS NOT NULL;
+
+-- 4. 운영자별 성과 뷰 (운영 ID 기준)
+-- ===================================================================
+CREATE OR REPLACE VIEW operator_performance AS
+SELECT
+    bo.operator_name,
+    bo.operator_phone,
+    b.name as booth_name,
+    bo.started_at,
+    bo.ended_at,
+    CASE
+        WHEN bo.ended_at IS NOT NULL
+        THEN EXTRACT(EPOCH FROM (bo.ended_at - bo.started_at))/3600
+        ELSE EXTRACT(EPOCH FROM (NOW() - bo.started_at))/3600
+    END as operation_hours,
+    COUNT(p.id) as total_participants
+FROM booth_operations bo
+JOIN booths b ON bo.booth_id = b.id
+LEFT JOIN participants p ON p.booth_operation_id = bo.id
+GROUP BY bo.id, bo.operator_name, bo.operator_phone, b.name, bo.started_at, bo.ended_at;
@@ -0,0 +1,25 @@
+-- ===================================================================
+-- 관리자/운영자 비밀번호 해시 마이그레이션
+-- 설명: admins, operators 테이블의 평문 비밀번호 제거
+-- ===================================================================
+
+-- 1. 평문 비밀번호 교체 방식
+-- ===================================================================
+-- 서버(src/server/passwords.js)는 비밀번호를 scrypt 해시
+-- (scrypt$N$r$p$솔트$해시 형식, 약 130자)로 저장한다.
+-- 기존 평문 행은 로그인에 성공하는 순간 서버가 해시로 교체하므로
+-- 별도 데이터 변환은 필요 없다. password 컬럼(VARCHAR(255))도 그대로 사용한다.
+
+-- 아직 해시로 바뀌지 않은 계정 확인
+SELECT 'admins' AS account_table, id, username FROM admins WHERE password NOT LIKE 'scrypt$%'
+UNION ALL
+SELECT 'operators', id, username FROM operators WHERE password NOT LIKE 'scrypt$%';
+
+-- 2. 브라우저(anon/authenticated)에서 계정 테이블 접근 차단
+-- ===================================================================
+-- 로그인은 서버 API(/api/auth/login)만 사용하며, 서버는 service_role 키로 접근한다
+ALTER TABLE admins ENABLE ROW LEVEL SECURITY;
+ALTER TABLE operators ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON admins FROM anon, authenticated;
+REVOKE ALL ON operators FROM anon, authenticated;
@@ -0,0 +1,33 @@
+-- ===================================================================
+-- 개인정보 가림과 원본 열람 기록 마이그레이션
+-- 설명: 조회/내보내기 API는 이름, 연락처, 생년월일을 가린 값으로 돌려주고,
+--       관리자가 사유를 남기고 원본을 볼 때마다 열람 기록을 남김 (src/server/privacy.js)
+-- ===================================================================
+
+-- 1. 원본 열람 기록
+-- ===================================================================
+-- resource: 원본을 본 API 경로 (/api/participants, /api/operations, /api/guardian-consents, /api/data-subjects)
+-- filters: 조회 조건 (JSON 문자열)
+CREATE TABLE IF NOT EXISTS privacy_access_logs (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50),
+    role VARCHAR(20) NOT NULL,
+    resource VARCHAR(100) NOT NULL,
+    reason VARCHAR(200) NOT NULL,
+    record_count INTEGER NOT NULL DEFAULT 0,
+    filters TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_access_logs_created
+    ON privacy_access_logs(created_at DESC);
+
+-- 2. 권한
+-- ===================================================================
+-- 열람 기록은 관리자 API(/api/privacy/access-logs)로만 조회
+REVOKE ALL ON privacy_access_logs FROM anon, authenticated;
+
+-- 가린 값을 우회하지 않도록 개인정보가 있는 테이블의 직접 조회를 막는다
+-- 참가자 목록과 운영자 현황은 모든 화면이 서버 API로 조회한다
+-- (쓰기 권한까지 모두 회수하는 것은 docs/browser-access-migration.sql)
+REVOKE SELECT ON participants, guardian_consents, booth_operations FROM anon, authenticated;
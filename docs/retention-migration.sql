@@ -0,0 +1,66 @@
+-- ===================================================================
+-- 개인정보 보유 기간 마이그레이션
+-- 설명: 행사별 보유 기간이 지난 참가자 기록의 개인정보를 파기하고 파기 기록을 남김
+--       (방명록 동의 화면의 "수집일로부터 90일 후 자동 파기" 안내 이행)
+--       파기는 서버(server.js)의 파기 작업이 1시간마다 실행한다
+-- ===================================================================
+
+-- 1. 행사별 보유 기간
+-- ===================================================================
+ALTER TABLE events ADD COLUMN IF NOT EXISTS retention_days INTEGER NOT NULL DEFAULT 90
+    CHECK (retention_days BETWEEN 1 AND 1095);
+
+-- 2. 참가자 파기 시각
+-- ===================================================================
+-- 이름, 생년월일, 연락처, 메시지를 파기한 시각
+-- 성별, 교급, 학년, 부스, 작성 시각은 통계용으로 남긴다
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_participants_retention
+    ON participants(created_at) WHERE anonymized_at IS NULL;
+
+-- 3. 파기 기록
+-- ===================================================================
+-- 파기 작업 1회에 행사별 1행, summary는 부스/성별/교급별 인원(JSON)
+-- triggered_by: schedule(정기 작업) 또는 실행한 관리자 아이디
+CREATE TABLE IF NOT EXISTS retention_reports (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER REFERENCES events(id) ON DELETE SET NULL,
+    event_name VARCHAR(100),
+    retention_days INTEGER NOT NULL,
+    cutoff_at TIMESTAMP NOT NULL,
+    anonymized_count INTEGER NOT NULL DEFAULT 0,
+    summary TEXT,
+    triggered_by VARCHAR(50),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_reports_created
+    ON retention_reports(created_at DESC);
+
+-- 4. 참가자 보유 기한
+-- ===================================================================
+-- 등록할 때 작성 시각 + 행사의 보유 기간으로 정한다 (행사의 보유 기간을 늘려도 이미 받은 기록은 바뀌지 않음)
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS retain_until TIMESTAMP;
+
+-- 이미 받은 기록은 지금 행사의 보유 기간으로 채운다 (행사 없는 기록은 서버 기본값 90일, src/server/retention.js)
+UPDATE participants p
+SET retain_until = p.created_at + make_interval(days => COALESCE(
+    (SELECT e.retention_days FROM events e WHERE e.id = p.event_id), 90
+))
+WHERE p.retain_until IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_participants_retain_until
+    ON participants(retain_until) WHERE anonymized_at IS NULL;
+
+-- 5. 파기 작업
+-- ===================================================================
+-- 파기는 server.js의 파기 작업(src/server/retention.js)으로만 한다
+-- (보호자 동의와 추가 질문 답 파기, 파기 기록의 집계는 서버만 처리)
+-- 이전 버전의 이 파일이 만든 SQL 파기 함수는 삭제한다
+DROP FUNCTION IF EXISTS purge_expired_participants();
+
+-- 6. 권한
+-- ===================================================================
+-- 파기 기록은 관리자 API(/api/retention/reports)로만 조회
+REVOKE ALL ON retention_reports FROM anon, authenticated;
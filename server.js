@@ -1,8 +1,68 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { createStore } = require('./src/server/db');
+const { createApi } = require('./src/server/api');
+const { createOperationSweeper } = require('./src/server/booth-operations');
+const { createRetentionJob } = require('./src/server/retention');
+const { normalizeStoredParticipants } = require('./src/server/demographics');
+const { seedDemoData } = require('./src/server/demo-data');
+const { ensureDefaultConsentDocuments } = require('./src/server/consents');
+const { normalizeStoredContacts } = require('./src/server/data-subjects');
 
-const PORT = 3000;
+const PORT = process.env.PORT || 3000;
+// 데모 서버 (데모용 로컬 저장소에 데모 데이터를 넣어 실행, src/server/db/index.js)
+const DEMO_MODE = process.env.DEMO_MODE === '1';
+
+// REST API (저장소 설정 오류 시 정적 파일만 제공)
+let handleApi = null;
+try {
+    const store = createStore();
+    handleApi = createApi({ store, demo: DEMO_MODE });
+    console.log(`저장소: ${store.name}`);
+
+    // 데모 데이터를 넣은 뒤 동의서가 없는 기존 행사에 기본 동의서 게시
+    const seeded = DEMO_MODE
+        ? seedDemoData(store)
+            .then(count => console.log(count > 0 ? `데모 모드: 데모 데이터를 넣었습니다 (참가자 ${count}명)` : '데모 모드'))
+            .catch(error => console.error('데모 데이터 입력 실패:', error.message))
+        : Promise.resolve();
+    seeded
+        .then(() => ensureDefaultConsentDocuments(store))
+        .then(count => {
+            if (count > 0) console.log(`기본 동의서 게시: ${count}건`);
+        })
+        .catch(error => console.error('기본 동의서 게시 실패:', error.message));
+
+    // 예전 화면이 저장한 성별/교급 값('남', '초등학생' 등)을 통일된 값으로 변환
+    normalizeStoredParticipants(store)
+        .then(count => {
+            if (count > 0) console.log(`참가자 성별/교급 정규화: ${count}건`);
+        })
+        .catch(error => console.error('참가자 성별/교급 정규화 실패:', error.message));
+
+    // 예전 화면이 저장한 생년월일(YYYYMMDD)과 연락처(하이픈 포함)를 정보주체 찾기의 저장 형식으로 변환
+    normalizeStoredContacts(store)
+        .then(count => {
+            if (count > 0) console.log(`참가자 생년월일/연락처 정규화: ${count}건`);
+        })
+        .catch(error => console.error('참가자 생년월일/연락처 정규화 실패:', error.message));
+
+    // 하트비트가 끊긴 운영 자동 종료, 만료된 세션 정리 (1분마다)
+    const sweeper = createOperationSweeper(store);
+    sweeper.start();
+    console.log(`운영 자동 종료: ${sweeper.idleTimeoutMinutes}분 무응답 시`);
+
+    // 보유 기간이 지난 참가자 개인정보 파기 (1시간마다, 동의 화면의 보유 기간 안내를 지키기 위함)
+    const retentionJob = createRetentionJob(store);
+    retentionJob.start();
+    console.log(`개인정보 파기 작업: ${retentionJob.intervalMs / 60000}분마다`);
+} catch (error) {
+    console.error('API 초기화 실패:', error.message);
+}
+
+// 정적 파일로 제공하지 않는 경로 (서버 코드, 로컬 데이터)
+const PRIVATE_PATHS = ['/src/server/', '/data/'];
 
 // MIME 타입 매핑
 const mimeTypes = {
@@ -22,6 +82,17 @@ const server = http.createServer((req, res) => {
     const url = new URL(req.url, `http://localhost:${PORT}`);
     let pathname = url.pathname;
 
+    // API 요청
+    if (pathname.startsWith('/api/')) {
+        if (!handleApi) {
+            res.writeHead(503, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ error: 'API 서버가 설정되지 않았습니다.' }));
+            return;
+        }
+        handleApi(req, res, url);
+        return;
+    }
+
     // 기본 파일
     if (pathname === '/') pathname = '/index.html';
 
@@ -29,6 +100,12 @@ const server = http.createServer((req, res) => {
     const safePath = path.normalize(pathname).replace(/^\.+/, '');
     const filePath = path.join('.', safePath);
 
+    if (PRIVATE_PATHS.some(prefix => safePath.startsWith(prefix))) {
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('<h1>404 - File Not Found</h1>', 'utf-8');
+        return;
+    }
+
     const extname = String(path.extname(filePath)).toLowerCase();
     const contentType = mimeTypes[extname] || 'application/octet-stream';
 
@@ -1,33 +1,28 @@
 /**
  * 접근 권한 제어 모듈
- * 관리자, 운영자별 권한 체크 및 UI 제어
+ * 관리자, 행사 담당자, 운영자별 UI 제어 (권한 판단은 auth-manager.js / src/shared/rbac.js)
+ * 역할은 서버에서 확인된 세션(auth-session.js)으로만 판단 — 페이지에서 먼저 initAccessControl() 호출
  */
 
-import { getOperatorSession, isOperator, hasBoothAccess } from './operator-auth.js';
+import { getOperatorSession } from './operator-auth.js';
+import { verifySession, adminLogout } from './auth-session.js';
+import {
+    USER_ROLES, PERMISSIONS, getCurrentUserRole, getCurrentUser, hasPermission,
+    canAccessBooth as canUserAccessBooth
+} from './auth-manager.js';
+import { getRoleLabel } from '../shared/rbac.js';
 
 // 사용자 역할 타입
-export const UserRole = {
-    ADMIN: 'admin',
-    OPERATOR: 'operator',
-    GUEST: 'guest'
-};
+export const UserRole = USER_ROLES;
+
+export { getCurrentUserRole };
 
 /**
- * 현재 사용자의 역할 확인
+ * 서버에서 세션 확인 후 권한별 UI 적용
  */
-export function getCurrentUserRole() {
-    // 관리자 세션 확인
-    const adminSession = JSON.parse(localStorage.getItem('admin_session') || '{}');
-    if (adminSession.username === 'admin') {
-        return UserRole.ADMIN;
-    }
-    
-    // 운영자 세션 확인
-    if (isOperator()) {
-        return UserRole.OPERATOR;
-    }
-    
-    return UserRole.GUEST;
+export async function initAccessControl() {
+    await verifySession();
+    applyAccessControl();
 }
 
 /**
@@ -39,64 +34,57 @@ export function isAdmin() {
 
 /**
  * 특정 부스에 대한 접근 권한 확인
+ * @param {number} boothId - 부스 ID
+ * @param {number|null} eventId - 부스가 속한 행사 ID (행사 담당자 확인용)
  */
-export function canAccessBooth(boothId) {
-    const role = getCurrentUserRole();
-    
-    // 관리자는 모든 부스 접근 가능
-    if (role === UserRole.ADMIN) {
-        return true;
-    }
-    
-    // 운영자는 자신의 부스만 접근 가능
-    if (role === UserRole.OPERATOR) {
-        return hasBoothAccess(boothId);
-    }
-    
-    // 게스트는 접근 불가
-    return false;
+export function canAccessBooth(boothId, eventId = null) {
+    return canUserAccessBooth(boothId, eventId);
 }
 
 /**
- * 부스 생성 권한 확인
+ * 부스 생성 권한 확인 (eventId 지정 시 담당 행사인지도 확인)
  */
-export function canCreateBooth() {
-    return isAdmin();
+export function canCreateBooth(eventId) {
+    return eventId === undefined
+        ? hasPermission(PERMISSIONS.MANAGE_BOOTHS)
+        : hasPermission(PERMISSIONS.MANAGE_BOOTHS, { eventId });
 }
 
 /**
  * 부스 삭제 권한 확인
  */
-export function canDeleteBooth() {
-    return isAdmin();
+export function canDeleteBooth(boothId, eventId = null) {
+    return hasPermission(PERMISSIONS.MANAGE_BOOTHS, { boothId, eventId });
 }
 
 /**
  * 부스 편집 권한 확인
  */
-export function canEditBooth(boothId) {
-    return isAdmin();
+export function canEditBooth(boothId, eventId = null) {
+    return hasPermission(PERMISSIONS.MANAGE_BOOTHS, { boothId, eventId });
 }
 
 /**
- * 부스 코드 관리 권한 확인
+ * 부스 코드 관리 권한 확인 (eventId 지정 시 담당 행사인지도 확인)
  */
-export function canManageBoothCodes() {
-    return isAdmin();
+export function canManageBoothCodes(eventId) {
+    return eventId === undefined
+        ? hasPermission(PERMISSIONS.MANAGE_CODES)
+        : hasPermission(PERMISSIONS.MANAGE_CODES, { eventId });
 }
 
 /**
  * 통계 전체 보기 권한 확인
  */
 export function canViewAllStats() {
-    return isAdmin();
+    return hasPermission(PERMISSIONS.VIEW_ALL_STATS);
 }
 
 /**
  * 데이터 내보내기 권한 확인
  */
 export function canExportData() {
-    return isAdmin();
+    return hasPermission(PERMISSIONS.EXPORT_DATA);
 }
 
 /**
@@ -107,12 +95,14 @@ export function applyAccessControl() {
     
     // 권한별 UI 요소 클래스
     const adminOnly = document.querySelectorAll('.admin-only');
+    const managerOnly = document.querySelectorAll('.manager-only');
     const operatorOnly = document.querySelectorAll('.operator-only');
     const authRequired = document.querySelectorAll('.auth-required');
     const guestOnly = document.querySelectorAll('.guest-only');
     
     // 모든 요소 숨김
     adminOnly.forEach(el => el.style.display = 'none');
+    managerOnly.forEach(el => el.style.display = 'none');
     operatorOnly.forEach(el => el.style.display = 'none');
     authRequired.forEach(el => el.style.display = 'none');
     guestOnly.forEach(el => el.style.display = 'none');
@@ -121,6 +111,11 @@ export function applyAccessControl() {
     switch(role) {
         case UserRole.ADMIN:
             adminOnly.forEach(el => el.style.display = '');
+            managerOnly.forEach(el => el.style.display = '');
+            authRequired.forEach(el => el.style.display = '');
+            break;
+        case UserRole.EVENT_MANAGER:
+            managerOnly.forEach(el => el.style.display = '');
             authRequired.forEach(el => el.style.display = '');
             break;
         case UserRole.OPERATOR:
@@ -147,8 +142,9 @@ export function updateUserInfo() {
     
     switch(role) {
         case UserRole.ADMIN:
+        case UserRole.EVENT_MANAGER:
             userInfoEl.innerHTML = `
-                <span class="text-sm font-medium">관리자</span>
+                <span class="text-sm font-medium">${getCurrentUser().name || getRoleLabel(role)}</span>
                 <button onclick="logout()" class="ml-2 px-3 py-1 bg-red-600 text-white rounded text-sm hover:bg-red-700">
                     로그아웃
                 </button>
@@ -182,8 +178,8 @@ export function updateUserInfo() {
 export async function logout() {
     const role = getCurrentUserRole();
     
-    if (role === UserRole.ADMIN) {
-        localStorage.removeItem('admin_session');
+    if (role === UserRole.ADMIN || role === UserRole.EVENT_MANAGER) {
+        await adminLogout();
         window.location.href = 'admin-login.html';
     } else if (role === UserRole.OPERATOR) {
         const { operatorLogout } = await import('./operator-auth.js');
@@ -1,9 +1,9 @@
 /**
  * 관리자 인증 모듈
- * admin/0627 고정 계정 및 운영자 계정 관리
+ * 관리자/운영자 계정 로그인 및 계정 관리 (비밀번호 확인과 해시는 서버에서 처리)
  */
 
-import { getSupabase } from './supabase-client.js';
+import { apiPost } from './api-client.js';
 
 /**
  * 관리자/운영자 로그인
@@ -13,55 +13,21 @@ import { getSupabase } from './supabase-client.js';
  */
 export async function adminLogin(username, password) {
     try {
-        const supabase = getSupabase();
+        // 서버에서 관리자/운영자 계정 확인 후 세션 토큰 발급
+        const { data, error } = await apiPost('/api/auth/login', { username, password });
         
-        if (!supabase) {
-            // 목업 모드
-            if (username === 'admin' && password === '0627') {
-                return {
-                    success: true,
-                    user: { username: 'admin', id: 1 },
-                    role: 'admin'
-                };
-            }
-            return { success: false, error: '로그인 실패' };
-        }
-        
-        // 관리자 확인
-        const { data: admin, error: adminError } = await supabase
-            .from('admins')
-            .select('*')
-            .eq('username', username)
-            .eq('password', password)
-            .single();
-            
-        if (admin && !adminError) {
-            return {
-                success: true,
-                user: admin,
-                role: 'admin'
-            };
-        }
-        
-        // 운영자 확인
-        const { data: operator, error: operatorError } = await supabase
-            .from('operators')
-            .select('*')
-            .eq('username', username)
-            .eq('password', password)
-            .single();
-            
-        if (operator && !operatorError) {
+        if (error) {
             return {
-                success: true,
-                user: operator,
-                role: 'operator'
+                success: false,
+                error: error.message
             };
         }
         
         return {
-            success: false,
-            error: '아이디 또는 비밀번호가 일치하지 않습니다.'
+            success: true,
+            user: data.user,
+            role: data.role,
+            token: data.token
         };
         
     } catch (error) {
@@ -74,41 +40,24 @@ export async function adminLogin(username, password) {
 }
 
 /**
- * 관리자 비밀번호 변경
- * @param {string} username - 사용자명
+ * 로그인한 계정의 비밀번호 변경
+ * @param {string} username - 사용자명 (서버는 로그인 세션의 계정을 사용)
  * @param {string} oldPassword - 현재 비밀번호
- * @param {string} newPassword - 새 비밀번호
+ * @param {string} newPassword - 새 비밀번호 (8자 이상)
  * @returns {Promise<Object>} 변경 결과
  */
 export async function changePassword(username, oldPassword, newPassword) {
     try {
-        const supabase = getSupabase();
-        
-        if (!supabase) {
-            return { success: false, error: 'DB 연결 실패' };
-        }
+        const { data, error } = await apiPost('/api/auth/password', {
+            current_password: oldPassword,
+            new_password: newPassword
+        });
         
-        // 현재 비밀번호 확인
-        const { data: admin } = await supabase
-            .from('admins')
-            .select('*')
-            .eq('username', username)
-            .eq('password', oldPassword)
-            .single();
-            
-        if (!admin) {
-            return { success: false, error: '현재 비밀번호가 일치하지 않습니다.' };
+        if (error) {
+            return { success: false, error: error.message };
         }
         
-        // 비밀번호 업데이트
-        const { error } = await supabase
-            .from('admins')
-            .update({ password: newPassword, updated_at: new Date() })
-            .eq('username', username);
-            
-        if (error) throw error;
-        
-        return { success: true, message: '비밀번호가 변경되었습니다.' };
+        return { success: true, message: data.message };
         
     } catch (error) {
         return { success: false, error: error.message };
@@ -116,26 +65,18 @@ export async function changePassword(username, oldPassword, newPassword) {
 }
 
 /**
- * 부스 운영자 생성
- * @param {Object} operatorData - 운영자 정보
- * @returns {Promise<Object>} 생성 결과
+ * 부스 운영자 계정 생성
+ * @param {Object} operatorData - 운영자 정보 (username, password, name, assigned_booth_id)
+ * @returns {Promise<Object>} 생성 결과 (비밀번호 제외)
  */
 export async function createOperator(operatorData) {
     try {
-        const supabase = getSupabase();
+        const { data, error } = await apiPost('/api/operators', operatorData);
         
-        if (!supabase) {
-            return { success: false, error: 'DB 연결 실패' };
+        if (error) {
+            return { success: false, error: error.message };
         }
         
-        const { data, error } = await supabase
-            .from('operators')
-            .insert(operatorData)
-            .select()
-            .single();
-            
-        if (error) throw error;
-        
         return { success: true, data };
         
     } catch (error) {
@@ -0,0 +1,112 @@
+/**
+ * 서버 API 클라이언트
+ * server.js의 /api 엔드포인트 호출 (Supabase와 같은 { data, error } 형태로 반환)
+ * 데모 서버(DEMO_MODE=1)에 연결되면 화면 아래에 데모 배너 표시 (demo-banner.js)
+ */
+
+import './demo-banner.js';
+
+// 세션 저장 키 (auth-session.js, operator-auth.js와 동일)
+const ADMIN_SESSION_KEY = 'admin_session';
+const OPERATOR_SESSION_KEY = 'operator_session';
+
+// 토큰이 거부(401)되었을 때 window에 보내는 이벤트 (auth-session.js가 로그아웃 처리)
+export const SESSION_REJECTED_EVENT = 'api:session-rejected';
+
+/**
+ * 요청에 사용할 인증 토큰 가져오기
+ * - 관리자 세션 우선, 없으면 운영자 세션
+ */
+function getAuthToken() {
+    try {
+        const adminSession = JSON.parse(localStorage.getItem(ADMIN_SESSION_KEY) || '{}');
+        if (adminSession.token) return adminSession.token;
+
+        const operatorSession = JSON.parse(localStorage.getItem(OPERATOR_SESSION_KEY) || '{}');
+        if (operatorSession.sessionToken) return operatorSession.sessionToken;
+    } catch (error) {
+        console.error('세션 파싱 실패:', error);
+    }
+    return null;
+}
+
+/**
+ * 쿼리 파라미터 문자열 생성 (빈 값 제외)
+ */
+function toQueryString(params = {}) {
+    const search = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            search.append(key, String(value));
+        }
+    });
+    const query = search.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * API 요청
+ * @param {string} method - HTTP 메서드
+ * @param {string} path - /api로 시작하는 경로
+ * @param {Object} options - { query, body, token }
+ *   token을 지정하지 않으면 저장된 관리자/운영자 세션 토큰을 사용
+ * @returns {Promise<{ data: any, error: Object|null }>}
+ *   error: { status, message, retryAfter?, reason? } (status 0은 네트워크 오류)
+ */
+export async function apiRequest(method, path, { query, body, token = getAuthToken() } = {}) {
+    const result = await fetchApi(method, path, { query, body, token });
+
+    // 만료/폐기된 토큰 알림 (로그인 요청의 401은 비밀번호 오류)
+    if (token && result.error?.status === 401 && path !== '/api/auth/login' && typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent(SESSION_REJECTED_EVENT, { detail: { token } }));
+    }
+    return result;
+}
+
+/**
+ * 서버로 요청 전송
+ */
+async function fetchApi(method, path, { query, body, token }) {
+    try {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const response = await fetch(`${path}${toQueryString(query)}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        const payload = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            return {
+                data: null,
+                error: {
+                    status: response.status,
+                    message: payload?.error || `요청 실패 (${response.status})`,
+                    // 입력 제한(429) 시 다시 시도할 수 있을 때까지 남은 초
+                    retryAfter: payload?.retry_after,
+                    // 운영이 종료된 운영자 토큰(401)의 종료 방식
+                    reason: payload?.reason
+                }
+            };
+        }
+
+        return { data: payload, error: null };
+    } catch (error) {
+        console.error('API 요청 실패:', error);
+        return {
+            data: null,
+            error: { status: 0, message: '서버에 연결할 수 없습니다.' }
+        };
+    }
+}
+
+export const apiGet = (path, query) => apiRequest('GET', path, { query });
+export const apiPost = (path, body) => apiRequest('POST', path, { body });
+export const apiPatch = (path, body) => apiRequest('PATCH', path, { body });
+export const apiPut = (path, body) => apiRequest('PUT', path, { body });
+export const apiDelete = (path) => apiRequest('DELETE', path);
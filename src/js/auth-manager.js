@@ -1,77 +1,34 @@
 /**
  * 통합 권한 관리 모듈
- * 관리자, 운영자, 일반 사용자 권한 체크
+ * 관리자, 행사 담당자, 운영자, 일반 사용자 권한 체크 (역할/권한 정의는 src/shared/rbac.js)
+ * 역할은 서버에서 확인된 세션(auth-session.js)으로만 판단 — 페이지에서 먼저 loadCurrentUser() 호출
  */
 
 import { getOperatorSession } from './operator-auth.js';
+import { verifySession, getVerifiedUser, adminLogout } from './auth-session.js';
+import {
+    ROLES, PERMISSIONS, can, getRoleLabel, getRolePermissions, isRoleAtLeast,
+    canAccessBooth as canRoleAccessBooth
+} from '../shared/rbac.js';
 
 // 사용자 역할 정의
-export const USER_ROLES = {
-    ADMIN: 'admin',
-    OPERATOR: 'operator',
-    GUEST: 'guest'
-};
+export const USER_ROLES = ROLES;
 
-// 권한 레벨 정의
-export const PERMISSIONS = {
-    // 관리자 권한
-    MANAGE_BOOTHS: 'manage_booths',
-    MANAGE_CODES: 'manage_codes',
-    VIEW_ALL_STATS: 'view_all_stats',
-    EXPORT_DATA: 'export_data',
-    
-    // 운영자 권한
-    OPERATE_BOOTH: 'operate_booth',
-    VIEW_BOOTH_STATS: 'view_booth_stats',
-    ADD_PARTICIPANT: 'add_participant',
-    
-    // 공통 권한
-    VIEW_PUBLIC: 'view_public'
-};
-
-// 역할별 권한 매핑
-const ROLE_PERMISSIONS = {
-    [USER_ROLES.ADMIN]: [
-        PERMISSIONS.MANAGE_BOOTHS,
-        PERMISSIONS.MANAGE_CODES,
-        PERMISSIONS.VIEW_ALL_STATS,
-        PERMISSIONS.EXPORT_DATA,
-        PERMISSIONS.OPERATE_BOOTH,
-        PERMISSIONS.VIEW_BOOTH_STATS,
-        PERMISSIONS.ADD_PARTICIPANT,
-        PERMISSIONS.VIEW_PUBLIC
-    ],
-    [USER_ROLES.OPERATOR]: [
-        PERMISSIONS.OPERATE_BOOTH,
-        PERMISSIONS.VIEW_BOOTH_STATS,
-        PERMISSIONS.ADD_PARTICIPANT,
-        PERMISSIONS.VIEW_PUBLIC
-    ],
-    [USER_ROLES.GUEST]: [
-        PERMISSIONS.VIEW_PUBLIC
-    ]
-};
+// 권한 정의
+export { PERMISSIONS };
 
 /**
- * 현재 사용자의 역할 가져오기
+ * 현재 사용자의 역할 가져오기 (서버에서 확인된 세션 기준)
  */
 export function getCurrentUserRole() {
-    // 관리자 세션 확인
-    const adminSession = localStorage.getItem('admin_session');
-    if (adminSession) {
-        try {
-            const session = JSON.parse(adminSession);
-            if (session.role === 'admin') {
-                return USER_ROLES.ADMIN;
-            }
-        } catch (e) {
-            console.error('관리자 세션 파싱 실패:', e);
-        }
+    const verified = getVerifiedUser();
+    
+    if (verified && (verified.role === USER_ROLES.ADMIN || verified.role === USER_ROLES.EVENT_MANAGER)) {
+        return verified.role;
     }
     
-    // 운영자 세션 확인
-    const operatorSession = getOperatorSession();
-    if (operatorSession && operatorSession.role === 'operator') {
+    // 부스 운영 세션 (계정 로그인만 한 운영자는 부스가 없어 게스트와 같음)
+    if (verified && verified.role === USER_ROLES.OPERATOR && verified.boothId) {
         return USER_ROLES.OPERATOR;
     }
     
@@ -79,6 +36,14 @@ export function getCurrentUserRole() {
     return USER_ROLES.GUEST;
 }
 
+/**
+ * 서버에서 세션을 확인한 뒤 현재 사용자 정보 반환
+ */
+export async function loadCurrentUser() {
+    await verifySession();
+    return getCurrentUser();
+}
+
 /**
  * 현재 사용자 정보 가져오기
  */
@@ -86,43 +51,59 @@ export function getCurrentUser() {
     const role = getCurrentUserRole();
     
     if (role === USER_ROLES.ADMIN) {
-        const adminSession = JSON.parse(localStorage.getItem('admin_session') || '{}');
         return {
             role: USER_ROLES.ADMIN,
-            username: adminSession.username,
-            name: '관리자',
+            username: getVerifiedUser().username,
+            name: getRoleLabel(USER_ROLES.ADMIN),
             boothId: null, // 관리자는 모든 부스 접근 가능
-            permissions: ROLE_PERMISSIONS[USER_ROLES.ADMIN]
+            eventIds: null,
+            permissions: getRolePermissions(USER_ROLES.ADMIN)
+        };
+    }
+    
+    if (role === USER_ROLES.EVENT_MANAGER) {
+        const verified = getVerifiedUser();
+        return {
+            role: USER_ROLES.EVENT_MANAGER,
+            username: verified.username,
+            name: verified.name || getRoleLabel(USER_ROLES.EVENT_MANAGER),
+            boothId: null,
+            eventIds: verified.eventIds || [], // 담당 행사만 접근 가능
+            permissions: getRolePermissions(USER_ROLES.EVENT_MANAGER)
         };
     }
     
     if (role === USER_ROLES.OPERATOR) {
-        const operatorSession = getOperatorSession();
+        const verified = getVerifiedUser();
+        const operatorSession = getOperatorSession() || {};
         return {
             role: USER_ROLES.OPERATOR,
-            username: operatorSession.operatorName,
-            name: operatorSession.operatorName,
-            boothId: operatorSession.boothId,
+            username: verified.operatorName,
+            name: verified.operatorName,
+            boothId: verified.boothId,
             boothName: operatorSession.boothName,
-            permissions: ROLE_PERMISSIONS[USER_ROLES.OPERATOR]
+            eventIds: [],
+            permissions: getRolePermissions(USER_ROLES.OPERATOR)
         };
     }
     
     return {
         role: USER_ROLES.GUEST,
         username: 'guest',
-        name: '방문자',
+        name: getRoleLabel(USER_ROLES.GUEST),
         boothId: null,
-        permissions: ROLE_PERMISSIONS[USER_ROLES.GUEST]
+        eventIds: [],
+        permissions: getRolePermissions(USER_ROLES.GUEST)
     };
 }
 
 /**
  * 특정 권한 체크
+ * @param {string} permission - PERMISSIONS 값
+ * @param {Object} target - { eventId } 또는 { boothId, eventId } 지정 시 담당 범위도 확인
  */
-export function hasPermission(permission) {
-    const user = getCurrentUser();
-    return user.permissions.includes(permission);
+export function hasPermission(permission, target = {}) {
+    return can(getCurrentUser(), permission, target);
 }
 
 /**
@@ -143,22 +124,12 @@ export function hasAllPermissions(permissions) {
 
 /**
  * 특정 부스에 대한 접근 권한 체크
+ * - 관리자는 모든 부스, 행사 담당자는 담당 행사(eventId)의 부스, 운영자는 자신이 운영하는 부스만
+ * @param {number} boothId - 부스 ID
+ * @param {number|null} eventId - 부스가 속한 행사 ID (행사 담당자 확인용)
  */
-export function canAccessBooth(boothId) {
-    const user = getCurrentUser();
-    
-    // 관리자는 모든 부스 접근 가능
-    if (user.role === USER_ROLES.ADMIN) {
-        return true;
-    }
-    
-    // 운영자는 자신이 운영하는 부스만 접근 가능
-    if (user.role === USER_ROLES.OPERATOR) {
-        return user.boothId === boothId;
-    }
-    
-    // 게스트는 부스 운영 불가
-    return false;
+export function canAccessBooth(boothId, eventId = null) {
+    return canRoleAccessBooth(getCurrentUser(), boothId, eventId);
 }
 
 /**
@@ -168,6 +139,13 @@ export function isAdmin() {
     return getCurrentUserRole() === USER_ROLES.ADMIN;
 }
 
+/**
+ * 행사 담당자인지 확인
+ */
+export function isEventManager() {
+    return getCurrentUserRole() === USER_ROLES.EVENT_MANAGER;
+}
+
 /**
  * 운영자인지 확인
  */
@@ -179,8 +157,7 @@ export function isOperator() {
  * 로그인 여부 확인
  */
 export function isLoggedIn() {
-    const role = getCurrentUserRole();
-    return role === USER_ROLES.ADMIN || role === USER_ROLES.OPERATOR;
+    return getCurrentUserRole() !== USER_ROLES.GUEST;
 }
 
 /**
@@ -188,6 +165,9 @@ export function isLoggedIn() {
  */
 export function showUnauthorizedMessage(requiredPermission) {
     const messages = {
+        [PERMISSIONS.MANAGE_EVENTS]: '행사 관리 권한이 필요합니다.',
+        [PERMISSIONS.MANAGE_ACCOUNTS]: '계정 관리 권한이 필요합니다.',
+        [PERMISSIONS.REVEAL_PERSONAL_DATA]: '개인정보 원본 열람 권한이 필요합니다.',
         [PERMISSIONS.MANAGE_BOOTHS]: '부스 관리 권한이 필요합니다.',
         [PERMISSIONS.MANAGE_CODES]: '부스 코드 관리 권한이 필요합니다.',
         [PERMISSIONS.VIEW_ALL_STATS]: '전체 통계 조회 권한이 필요합니다.',
@@ -231,9 +211,14 @@ export function updateUIByPermissions() {
         element.style.display = user.role === USER_ROLES.ADMIN ? '' : 'none';
     });
     
+    // 관리자/행사 담당자 요소
+    document.querySelectorAll('[data-require-manager]').forEach(element => {
+        element.style.display = isRoleAtLeast(user.role, USER_ROLES.EVENT_MANAGER) ? '' : 'none';
+    });
+    
     // 운영자 이상 권한 요소
     document.querySelectorAll('[data-require-operator]').forEach(element => {
-        element.style.display = (user.role === USER_ROLES.ADMIN || user.role === USER_ROLES.OPERATOR) ? '' : 'none';
+        element.style.display = isRoleAtLeast(user.role, USER_ROLES.OPERATOR) ? '' : 'none';
     });
     
     // 로그인 필수 요소
@@ -246,10 +231,13 @@ export function updateUIByPermissions() {
         element.style.display = !isLoggedIn() ? '' : 'none';
     });
     
-    // 특정 권한별 요소
+    // 특정 권한별 요소 (data-event-id / data-booth-id가 있으면 담당 범위도 확인)
     Object.values(PERMISSIONS).forEach(permission => {
         document.querySelectorAll(`[data-require-permission="${permission}"]`).forEach(element => {
-            element.style.display = hasPermission(permission) ? '' : 'none';
+            const target = {};
+            if (element.dataset.boothId) target.boothId = Number(element.dataset.boothId);
+            if (element.dataset.eventId) target.eventId = Number(element.dataset.eventId);
+            element.style.display = can(user, permission, target) ? '' : 'none';
         });
     });
 }
@@ -260,14 +248,8 @@ export function updateUIByPermissions() {
 export function checkPageAccess(requiredRole = USER_ROLES.GUEST) {
     const currentRole = getCurrentUserRole();
     
-    // 권한 레벨 체크 (Admin > Operator > Guest)
-    const roleLevel = {
-        [USER_ROLES.ADMIN]: 3,
-        [USER_ROLES.OPERATOR]: 2,
-        [USER_ROLES.GUEST]: 1
-    };
-    
-    if (roleLevel[currentRole] < roleLevel[requiredRole]) {
+    // 권한 레벨 체크 (Admin > Event manager > Operator > Guest, rbac.js의 level)
+    if (!isRoleAtLeast(currentRole, requiredRole)) {
         // 권한 부족
         alert('이 페이지에 접근할 권한이 없습니다.');
         
@@ -289,9 +271,10 @@ export function checkPageAccess(requiredRole = USER_ROLES.GUEST) {
 export function logout() {
     const user = getCurrentUser();
     
-    if (user.role === USER_ROLES.ADMIN) {
-        localStorage.removeItem('admin_session');
-        window.location.href = 'admin-login.html';
+    if (user.role === USER_ROLES.ADMIN || user.role === USER_ROLES.EVENT_MANAGER) {
+        adminLogout().then(() => {
+            window.location.href = 'admin-login.html';
+        });
     } else if (user.role === USER_ROLES.OPERATOR) {
         // operator-auth 모듈의 로그아웃 함수 호출
         import('./operator-auth.js').then(module => {
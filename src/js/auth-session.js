@@ -0,0 +1,245 @@
+/**
+ * 로그인 세션 확인 모듈
+ * localStorage의 세션 값은 토큰 보관용으로만 쓰고, 역할은 항상 서버(GET /api/auth/me)에서 확인
+ *
+ * - 관리자 세션: 서버가 서명한 토큰, 8시간 후 또는 30분 유휴 시 만료
+ * - 로그아웃하면 같은 브라우저의 다른 탭도 함께 로그아웃 (storage 이벤트)
+ */
+
+import { apiRequest, SESSION_REJECTED_EVENT } from './api-client.js';
+import { getOperatorSession, clearOperatorSession } from './operator-auth.js';
+
+// 세션 저장 키 (api-client.js와 동일)
+export const ADMIN_SESSION_KEY = 'admin_session';
+// 탭 간 공유하는 마지막 사용자 활동 시각
+const LAST_ACTIVITY_KEY = 'admin_last_activity';
+
+// 유휴 제한 (서버 sessions.js의 ADMIN_IDLE_TIMEOUT_MS와 동일)
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+// 사용 중일 때 서버에 활동을 알리는 간격
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+// 유휴 확인 간격
+const IDLE_CHECK_INTERVAL_MS = 30 * 1000;
+// 활동 시각 기록 간격 (mousemove 등 잦은 이벤트 제한)
+const ACTIVITY_WRITE_INTERVAL_MS = 10 * 1000;
+
+// 세션 종료 사유별 안내
+const END_MESSAGES = {
+    idle: '30분 동안 사용하지 않아 로그아웃되었습니다.',
+    expired: '로그인이 만료되었습니다. 다시 로그인해주세요.',
+    logout: '다른 탭에서 로그아웃되었습니다.'
+};
+
+// 서버에서 확인된 현재 사용자 (verifySession 호출 전에는 null)
+let verifiedUser = null;
+// 세션 감시 상태 (이벤트 리스너는 한 번만 등록)
+let watching = false;
+let endHandler = null;
+
+/**
+ * 로그인 결과 저장 (admin-login.html)
+ * @param {Object} result - adminLogin() 결과 { user, role, token }
+ */
+export function saveAdminSession({ user, role, token }) {
+    localStorage.setItem(ADMIN_SESSION_KEY, JSON.stringify({
+        username: user.username,
+        role,
+        token,
+        loginTime: new Date().toISOString()
+    }));
+    localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()));
+}
+
+/**
+ * 저장된 관리자 세션 (검증 전 값, 토큰 보관용)
+ */
+export function getStoredAdminSession() {
+    try {
+        return JSON.parse(localStorage.getItem(ADMIN_SESSION_KEY) || 'null');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 관리자 세션 삭제 (다른 탭에는 storage 이벤트로 전달됨)
+ */
+export function clearAdminSession() {
+    localStorage.removeItem(ADMIN_SESSION_KEY);
+    localStorage.removeItem(LAST_ACTIVITY_KEY);
+    if (verifiedUser && verifiedUser.adminSessionId) {
+        verifiedUser = null;
+    }
+}
+
+/**
+ * 서버에 현재 세션 확인
+ * - 관리자 토큰 우선, 없거나 거부되면 운영자 토큰 확인
+ * - 거부된 토큰은 저장소에서 삭제
+ * - 운영자는 네트워크 오류 시 저장된 세션으로 계속 운영 (오프라인 방명록 입력)
+ * @returns {Promise<Object|null>} 확인된 사용자 { role, username, ... }
+ */
+export async function verifySession() {
+    verifiedUser = null;
+
+    const adminSession = getStoredAdminSession();
+    if (adminSession && adminSession.token) {
+        const { data, error } = await apiRequest('GET', '/api/auth/me', { token: adminSession.token });
+        if (!error && data.role !== 'guest') {
+            verifiedUser = data;
+            return verifiedUser;
+        }
+        if (!error || error.status === 401) {
+            clearAdminSession();
+        }
+    }
+
+    const operatorSession = getOperatorSession();
+    if (operatorSession && operatorSession.sessionToken) {
+        const { data, error } = await apiRequest('GET', '/api/auth/me', { token: operatorSession.sessionToken });
+        if (!error && data.role === 'operator') {
+            verifiedUser = data;
+        } else if (error && error.status === 0) {
+            verifiedUser = {
+                role: 'operator',
+                boothId: operatorSession.boothId,
+                operationId: operatorSession.operationId,
+                operatorName: operatorSession.operatorName,
+                offline: true
+            };
+        } else {
+            clearOperatorSession();
+        }
+    }
+
+    return verifiedUser;
+}
+
+/**
+ * 서버에서 확인된 현재 사용자 (동기, verifySession 이후 사용)
+ */
+export function getVerifiedUser() {
+    return verifiedUser;
+}
+
+/**
+ * 관리자 로그아웃 (서버 세션 폐기 후 모든 탭에서 로그아웃)
+ */
+export async function adminLogout() {
+    const session = getStoredAdminSession();
+    if (session && session.token) {
+        await apiRequest('POST', '/api/auth/logout', { token: session.token });
+    }
+    clearAdminSession();
+    verifiedUser = null;
+}
+
+/**
+ * 관리자 세션 감시
+ * - 사용자 활동을 탭 간 공유하고, 사용 중이면 서버에 활동 알림
+ * - 30분 유휴, 서버의 토큰 거부, 다른 탭의 로그아웃 시 onEnd(사유) 한 번 호출
+ * - 다시 로그인한 뒤 호출하면 새 onEnd로 감시를 이어감
+ * @param {Function} onEnd - (reason: 'idle' | 'expired' | 'logout') => void
+ */
+export function watchAdminSession(onEnd) {
+    endHandler = onEnd;
+    if (watching) return;
+    watching = true;
+
+    let lastWrite = 0;
+    let lastHeartbeat = Date.now();
+
+    const end = (reason) => {
+        if (!endHandler) return;
+        const handler = endHandler;
+        endHandler = null;
+        verifiedUser = null;
+        handler(reason);
+    };
+
+    const markActivity = () => {
+        if (!endHandler) return;
+        const now = Date.now();
+        if (now - lastWrite > ACTIVITY_WRITE_INTERVAL_MS) {
+            lastWrite = now;
+            localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+        }
+        if (now - lastHeartbeat > HEARTBEAT_INTERVAL_MS) {
+            lastHeartbeat = now;
+            const session = getStoredAdminSession();
+            if (session && session.token) {
+                apiRequest('POST', '/api/auth/heartbeat', { token: session.token });
+            }
+        }
+    };
+
+    ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(type => {
+        window.addEventListener(type, markActivity, { passive: true });
+    });
+    markActivity();
+
+    // 유휴 확인 (다른 탭의 활동도 포함)
+    setInterval(async () => {
+        if (!endHandler) return;
+        const lastActivity = Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || 0;
+        if (Date.now() - lastActivity > IDLE_TIMEOUT_MS) {
+            await adminLogout();
+            end('idle');
+        }
+    }, IDLE_CHECK_INTERVAL_MS);
+
+    // 다른 탭에서 로그아웃
+    window.addEventListener('storage', (event) => {
+        if (event.key === ADMIN_SESSION_KEY && !event.newValue) {
+            end('logout');
+        }
+    });
+
+    // 서버가 토큰을 거부 (만료, 강제 종료)
+    window.addEventListener(SESSION_REJECTED_EVENT, (event) => {
+        const session = getStoredAdminSession();
+        if (session && event.detail.token === session.token) {
+            clearAdminSession();
+            end('expired');
+        }
+    });
+}
+
+/**
+ * 로그인 페이지 보호 (공통)
+ * 서버에서 허용된 역할임을 확인하지 못하면 로그인 페이지로 이동하고, 확인되면 세션 감시 시작
+ */
+async function requireSessionRole(roles, message, loginPage) {
+    const user = await verifySession();
+
+    if (!user || !roles.includes(user.role)) {
+        alert(message);
+        window.location.href = loginPage;
+        return null;
+    }
+
+    watchAdminSession((reason) => {
+        alert(END_MESSAGES[reason]);
+        window.location.href = loginPage;
+    });
+    return user;
+}
+
+/**
+ * 관리자 페이지 보호
+ * @param {string} loginPage - 로그인 페이지 경로
+ * @returns {Promise<Object|null>} 확인된 관리자
+ */
+export async function requireAdmin(loginPage = 'admin-login.html') {
+    return requireSessionRole(['admin'], '관리자 로그인이 필요합니다.', loginPage);
+}
+
+/**
+ * 관리 화면 보호 (관리자 또는 행사 담당자)
+ * 행사 담당자는 eventIds(담당 행사)가 포함된 사용자로 확인되며, 화면은 src/shared/rbac.js로 범위를 제한한다
+ * @param {string} loginPage - 로그인 페이지 경로
+ * @returns {Promise<Object|null>} 확인된 관리자/행사 담당자
+ */
+export async function requireManager(loginPage = 'admin-login.html') {
+    return requireSessionRole(['admin', 'event_manager'], '관리자 또는 행사 담당자 로그인이 필요합니다.', loginPage);
+}
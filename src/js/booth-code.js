@@ -3,7 +3,7 @@
  * 6자리 영숫자 코드 생성 및 검증
  */
 
-import { supabase } from './supabase-client.js';
+import { apiGet, apiPost } from './api-client.js';
 
 /**
  * 6자리 랜덤 부스 코드 생성
@@ -33,14 +33,12 @@ export function generateBoothCode() {
  */
 export async function isCodeUnique(code) {
     try {
-        const { data, error } = await supabase
-            .from('booths')
-            .select('id')
-            .eq('booth_code', code)
-            .single();
+        const { data, error } = await apiGet('/api/booth-codes', { code });
+        
+        if (error) throw error;
         
         // 데이터가 없으면 중복이 아님
-        return !data;
+        return data.length === 0;
     } catch (error) {
         // 에러가 발생해도 안전하게 처리
         console.error('코드 중복 확인 실패:', error);
@@ -67,28 +65,20 @@ export async function generateUniqueBoothCode(maxAttempts = 10) {
 
 /**
  * 부스에 코드 할당
+ * - 코드 생성과 중복 확인은 서버에서 처리
  */
 export async function assignCodeToBooth(boothId, expiryDays = 30) {
     try {
-        const code = await generateUniqueBoothCode();
-        const expiresAt = new Date();
-        expiresAt.setDate(expiresAt.getDate() + expiryDays);
-        
-        const { data, error } = await supabase
-            .from('booths')
-            .update({
-                booth_code: code,
-                code_expires_at: expiresAt.toISOString()
-            })
-            .eq('id', boothId)
-            .select();
+        const { data, error } = await apiPost(`/api/booths/${boothId}/code`, {
+            expiry_days: expiryDays
+        });
         
         if (error) throw error;
         
         return {
             success: true,
-            code: code,
-            expiresAt: expiresAt
+            code: data.code,
+            expiresAt: new Date(data.expires_at)
         };
     } catch (error) {
         console.error('부스 코드 할당 실패:', error);
@@ -101,43 +91,25 @@ export async function assignCodeToBooth(boothId, expiryDays = 30) {
 
 /**
  * 부스 코드 검증
+ * - 실패가 반복되면 서버가 입력을 잠시 막음 (retryAfter: 다시 시도할 수 있을 때까지 남은 초)
  */
 export async function validateBoothCode(code) {
     try {
-        const { data, error } = await supabase
-            .from('booths')
-            .select('id, name, code_expires_at, is_active')
-            .eq('booth_code', code)
-            .single();
-        
-        if (error || !data) {
-            return {
-                isValid: false,
-                message: '잘못된 부스 코드입니다.'
-            };
-        }
-        
-        // 만료 확인
-        if (data.code_expires_at && new Date(data.code_expires_at) < new Date()) {
-            return {
-                isValid: false,
-                message: '만료된 부스 코드입니다.'
-            };
-        }
+        const { data, error } = await apiPost('/api/booth-codes/validate', { code });
         
-        // 활성화 확인
-        if (!data.is_active) {
+        if (error) {
             return {
                 isValid: false,
-                message: '비활성화된 부스입니다.'
+                message: error.status === 0 ? '코드 검증 중 오류가 발생했습니다.' : error.message,
+                retryAfter: error.retryAfter
             };
         }
         
         return {
             isValid: true,
-            boothId: data.id,
-            boothName: data.name,
-            message: '유효한 부스 코드입니다.'
+            boothId: data.booth_id,
+            boothName: data.booth_name,
+            message: data.message
         };
     } catch (error) {
         console.error('부스 코드 검증 실패:', error);
@@ -150,73 +122,42 @@ export async function validateBoothCode(code) {
 
 /**
  * 부스 코드 재생성
+ * - 새 코드가 발급되면 기존 코드는 즉시 무효화됨
  */
 export async function regenerateBoothCode(boothId, expiryDays = 30) {
-    try {
-        // 기존 코드 무효화
-        await supabase
-            .from('booths')
-            .update({
-                booth_code: null,
-                code_expires_at: null
-            })
-            .eq('id', boothId);
-        
-        // 새 코드 생성
-        return await assignCodeToBooth(boothId, expiryDays);
-    } catch (error) {
-        console.error('부스 코드 재생성 실패:', error);
-        return {
-            success: false,
-            error: error.message
-        };
-    }
+    return await assignCodeToBooth(boothId, expiryDays);
 }
 
 /**
  * 부스 코드로 운영 시작
+ * - 같은 부스의 기존 활성 운영은 서버에서 종료됨
+ * - 코드 입력 제한 중이면 retryAfter(초)와 함께 실패 반환
  */
 export async function startBoothOperation(boothCode, operatorInfo) {
     try {
-        // 1. 부스 코드 검증
-        const validation = await validateBoothCode(boothCode);
-        if (!validation.isValid) {
+        const { data, error } = await apiPost('/api/operations', {
+            booth_code: boothCode,
+            operator_name: operatorInfo.name,
+            operator_phone: operatorInfo.phone || null,
+            exclusive: true
+        });
+        
+        if (error) {
             return {
                 success: false,
-                message: validation.message
+                message: error.status === 0 ? '운영 시작 중 오류가 발생했습니다.' : error.message,
+                retryAfter: error.retryAfter
             };
         }
         
-        // 2. 기존 활성 운영 종료
-        await supabase
-            .from('booth_operations')
-            .update({
-                is_active: false,
-                ended_at: new Date().toISOString()
-            })
-            .eq('booth_id', validation.boothId)
-            .eq('is_active', true);
-        
-        // 3. 새 운영 시작
-        const { data, error } = await supabase
-            .from('booth_operations')
-            .insert({
-                booth_id: validation.boothId,
-                operator_name: operatorInfo.name,
-                operator_phone: operatorInfo.phone || null,
-                started_at: new Date().toISOString(),
-                is_active: true
-            })
-            .select()
-            .single();
-        
-        if (error) throw error;
-        
         return {
             success: true,
-            operationId: data.id,
-            boothId: validation.boothId,
-            boothName: validation.boothName,
+            operationId: data.operation.id,
+            boothId: data.booth.id,
+            boothName: data.booth.name,
+            sessionToken: data.session_token,
+            operationToken: data.operation_token,
+            expiresAt: data.expires_at,
             message: '부스 운영을 시작했습니다.'
         };
     } catch (error) {
@@ -233,14 +174,7 @@ export async function startBoothOperation(boothCode, operatorInfo) {
  */
 export async function endBoothOperation(operationId) {
     try {
-        const { data, error } = await supabase
-            .from('booth_operations')
-            .update({
-                is_active: false,
-                ended_at: new Date().toISOString()
-            })
-            .eq('id', operationId)
-            .select();
+        const { error } = await apiPost(`/api/operations/${operationId}/end`);
         
         if (error) throw error;
         
@@ -262,14 +196,14 @@ export async function endBoothOperation(operationId) {
  */
 export async function getActiveOperation(boothId) {
     try {
-        const { data, error } = await supabase
-            .from('booth_operations')
-            .select('*')
-            .eq('booth_id', boothId)
-            .eq('is_active', true)
-            .single();
+        const { data, error } = await apiGet('/api/operations', {
+            booth_id: boothId,
+            is_active: true
+        });
         
-        return data;
+        if (error) throw error;
+        
+        return data[0] || null;
     } catch (error) {
         console.error('활성 운영 확인 실패:', error);
         return null;
@@ -278,13 +212,11 @@ export async function getActiveOperation(boothId) {
 
 /**
  * 모든 부스의 코드 목록 조회 (관리자용)
+ * @param {number|string} eventId - 지정하면 해당 행사의 부스만
  */
-export async function getAllBoothCodes() {
+export async function getAllBoothCodes(eventId = null) {
     try {
-        const { data, error } = await supabase
-            .from('booths')
-            .select('id, name, booth_code, code_expires_at, is_active')
-            .order('name');
+        const { data, error } = await apiGet('/api/booth-codes', { event_id: eventId });
         
         if (error) throw error;
         
@@ -293,4 +225,34 @@ export async function getAllBoothCodes() {
         console.error('부스 코드 목록 조회 실패:', error);
         return [];
     }
-}
\ No newline at end of file
+}
+
+// 부스 코드 형식 (영문 3자리 + 숫자 3자리)
+const BOOTH_CODE_PATTERN = /^[A-Z]{3}[0-9]{3}$/;
+
+/**
+ * 부스 코드 형식 확인
+ */
+export function isBoothCodeFormat(code) {
+    return BOOTH_CODE_PATTERN.test(String(code || '').toUpperCase());
+}
+
+/**
+ * 코드가 입력된 운영자 로그인 주소 (QR 코드용)
+ * - 현재 페이지와 같은 위치의 operator-login.html?code=ABC123
+ */
+export function getOperatorLoginUrl(code) {
+    const url = new URL('operator-login.html', window.location.href);
+    url.searchParams.set('code', code);
+    return url.toString();
+}
+
+/**
+ * 부스 방명록 바로가기 주소 (부스 포스터 QR용)
+ * - participant.html?booth=<부스 ID>로 열면 부스 목록 없이 해당 부스 방명록으로 이동
+ */
+export function getParticipantBoothUrl(boothId) {
+    const url = new URL('participant.html', window.location.href);
+    url.searchParams.set('booth', boothId);
+    return url.toString();
+}
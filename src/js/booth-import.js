@@ -0,0 +1,170 @@
+/**
+ * 부스 일괄 등록 모듈 (관리자/행사 담당자)
+ * CSV(엑셀에서 "CSV UTF-8"로 저장) 또는 스프레드시트에서 복사한 표(탭 구분)를 읽어 행사에 부스를 한 번에 등록한다
+ * 행 검증은 서버가 한다: 미리보기(dry_run)로 행별 오류를 확인한 뒤 오류가 없을 때만 등록
+ */
+
+import { apiPost } from './api-client.js';
+
+// 열 이름 → 부스 필드 (한글/영문 머리글 모두 허용)
+const HEADER_ALIASES = {
+    name: ['부스명', '부스 이름', '이름', 'name'],
+    description: ['설명', 'description'],
+    category: ['분류', '카테고리', 'category'],
+    max_operators: ['최대 운영자 수', '최대 운영자', '운영자 수', 'max_operators'],
+    contact_phone: ['운영 담당 연락처', '운영자 연락처', '연락처', 'contact', 'contact_phone']
+};
+
+// 양식 파일 내용 (머리글 + 예시 한 줄)
+export const BOOTH_CSV_TEMPLATE = '\uFEFF부스명,설명,분류,최대 운영자 수,운영 담당 연락처\n'
+    + '진로 상담 부스,진로 고민 1:1 상담,상담,3,010-1234-5678\n';
+
+/**
+ * CSV/TSV 문자열을 행 배열로 (따옴표 안의 구분자, 줄바꿈, "" 처리)
+ * 첫 줄에 탭이 있으면 탭 구분으로 읽는다 (스프레드시트에서 복사해 붙여넣은 표)
+ * @returns {Array<{ line: number, cells: string[] }>} 빈 줄 제외, line은 1부터 시작하는 원본 줄 번호
+ */
+export function parseDelimited(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes('\t') ? '\t' : ',';
+
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.some(value => value.trim() !== '')) rows.push({ line: rowLine, cells });
+        cells = [];
+        cell = '';
+        rowLine = line;
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || cells.length > 0) endRow();
+    return rows;
+}
+
+/**
+ * 부스 CSV 읽기
+ * 첫 줄은 머리글이어야 하고 부스명 열은 필수, 알 수 없는 열은 무시한다
+ * @returns {Object} { success, rows: [{ line, booth }], ignoredHeaders, error }
+ */
+export function parseBoothCsv(text) {
+    const [header, ...dataRows] = parseDelimited(text);
+    if (!header) return { success: false, error: '빈 파일입니다.' };
+
+    const normalize = value => value.trim().toLowerCase();
+    const columns = header.cells.map(title => Object.keys(HEADER_ALIASES)
+        .find(field => HEADER_ALIASES[field].some(alias => normalize(alias) === normalize(title))) || null);
+    if (!columns.includes('name')) {
+        return { success: false, error: `첫 줄에 "부스명" 열이 필요합니다. (사용할 수 있는 열: ${Object.values(HEADER_ALIASES).map(aliases => aliases[0]).join(', ')})` };
+    }
+    if (dataRows.length === 0) return { success: false, error: '등록할 부스가 없습니다.' };
+
+    const rows = dataRows.map(({ line, cells }) => {
+        const booth = {};
+        columns.forEach((field, index) => {
+            const value = (cells[index] ?? '').trim();
+            if (field && value !== '') booth[field] = value;
+        });
+        return { line, booth };
+    });
+
+    return {
+        success: true,
+        rows,
+        ignoredHeaders: header.cells.filter((title, index) => !columns[index] && title.trim() !== '')
+    };
+}
+
+/**
+ * 서버에 보낼 부스 목록
+ */
+function toRequestBooths(rows) {
+    return rows.map(({ booth }) => ({ ...booth }));
+}
+
+/**
+ * 미리보기 (저장하지 않고 행별 검증 결과만 받음)
+ * @param {number} eventId - 등록할 행사
+ * @param {Array} rows - parseBoothCsv()의 rows
+ * @returns {Promise<Object>} { success, rows: [{ line, booth, error }], valid, invalid, error }
+ */
+export async function previewBoothImport(eventId, rows) {
+    const { data, error } = await apiPost('/api/booths/import', {
+        event_id: eventId,
+        booths: toRequestBooths(rows),
+        dry_run: true
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return {
+        success: true,
+        rows: data.rows.map(result => ({
+            line: rows[result.index].line,
+            booth: result.booth || rows[result.index].booth,
+            error: result.error
+        })),
+        valid: data.valid,
+        invalid: data.invalid
+    };
+}
+
+/**
+ * 부스 일괄 등록 (오류가 있는 행이 있으면 아무것도 등록하지 않음)
+ * @param {number} eventId - 등록할 행사
+ * @param {Array} rows - parseBoothCsv()의 rows
+ * @param {Object} options - { issueCodes: 코드도 함께 발급, expiryDays: 코드 유효 기간 }
+ * @returns {Promise<Object>} { success, count, booths, error }
+ */
+export async function importBooths(eventId, rows, { issueCodes = false, expiryDays = 30 } = {}) {
+    const { data, error } = await apiPost('/api/booths/import', {
+        event_id: eventId,
+        booths: toRequestBooths(rows),
+        issue_codes: issueCodes,
+        expiry_days: expiryDays
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, count: data.count, booths: data.booths };
+}
+
+export default {
+    parseDelimited,
+    parseBoothCsv,
+    previewBoothImport,
+    importBooths
+};
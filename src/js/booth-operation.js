@@ -3,20 +3,7 @@
  * 운영자 등록, 운영 시작/종료, 세션 관리
  */
 
-import { getSupabase } from './supabase-client.js';
-
-/**
- * 세션 토큰 생성
- * @returns {string} 64자리 랜덤 토큰
- */
-function generateSessionToken() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    let token = '';
-    for (let i = 0; i < 64; i++) {
-        token += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return token;
-}
+import { apiRequest, apiGet, apiPost } from './api-client.js';
 
 /**
  * 운영자 정보로 부스 운영 시작
@@ -26,8 +13,6 @@ function generateSessionToken() {
  */
 export async function startBoothOperation(boothId, operatorInfo) {
     try {
-        const supabase = getSupabase();
-        
         // 필수 정보 검증
         if (!operatorInfo.name || !operatorInfo.phone) {
             return {
@@ -45,93 +30,27 @@ export async function startBoothOperation(boothId, operatorInfo) {
             };
         }
         
-        if (!supabase) {
-            // 목업 모드
-            const mockOperation = {
-                id: Date.now(),
-                booth_id: boothId,
-                operator_name: operatorInfo.name,
-                operator_phone: phone,
-                operator_email: operatorInfo.email || null,
-                operator_organization: operatorInfo.organization || null,
-                started_at: new Date().toISOString(),
-                is_active: true
-            };
-            
-            // 로컬 스토리지에 저장
-            localStorage.setItem('current_operation', JSON.stringify(mockOperation));
-            localStorage.setItem('session_token', generateSessionToken());
-            
-            return {
-                success: true,
-                operation: mockOperation,
-                session_token: localStorage.getItem('session_token')
-            };
-        }
-        
-        // 기존 활성 운영 확인
-        const { data: activeOperations } = await supabase
-            .from('booth_operations')
-            .select('id')
-            .eq('booth_id', boothId)
-            .eq('is_active', true);
-        
-        // 동시 운영자 수 제한 확인 (필요시)
-        const { data: booth } = await supabase
-            .from('booths')
-            .select('max_operators')
-            .eq('id', boothId)
-            .single();
+        // 운영 기록 및 세션 생성 (동시 운영자 수 제한은 서버에서 확인)
+        const { data, error } = await apiPost('/api/operations', {
+            booth_id: boothId,
+            operator_name: operatorInfo.name,
+            operator_phone: phone,
+            operator_email: operatorInfo.email || null,
+            operator_organization: operatorInfo.organization || null,
+            notes: operatorInfo.notes || null,
+            exclusive: false
+        });
         
-        if (booth && activeOperations && activeOperations.length >= (booth.max_operators || 3)) {
-            return {
-                success: false,
-                error: `이 부스는 최대 ${booth.max_operators || 3}명까지 동시 운영 가능합니다.`
-            };
-        }
-        
-        // 운영 기록 생성
-        const { data: operation, error: operationError } = await supabase
-            .from('booth_operations')
-            .insert({
-                booth_id: boothId,
-                operator_name: operatorInfo.name,
-                operator_phone: phone,
-                operator_email: operatorInfo.email || null,
-                operator_organization: operatorInfo.organization || null,
-                started_at: new Date().toISOString(),
-                is_active: true,
-                notes: operatorInfo.notes || null
-            })
-            .select()
-            .single();
-        
-        if (operationError) throw operationError;
-        
-        // 세션 생성
-        const sessionToken = generateSessionToken();
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 8); // 8시간 유효
-        
-        const { error: sessionError } = await supabase
-            .from('operator_sessions')
-            .insert({
-                session_token: sessionToken,
-                booth_operation_id: operation.id,
-                expires_at: expiresAt.toISOString(),
-                ip_address: operatorInfo.ipAddress || null
-            });
-        
-        if (sessionError) throw sessionError;
+        if (error) throw error;
         
         // 로컬 스토리지에 세션 저장
-        localStorage.setItem('session_token', sessionToken);
-        localStorage.setItem('current_operation', JSON.stringify(operation));
+        localStorage.setItem('session_token', data.session_token);
+        localStorage.setItem('current_operation', JSON.stringify(data.operation));
         
         return {
             success: true,
-            operation: operation,
-            session_token: sessionToken
+            operation: data.operation,
+            session_token: data.session_token
         };
         
     } catch (error) {
@@ -151,64 +70,18 @@ export async function startBoothOperation(boothId, operatorInfo) {
  */
 export async function endBoothOperation(operationId, sessionToken = null) {
     try {
-        const supabase = getSupabase();
+        // 세션 검증 및 참여자 수 계산은 서버에서 처리
+        const { data, error } = await apiRequest('POST', `/api/operations/${operationId}/end`, {
+            token: sessionToken || localStorage.getItem('session_token')
+        });
         
-        if (!supabase) {
-            // 목업 모드
-            localStorage.removeItem('current_operation');
-            localStorage.removeItem('session_token');
+        if (error) {
             return {
-                success: true,
-                message: '운영이 종료되었습니다.'
+                success: false,
+                error: error.status === 403 ? '세션이 유효하지 않습니다.' : error.message
             };
         }
         
-        // 세션 검증 (선택적)
-        if (sessionToken) {
-            const { data: session } = await supabase
-                .from('operator_sessions')
-                .select('booth_operation_id')
-                .eq('session_token', sessionToken)
-                .single();
-            
-            if (!session || session.booth_operation_id !== operationId) {
-                return {
-                    success: false,
-                    error: '세션이 유효하지 않습니다.'
-                };
-            }
-        }
-        
-        // 참여자 수 계산
-        const { data: participants } = await supabase
-            .from('participants')
-            .select('id')
-            .eq('booth_id', operationId);
-        
-        const participantCount = participants ? participants.length : 0;
-        
-        // 운영 종료
-        const { data, error } = await supabase
-            .from('booth_operations')
-            .update({
-                ended_at: new Date().toISOString(),
-                is_active: false,
-                total_participants: participantCount
-            })
-            .eq('id', operationId)
-            .select()
-            .single();
-        
-        if (error) throw error;
-        
-        // 세션 삭제
-        if (sessionToken) {
-            await supabase
-                .from('operator_sessions')
-                .delete()
-                .eq('session_token', sessionToken);
-        }
-        
         // 로컬 스토리지 정리
         localStorage.removeItem('current_operation');
         localStorage.removeItem('session_token');
@@ -219,7 +92,7 @@ export async function endBoothOperation(operationId, sessionToken = null) {
             operation: data,
             stats: {
                 duration: calculateDuration(data.started_at, data.ended_at),
-                participants: participantCount
+                participants: data.total_participants || 0
             }
         };
         
@@ -251,74 +124,26 @@ export async function getCurrentOperation(sessionToken = null) {
             };
         }
         
-        const supabase = getSupabase();
+        // 세션 조회 (만료 확인 및 활동 시간 갱신은 서버에서 처리)
+        const { data: operation, error } = await apiRequest('GET', '/api/operations/current', {
+            token: sessionToken
+        });
         
-        if (!supabase) {
-            // 목업 모드
-            const operation = localStorage.getItem('current_operation');
-            if (operation) {
-                return {
-                    success: true,
-                    operation: JSON.parse(operation)
-                };
+        if (error) {
+            if (error.status === 401) {
+                localStorage.removeItem('session_token');
+                localStorage.removeItem('current_operation');
             }
-            return {
-                success: false,
-                error: '운영 중인 부스가 없습니다.'
-            };
-        }
-        
-        // 세션 조회
-        const { data: session, error: sessionError } = await supabase
-            .from('operator_sessions')
-            .select(`
-                *,
-                booth_operations (
-                    *,
-                    booths (
-                        id,
-                        name,
-                        booth_code
-                    )
-                )
-            `)
-            .eq('session_token', sessionToken)
-            .single();
-        
-        if (sessionError || !session) {
-            return {
-                success: false,
-                error: '유효하지 않은 세션입니다.'
-            };
-        }
-        
-        // 세션 만료 확인
-        if (new Date(session.expires_at) < new Date()) {
-            // 세션 삭제
-            await supabase
-                .from('operator_sessions')
-                .delete()
-                .eq('session_token', sessionToken);
-            
-            localStorage.removeItem('session_token');
-            localStorage.removeItem('current_operation');
             
             return {
                 success: false,
-                error: '세션이 만료되었습니다.'
+                error: error.status === 401 ? '유효하지 않은 세션입니다.' : error.message
             };
         }
         
-        // 활동 시간 업데이트
-        await supabase
-            .from('operator_sessions')
-            .update({ last_activity: new Date().toISOString() })
-            .eq('session_token', sessionToken);
-        
         return {
             success: true,
-            operation: session.booth_operations,
-            session: session
+            operation: operation
         };
         
     } catch (error) {
@@ -337,19 +162,10 @@ export async function getCurrentOperation(sessionToken = null) {
  */
 export async function getActiveOperators(boothId) {
     try {
-        const supabase = getSupabase();
-        
-        if (!supabase) {
-            // 목업 데이터
-            return [];
-        }
-        
-        const { data, error } = await supabase
-            .from('booth_operations')
-            .select('*')
-            .eq('booth_id', boothId)
-            .eq('is_active', true)
-            .order('started_at', { ascending: false });
+        const { data, error } = await apiGet('/api/operations', {
+            booth_id: boothId,
+            is_active: true
+        });
         
         if (error) throw error;
         
@@ -390,47 +206,14 @@ function calculateDuration(startTime, endTime) {
  */
 export async function getOperationHistory(filters = {}) {
     try {
-        const supabase = getSupabase();
-        
-        if (!supabase) {
-            return [];
-        }
-        
-        let query = supabase
-            .from('booth_operations')
-            .select(`
-                *,
-                booths (
-                    id,
-                    name
-                )
-            `);
-        
-        // 필터 적용
-        if (filters.boothId) {
-            query = query.eq('booth_id', filters.boothId);
-        }
-        
-        if (filters.operatorName) {
-            query = query.ilike('operator_name', `%${filters.operatorName}%`);
-        }
-        
-        if (filters.startDate) {
-            query = query.gte('started_at', filters.startDate);
-        }
-        
-        if (filters.endDate) {
-            query = query.lte('started_at', filters.endDate);
-        }
-        
-        if (filters.isActive !== undefined) {
-            query = query.eq('is_active', filters.isActive);
-        }
-        
-        // 정렬
-        query = query.order('started_at', { ascending: false });
-        
-        const { data, error } = await query;
+        // 필터 적용 및 정렬(최신순)은 서버에서 처리
+        const { data, error } = await apiGet('/api/operations', {
+            booth_id: filters.boothId,
+            operator_name: filters.operatorName,
+            start_date: filters.startDate,
+            end_date: filters.endDate,
+            is_active: filters.isActive
+        });
         
         if (error) throw error;
         
@@ -453,25 +236,7 @@ export async function getOperationHistory(filters = {}) {
  */
 export async function getOperationStats(boothId = null) {
     try {
-        const supabase = getSupabase();
-        
-        if (!supabase) {
-            return {
-                totalOperations: 0,
-                activeOperations: 0,
-                totalOperators: 0,
-                averageDuration: 0,
-                totalParticipants: 0
-            };
-        }
-        
-        let query = supabase.from('booth_operations').select('*');
-        
-        if (boothId) {
-            query = query.eq('booth_id', boothId);
-        }
-        
-        const { data, error } = await query;
+        const { data, error } = await apiGet('/api/operations', { booth_id: boothId });
         
         if (error) throw error;
         
@@ -511,11 +276,106 @@ export async function getOperationStats(boothId = null) {
     }
 }
 
+/**
+ * 교대 요청 (나가는 운영자)
+ * 다음 운영자가 같은 부스에 로그인해 인수를 확인하면 현재 운영이 종료된다
+ * @param {Object} handover - { notes: 인수인계 메모, supplyCount: 남은 물품 수량 }
+ * @returns {Promise<Object>} 교대 요청 결과
+ */
+export async function requestHandover({ notes = null, supplyCount = null } = {}) {
+    const { data, error } = await apiPost('/api/handovers', {
+        notes: notes || null,
+        supply_count: supplyCount === '' ? null : supplyCount
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, handover: data };
+}
+
+/**
+ * 교대 기록 조회
+ * 운영자는 자기 부스, 관리자/행사 담당자는 관리 범위의 부스 (생성순)
+ * @param {Object} filters - { boothId, eventId, status }
+ * @returns {Promise<Array>} 교대 기록 목록 (from_operation, to_operation 요약 포함)
+ */
+export async function getHandovers(filters = {}) {
+    const { data, error } = await apiGet('/api/handovers', {
+        booth_id: filters.boothId,
+        event_id: filters.eventId,
+        status: filters.status
+    });
+
+    if (error) {
+        console.error('교대 기록 조회 오류:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * 인수 확인 (들어오는 운영자)
+ * @param {number} handoverId - 교대 ID
+ * @param {string} note - 확인 메모 (물품 수량 차이 등)
+ * @returns {Promise<Object>} 인수 확인 결과
+ */
+export async function acknowledgeHandover(handoverId, note = null) {
+    const { data, error } = await apiPost(`/api/handovers/${handoverId}/acknowledge`, { note: note || null });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, handover: data };
+}
+
+/**
+ * 교대 요청 취소
+ * @param {number} handoverId - 교대 ID
+ * @returns {Promise<Object>} 취소 결과
+ */
+export async function cancelHandover(handoverId) {
+    const { error } = await apiPost(`/api/handovers/${handoverId}/cancel`);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true };
+}
+
+/**
+ * 교대 기록을 부스별 교대 이력으로 묶기 (취소된 요청 제외)
+ * @param {Array} handovers - getHandovers() 결과
+ * @returns {Array} [{ boothId, boothName, handovers: [...] }] (부스명순)
+ */
+export function groupHandoverChains(handovers) {
+    const chains = new Map();
+    handovers
+        .filter(handover => handover.status !== 'cancelled')
+        .forEach(handover => {
+            if (!chains.has(handover.booth_id)) {
+                chains.set(handover.booth_id, {
+                    boothId: handover.booth_id,
+                    boothName: handover.booths?.name || '알 수 없는 부스',
+                    handovers: []
+                });
+            }
+            chains.get(handover.booth_id).handovers.push(handover);
+        });
+
+    return [...chains.values()].sort((a, b) => a.boothName.localeCompare(b.boothName));
+}
+
 export default {
     startBoothOperation,
     endBoothOperation,
     getCurrentOperation,
     getActiveOperators,
     getOperationHistory,
-    getOperationStats
+    getOperationStats,
+    requestHandover,
+    getHandovers,
+    acknowledgeHandover,
+    cancelHandover,
+    groupHandoverChains
 };
\ No newline at end of file
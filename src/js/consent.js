@@ -0,0 +1,100 @@
+/**
+ * 개인정보 수집·이용 동의서 모듈
+ * 방명록 화면(index.html, participant.html, operator-dashboard.html)이 현재 동의서를 보여주고,
+ * 참가자 등록 시 동의한 동의서 ID와 동의 시각을 함께 보내도록 돕는다
+ * 만 14세 미만이거나 나이를 확인할 수 없으면(생년월일 없음, 유아·초등 교급) 법정대리인(보호자) 동의가 추가로 필요하다
+ * (판단 기준은 서버와 함께 쓰는 src/shared/consent.js)
+ */
+
+import { apiGet, apiPost } from './api-client.js';
+import { calculateAge, getGuardianConsentReason, requiresGuardianConsent } from '../shared/consent.js';
+
+export { GUARDIAN_CONSENT_AGE, calculateAge, getGuardianConsentReason, requiresGuardianConsent } from '../shared/consent.js';
+
+// 오프라인에서도 동의서를 보여주기 위한 캐시 키 (부스 ID → 마지막으로 받은 동의서)
+const CONSENT_CACHE_KEY = 'cached_consent_documents';
+
+function readCache() {
+    try {
+        return JSON.parse(localStorage.getItem(CONSENT_CACHE_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * 부스의 현재 동의서
+ * 네트워크 오류이면 이 기기에서 마지막으로 받은 동의서를 사용한다
+ * @param {number} boothId - 부스 ID
+ * @returns {Promise<Object>} { success, document, error }
+ */
+export async function getCurrentConsent(boothId) {
+    const { data, error } = await apiGet('/api/consent-documents/current', { booth_id: boothId });
+
+    if (error) {
+        const cached = error.status === 0 ? readCache()[boothId] : null;
+        if (cached) return { success: true, document: cached, cached: true };
+        return { success: false, error: error.message };
+    }
+
+    const cache = readCache();
+    cache[boothId] = data;
+    localStorage.setItem(CONSENT_CACHE_KEY, JSON.stringify(cache));
+    return { success: true, document: data };
+}
+
+/**
+ * 참가자 등록 본문에 넣을 동의 정보
+ * @param {Object} document - 참가자가 확인한 동의서
+ * @param {Date} consentedAt - 동의 시각 (기본값: 지금)
+ */
+export function buildConsentFields(document, consentedAt = new Date()) {
+    return {
+        consent_document_id: document.id,
+        consented_at: consentedAt.toISOString()
+    };
+}
+
+/**
+ * 동의서 버전 목록 (관리자/행사 담당자)
+ * @param {number} eventId - 행사 ID (없으면 관리 범위 전체)
+ * @returns {Promise<Array>} 최신 버전부터
+ */
+export async function getConsentDocuments(eventId = null) {
+    const { data, error } = await apiGet('/api/consent-documents', { event_id: eventId });
+
+    if (error) {
+        console.error('동의서 목록 조회 오류:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * 새 동의서 버전 게시 (관리자)
+ * 이미 받은 동의 기록은 이전 버전을 계속 가리킨다
+ * @param {Object} document - { eventId, title, body }
+ * @returns {Promise<Object>} 게시 결과
+ */
+export async function publishConsentDocument({ eventId, title, body }) {
+    const { data, error } = await apiPost('/api/consent-documents', {
+        event_id: eventId,
+        title,
+        body
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, document: data };
+}
+
+export default {
+    getCurrentConsent,
+    buildConsentFields,
+    calculateAge,
+    getGuardianConsentReason,
+    requiresGuardianConsent,
+    getConsentDocuments,
+    publishConsentDocument
+};
@@ -1,9 +1,19 @@
 /**
  * 데이터 내보내기 모듈
  * CSV 및 Excel 형식으로 데이터 다운로드
+ * 표 형태의 내보내기는 시트({ name, columns, rows })를 만든 뒤 CSV(sheetToRecords) 또는 .xlsx(createXlsxWorkbook)로 저장한다
  */
 
-import { supabase } from './supabase-client.js';
+import { apiGet, apiPost } from './api-client.js';
+import { withReveal } from './privacy.js';
+import { createXlsxWorkbook } from './xlsx-writer.js';
+import { serializeEventBundle } from './event-bundle.js';
+import {
+    GENDERS, SCHOOL_LEVELS, UNKNOWN_LABEL, countDemographics, getParticipantSchoolLevel, getGenderLabel, getSchoolLevelLabel
+} from './demographics.js';
+import { collectAnswerColumns, getAnswerText, summarizeAnswers } from '../shared/form-fields.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
 
 /**
  * CSV 문자열 생성
@@ -55,12 +65,13 @@ function downloadFile(content, filename, mimeType) {
 }
 
 /**
- * 날짜 포맷팅
+ * 날짜 포맷팅 (.xlsx 날짜 셀과 같이 한국 표준시 기준)
  */
 function formatDate(dateString) {
     if (!dateString) return '';
     const date = new Date(dateString);
     return date.toLocaleString('ko-KR', {
+        timeZone: 'Asia/Seoul',
         year: 'numeric',
         month: '2-digit',
         day: '2-digit',
@@ -69,66 +80,123 @@ function formatDate(dateString) {
     });
 }
 
+/**
+ * 시트 만들기
+ * @param {string} name - 시트 이름
+ * @param {Array} columns - [{ header, type, numberFormat, value(item) }] (type: 'string' | 'number' | 'date')
+ * @param {Array} items - 행마다 하나씩
+ */
+function toSheet(name, columns, items) {
+    return {
+        name,
+        columns,
+        rows: items.map(item => columns.map(column => column.value(item)))
+    };
+}
+
+/**
+ * 시트 → CSV용 행 (열 머리글이 키, 날짜는 formatDate로 표시)
+ */
+function sheetToRecords(sheet) {
+    return sheet.rows.map(row => Object.fromEntries(sheet.columns.map((column, index) => {
+        const value = row[index];
+        const isDate = column.type === 'date' && value && !Number.isNaN(Date.parse(value));
+        return [column.header, isDate ? formatDate(value) : value];
+    })));
+}
+
+/**
+ * 참가자 조회 조건 (GET /api/participants, GET /api/data-subjects 공통)
+ * @param {Object} options - { boothId, startDate, endDate, name, birthDate, phone }
+ */
+export function buildParticipantQuery(options = {}) {
+    const {
+        boothId = null,
+        startDate = null,
+        endDate = null,
+        name = null,
+        birthDate = null,
+        phone = null
+    } = options;
+
+    return {
+        booth_id: boothId,
+        start_date: startDate,
+        end_date: endDate,
+        name,
+        birth_date: birthDate,
+        phone
+    };
+}
+
+/**
+ * 방명록 양식 추가 질문 열 (기록에 답이 있는 질문마다 한 열, 머리글이 겹치면 키를 붙인다)
+ * @param {Array} participants - 참가자 기록
+ * @param {Array} headers - 이미 쓰는 머리글
+ */
+function answerColumns(participants, headers) {
+    const used = new Set(headers);
+    return collectAnswerColumns(participants).map(({ key, label }) => {
+        const header = used.has(label) ? `${label} (${key})` : label;
+        used.add(header);
+        return { header, value: item => getAnswerText(item, key) };
+    });
+}
+
+/**
+ * 참가자 명단 시트
+ * 이름과 연락처는 가린 값 (reveal: { reason }이면 원본)
+ * 방명록 양식의 추가 질문은 뒤쪽 열에 붙는다 (연락처, 날짜 답도 가린 값)
+ */
+async function buildParticipantSheet(options = {}) {
+    const { reveal = null } = options;
+
+    // 필터 적용 (부스명 포함, 최신순)
+    const { data, error } = await apiGet('/api/participants', withReveal(buildParticipantQuery(options), reveal));
+
+    if (error) throw error;
+
+    const columns = [
+        { header: '등록일시(KST)', type: 'date', value: item => item.created_at },
+        { header: '부스명', value: item => item.booths?.name || '' },
+        { header: '이름', value: item => item.name },
+        { header: '성별', value: item => (item.gender ? getGenderLabel(item.gender) : '') },
+        { header: '교급', value: item => {
+            const level = getParticipantSchoolLevel(item) || item.school_level;
+            return level ? getSchoolLevelLabel(level) : '';
+        } },
+        { header: '연락처', value: item => item.phone || '' },
+        { header: '메시지', value: item => item.message || '' }
+    ];
+    return toSheet('참가자', [...columns, ...answerColumns(data, columns.map(column => column.header))], data);
+}
+
 /**
  * 참가자 데이터 내보내기
+ * 이름과 연락처는 가린 값으로 내보낸다 (협력 기관 제출용)
+ * 관리자가 reveal: { reason }을 넘기면 원본으로 내보내고 서버가 열람 기록을 남긴다
+ * @param {Object} options - buildParticipantQuery 조건과 { format: 'csv' | 'xlsx', reveal }
  */
 export async function exportParticipants(options = {}) {
     try {
-        const {
-            boothId = null,
-            startDate = null,
-            endDate = null,
-            format = 'csv'
-        } = options;
-        
-        // 쿼리 생성
-        let query = supabase
-            .from('participants')
-            .select(`
-                *,
-                booths (name)
-            `)
-            .order('created_at', { ascending: false });
-        
-        // 필터 적용
-        if (boothId) {
-            query = query.eq('booth_id', boothId);
-        }
-        if (startDate) {
-            query = query.gte('created_at', startDate);
-        }
-        if (endDate) {
-            query = query.lte('created_at', endDate);
-        }
-        
-        const { data, error } = await query;
-        
-        if (error) throw error;
-        
-        // 데이터 가공
-        const exportData = data.map(item => ({
-            '등록일시': formatDate(item.created_at),
-            '부스명': item.booths?.name || '',
-            '이름': item.name,
-            '성별': item.gender,
-            '학년': item.grade,
-            '연락처': item.phone || '',
-            '메시지': item.message || ''
-        }));
+        const { format = 'csv' } = options;
+        const sheet = await buildParticipantSheet(options);
         
         // 파일명 생성
         const dateStr = new Date().toISOString().split('T')[0];
         const filename = `participants_${dateStr}.${format}`;
         
-        if (format === 'csv') {
-            const csv = arrayToCSV(exportData);
+        if (format === 'xlsx') {
+            downloadFile(createXlsxWorkbook([sheet]), filename, XLSX_MIME_TYPE);
+        } else {
+            const csv = arrayToCSV(sheetToRecords(sheet));
             downloadFile(csv, filename, 'text/csv;charset=utf-8');
         }
         
         return {
             success: true,
-            count: exportData.length,
-            message: `${exportData.length}건의 데이터를 내보냈습니다.`
+            count: sheet.rows.length,
+            message: `${sheet.rows.length}건의 데이터를 내보냈습니다.`
         };
     } catch (error) {
         console.error('참가자 데이터 내보내기 실패:', error);
@@ -140,66 +208,280 @@ export async function exportParticipants(options = {}) {
 }
 
 /**
- * 부스별 통계 내보내기
+ * 동의 증빙 내보내기
+ * 참가자마다 동의한 동의서 버전, 동의 시각, 그 버전의 동의서 전문을 한 행에 담는다
+ * @param {Object} options - { startDate, endDate, reveal }
  */
-export async function exportBoothStatistics(options = {}) {
+export async function exportConsentEvidence(options = {}) {
     try {
-        const { startDate = null, endDate = null } = options;
-        
-        // 부스 목록 가져오기
-        const { data: booths } = await supabase
-            .from('booths')
-            .select('*')
-            .order('name');
-        
-        if (!booths) throw new Error('부스 데이터를 가져올 수 없습니다.');
-        
-        // 각 부스별 통계 계산
-        const statistics = await Promise.all(booths.map(async (booth) => {
-            let query = supabase
-                .from('participants')
-                .select('*', { count: 'exact' })
-                .eq('booth_id', booth.id);
-            
-            if (startDate) query = query.gte('created_at', startDate);
-            if (endDate) query = query.lte('created_at', endDate);
-            
-            const { data: participants } = await query;
-            
-            // 성별 통계
-            const maleCount = participants?.filter(p => p.gender === '남').length || 0;
-            const femaleCount = participants?.filter(p => p.gender === '여').length || 0;
-            
-            // 학년별 통계
-            const elementary = participants?.filter(p => p.grade === '초등학생').length || 0;
-            const middle = participants?.filter(p => p.grade === '중학생').length || 0;
-            const high = participants?.filter(p => p.grade === '고등학생').length || 0;
-            
+        const { startDate = null, endDate = null, reveal = null } = options;
+
+        const [participantsResult, documentsResult] = await Promise.all([
+            apiGet('/api/participants', withReveal({ start_date: startDate, end_date: endDate }, reveal)),
+            apiGet('/api/consent-documents')
+        ]);
+        if (participantsResult.error) throw participantsResult.error;
+        if (documentsResult.error) throw documentsResult.error;
+
+        const documents = new Map(documentsResult.data.map(doc => [doc.id, doc]));
+
+        const exportData = participantsResult.data.map(item => {
+            const document = documents.get(item.consent_document_id);
             return {
-                '부스명': booth.name,
-                '부스코드': booth.booth_code || '',
-                '총 참가자': participants?.length || 0,
-                '남성': maleCount,
-                '여성': femaleCount,
-                '초등학생': elementary,
-                '중학생': middle,
-                '고등학생': high,
-                '상태': booth.is_active ? '활성' : '비활성'
+                '참가자 ID': item.id,
+                '등록일시(KST)': formatDate(item.created_at),
+                '부스명': item.booths?.name || '',
+                '이름': item.name,
+                '동의서 제목': document?.title || '',
+                '동의서 버전': item.consent_version ?? '',
+                '동의 일시(KST)': formatDate(item.consented_at),
+                '동의 내용': document?.body || (item.consent_document_id ? '' : '동의 기록 없음')
             };
+        });
+
+        const dateStr = new Date().toISOString().split('T')[0];
+        const csv = arrayToCSV(exportData);
+        downloadFile(csv, `consent_evidence_${dateStr}.csv`, 'text/csv;charset=utf-8');
+
+        return {
+            success: true,
+            count: exportData.length,
+            message: `${exportData.length}건의 동의 기록을 내보냈습니다.`
+        };
+    } catch (error) {
+        console.error('동의 증빙 내보내기 실패:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * HTML 특수문자 이스케이프 (보호자 동의 증빙 문서용)
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+/**
+ * 법정대리인 동의 내보내기 (보호자 동의를 받은 참가자)
+ * - CSV: 참가자와 보호자 정보, 서명 일시 (서명 이미지는 셀에 넣기에 커서 제외)
+ * - HTML: 같은 내용에 서명 이미지를 붙인 증빙 문서 (브라우저에서 인쇄하거나 PDF로 저장)
+ * 서명 이미지는 원본으로 내보낼 때(reveal)만 포함된다
+ * @param {Object} options - { startDate, endDate, reveal }
+ */
+export async function exportGuardianConsents(options = {}) {
+    try {
+        const { startDate = null, endDate = null, reveal = null } = options;
+
+        const { data, error } = await apiGet('/api/guardian-consents', withReveal({
+            start_date: startDate,
+            end_date: endDate
+        }, reveal));
+        if (error) throw error;
+
+        const rows = data.map(item => ({
+            '참가자 ID': item.participant_id,
+            '등록일시(KST)': formatDate(item.participant?.created_at),
+            '부스명': item.participant?.booth_name || '',
+            '참가자 이름': item.participant?.name || '',
+            '생년월일': item.participant?.birth_date || '',
+            '보호자 이름': item.guardian_name,
+            '관계': item.relationship,
+            '보호자 연락처': item.guardian_phone || '',
+            '서명 일시(KST)': formatDate(item.signed_at),
+            '서명': item.anonymized_at
+                ? `파기됨 (${formatDate(item.anonymized_at)})`
+                : (item.signature_image ? '있음' : (reveal ? '없음' : '원본 내보내기에서 확인'))
         }));
+
+        const dateStr = new Date().toISOString().split('T')[0];
+        downloadFile(arrayToCSV(rows), `guardian_consents_${dateStr}.csv`, 'text/csv;charset=utf-8');
+
+        const headers = Object.keys(rows[0] || { '참가자 ID': '' });
+        const tableRows = data.map((item, index) => `<tr>${headers.slice(0, -1).map(header => `<td>${escapeHtml(rows[index][header])}</td>`).join('')}<td>${item.signature_image ? `<img src="${escapeHtml(item.signature_image)}" alt="서명">` : escapeHtml(rows[index]['서명'])}</td></tr>`).join('');
+        const html = `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<title>법정대리인 동의 증빙 (${dateStr})</title>
+<style>
+body { font-family: sans-serif; font-size: 12px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+img { height: 60px; }
+</style>
+</head>
+<body>
+<h1>법정대리인 동의 증빙</h1>
+<p>보호자 동의 참가자 ${rows.length}명 · ${new Date().toLocaleString('ko-KR')} 출력</p>
+<table>
+<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>${tableRows}</tbody>
+</table>
+</body>
+</html>`;
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+        downloadFile(html, `guardian_consents_${dateStr}.html`, 'text/html;charset=utf-8');
+
+        return {
+            success: true,
+            count: rows.length,
+            message: `${rows.length}건의 법정대리인 동의를 내보냈습니다. (CSV와 서명 포함 HTML)`
+        };
+    } catch (error) {
+        console.error('법정대리인 동의 내보내기 실패:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * 한 사람의 기록 내보내기 (정보주체 열람 요청)
+ * 서버가 처리 기록을 남긴 뒤 돌려준 기록(동의서 전문, 보호자 서명 포함)을 JSON 파일로 저장한다
+ * @param {Object} options - { participantIds, reason }
+ */
+export async function exportDataSubjectRecords({ participantIds, reason = null }) {
+    try {
+        const { data, error } = await apiPost('/api/data-subjects/export', {
+            participant_ids: participantIds,
+            reason
+        });
+        if (error) throw error;
+
+        const dateStr = new Date().toISOString().split('T')[0];
+        const content = JSON.stringify({
+            exported_at: data.exported_at,
+            request_id: data.request.id,
+            records: data.records
+        }, null, 2);
+        downloadFile(content, `data_subject_${data.request.id}_${dateStr}.json`, 'application/json;charset=utf-8');
+
+        return {
+            success: true,
+            count: data.records.length,
+            message: `${data.records.length}건의 기록을 내보냈습니다.`
+        };
+    } catch (error) {
+        console.error('정보주체 기록 내보내기 실패:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * 행사 백업 내보내기 (관리자)
+ * 행사와 딸린 기록 전체(개인정보 원본과 보호자 서명 포함)를 묶음 파일로 저장한다
+ * 가져오기는 event-bundle.js의 importEventBundle()
+ * @param {Object} options - { eventId, format: 'json' | 'ndjson' }
+ */
+export async function exportEventBundle({ eventId, format = 'json' }) {
+    try {
+        const { data, error } = await apiGet(`/api/events/${eventId}/bundle`);
+        if (error) throw error;
+
+        const dateStr = new Date().toISOString().split('T')[0];
+        const extension = format === 'ndjson' ? 'ndjson' : 'json';
+        const mimeType = format === 'ndjson' ? 'application/x-ndjson;charset=utf-8' : 'application/json;charset=utf-8';
+        downloadFile(serializeEventBundle(data, format), `event_${eventId}_backup_${dateStr}.${extension}`, mimeType);
+
+        return {
+            success: true,
+            message: `${data.event.name} 행사를 백업했습니다. (참가자 ${data.counts.participants}건)`
+        };
+    } catch (error) {
+        console.error('행사 백업 실패:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * 성별/교급별 인원 열 (demographics.js 분류 순서, 값이 없는 기록은 미입력)
+ * @param {Function} getCounts - 행에서 countDemographics() 결과를 꺼내는 함수
+ */
+function demographicColumns(getCounts) {
+    const column = (header, group, key) => ({
+        header,
+        type: 'number',
+        value: item => getCounts(item)[group][key] || 0
+    });
+
+    return [
+        ...GENDERS.map(gender => column(gender.label, 'gender', gender.value)),
+        column(`성별 ${UNKNOWN_LABEL}`, 'gender', UNKNOWN_LABEL),
+        ...SCHOOL_LEVELS.map(level => column(level.label, 'school_level', level.value)),
+        column(`교급 ${UNKNOWN_LABEL}`, 'school_level', UNKNOWN_LABEL)
+    ];
+}
+
+/**
+ * 부스별 통계 시트
+ * 행사 담당자는 서버가 담당 행사의 부스와 참가자만 돌려준다
+ * @param {Object} options - { startDate, endDate }
+ */
+async function buildBoothStatisticsSheet(options = {}) {
+    const { startDate = null, endDate = null } = options;
+
+    // 부스 목록 가져오기
+    const { data: booths } = await apiGet('/api/booths');
+
+    if (!booths) throw new Error('부스 데이터를 가져올 수 없습니다.');
+
+    // 기간 내 참가자 한 번에 조회
+    const { data: allParticipants, error } = await apiGet('/api/participants', {
+        start_date: startDate,
+        end_date: endDate
+    });
+
+    if (error) throw error;
+
+    // 각 부스별 통계 계산 (성별/교급별 인원)
+    const statistics = booths.map((booth) => ({
+        booth,
+        ...countDemographics(allParticipants.filter(p => p.booth_id === booth.id))
+    }));
+
+    return toSheet('부스별 통계', [
+        { header: '부스명', value: s => s.booth.name },
+        { header: '부스코드', value: s => s.booth.booth_code || '' },
+        { header: '총 참가자', type: 'number', value: s => s.total },
+        ...demographicColumns(s => s),
+        { header: '상태', value: s => (s.booth.is_active ? '활성' : '비활성') }
+    ], statistics);
+}
+
+/**
+ * 부스별 통계 내보내기
+ * 행사 담당자는 서버가 담당 행사의 부스와 참가자만 돌려준다
+ * @param {Object} options - { startDate, endDate }
+ */
+export async function exportBoothStatistics(options = {}) {
+    try {
+        const sheet = await buildBoothStatisticsSheet(options);
         
         // 파일명 생성
         const dateStr = new Date().toISOString().split('T')[0];
         const filename = `booth_statistics_${dateStr}.csv`;
         
         // CSV 생성 및 다운로드
-        const csv = arrayToCSV(statistics);
+        const csv = arrayToCSV(sheetToRecords(sheet));
         downloadFile(csv, filename, 'text/csv;charset=utf-8');
         
         return {
             success: true,
-            count: statistics.length,
-            message: `${statistics.length}개 부스의 통계를 내보냈습니다.`
+            count: sheet.rows.length,
+            message: `${sheet.rows.length}개 부스의 통계를 내보냈습니다.`
         };
     } catch (error) {
         console.error('부스 통계 내보내기 실패:', error);
@@ -210,74 +492,83 @@ export async function exportBoothStatistics(options = {}) {
     }
 }
 
+/**
+ * 운영자별 실적 시트
+ * 운영자 연락처는 가린 값 (reveal: { reason }이면 원본)
+ * @param {Object} options - { startDate, endDate, reveal }
+ */
+async function buildOperatorPerformanceSheet(options = {}) {
+    const { startDate = null, endDate = null, reveal = null } = options;
+
+    // 운영 기록 가져오기 (부스명 포함, 최신순)
+    const { data: allOperations } = await apiGet('/api/operations', withReveal({ start_date: startDate }, reveal));
+
+    if (!allOperations) throw new Error('운영 데이터를 가져올 수 없습니다.');
+
+    const operations = endDate
+        ? allOperations.filter(op => op.ended_at && op.ended_at <= endDate)
+        : allOperations;
+
+    // 참가자 목록 (운영별 집계용)
+    const { data: allParticipants, error } = await apiGet('/api/participants', { start_date: startDate });
+
+    if (error) throw error;
+
+    // 참가자를 등록한 운영별로 묶기 (방문자가 직접 작성한 기록은 운영 실적에서 제외)
+    const countByOperation = allParticipants.reduce((acc, p) => {
+        if (p.booth_operation_id) acc[p.booth_operation_id] = (acc[p.booth_operation_id] || 0) + 1;
+        return acc;
+    }, {});
+
+    // 각 운영별 실적 계산
+    const performance = operations.map((op) => {
+        const participantCount = countByOperation[op.id] || 0;
+
+        // 운영 시간 계산 (분)
+        const startTime = new Date(op.started_at);
+        const endTime = op.ended_at ? new Date(op.ended_at) : new Date();
+        const operationMinutes = Math.floor((endTime - startTime) / 1000 / 60);
+
+        return {
+            op,
+            participantCount,
+            operationMinutes,
+            perHour: operationMinutes > 0 ? Number((participantCount / operationMinutes * 60).toFixed(1)) : 0
+        };
+    });
+
+    return toSheet('운영자 실적', [
+        { header: '부스명', value: p => p.op.booths?.name || '' },
+        { header: '운영자명', value: p => p.op.operator_name },
+        { header: '연락처', value: p => p.op.operator_phone || '' },
+        { header: '시작시간(KST)', type: 'date', value: p => p.op.started_at },
+        { header: '종료시간(KST)', type: 'date', value: p => p.op.ended_at || '운영중' },
+        { header: '운영시간(분)', type: 'number', value: p => p.operationMinutes },
+        { header: '참가자수', type: 'number', value: p => p.participantCount },
+        { header: '시간당참가자', type: 'number', numberFormat: '0.0', value: p => p.perHour }
+    ], performance);
+}
+
 /**
  * 운영자별 실적 내보내기
+ * 운영자 연락처는 가린 값으로 내보낸다 (reveal: { reason }이면 원본)
  */
 export async function exportOperatorPerformance(options = {}) {
     try {
-        const { startDate = null, endDate = null } = options;
-        
-        // 운영 기록 가져오기
-        let query = supabase
-            .from('booth_operations')
-            .select(`
-                *,
-                booths (name)
-            `)
-            .order('started_at', { ascending: false });
-        
-        if (startDate) query = query.gte('started_at', startDate);
-        if (endDate) query = query.lte('ended_at', endDate);
-        
-        const { data: operations } = await query;
-        
-        if (!operations) throw new Error('운영 데이터를 가져올 수 없습니다.');
-        
-        // 각 운영별 실적 계산
-        const performance = await Promise.all(operations.map(async (op) => {
-            // 해당 운영 시간 동안의 참가자 수 계산
-            let participantQuery = supabase
-                .from('participants')
-                .select('*', { count: 'exact' })
-                .eq('booth_id', op.booth_id)
-                .gte('created_at', op.started_at);
-            
-            if (op.ended_at) {
-                participantQuery = participantQuery.lte('created_at', op.ended_at);
-            }
-            
-            const { data: participants } = await participantQuery;
-            
-            // 운영 시간 계산 (분)
-            const startTime = new Date(op.started_at);
-            const endTime = op.ended_at ? new Date(op.ended_at) : new Date();
-            const operationMinutes = Math.floor((endTime - startTime) / 1000 / 60);
-            
-            return {
-                '부스명': op.booths?.name || '',
-                '운영자명': op.operator_name,
-                '연락처': op.operator_phone || '',
-                '시작시간': formatDate(op.started_at),
-                '종료시간': op.ended_at ? formatDate(op.ended_at) : '운영중',
-                '운영시간(분)': operationMinutes,
-                '참가자수': participants?.length || 0,
-                '시간당참가자': operationMinutes > 0 ? 
-                    ((participants?.length || 0) / operationMinutes * 60).toFixed(1) : '0'
-            };
-        }));
+        const sheet = await buildOperatorPerformanceSheet(options);
         
         // 파일명 생성
         const dateStr = new Date().toISOString().split('T')[0];
         const filename = `operator_performance_${dateStr}.csv`;
         
         // CSV 생성 및 다운로드
-        const csv = arrayToCSV(performance);
+        const csv = arrayToCSV(sheetToRecords(sheet));
         downloadFile(csv, filename, 'text/csv;charset=utf-8');
         
         return {
             success: true,
-            count: performance.length,
-            message: `${performance.length}건의 운영 실적을 내보냈습니다.`
+            count: sheet.rows.length,
+            message: `${sheet.rows.length}건의 운영 실적을 내보냈습니다.`
         };
     } catch (error) {
         console.error('운영 실적 내보내기 실패:', error);
@@ -289,30 +580,66 @@ export async function exportOperatorPerformance(options = {}) {
 }
 
 /**
- * 종합 보고서 내보내기 (여러 시트를 하나의 파일로)
+ * 요약 통계 시트
+ * @param {Object} options - { startDate, endDate } (없으면 전체)
+ */
+async function buildSummarySheet(options = {}) {
+    const { startDate = null, endDate = null } = options;
+    const period = { start_date: startDate, end_date: endDate };
+
+    const { data: participants } = await apiGet('/api/participants', period);
+    
+    const { data: booths } = await apiGet('/api/booths');
+    
+    const { data: operations } = await apiGet('/api/operations', period);
+    
+    const today = new Date().toISOString().split('T')[0];
+    const todayParticipants = participants?.filter(p => 
+        p.created_at.startsWith(today)
+    ).length || 0;
+    
+    const counts = countDemographics(participants || []);
+    const summary = [
+        { '항목': '전체 부스 수', '값': booths?.length || 0 },
+        { '항목': '활성 부스 수', '값': booths?.filter(b => b.is_active).length || 0 },
+        { '항목': '전체 참가자 수', '값': participants?.length || 0 },
+        { '항목': '오늘 참가자 수', '값': todayParticipants },
+        ...demographicColumns(c => c).map(column => ({ '항목': column.header, '값': column.value(counts) })),
+        { '항목': '총 운영 횟수', '값': operations?.length || 0 },
+        { '항목': '현재 운영 중', '값': operations?.filter(o => o.is_active).length || 0 },
+        // 방명록 양식 추가 질문 (선택형, 체크박스, 점수)
+        ...summarizeAnswers(participants || []).flatMap(answer => [
+            ...Object.entries(answer.counts).map(([value, count]) => ({ '항목': `${answer.label}: ${value}`, '값': count })),
+            ...(answer.average !== null ? [{ '항목': `${answer.label}: 평균 점수`, '값': answer.average }] : [])
+        ])
+    ];
+
+    return toSheet('요약', [
+        { header: '항목', value: item => item['항목'] },
+        { header: '값', type: 'number', value: item => item['값'] }
+    ], summary);
+}
+
+/**
+ * 종합 보고서 내보내기 (참가자, 부스별 통계, 운영자 실적, 요약 시트를 하나의 .xlsx 파일로)
+ * options.reveal은 참가자 명단과 운영자 실적에 그대로 적용된다
+ * @param {Object} options - { startDate, endDate, reveal }
  */
 export async function exportComprehensiveReport(options = {}) {
     try {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        
-        // 1. 참가자 데이터 내보내기
-        await exportParticipants({ ...options, format: 'csv' });
-        
-        // 잠시 대기
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // 2. 부스 통계 내보내기
-        await exportBoothStatistics(options);
-        
-        // 잠시 대기
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // 3. 운영자 실적 내보내기
-        await exportOperatorPerformance(options);
+        const sheets = [
+            await buildParticipantSheet(options),
+            await buildBoothStatisticsSheet(options),
+            await buildOperatorPerformanceSheet(options),
+            await buildSummarySheet(options)
+        ];
+
+        const dateStr = new Date().toISOString().split('T')[0];
+        downloadFile(createXlsxWorkbook(sheets), `comprehensive_report_${dateStr}.xlsx`, XLSX_MIME_TYPE);
         
         return {
             success: true,
-            message: '종합 보고서 3개 파일이 다운로드되었습니다.'
+            message: `종합 보고서(${sheets.map(sheet => sheet.name).join(', ')} 시트)를 Excel 파일로 내보냈습니다.`
         };
     } catch (error) {
         console.error('종합 보고서 내보내기 실패:', error);
@@ -328,41 +655,12 @@ export async function exportComprehensiveReport(options = {}) {
  */
 export async function exportSummary() {
     try {
-        const { data: participants } = await supabase
-            .from('participants')
-            .select('*');
-        
-        const { data: booths } = await supabase
-            .from('booths')
-            .select('*');
-        
-        const { data: operations } = await supabase
-            .from('booth_operations')
-            .select('*');
-        
-        const today = new Date().toISOString().split('T')[0];
-        const todayParticipants = participants?.filter(p => 
-            p.created_at.startsWith(today)
-        ).length || 0;
-        
-        const summary = [
-            { '항목': '전체 부스 수', '값': booths?.length || 0 },
-            { '항목': '활성 부스 수', '값': booths?.filter(b => b.is_active).length || 0 },
-            { '항목': '전체 참가자 수', '값': participants?.length || 0 },
-            { '항목': '오늘 참가자 수', '값': todayParticipants },
-            { '항목': '남성 참가자', '값': participants?.filter(p => p.gender === '남').length || 0 },
-            { '항목': '여성 참가자', '값': participants?.filter(p => p.gender === '여').length || 0 },
-            { '항목': '초등학생', '값': participants?.filter(p => p.grade === '초등학생').length || 0 },
-            { '항목': '중학생', '값': participants?.filter(p => p.grade === '중학생').length || 0 },
-            { '항목': '고등학생', '값': participants?.filter(p => p.grade === '고등학생').length || 0 },
-            { '항목': '총 운영 횟수', '값': operations?.length || 0 },
-            { '항목': '현재 운영 중', '값': operations?.filter(o => o.is_active).length || 0 }
-        ];
+        const sheet = await buildSummarySheet();
         
         const dateStr = new Date().toISOString().split('T')[0];
         const filename = `summary_${dateStr}.csv`;
         
-        const csv = arrayToCSV(summary);
+        const csv = arrayToCSV(sheetToRecords(sheet));
         downloadFile(csv, filename, 'text/csv;charset=utf-8');
         
         return {
@@ -376,4 +674,4 @@ export async function exportSummary() {
             error: error.message
         };
     }
-}
\ No newline at end of file
+}
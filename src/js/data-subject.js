@@ -0,0 +1,96 @@
+/**
+ * 정보주체 요청 모듈 (관리자)
+ * 한 사람의 방명록 기록을 모든 행사에서 찾아 파기/삭제하고 처리 기록을 조회한다
+ * 개인정보 원본 열람 기록(검색, 원본 보기, 원본 내보내기)도 여기서 조회한다
+ * 내보내기는 data-export.js의 exportDataSubjectRecords()
+ */
+
+import { apiGet, apiPost } from './api-client.js';
+import { buildParticipantQuery } from './data-export.js';
+
+// 처리 방식 (서버 DATA_SUBJECT_ACTIONS와 동일)
+export const DATA_SUBJECT_ACTIONS = {
+    EXPORT: 'export',
+    ANONYMIZE: 'anonymize',
+    DELETE: 'delete'
+};
+
+const ACTION_LABELS = {
+    [DATA_SUBJECT_ACTIONS.EXPORT]: '내보내기',
+    [DATA_SUBJECT_ACTIONS.ANONYMIZE]: '개인정보 파기',
+    [DATA_SUBJECT_ACTIONS.DELETE]: '기록 삭제'
+};
+
+/**
+ * 처리 방식 표시 이름
+ */
+export function getActionLabel(action) {
+    return ACTION_LABELS[action] || action;
+}
+
+/**
+ * 한 사람의 기록 찾기 (참가자 내보내기와 같은 조회 조건)
+ * @param {Object} criteria - { name, birthDate, phone } 이름과 생년월일 또는 연락처 필수
+ * @returns {Promise<Object>} { success, records, error }
+ */
+export async function searchDataSubject(criteria) {
+    const { data, error } = await apiGet('/api/data-subjects', buildParticipantQuery(criteria));
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, records: data || [] };
+}
+
+/**
+ * 선택한 기록 파기 또는 삭제
+ * @param {Object} request - { participantIds, mode: 'anonymize' | 'delete', reason }
+ * @returns {Promise<Object>} { success, count, error }
+ */
+export async function eraseDataSubject({ participantIds, mode, reason }) {
+    const { data, error } = await apiPost('/api/data-subjects/erase', {
+        participant_ids: participantIds,
+        mode,
+        reason
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, count: data.count, request: data.request };
+}
+
+/**
+ * 처리 기록 (최신순)
+ */
+export async function getDataSubjectRequests(limit = 50) {
+    const { data, error } = await apiGet('/api/data-subjects/requests', { limit });
+
+    if (error) {
+        console.error('정보주체 요청 처리 기록 조회 오류:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * 개인정보 원본 열람 기록 (최근 기록부터)
+ * @param {number} limit - 최대 건수
+ */
+export async function getPrivacyAccessLogs(limit = 50) {
+    const { data, error } = await apiGet('/api/privacy/access-logs', { limit });
+
+    if (error) {
+        console.error('개인정보 열람 기록 조회 오류:', error);
+        return [];
+    }
+    return data || [];
+}
+
+export default {
+    searchDataSubject,
+    eraseDataSubject,
+    getDataSubjectRequests,
+    getPrivacyAccessLogs,
+    getActionLabel
+};
@@ -0,0 +1,43 @@
+/**
+ * 데모 서버 안내 배너
+ * DEMO_MODE=1로 실행한 서버(데모 데이터)에 연결된 화면이면 아래에 배너를 띄운다
+ * 데모 여부는 서버가 정하므로 화면에서 켜거나 끌 수 없다
+ */
+
+/**
+ * 데모 서버인지 확인 (서버에 연결할 수 없으면 false)
+ */
+async function isDemoServer() {
+    try {
+        const response = await fetch('/api/demo');
+        if (!response.ok) return false;
+        const payload = await response.json();
+        return payload.demo === true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 데모 안내 배너 표시 (실제 데이터가 아님을 알림)
+ */
+async function showDemoBanner() {
+    if (!(await isDemoServer()) || document.getElementById('demo-banner')) return;
+
+    const banner = document.createElement('div');
+    banner.id = 'demo-banner';
+    banner.className = 'fixed bottom-0 inset-x-0 z-50 bg-yellow-400 text-yellow-900 text-sm px-4 py-2 flex items-center justify-center gap-3 shadow';
+    banner.innerHTML = `
+        <span class="font-semibold">데모 서버</span>
+        <span>실제 행사 데이터가 아닌 데모 데이터로 동작 중입니다.</span>
+    `;
+    document.body.appendChild(banner);
+}
+
+if (typeof window !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', showDemoBanner);
+    } else {
+        showDemoBanner();
+    }
+}
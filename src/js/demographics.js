@@ -0,0 +1,38 @@
+/**
+ * 참가자 성별/교급 분류 (화면)
+ * 목록과 정규화, 집계는 화면과 서버가 함께 쓰는 src/shared/demographics.js에 있고, 여기서는 다시 내보내며 <select> 채우기만 더한다
+ * 방명록 화면(index.html, participant.html, main.html, app.html, operator-dashboard.html), 통계, 내보내기가 모두 이 목록을 쓴다
+ */
+
+import shared, { GENDERS, SCHOOL_LEVELS } from '../shared/demographics.js';
+
+export * from '../shared/demographics.js';
+
+/**
+ * <select>의 <option> 목록 HTML
+ * @param {Array} items - GENDERS 또는 SCHOOL_LEVELS
+ * @param {string} placeholder - 첫 번째 빈 선택지 (없으면 생략)
+ */
+export function renderOptions(items, placeholder = '') {
+    const options = items.map(item => `<option value="${item.value}">${item.label}</option>`);
+    return (placeholder ? `<option value="">${placeholder}</option>` : '') + options.join('');
+}
+
+/**
+ * 화면의 성별/교급 <select>(name="gender", name="school_level")를 이 목록으로 채우기
+ * 빈 선택지 문구는 data-placeholder (없으면 '선택')
+ * @param {ParentNode} root - 찾을 범위 (기본값: 문서 전체)
+ */
+export function fillDemographicSelects(root = document) {
+    const fill = (selector, items) => root.querySelectorAll(selector).forEach(select => {
+        select.innerHTML = renderOptions(items, select.dataset.placeholder || '선택');
+    });
+    fill('select[name="gender"]', GENDERS);
+    fill('select[name="school_level"]', SCHOOL_LEVELS);
+}
+
+export default {
+    ...shared,
+    renderOptions,
+    fillDemographicSelects
+};
@@ -0,0 +1,122 @@
+/**
+ * 행사 백업/복원 모듈 (관리자)
+ * 서버가 만든 행사 묶음(src/server/event-bundles.js)을 파일(JSON 또는 NDJSON)로 바꾸고, 파일을 읽어 새 행사로 가져온다
+ * - JSON: 묶음 객체 그대로
+ * - NDJSON: 한 줄에 하나씩 { type: 'bundle', ...정보 }, { type: 'event', data }, { type: 테이블 이름, data: 행 }
+ * 내보내기(파일 저장)는 data-export.js의 exportEventBundle()
+ */
+
+import { apiPost } from './api-client.js';
+
+// 묶음 형식 (서버 BUNDLE_FORMAT과 동일)
+export const BUNDLE_FORMAT = 'festival-event-bundle';
+
+// 같은 이름의 행사가 있을 때 처리 방식 (서버 CONFLICT_MODES와 동일)
+export const CONFLICT_MODES = {
+    RENAME: 'rename',
+    FAIL: 'fail'
+};
+
+const TABLE_LABELS = {
+    consent_documents: '동의서',
+    booths: '부스',
+    form_schemas: '방명록 양식',
+    booth_operations: '운영',
+    operation_handovers: '교대',
+    participants: '참가자',
+    guardian_consents: '법정대리인 동의',
+    booth_daily_stats: '일일 통계',
+    retention_reports: '파기 기록'
+};
+
+/**
+ * 묶음을 파일 내용으로
+ * @param {Object} bundle - 서버가 돌려준 묶음
+ * @param {string} format - 'json' | 'ndjson'
+ */
+export function serializeEventBundle(bundle, format = 'json') {
+    if (format !== 'ndjson') return JSON.stringify(bundle);
+
+    const { event, tables, ...meta } = bundle;
+    const lines = [
+        { type: 'bundle', ...meta },
+        { type: 'event', data: event },
+        ...Object.entries(tables).flatMap(([table, rows]) => rows.map(row => ({ type: table, data: row })))
+    ];
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+/**
+ * 파일 내용을 묶음으로 (JSON, NDJSON 모두)
+ * @returns {Object} { success, bundle, error }
+ */
+export function parseEventBundle(text) {
+    try {
+        const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+        if (lines.length === 0) throw new Error('빈 파일입니다.');
+
+        // NDJSON은 첫 줄이 묶음 정보 ({"type":"bundle", ...}), 아니면 JSON 파일
+        const bundle = lines[0].trim().startsWith('{"type":"bundle"')
+            ? parseNdjson(lines)
+            : JSON.parse(lines.join('\n'));
+        if (!bundle || bundle.format !== BUNDLE_FORMAT) throw new Error('행사 백업 파일이 아닙니다.');
+        return { success: true, bundle };
+    } catch (error) {
+        const message = error instanceof SyntaxError ? '파일 형식이 올바르지 않습니다. (JSON 또는 NDJSON)' : error.message;
+        return { success: false, error: message };
+    }
+}
+
+/**
+ * NDJSON 줄 목록을 묶음으로 (첫 줄은 묶음 정보)
+ */
+function parseNdjson(lines) {
+    const { type, ...meta } = JSON.parse(lines[0]);
+    const bundle = { ...meta, event: null, tables: {} };
+    lines.slice(1).forEach(line => {
+        const { type: lineType, data } = JSON.parse(line);
+        if (lineType === 'event') {
+            bundle.event = data;
+        } else {
+            (bundle.tables[lineType] = bundle.tables[lineType] || []).push(data);
+        }
+    });
+    return bundle;
+}
+
+/**
+ * 묶음 내용 요약 (가져오기 전 확인용)
+ * @returns {string} 행사 이름과 백업 시각, 기록 종류별 건수
+ */
+export function summarizeEventBundle(bundle) {
+    const exportedAt = bundle.exported_at ? new Date(bundle.exported_at).toLocaleString('ko-KR') : '알 수 없음';
+    const counts = Object.entries(TABLE_LABELS)
+        .map(([table, label]) => `${label} ${(bundle.tables?.[table] || []).length}`)
+        .join(', ');
+    return `${bundle.event?.name || '(이름 없음)'} (백업 시각 ${exportedAt})\n${counts}`;
+}
+
+/**
+ * 묶음을 새 행사로 가져오기
+ * @param {Object} bundle - parseEventBundle()로 읽은 묶음
+ * @param {Object} options - { onConflict: CONFLICT_MODES 값 }
+ * @returns {Promise<Object>} { success, event, counts, warnings, error }
+ */
+export async function importEventBundle(bundle, { onConflict = CONFLICT_MODES.RENAME } = {}) {
+    const { data, error } = await apiPost('/api/event-bundles/import', {
+        bundle,
+        on_conflict: onConflict
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, event: data.event, counts: data.counts, warnings: data.warnings || [] };
+}
+
+export default {
+    serializeEventBundle,
+    parseEventBundle,
+    summarizeEventBundle,
+    importEventBundle
+};
@@ -0,0 +1,200 @@
+/**
+ * 방명록 양식 모듈
+ * 방명록 화면(index.html, participant.html, operator-dashboard.html)이 부스에서 쓰는 양식을 받아 입력 칸을 그리고,
+ * 관리자 대시보드가 행사 양식과 부스 양식을 저장한다 (항목 규칙은 src/shared/form-fields.js)
+ */
+
+import { apiGet, apiPut, apiDelete } from './api-client.js';
+import { FIELD_TYPES, DEFAULT_FORM_FIELDS, STANDARD_FIELDS, getFieldOptions, getMaxLength } from '../shared/form-fields.js';
+
+// 오프라인에서도 양식을 그리기 위한 캐시 키 (부스 ID → 마지막으로 받은 양식)
+const FORM_SCHEMA_CACHE_KEY = 'cached_form_schemas';
+
+function readCache() {
+    try {
+        return JSON.parse(localStorage.getItem(FORM_SCHEMA_CACHE_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * 부스에서 쓰는 양식 (부스 양식 → 행사 양식 → 기본 양식)
+ * 네트워크 오류이면 이 기기에서 마지막으로 받은 양식, 그것도 없으면 기본 양식을 사용한다
+ * @param {number} boothId - 부스 ID
+ * @returns {Promise<Object>} { success, schema, error }
+ */
+export async function getFormSchema(boothId) {
+    const { data, error } = await apiGet('/api/form-schemas/current', { booth_id: boothId });
+
+    if (error) {
+        if (error.status !== 0) return { success: false, error: error.message };
+        const cached = readCache()[boothId];
+        return {
+            success: true,
+            schema: cached || { id: null, booth_id: null, fields: DEFAULT_FORM_FIELDS, is_default: true },
+            cached: true
+        };
+    }
+
+    const cache = readCache();
+    cache[boothId] = data;
+    localStorage.setItem(FORM_SCHEMA_CACHE_KEY, JSON.stringify(cache));
+    return { success: true, schema: data };
+}
+
+/**
+ * 행사의 양식 목록 (관리자, 행사 양식과 부스 양식)
+ */
+export async function listFormSchemas(eventId) {
+    const { data, error } = await apiGet('/api/form-schemas', { event_id: eventId });
+
+    if (error) {
+        console.error('방명록 양식 조회 오류:', error);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * 양식 저장 (관리자, boothId가 있으면 그 부스만 쓰는 양식)
+ * @param {Object} schema - { eventId, boothId, fields }
+ */
+export async function saveFormSchema({ eventId, boothId = null, fields }) {
+    const { data, error } = await apiPut('/api/form-schemas', {
+        event_id: eventId,
+        booth_id: boothId,
+        fields
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, schema: data };
+}
+
+/**
+ * 양식 삭제 (부스 양식을 지우면 행사 양식, 행사 양식을 지우면 기본 양식을 쓴다)
+ */
+export async function deleteFormSchema(id) {
+    const { error } = await apiDelete(`/api/form-schemas/${id}`);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+/**
+ * 입력 칸 이름 (표준 항목은 키 그대로, 추가 질문은 answers.키)
+ */
+function inputName(field) {
+    return STANDARD_FIELDS[field.key] ? field.key : `answers.${field.key}`;
+}
+
+/**
+ * 항목 하나의 입력 칸 HTML (이름표 제외)
+ */
+export function renderFieldInput(field, { inputClass = '' } = {}) {
+    const name = escapeHtml(inputName(field));
+    const required = field.required ? ' required' : '';
+
+    switch (field.type) {
+        case FIELD_TYPES.CHOICE: {
+            const options = getFieldOptions(field);
+            if (field.multiple) {
+                return `<div class="flex flex-wrap gap-3">${options.map(option => `
+                    <label class="flex items-center gap-1 text-sm">
+                        <input type="checkbox" name="${name}" value="${escapeHtml(option.value)}" class="rounded border-gray-300">
+                        ${escapeHtml(option.label)}
+                    </label>`).join('')}</div>`;
+            }
+            return `<select name="${name}"${required} class="${inputClass}">
+                <option value="">선택</option>
+                ${options.map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('')}
+            </select>`;
+        }
+        case FIELD_TYPES.DATE:
+            return `<input type="date" name="${name}"${required}${field.min ? ` min="${field.min}"` : ''}${field.max ? ` max="${field.max}"` : ''} class="${inputClass}">`;
+        case FIELD_TYPES.PHONE:
+            return `<input type="tel" name="${name}"${required} placeholder="010-0000-0000" class="${inputClass}">`;
+        case FIELD_TYPES.CHECKBOX:
+            return `<label class="flex items-center gap-2 text-sm">
+                <input type="checkbox" name="${name}" class="rounded border-gray-300">
+                ${escapeHtml(field.label)}${field.required ? ' *' : ''}
+            </label>`;
+        case FIELD_TYPES.RATING:
+            return `<div class="flex flex-wrap gap-3">${Array.from({ length: field.scale || 5 }, (_, i) => `
+                <label class="flex items-center gap-1 text-sm">
+                    <input type="radio" name="${name}" value="${i + 1}"${required}>
+                    ${i + 1}
+                </label>`).join('')}</div>`;
+        default:
+            return field.multiline
+                ? `<textarea name="${name}" rows="3" maxlength="${getMaxLength(field)}"${required} class="${inputClass}"></textarea>`
+                : `<input type="text" name="${name}" maxlength="${getMaxLength(field)}"${required} class="${inputClass}">`;
+    }
+}
+
+/**
+ * 양식 항목 전체 HTML (이름표, 입력 칸, 안내 문구)
+ * @param {Array} fields - 양식 항목
+ * @param {Object} options - { inputClass: 입력 칸 class, wideClass: 여러 줄/여러 선택 항목에 붙일 class }
+ */
+export function renderFormFields(fields, { inputClass = '', wideClass = '' } = {}) {
+    return fields.map(field => {
+        const wide = field.multiline || field.multiple || field.type === FIELD_TYPES.RATING;
+        const label = field.type === FIELD_TYPES.CHECKBOX
+            ? ''
+            : `<label class="block text-sm font-medium text-gray-700 mb-1">${escapeHtml(field.label)}${field.required ? ' *' : ' (선택)'}</label>`;
+        const help = field.help ? `<p class="text-xs text-gray-500 mt-1">${escapeHtml(field.help)}</p>` : '';
+        return `<div class="${wide ? wideClass : ''}" data-field-key="${escapeHtml(field.key)}">
+            ${label}
+            ${renderFieldInput(field, { inputClass })}
+            ${help}
+        </div>`;
+    }).join('');
+}
+
+/**
+ * 폼에서 양식 항목 값 읽기
+ * @returns {Object} 표준 항목 값과 answers (추가 질문 키 → 값)
+ */
+export function readFormValues(fields, form) {
+    const formData = new FormData(form);
+    const values = { answers: {} };
+
+    fields.forEach(field => {
+        const name = inputName(field);
+        let value;
+        if (field.type === FIELD_TYPES.CHECKBOX) {
+            value = form.querySelector(`input[name="${name}"]`)?.checked === true;
+        } else if (field.type === FIELD_TYPES.CHOICE && field.multiple) {
+            value = formData.getAll(name);
+        } else if (field.type === FIELD_TYPES.RATING) {
+            value = formData.get(name) ? Number(formData.get(name)) : null;
+        } else {
+            value = String(formData.get(name) ?? '').trim() || null;
+        }
+
+        if (STANDARD_FIELDS[field.key]) values[field.key] = value;
+        else values.answers[field.key] = value;
+    });
+    return values;
+}
+
+export default {
+    getFormSchema,
+    listFormSchemas,
+    saveFormSchema,
+    deleteFormSchema,
+    renderFieldInput,
+    renderFormFields,
+    readFormValues
+};
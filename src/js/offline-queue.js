@@ -0,0 +1,379 @@
+/**
+ * 오프라인 방명록 대기열 모듈
+ * 네트워크가 끊겨도 방명록을 IndexedDB에 보관했다가 연결되면 작성 순서대로 재전송
+ *
+ * - 기록마다 client_id(UUID)를 발급해 서버가 같은 기록을 두 번 저장하지 않도록 함
+ * - 작성 시각(client_created_at)을 함께 보내 재전송 시각이 아닌 실제 작성 시각으로 저장
+ * - 운영 중인 기기에서 받은 기록은 서버가 발급한 운영 토큰(operation_token)을 함께 보내 운영자 실적에 포함
+ * - 서비스 워커(sw.js)가 페이지를 캐시하고, 백그라운드 동기화 시 페이지에 재전송을 요청
+ */
+
+import { apiPost } from './api-client.js';
+import { getOperatorSession } from './operator-auth.js';
+
+const DB_NAME = 'festival-guestbook';
+const DB_VERSION = 1;
+const STORE_NAME = 'participant_queue';
+
+// 탭 간 대기열 변경 알림 채널
+const CHANNEL_NAME = 'guestbook-queue';
+// 서비스 워커 백그라운드 동기화 태그
+const SYNC_TAG = 'guestbook-queue';
+// 온라인 상태에서 주기적 재전송 간격 (30초)
+const FLUSH_INTERVAL_MS = 30000;
+
+// 기록 상태
+export const QUEUE_STATUS = {
+    PENDING: 'pending',   // 전송 대기
+    FAILED: 'failed'      // 서버가 거부 (입력 오류 등), 운영자 확인 필요
+};
+
+let dbPromise = null;
+let flushing = null;
+let syncStarted = false;
+const listeners = new Set();
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+if (channel) {
+    channel.onmessage = () => notifyLocal();
+}
+
+/**
+ * IndexedDB 열기
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    // seq: 작성 순서 (자동 증가), client_id: 중복 방지용 고유 ID
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+                    store.createIndex('client_id', 'client_id', { unique: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * 트랜잭션 실행 헬퍼
+ */
+async function withStore(mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const store = transaction.objectStore(STORE_NAME);
+        let result;
+
+        Promise.resolve(work(store, (value) => { result = value; })).catch(reject);
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * 대기열 전체 조회 (작성 순서)
+ */
+async function getAllEntries() {
+    return withStore('readonly', (store, setResult) => {
+        const request = store.getAll();
+        request.onsuccess = () => setResult(request.result || []);
+    });
+}
+
+async function addEntry(entry) {
+    return withStore('readwrite', (store, setResult) => {
+        const request = store.add(entry);
+        request.onsuccess = () => setResult(request.result);
+    });
+}
+
+async function putEntry(entry) {
+    return withStore('readwrite', (store) => {
+        store.put(entry);
+    });
+}
+
+async function deleteEntry(seq) {
+    return withStore('readwrite', (store) => {
+        store.delete(seq);
+    });
+}
+
+/**
+ * 변경 알림 (현재 탭 구독자)
+ */
+async function notifyLocal() {
+    if (listeners.size === 0) return;
+    const status = await getQueueStatus();
+    listeners.forEach(callback => callback(status));
+}
+
+/**
+ * 변경 알림 (현재 탭 + 다른 탭)
+ */
+function notifyChange() {
+    notifyLocal();
+    if (channel) channel.postMessage('changed');
+}
+
+/**
+ * 고유 ID 생성 (UUID v4)
+ */
+function createClientId() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * 다시 시도하면 성공할 수 있는 오류인지 확인
+ * - 네트워크 오류(0), 시간 초과, 요청 과다, 서버 오류(5xx)
+ */
+function isRetryable(error) {
+    return error.status === 0 || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * 서버로 전송
+ * 같은 client_id로 다시 보내면 서버가 이미 저장된 기록을 성공 응답으로 돌려준다
+ * 그 밖의 409(부스 삭제 후 참조 오류 등)는 저장되지 않은 것이므로 실패로 남긴다
+ */
+function sendEntry(payload) {
+    return apiPost('/api/participants', payload);
+}
+
+/**
+ * 방명록 제출
+ * - 온라인이고 대기 중인 기록이 없으면 바로 전송
+ * - 네트워크 오류이거나 앞선 기록이 대기 중이면 대기열에 저장 (작성 순서 유지)
+ * @param {Object} participantData - 참가자 정보 (POST /api/participants 본문)
+ * @returns {Promise<Object>} { success, queued, data, error }
+ */
+export async function submitParticipant(participantData) {
+    const payload = {
+        ...participantData,
+        client_id: createClientId(),
+        client_created_at: new Date().toISOString()
+    };
+
+    // 운영 세션이 끝난 뒤 재전송돼도 이 운영의 기록으로 남도록 운영 토큰 보관
+    const operatorSession = getOperatorSession();
+    if (operatorSession?.operationToken && Number(operatorSession.boothId) === Number(participantData.booth_id)) {
+        payload.operation_token = operatorSession.operationToken;
+    }
+
+    let hasPending = false;
+    try {
+        hasPending = (await getQueueStatus()).pending > 0;
+    } catch (error) {
+        console.error('대기열 확인 실패:', error);
+    }
+
+    if (!hasPending && navigator.onLine !== false) {
+        const { data, error } = await sendEntry(payload);
+        if (!error) {
+            return { success: true, queued: false, data };
+        }
+        if (!isRetryable(error)) {
+            return { success: false, queued: false, error: error.message };
+        }
+    }
+
+    try {
+        await addEntry({
+            client_id: payload.client_id,
+            payload,
+            status: QUEUE_STATUS.PENDING,
+            attempts: 0,
+            last_error: null,
+            queued_at: payload.client_created_at
+        });
+    } catch (error) {
+        console.error('대기열 저장 실패:', error);
+        return { success: false, queued: false, error: '방명록을 임시 저장하지 못했습니다.' };
+    }
+
+    notifyChange();
+    requestBackgroundSync();
+
+    // 앞선 기록이 있어 대기한 경우 바로 전송 시도
+    if (hasPending && navigator.onLine !== false) {
+        flushQueue();
+    }
+
+    return { success: true, queued: true, data: null };
+}
+
+/**
+ * 대기열 재전송 (작성 순서대로)
+ * - 네트워크 오류가 나면 중단 (뒤의 기록이 앞질러 저장되지 않도록)
+ * - 서버가 거부한 기록은 실패로 표시하고 다음 기록 진행
+ * - 여러 탭에서 동시에 실행되지 않도록 Web Locks 사용
+ * @returns {Promise<Object>} { sent, failed, remaining }
+ */
+export function flushQueue() {
+    if (flushing) return flushing;
+
+    const run = async () => {
+        let sent = 0;
+        let failed = 0;
+
+        const entries = (await getAllEntries())
+            .filter(entry => entry.status === QUEUE_STATUS.PENDING)
+            .sort((a, b) => a.seq - b.seq);
+
+        for (const entry of entries) {
+            const { error } = await sendEntry(entry.payload);
+
+            if (!error) {
+                await deleteEntry(entry.seq);
+                sent++;
+                notifyChange();
+                continue;
+            }
+
+            if (isRetryable(error)) {
+                await putEntry({ ...entry, attempts: entry.attempts + 1, last_error: error.message });
+                break;
+            }
+
+            await putEntry({ ...entry, status: QUEUE_STATUS.FAILED, attempts: entry.attempts + 1, last_error: error.message });
+            failed++;
+            notifyChange();
+        }
+
+        const status = await getQueueStatus();
+        return { sent, failed, remaining: status.pending };
+    };
+
+    const locked = navigator.locks
+        ? navigator.locks.request(`${CHANNEL_NAME}-flush`, run)
+        : run();
+
+    flushing = locked
+        .catch(error => {
+            console.error('대기열 재전송 실패:', error);
+            return { sent: 0, failed: 0, remaining: null };
+        })
+        .finally(() => { flushing = null; });
+
+    return flushing;
+}
+
+/**
+ * 대기열 상태
+ * @returns {Promise<Object>} { pending, failed, entries }
+ */
+export async function getQueueStatus() {
+    const entries = await getAllEntries();
+    return {
+        pending: entries.filter(entry => entry.status === QUEUE_STATUS.PENDING).length,
+        failed: entries.filter(entry => entry.status === QUEUE_STATUS.FAILED).length,
+        entries
+    };
+}
+
+/**
+ * 실패한 기록 다시 전송 대기로 변경
+ */
+export async function retryFailedEntries() {
+    const entries = await getAllEntries();
+    for (const entry of entries.filter(e => e.status === QUEUE_STATUS.FAILED)) {
+        await putEntry({ ...entry, status: QUEUE_STATUS.PENDING });
+    }
+    notifyChange();
+    return flushQueue();
+}
+
+/**
+ * 대기열 변경 구독
+ * @returns {Function} 구독 해제 함수
+ */
+export function onQueueChange(callback) {
+    listeners.add(callback);
+    getQueueStatus().then(callback).catch(() => {});
+    return () => listeners.delete(callback);
+}
+
+/**
+ * 백그라운드 동기화 등록 (지원 브라우저만)
+ */
+async function requestBackgroundSync() {
+    try {
+        const registration = await navigator.serviceWorker?.ready;
+        await registration?.sync?.register(SYNC_TAG);
+    } catch (error) {
+        // 백그라운드 동기화 미지원: online 이벤트와 주기적 재전송으로 대체
+    }
+}
+
+/**
+ * 자동 재전송 시작
+ * - 서비스 워커 등록 (페이지 캐시, 백그라운드 동기화)
+ * - 온라인 복귀, 페이지 로드, 30초마다 재전송
+ */
+export function startQueueSync() {
+    if (syncStarted) return;
+    syncStarted = true;
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('서비스 워커 등록 실패:', error);
+        });
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'flush-guestbook-queue') flushQueue();
+        });
+    }
+
+    window.addEventListener('online', () => flushQueue());
+    setInterval(() => {
+        if (navigator.onLine !== false) flushQueue();
+    }, FLUSH_INTERVAL_MS);
+
+    flushQueue();
+}
+
+/**
+ * 미전송 배지 표시
+ * - 대기 중/실패 건수를 표시하고, 클릭하면 바로 재전송
+ * @param {HTMLElement} element - 배지 요소
+ */
+export function mountSyncBadge(element) {
+    if (!element) return;
+
+    element.addEventListener('click', async () => {
+        const status = await getQueueStatus();
+        if (status.failed > 0 && confirm(`전송에 실패한 방명록 ${status.failed}건을 다시 전송하시겠습니까?\n(${status.entries.find(e => e.status === QUEUE_STATUS.FAILED)?.last_error || ''})`)) {
+            await retryFailedEntries();
+        } else {
+            await flushQueue();
+        }
+    });
+
+    onQueueChange(({ pending, failed }) => {
+        if (pending === 0 && failed === 0) {
+            element.classList.add('hidden');
+            return;
+        }
+        element.classList.remove('hidden');
+        element.textContent = failed > 0
+            ? `미전송 ${pending}건 · 실패 ${failed}건`
+            : `미전송 ${pending}건`;
+        element.title = navigator.onLine === false
+            ? '오프라인 상태입니다. 연결되면 자동으로 전송됩니다.'
+            : '클릭하면 지금 전송합니다.';
+    });
+}
@@ -3,11 +3,16 @@
  * 부스 코드를 통한 운영자 접속 및 권한 관리
  */
 
-import { supabase } from './supabase-client.js';
+import { apiGet, apiPost, SESSION_REJECTED_EVENT } from './api-client.js';
 import { validateBoothCode, startBoothOperation, endBoothOperation } from './booth-code.js';
+import { countDemographics } from './demographics.js';
 
 // 운영자 세션 키
 const OPERATOR_SESSION_KEY = 'operator_session';
+// 운영 종료(관리자 강제 종료, 교체) 확인 간격
+const SESSION_CHECK_INTERVAL_MS = 10 * 1000;
+// 하트비트 간격 (서버는 하트비트가 끊긴 운영을 자동 종료, 기본 30분)
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
 
 /**
  * 운영자 정보를 세션에 저장
@@ -76,19 +81,18 @@ export async function operatorLogin(boothCode, operatorInfo) {
             return result;
         }
         
-        // 세션 생성 (24시간 유효)
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 24);
-        
+        // 세션 생성 (만료 시각은 서버 세션과 동일)
         const session = {
             operationId: result.operationId,
+            sessionToken: result.sessionToken,
+            operationToken: result.operationToken,
             boothId: result.boothId,
             boothName: result.boothName,
             operatorName: operatorInfo.name,
             operatorPhone: operatorInfo.phone,
             role: 'operator',
             startedAt: new Date().toISOString(),
-            expiresAt: expiresAt.toISOString()
+            expiresAt: result.expiresAt
         };
         
         // 세션 저장
@@ -140,6 +144,73 @@ export async function operatorLogout() {
     }
 }
 
+/**
+ * 운영 종료 감시
+ * 관리자가 강제 종료하거나 다른 운영자로 교체되면 세션을 지우고 onEnded를 한 번 호출
+ * - 주기적으로 현재 운영을 확인하고, 다른 요청이 401을 받거나 화면이 다시 보일 때도 바로 확인
+ * - 네트워크 오류는 무시 (오프라인 중에는 계속 운영)
+ * @param {Function} onEnded - ({ reason, message }) => void
+ * @returns {Function} 감시 중지 함수
+ */
+export function watchOperatorSession(onEnded) {
+    let stopped = false;
+
+    const stop = () => {
+        stopped = true;
+        clearInterval(timer);
+        window.removeEventListener(SESSION_REJECTED_EVENT, onRejected);
+        window.removeEventListener('storage', onStorage);
+        document.removeEventListener('visibilitychange', onVisible);
+    };
+
+    const end = (reason, message) => {
+        if (stopped) return;
+        stop();
+        clearOperatorSession();
+        onEnded({ reason, message });
+    };
+
+    const check = async () => {
+        const session = getOperatorSession();
+        if (stopped) return;
+        if (!session || !session.sessionToken) {
+            end('logout', '운영자 세션이 종료되었습니다.');
+            return;
+        }
+
+        const { data, error } = await apiGet('/api/operations/current');
+        if (error && error.status === 401) {
+            end(error.reason || 'expired', error.message);
+            return;
+        }
+        // 운영 토큰 없이 시작된 세션은 서버가 발급한 토큰을 보관 (오프라인 기록용, offline-queue.js)
+        if (data?.operation_token && !session.operationToken) {
+            saveOperatorSession({ ...session, operationToken: data.operation_token });
+        }
+    };
+
+    const onRejected = (event) => {
+        const session = getOperatorSession();
+        if (session && event.detail.token === session.sessionToken) check();
+    };
+
+    // 다른 탭에서 운영 종료
+    const onStorage = (event) => {
+        if (event.key === OPERATOR_SESSION_KEY && !event.newValue) check();
+    };
+
+    const onVisible = () => {
+        if (document.visibilityState === 'visible') check();
+    };
+
+    const timer = setInterval(check, SESSION_CHECK_INTERVAL_MS);
+    window.addEventListener(SESSION_REJECTED_EVENT, onRejected);
+    window.addEventListener('storage', onStorage);
+    document.addEventListener('visibilitychange', onVisible);
+
+    return stop;
+}
+
 /**
  * 현재 운영자가 특정 부스에 대한 권한이 있는지 확인
  */
@@ -174,21 +245,35 @@ export function getCurrentBoothInfo() {
 }
 
 /**
- * 세션 갱신 (활동 시간 업데이트)
+ * 세션 갱신 (서버에 하트비트 전송)
+ * 서버가 마지막 활동 시각을 기록하고, 세션 만료 시각을 돌려주면 로컬 세션에 반영
+ * @returns {Promise<boolean>} 서버가 세션을 확인했는지 (오프라인이면 false)
  */
-export function refreshSession() {
+export async function refreshSession() {
     const session = getOperatorSession();
-    if (!session) return false;
-    
-    // 만료 시간 연장 (24시간)
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + 24);
-    session.expiresAt = expiresAt.toISOString();
-    
-    saveOperatorSession(session);
+    if (!session || !session.sessionToken) return false;
+
+    const { data, error } = await apiPost('/api/auth/heartbeat');
+    if (error) return false;
+
+    if (data.expiresAt) {
+        session.expiresAt = data.expiresAt;
+        saveOperatorSession(session);
+    }
     return true;
 }
 
+/**
+ * 운영 화면 하트비트 시작
+ * 화면이 열려 있는 동안 주기적으로 refreshSession() 호출 (탭을 닫으면 멈춰 서버가 운영을 자동 종료)
+ * @returns {Function} 중지 함수
+ */
+export function startHeartbeat() {
+    refreshSession();
+    const timer = setInterval(refreshSession, HEARTBEAT_INTERVAL_MS);
+    return () => clearInterval(timer);
+}
+
 /**
  * 운영 통계 가져오기
  */
@@ -197,25 +282,26 @@ export async function getOperationStats() {
         const session = getOperatorSession();
         if (!session || !session.operationId) return null;
         
-        // 현재 운영의 참가자 수 조회
+        // 현재 운영이 받은 참가자 조회 (같은 부스의 다른 운영자 기록은 제외)
         const startTime = new Date(session.startedAt);
         
-        const { data, error } = await supabase
-            .from('participants')
-            .select('id, gender, grade')
-            .eq('booth_id', session.boothId)
-            .gte('created_at', startTime.toISOString());
+        const { data, error } = await apiGet('/api/participants', {
+            booth_operation_id: session.operationId
+        });
         
         if (error) throw error;
         
-        // 통계 계산
+        // 통계 계산 (성별/교급은 demographics.js 분류, 예전 값도 함께 셈)
+        const counts = countDemographics(data);
         const stats = {
-            total: data.length,
-            male: data.filter(p => p.gender === '남').length,
-            female: data.filter(p => p.gender === '여').length,
-            elementary: data.filter(p => p.grade === '초등학생').length,
-            middle: data.filter(p => p.grade === '중학생').length,
-            high: data.filter(p => p.grade === '고등학생').length,
+            total: counts.total,
+            male: counts.gender['남성'],
+            female: counts.gender['여성'],
+            elementary: counts.school_level['초등'],
+            middle: counts.school_level['중등'],
+            high: counts.school_level['고등'],
+            gender: counts.gender,
+            school_level: counts.school_level,
             operationTime: Math.floor((new Date() - startTime) / 1000 / 60) // 분 단위
         };
         
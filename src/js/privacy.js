@@ -0,0 +1,34 @@
+/**
+ * 개인정보 가림 모듈 (화면)
+ * 서버는 조회/내보내기 응답의 이름, 연락처, 생년월일을 가린 값으로 돌려준다 (가림 규칙은 src/shared/privacy.js)
+ * 관리자는 사유를 남기고 원본을 요청할 수 있으며, 서버가 열람 기록(privacy_access_logs)을 남긴다
+ */
+
+import shared from '../shared/privacy.js';
+
+export * from '../shared/privacy.js';
+
+/**
+ * 조회 조건에 원본 보기 요청 추가
+ * @param {Object} query - 조회 조건
+ * @param {Object|null} reveal - { reason } (없으면 가린 값 조회)
+ */
+export function withReveal(query, reveal) {
+    if (!reveal?.reason) return query;
+    return { ...query, reveal: 1, reveal_reason: reveal.reason };
+}
+
+/**
+ * 원본 보기 사유 입력 받기 (취소하거나 비우면 null)
+ * @param {string} target - 안내에 보여줄 대상 (예: '운영자 연락처')
+ */
+export function askRevealReason(target) {
+    const reason = prompt(`${target} 원본을 보려는 사유를 입력해주세요. (열람 기록에 남습니다)`);
+    return reason && reason.trim() ? { reason: reason.trim() } : null;
+}
+
+export default {
+    ...shared,
+    withReveal,
+    askRevealReason
+};
@@ -0,0 +1,372 @@
+/**
+ * QR 코드 생성 모듈
+ * 외부 서비스 없이 브라우저에서 QR 코드(바이트 모드, 오류 정정 M)를 만들어 SVG로 그린다
+ *
+ * - 버전 1~10 지원 (UTF-8 기준 최대 213바이트, 운영자 로그인 URL에 충분)
+ * - 구현은 ISO/IEC 18004 절차를 그대로 따름: 데이터 비트열 → 리드-솔로몬 오류 정정 → 모듈 배치 → 마스크 선택
+ */
+
+// 버전별 블록당 오류 정정 코드워드 수 / 블록 수 (오류 정정 M, 인덱스 = 버전)
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = 10;
+
+// 형식 정보의 오류 정정 수준 비트 (M = 00)
+const ECC_FORMAT_BITS = 0;
+
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+/**
+ * 버전의 전체 데이터 모듈 수 (기능 패턴 제외)
+ */
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getNumDataCodewords(version) {
+    return Math.floor(getNumRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ECC_BLOCKS[version];
+}
+
+// ----- 리드-솔로몬 (GF(2^8), 원시 다항식 0x11D) -----
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+}
+
+// ----- 데이터 코드워드 -----
+
+/**
+ * 바이트 모드 데이터 코드워드 생성 (종료 비트, 채움 바이트 포함)
+ */
+function encodeData(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(b => append(b, 8));
+
+    const capacityBits = getNumDataCodewords(version) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * 블록별 오류 정정 코드워드를 붙이고 교차 배치
+ */
+function addEccAndInterleave(data, version) {
+    const numBlocks = NUM_ECC_BLOCKS[version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonDivisor(blockEccLength);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < numShortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // 짧은 블록의 자리 채움 값은 건너뜀
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+// ----- 모듈 배치 -----
+
+function getAlignmentPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // 타이밍 패턴
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // 위치 찾기 패턴 (분리 패턴 포함)
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    });
+
+    // 정렬 패턴 (위치 찾기 패턴과 겹치는 세 모서리 제외)
+    const positions = getAlignmentPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // 형식 정보 자리 예약 (마스크 선택 후 다시 그림)
+    drawFormatBits({ size, setFunction }, 0);
+
+    // 버전 정보 (7 이상)
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, getBit(bits, i));
+            setFunction(b, a, getBit(bits, i));
+        }
+    }
+
+    return { size, modules, isFunction, setFunction };
+}
+
+function drawFormatBits({ size, setFunction }, mask) {
+    const data = (ECC_FORMAT_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    // 왼쪽 위
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+    // 오른쪽 위, 왼쪽 아래
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true);
+}
+
+/**
+ * 코드워드를 지그재그로 배치
+ */
+function drawCodewords({ size, modules, isFunction }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask({ size, modules, isFunction }, mask) {
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && MASKS[mask](x, y)) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+}
+
+/**
+ * 마스크 평가 점수 (낮을수록 인식하기 쉬움)
+ */
+function getPenaltyScore({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i].map(d => (d ? '1' : '0')).join(''));
+        lines.push(modules.map(row => (row[i] ? '1' : '0')).join(''));
+    }
+
+    lines.forEach(line => {
+        // 같은 색 5개 이상 연속
+        (line.match(/0{5,}|1{5,}/g) || []).forEach(run => { score += PENALTY_N1 + run.length - 5; });
+        // 위치 찾기 패턴과 비슷한 배열
+        const padded = `0000${line}0000`;
+        for (const pattern of ['00001011101', '10111010000']) {
+            for (let at = padded.indexOf(pattern); at !== -1; at = padded.indexOf(pattern, at + 1)) {
+                score += PENALTY_N3;
+            }
+        }
+    });
+
+    // 같은 색 2x2 블록
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (y < size - 1 && x < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    score += PENALTY_N2;
+                }
+            }
+        }
+    }
+
+    // 어두운 모듈 비율이 50%에서 벗어난 정도
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    score += Math.max(0, k) * PENALTY_N4;
+
+    return score;
+}
+
+/**
+ * QR 코드 모듈 행렬 생성
+ * @param {string} text - 담을 문자열 (UTF-8)
+ * @returns {boolean[][]} [행][열], true = 어두운 모듈
+ */
+export function createQrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    const headerBytes = v => (v <= 9 ? 2 : 3);
+    while (version <= MAX_VERSION && bytes.length + headerBytes(version) > getNumDataCodewords(version)) {
+        version++;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error('QR 코드에 담기에는 내용이 너무 깁니다.');
+    }
+
+    const codewords = addEccAndInterleave(encodeData(bytes, version), version);
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const grid = createGrid(version);
+        drawCodewords(grid, codewords);
+        applyMask(grid, mask);
+        drawFormatBits(grid, mask);
+        const score = getPenaltyScore(grid);
+        if (!best || score < best.score) best = { score, modules: grid.modules };
+    }
+    return best.modules;
+}
+
+/**
+ * QR 코드 SVG 마크업 생성
+ * @param {string} text - 담을 문자열
+ * @param {Object} options
+ * @param {number} options.size - 가로/세로 픽셀 크기
+ * @param {number} options.margin - 여백 (모듈 수, 표준은 4)
+ * @returns {string} <svg> 문자열
+ */
+export function renderQrSvg(text, { size = 160, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+    const modules = createQrMatrix(text);
+    const dimension = modules.length + margin * 2;
+
+    let path = '';
+    modules.forEach((row, y) => {
+        row.forEach((isDark, x) => {
+            if (isDark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${size}" height="${size}" shape-rendering="crispEdges" role="img">`
+        + `<rect width="100%" height="100%" fill="${light}"/>`
+        + `<path d="${path}" fill="${dark}"/></svg>`;
+}
@@ -0,0 +1,83 @@
+/**
+ * 서명 입력 모듈
+ * canvas에 손가락/마우스로 서명을 받아 PNG data URL로 돌려준다 (법정대리인 동의 서명)
+ */
+
+const LINE_WIDTH = 2.5;
+const LINE_COLOR = '#0f172a';
+
+/**
+ * canvas를 서명 입력판으로 만들기
+ * 화면을 다시 그려도 서명이 유지되도록 initialImage로 이전 서명을 다시 그린다
+ * @param {HTMLCanvasElement} canvas - 서명 영역
+ * @param {Object} options
+ * @param {string} options.initialImage - 이전에 받은 서명 (PNG data URL)
+ * @param {Function} options.onChange - 획을 마칠 때마다 서명 data URL로 호출 (지우면 null)
+ * @returns {Object} { clear, isEmpty, toDataURL }
+ */
+export function attachSignaturePad(canvas, { initialImage = null, onChange = () => {} } = {}) {
+    // 고해상도 화면에서도 선이 흐리지 않도록 표시 크기 × devicePixelRatio로 그린다
+    const ratio = window.devicePixelRatio || 1;
+    const { width, height } = canvas.getBoundingClientRect();
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    context.lineWidth = LINE_WIDTH;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = LINE_COLOR;
+
+    let empty = true;
+    let drawing = false;
+
+    if (initialImage) {
+        const image = new Image();
+        image.onload = () => context.drawImage(image, 0, 0, width, height);
+        image.src = initialImage;
+        empty = false;
+    }
+
+    const pointOf = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    };
+
+    canvas.style.touchAction = 'none';
+    canvas.addEventListener('pointerdown', (event) => {
+        drawing = true;
+        canvas.setPointerCapture(event.pointerId);
+        const { x, y } = pointOf(event);
+        context.beginPath();
+        context.moveTo(x, y);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!drawing) return;
+        const { x, y } = pointOf(event);
+        context.lineTo(x, y);
+        context.stroke();
+        empty = false;
+    });
+    const finishStroke = () => {
+        if (!drawing) return;
+        drawing = false;
+        if (!empty) onChange(canvas.toDataURL('image/png'));
+    };
+    canvas.addEventListener('pointerup', finishStroke);
+    canvas.addEventListener('pointercancel', finishStroke);
+
+    return {
+        clear() {
+            context.clearRect(0, 0, width, height);
+            empty = true;
+            onChange(null);
+        },
+        isEmpty: () => empty,
+        toDataURL: () => (empty ? null : canvas.toDataURL('image/png'))
+    };
+}
+
+export default {
+    attachSignaturePad
+};
@@ -0,0 +1,346 @@
+/**
+ * Excel(.xlsx) 파일 생성 모듈
+ * 외부 서비스나 라이브러리 없이 브라우저에서 여러 시트의 통합 문서를 만든다
+ *
+ * - .xlsx는 SpreadsheetML(XML) 파일들을 ZIP으로 묶은 것 (ECMA-376)
+ * - ZIP은 압축하지 않고 저장(stored)만 한다 (보고서 크기에서는 충분하고, Excel/한셀/구글 시트 모두 연다)
+ * - 셀 형식: 문자열(inlineStr), 숫자, 날짜(Excel 일련번호 + 날짜 표시 형식)
+ * - 날짜는 기기 시간대와 관계없이 행사 시간대(한국 표준시, KST)의 시각으로 적는다
+ * - 각 시트의 첫 행(머리글)은 굵게 표시하고 틀 고정한다
+ */
+
+const encoder = new TextEncoder();
+
+// 날짜 셀 표시 형식 (한국 표준시 기준 시각)
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+// 한국 표준시(UTC+9, 일광 절약 시간 없음)
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+// 사용자 지정 표시 형식 번호 시작값 (0~163은 Excel 기본 형식)
+const CUSTOM_FORMAT_START = 164;
+// Excel 일련번호 기준: 1970-01-01 = 25569
+const EXCEL_EPOCH_OFFSET = 25569;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 시트 이름 최대 길이와 사용할 수 없는 문자
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME = /[\\/?*[\]:]/g;
+// 열 너비 (문자 수)
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 60;
+
+/**
+ * XML 특수문자 이스케이프 (XML에 넣을 수 없는 제어 문자는 제거)
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+/**
+ * 열 번호 → 열 이름 (0 → A, 26 → AA)
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * 날짜 → Excel 일련번호 (한국 표준시의 시각으로 표시되도록)
+ * @returns {number|null} 날짜로 읽을 수 없으면 null
+ */
+function toExcelDate(value) {
+    const time = (value instanceof Date ? value : new Date(value)).getTime();
+    if (Number.isNaN(time)) return null;
+    return (time + KST_OFFSET_MS) / DAY_MS + EXCEL_EPOCH_OFFSET;
+}
+
+/**
+ * 화면에 보이는 글자 폭 (한글 등 전각 문자는 2칸)
+ */
+function displayWidth(value) {
+    return [...String(value ?? '')].reduce((width, ch) => width + (ch.charCodeAt(0) > 0x2E7F ? 2 : 1), 0);
+}
+
+/**
+ * 시트 이름 정리 (사용할 수 없는 문자 제거, 31자 제한, 중복 시 번호)
+ */
+function normalizeSheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, index) => {
+        const base = String(sheet.name || `Sheet${index + 1}`).replace(INVALID_SHEET_NAME, ' ').trim()
+            .slice(0, MAX_SHEET_NAME_LENGTH) || `Sheet${index + 1}`;
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * 표시 형식과 셀 스타일 목록
+ * 스타일 번호: 0 기본, 1 머리글(굵게), 2 날짜, 3~ 열별 숫자 형식
+ */
+function buildStyles(sheets) {
+    const numberFormats = [...new Set(sheets.flatMap(sheet => sheet.columns
+        .filter(column => column.type === 'number' && column.numberFormat)
+        .map(column => column.numberFormat)))];
+
+    const formats = [DATE_FORMAT, ...numberFormats];
+    const numFmts = formats
+        .map((code, index) => `<numFmt numFmtId="${CUSTOM_FORMAT_START + index}" formatCode="${escapeXml(code)}"/>`)
+        .join('');
+    const cellXfs = [
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+        '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>',
+        ...formats.map((code, index) => `<xf numFmtId="${CUSTOM_FORMAT_START + index}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`)
+    ];
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<numFmts count="${formats.length}">${numFmts}</numFmts>`
+        + '<fonts count="2"><font><sz val="11"/><name val="맑은 고딕"/></font><font><b/><sz val="11"/><name val="맑은 고딕"/></font></fonts>'
+        + '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>'
+        + '<fill><patternFill patternType="solid"><fgColor rgb="FFE5E7EB"/><bgColor indexed="64"/></patternFill></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + `<cellXfs count="${cellXfs.length}">${cellXfs.join('')}</cellXfs>`
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>';
+
+    return {
+        xml,
+        header: 1,
+        date: 2,
+        numberStyle: (format) => (format ? 3 + numberFormats.indexOf(format) : 0)
+    };
+}
+
+/**
+ * 셀 하나의 XML (값이 없으면 빈 문자열)
+ */
+function buildCell(ref, value, column, styles) {
+    if (value === null || value === undefined || value === '') return '';
+
+    if (column.type === 'number' && typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}" s="${styles.numberStyle(column.numberFormat)}"><v>${value}</v></c>`;
+    }
+    if (column.type === 'date' && typeof value !== 'number') {
+        const serial = toExcelDate(value);
+        if (serial !== null) return `<c r="${ref}" s="${styles.date}"><v>${serial}</v></c>`;
+    }
+    // 문자열 (숫자/날짜 열이어도 '운영중' 같은 안내 문구는 문자열로)
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * 시트 XML
+ */
+function buildSheet(sheet, styles) {
+    const { columns, rows } = sheet;
+    const lastColumn = columnName(Math.max(columns.length - 1, 0));
+
+    const widths = columns.map((column, index) => {
+        const dataWidth = rows.reduce((max, row) => {
+            const value = row[index];
+            const width = column.type === 'date' && value ? DATE_FORMAT.length : displayWidth(value);
+            return Math.max(max, width);
+        }, displayWidth(column.header));
+        return Math.min(Math.max(column.width || dataWidth + 2, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH);
+    });
+    const cols = widths
+        .map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`)
+        .join('');
+
+    const headerRow = `<row r="1">${columns.map((column, index) => (
+        `<c r="${columnName(index)}1" t="inlineStr" s="${styles.header}"><is><t>${escapeXml(column.header)}</t></is></c>`
+    )).join('')}</row>`;
+    const dataRows = rows.map((row, rowIndex) => {
+        const rowNumber = rowIndex + 2;
+        const cells = columns
+            .map((column, index) => buildCell(`${columnName(index)}${rowNumber}`, row[index], column, styles))
+            .join('');
+        return `<row r="${rowNumber}">${cells}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<dimension ref="A1:${lastColumn}${rows.length + 1}"/>`
+        + '<sheetViews><sheetView workbookViewId="0">'
+        + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+        + '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>'
+        + '</sheetView></sheetViews>'
+        + '<sheetFormatPr defaultRowHeight="15"/>'
+        + (cols ? `<cols>${cols}</cols>` : '')
+        + `<sheetData>${headerRow}${dataRows}</sheetData>`
+        + '</worksheet>';
+}
+
+// ----- ZIP (저장 방식, 압축 없음) -----
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * ZIP 파일의 날짜/시각 필드 (MS-DOS 형식)
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * 파일 목록을 ZIP으로 묶기
+ * @param {Array} files - [{ path, content(문자열) }]
+ * @returns {Uint8Array}
+ */
+function createZip(files, modifiedAt = new Date()) {
+    const { time, date } = dosDateTime(modifiedAt);
+    const entries = files.map(file => {
+        const name = encoder.encode(file.path);
+        const data = encoder.encode(file.content);
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const output = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(output.buffer);
+    let offset = 0;
+
+    // 로컬 파일 헤더 + 데이터
+    const localOffsets = entries.map(entry => {
+        const start = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        view.setUint16(offset + 4, 20, true);           // 필요한 버전 2.0
+        view.setUint16(offset + 6, 0x0800, true);       // 파일 이름 UTF-8
+        view.setUint16(offset + 8, 0, true);            // 저장 방식 (압축 없음)
+        view.setUint16(offset + 10, time, true);
+        view.setUint16(offset + 12, date, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        output.set(entry.name, offset + 30);
+        output.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+        return start;
+    });
+
+    // 중앙 디렉터리
+    const centralStart = offset;
+    entries.forEach((entry, index) => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 20, true);
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, time, true);
+        view.setUint16(offset + 14, date, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        // 추가 필드, 주석, 디스크 번호, 내부/외부 속성은 0
+        view.setUint32(offset + 42, localOffsets[index], true);
+        output.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+
+    // 중앙 디렉터리 끝
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+
+    return output;
+}
+
+/**
+ * 여러 시트의 .xlsx 통합 문서 만들기
+ * @param {Array} sheets - [{ name, columns: [{ header, type, numberFormat, width }], rows: [[값, ...]] }]
+ *   - type: 'string'(기본) | 'number' | 'date' (날짜 열의 값은 ISO 문자열 또는 Date, 한국 표준시로 표시)
+ *   - numberFormat: 숫자 열 표시 형식 (예: '0.0')
+ * @returns {Uint8Array} .xlsx 파일 내용
+ */
+export function createXlsxWorkbook(sheets) {
+    if (!sheets || sheets.length === 0) throw new Error('시트가 하나 이상 필요합니다.');
+
+    const names = normalizeSheetNames(sheets);
+    const styles = buildStyles(sheets);
+
+    const files = [
+        {
+            path: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                + '</Types>'
+        },
+        {
+            path: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            path: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + '<sheets>'
+                + names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')
+                + '</sheets>'
+                + '</workbook>'
+        },
+        {
+            path: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+                + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+                + '</Relationships>'
+        },
+        { path: 'xl/styles.xml', content: styles.xml },
+        ...sheets.map((sheet, index) => ({
+            path: `xl/worksheets/sheet${index + 1}.xml`,
+            content: buildSheet(sheet, styles)
+        }))
+    ];
+
+    return createZip(files);
+}
+
+export default {
+    createXlsxWorkbook
+};
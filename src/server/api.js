@@ -0,0 +1,114 @@
+/**
+ * REST API 진입점
+ * 라우트 등록 및 요청 처리, 역할 검사 헬퍼 제공
+ */
+
+const { createRouter } = require('./router');
+const { ApiError, readJsonBody, sendJson } = require('./http-utils');
+const { ROLES, createSessionManager } = require('./sessions');
+const { requirePermission } = require('./rbac');
+
+const authRoutes = require('./routes/auth');
+const eventRoutes = require('./routes/events');
+const boothRoutes = require('./routes/booths');
+const participantRoutes = require('./routes/participants');
+const operationRoutes = require('./routes/operations');
+const handoverRoutes = require('./routes/handovers');
+const operatorRoutes = require('./routes/operators');
+const eventManagerRoutes = require('./routes/event-managers');
+const retentionRoutes = require('./routes/retention');
+const consentRoutes = require('./routes/consents');
+const dataSubjectRoutes = require('./routes/data-subjects');
+const privacyRoutes = require('./routes/privacy');
+const eventBundleRoutes = require('./routes/event-bundles');
+const formSchemaRoutes = require('./routes/form-schemas');
+const demoRoutes = require('./routes/demo');
+
+// 저장소 제약 위반 (PostgreSQL 오류 코드) → 사용자 메시지
+const CONSTRAINT_ERRORS = {
+    '23505': '이미 사용 중인 값입니다.',
+    '23503': '연결된 데이터가 있어 처리할 수 없습니다.'
+};
+
+/**
+ * 역할 검사
+ * @param {Object} user - resolveUser 결과
+ * @param {...string} roles - 허용할 역할
+ */
+function requireRole(user, ...roles) {
+    if (user.role === ROLES.GUEST) {
+        throw new ApiError(401, '로그인이 필요합니다.');
+    }
+    if (!roles.includes(user.role)) {
+        throw new ApiError(403, '이 기능을 사용할 권한이 없습니다.');
+    }
+}
+
+/**
+ * API 핸들러 생성
+ * @param {Object} options
+ * @param {Object} options.store - 저장소 어댑터
+ * @param {boolean} options.demo - 데모 서버 여부 (DEMO_MODE=1)
+ * @returns {Function} async (req, res, url) => void
+ */
+function createApi({ store, demo = false }) {
+    const router = createRouter();
+    const sessions = createSessionManager(store);
+    const deps = { store, sessions, requireRole, requirePermission, demo };
+
+    authRoutes.register(router, deps);
+    eventRoutes.register(router, deps);
+    boothRoutes.register(router, deps);
+    participantRoutes.register(router, deps);
+    operationRoutes.register(router, deps);
+    handoverRoutes.register(router, deps);
+    operatorRoutes.register(router, deps);
+    eventManagerRoutes.register(router, deps);
+    retentionRoutes.register(router, deps);
+    consentRoutes.register(router, deps);
+    dataSubjectRoutes.register(router, deps);
+    privacyRoutes.register(router, deps);
+    eventBundleRoutes.register(router, deps);
+    formSchemaRoutes.register(router, deps);
+    demoRoutes.register(router, deps);
+
+    return async function handleApi(req, res, url) {
+        try {
+            const matched = router.match(req.method, url.pathname);
+
+            if (matched === null) {
+                throw new ApiError(404, '요청한 API를 찾을 수 없습니다.');
+            }
+            if (matched === 'method_not_allowed') {
+                throw new ApiError(405, '허용되지 않은 요청 방식입니다.');
+            }
+
+            const body = ['POST', 'PATCH', 'PUT'].includes(req.method) ? await readJsonBody(req, matched.maxBodySize) : {};
+            const user = await sessions.resolveUser(req);
+            const query = Object.fromEntries(url.searchParams.entries());
+
+            // 핸들러는 응답 본문을 반환하고, 필요하면 ctx.status로 상태 코드를 지정한다
+            const ctx = { req, params: matched.params, query, body, user, status: 200 };
+            const result = await matched.handler(ctx);
+            sendJson(res, ctx.status, result ?? {});
+        } catch (error) {
+            if (error instanceof ApiError) {
+                const details = error.details || {};
+                const headers = details.retry_after ? { 'Retry-After': String(details.retry_after) } : {};
+                sendJson(res, error.status, { error: error.message, ...details }, headers);
+                return;
+            }
+            if (CONSTRAINT_ERRORS[error.code]) {
+                sendJson(res, 409, { error: CONSTRAINT_ERRORS[error.code] });
+                return;
+            }
+            console.error('API 처리 오류:', error);
+            sendJson(res, 500, { error: '서버 오류가 발생했습니다.' });
+        }
+    };
+}
+
+module.exports = {
+    createApi,
+    requireRole
+};
@@ -0,0 +1,80 @@
+/**
+ * 부스 코드 발급 (서버)
+ * src/js/booth-code.js와 같은 형식(영문 3자리 + 숫자 3자리)을 사용한다
+ */
+
+const crypto = require('crypto');
+const { selectOne } = require('./db');
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const NUMBERS = '0123456789';
+
+/**
+ * 6자리 랜덤 부스 코드 생성
+ */
+function generateBoothCode() {
+    let code = '';
+    for (let i = 0; i < 3; i++) {
+        code += LETTERS.charAt(crypto.randomInt(LETTERS.length));
+    }
+    for (let i = 0; i < 3; i++) {
+        code += NUMBERS.charAt(crypto.randomInt(NUMBERS.length));
+    }
+    return code;
+}
+
+/**
+ * 중복되지 않는 부스 코드 생성
+ */
+async function generateUniqueBoothCode(store, maxAttempts = 10) {
+    for (let i = 0; i < maxAttempts; i++) {
+        const code = generateBoothCode();
+        if (!await selectOne(store, 'booths', [['booth_code', 'eq', code]])) {
+            return code;
+        }
+    }
+    throw new Error('사용 가능한 부스 코드를 찾지 못했습니다.');
+}
+
+/**
+ * 부스에 새 코드 할당 (기존 코드는 무효화됨)
+ * @returns {Promise<Object|null>} 갱신된 부스 (없으면 null)
+ */
+async function assignCode(store, boothId, expiryDays = 30) {
+    const code = await generateUniqueBoothCode(store);
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + expiryDays);
+
+    const [booth] = await store.update('booths', {
+        booth_code: code,
+        code_expires_at: expiresAt.toISOString()
+    }, [['id', 'eq', boothId]]);
+
+    return booth || null;
+}
+
+/**
+ * 부스 코드 확인
+ * @returns {Promise<{ booth: Object|null, message: string }>}
+ */
+async function checkBoothCode(store, code) {
+    const booth = await selectOne(store, 'booths', [['booth_code', 'eq', code]]);
+
+    if (!booth) {
+        return { booth: null, message: '잘못된 부스 코드입니다.' };
+    }
+    if (booth.code_expires_at && new Date(booth.code_expires_at) < new Date()) {
+        return { booth: null, message: '만료된 부스 코드입니다.' };
+    }
+    if (!booth.is_active) {
+        return { booth: null, message: '비활성화된 부스입니다.' };
+    }
+    return { booth, message: '유효한 부스 코드입니다.' };
+}
+
+module.exports = {
+    generateBoothCode,
+    generateUniqueBoothCode,
+    assignCode,
+    checkBoothCode
+};
@@ -0,0 +1,237 @@
+/**
+ * 부스 운영 종료와 자동 정리
+ * - 운영 종료 처리 (운영자 종료, 교체, 교대, 강제 종료, 무응답 자동 종료)
+ * - 운영 정리 작업: 하트비트가 끊긴 운영 종료, 만료된 운영자 세션과 오래된 코드 입력 기록 삭제
+ *   (docs/booth-code-migration.sql의 cleanup_expired_sessions()와 같은 정리를 서버에서 주기적으로 실행)
+ */
+
+const { selectOne } = require('./db');
+
+const MINUTE_MS = 60 * 1000;
+
+// 운영자 화면이 이 시간 동안 응답(하트비트)이 없으면 운영 자동 종료 (기본 30분)
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+// 정리 작업 실행 간격 (1분)
+const SWEEP_INTERVAL_MS = MINUTE_MS;
+// 코드 입력 기록 보관 기간 (7일)
+const CODE_ATTEMPT_RETENTION_MS = 7 * 24 * 60 * MINUTE_MS;
+
+// 종료 방식 (booth_operations.end_reason)
+const END_REASONS = {
+    LOGOUT: 'logout',
+    REPLACED: 'replaced',
+    HANDOVER: 'handover',
+    FORCED: 'forced',
+    IDLE: 'idle'
+};
+
+// 교대 상태 (operation_handovers.status)
+const HANDOVER_STATUS = {
+    PENDING: 'pending',
+    ACKNOWLEDGED: 'acknowledged',
+    CANCELLED: 'cancelled'
+};
+
+// 종료된 세션으로 요청한 운영자에게 보여줄 안내
+const END_MESSAGES = {
+    [END_REASONS.LOGOUT]: '부스 운영이 종료되었습니다.',
+    [END_REASONS.REPLACED]: '다른 운영자가 이 부스 운영을 시작해 운영이 종료되었습니다.',
+    [END_REASONS.HANDOVER]: '다음 운영자가 인수를 확인해 교대가 완료되었습니다. 수고하셨습니다.',
+    [END_REASONS.FORCED]: '관리자가 부스 운영을 종료했습니다.',
+    [END_REASONS.IDLE]: '운영 화면의 응답이 오랫동안 없어 부스 운영이 자동 종료되었습니다.'
+};
+
+/**
+ * 운영이 받은 참가자 수 (participants.booth_operation_id 기준)
+ * 같은 부스를 여러 운영자가 동시에 운영해도 각자 받은 기록만 센다
+ */
+async function countOperationParticipants(store, operationId) {
+    const participants = await store.select('participants', {
+        filters: [['booth_operation_id', 'eq', operationId]]
+    });
+    return participants.length;
+}
+
+/**
+ * 운영 종료 처리 (세션 무효화 포함)
+ * 세션 행은 만료 시각까지 남겨 두어, 종료된 토큰으로 요청한 운영자 화면이 종료 사유를 받을 수 있게 한다
+ * @param {Object} options
+ * @param {string} options.reason - END_REASONS 값
+ * @param {string} options.endedBy - 종료한 관리자 아이디
+ * @param {string} options.message - 운영자에게 전할 말
+ * @param {string} options.endedAt - 실제 종료 시각 (기본값: 지금, 자동 종료는 마지막 활동 시각)
+ */
+async function finishOperation(store, operation, {
+    reason = END_REASONS.LOGOUT, endedBy = null, message = null, endedAt = null
+} = {}) {
+    const now = new Date().toISOString();
+    const totalParticipants = await countOperationParticipants(store, operation.id);
+
+    const [ended] = await store.update('booth_operations', {
+        is_active: false,
+        ended_at: endedAt || now,
+        total_participants: totalParticipants,
+        end_reason: reason,
+        ended_by: endedBy,
+        end_message: message,
+        updated_at: now
+    }, [['id', 'eq', operation.id]]);
+
+    await store.update('operator_sessions', { revoked_at: now }, [
+        ['booth_operation_id', 'eq', operation.id],
+        ['revoked_at', 'is', null]
+    ]);
+
+    // 교대 외의 방식으로 끝나면 인수할 운영이 없어지므로 대기 중인 교대 요청 취소
+    if (reason !== END_REASONS.HANDOVER) {
+        await store.update('operation_handovers', { status: HANDOVER_STATUS.CANCELLED }, [
+            ['from_operation_id', 'eq', operation.id],
+            ['status', 'eq', HANDOVER_STATUS.PENDING]
+        ]);
+    }
+
+    return ended;
+}
+
+/**
+ * 종료된 운영자 세션의 종료 안내 (세션이 없거나 종료되지 않았으면 null)
+ */
+async function describeEndedSession(store, token) {
+    if (!token) return null;
+    const session = await selectOne(store, 'operator_sessions', [['session_token', 'eq', token]]);
+    if (!session) return null;
+
+    const operation = await selectOne(store, 'booth_operations', [['id', 'eq', session.booth_operation_id]]);
+    if (!operation || operation.is_active) return null;
+
+    const reason = operation.end_reason || END_REASONS.LOGOUT;
+    const notice = END_MESSAGES[reason] || END_MESSAGES[END_REASONS.LOGOUT];
+    return {
+        message: operation.end_message ? `${notice} (${operation.end_message})` : notice,
+        reason
+    };
+}
+
+/**
+ * 하트비트가 끊긴 운영 종료
+ * - 운영의 마지막 활동은 세션들의 last_activity 중 가장 늦은 값 (세션이 없으면 시작 시각)
+ * - 마지막 활동이 idleTimeoutMinutes보다 오래됐거나, 세션이 모두 만료되어 더 이상 운영할 수 없으면 종료
+ * - 종료 시각은 마지막 활동 시각 (탭을 닫은 뒤의 시간은 운영 시간에 넣지 않음)
+ * @returns {Promise<number>} 종료한 운영 수
+ */
+async function endIdleOperations(store, idleTimeoutMinutes, now = new Date()) {
+    const idleLimit = now.getTime() - idleTimeoutMinutes * MINUTE_MS;
+    const operations = await store.select('booth_operations', {
+        filters: [['is_active', 'eq', true]]
+    });
+
+    let endedCount = 0;
+    for (const operation of operations) {
+        const sessions = await store.select('operator_sessions', {
+            filters: [['booth_operation_id', 'eq', operation.id]]
+        });
+        const lastActivity = sessions
+            .map(session => session.last_activity)
+            .filter(Boolean)
+            .reduce((latest, time) => (Date.parse(time) > Date.parse(latest) ? time : latest), operation.started_at);
+
+        const allExpired = sessions.length > 0
+            && sessions.every(session => Date.parse(session.expires_at) < now.getTime());
+
+        if (Date.parse(lastActivity) < idleLimit || allExpired) {
+            await finishOperation(store, operation, { reason: END_REASONS.IDLE, endedAt: lastActivity });
+            endedCount += 1;
+        }
+    }
+    return endedCount;
+}
+
+/**
+ * 무응답으로 종료된 운영의 종료 시각 늘리기
+ * 종료 시각은 마지막 하트비트이므로, 연결이 끊긴 채 받은 오프라인 기록이 나중에 재전송되면 그 작성 시각까지 운영 시간으로 본다
+ * @param {string} endedAt - 늘릴 종료 시각 (지금 종료 시각보다 이르면 바꾸지 않음)
+ * @returns {Promise<Object>} 운영
+ */
+async function extendIdleOperation(store, operation, endedAt) {
+    if (Date.parse(endedAt) <= Date.parse(operation.ended_at)) return operation;
+    const [extended] = await store.update('booth_operations', {
+        ended_at: endedAt,
+        updated_at: new Date().toISOString()
+    }, [['id', 'eq', operation.id], ['ended_at', 'lt', endedAt]]);
+    return extended || operation;
+}
+
+/**
+ * 만료된 운영자 세션과 오래된 코드 입력/로그인 기록 삭제 (cleanup_expired_sessions()와 동일)
+ */
+async function cleanupExpiredSessions(store, now = new Date()) {
+    const sessions = await store.remove('operator_sessions', [['expires_at', 'lt', now.toISOString()]]);
+    const before = new Date(now.getTime() - CODE_ATTEMPT_RETENTION_MS).toISOString();
+    const attempts = await store.remove('code_attempts', [['attempted_at', 'lt', before]]);
+    const logins = await store.remove('login_attempts', [['attempted_at', 'lt', before]]);
+    return { sessions: sessions.length, attempts: attempts.length + logins.length };
+}
+
+/**
+ * 운영 정리 작업 생성
+ * @param {Object} store - 저장소 어댑터
+ * @param {Object} options
+ * @param {number} options.idleTimeoutMinutes - 무응답 자동 종료 시간 (기본값: OPERATOR_IDLE_TIMEOUT_MINUTES 환경 변수 또는 30분)
+ * @param {number} options.intervalMs - 실행 간격
+ */
+function createOperationSweeper(store, {
+    idleTimeoutMinutes = Number(process.env.OPERATOR_IDLE_TIMEOUT_MINUTES) || DEFAULT_IDLE_TIMEOUT_MINUTES,
+    intervalMs = SWEEP_INTERVAL_MS
+} = {}) {
+    let timer = null;
+    let running = false;
+
+    /**
+     * 한 번 실행 (이전 실행이 끝나지 않았으면 건너뜀)
+     */
+    async function sweep() {
+        if (running) return null;
+        running = true;
+        try {
+            const now = new Date();
+            const endedOperations = await endIdleOperations(store, idleTimeoutMinutes, now);
+            const removed = await cleanupExpiredSessions(store, now);
+            if (endedOperations > 0) {
+                console.log(`무응답 운영 ${endedOperations}건을 자동 종료했습니다.`);
+            }
+            return { endedOperations, removedSessions: removed.sessions, removedAttempts: removed.attempts };
+        } catch (error) {
+            console.error('운영 정리 작업 실패:', error);
+            return null;
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        idleTimeoutMinutes,
+        sweep,
+        start() {
+            if (timer) return;
+            sweep();
+            timer = setInterval(sweep, intervalMs);
+            // 정리 작업 때문에 프로세스가 종료되지 않는 일이 없도록
+            timer.unref();
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    END_REASONS,
+    HANDOVER_STATUS,
+    finishOperation,
+    describeEndedSession,
+    endIdleOperations,
+    extendIdleOperation,
+    cleanupExpiredSessions,
+    createOperationSweeper
+};
@@ -0,0 +1,221 @@
+/**
+ * 부스 코드, 계정 로그인 입력 제한
+ * 모든 코드 입력을 code_attempts에, 로그인을 login_attempts에 기록하고 실패가 반복되면 잠시 입력을 막는다
+ * (docs/booth-operator-system.md "보안 강화")
+ *
+ * - 부스 코드, 같은 IP: 5분 안에 3회 틀리면 5분 대기, 1시간 안에 5회 틀리면 1시간 대기
+ * - 부스 코드, 같은 코드: 여러 IP에서 1시간 안에 5회 실패하면 1시간 동안 그 코드 입력 차단
+ * - 로그인, 같은 IP: 5분 안에 5회 틀리면 5분 대기, 1시간 안에 10회 틀리면 1시간 대기
+ * - 로그인, 같은 사용자명: 여러 IP에서 1시간 안에 10회 실패하면 15분 동안 그 계정 로그인 차단
+ * - 제한 중인 입력도 기록하지만 실패 횟수에는 넣지 않음 (대기 시간이 계속 늘어나지 않도록)
+ */
+
+const { ApiError, getClientIp } = require('./http-utils');
+const { checkBoothCode } = require('./booth-codes');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// 제한 중 입력의 error_message (docs/booth-code-migration.sql과 동일)
+const THROTTLED_MESSAGE = '시도 횟수 초과';
+
+/**
+ * 잠금 규칙
+ * 가장 최근 실패 limit회가 windowMs 안에 있으면 마지막 실패부터 lockMs 동안 잠금
+ */
+const LOCK_RULES = [
+    { scope: 'ip', limit: 3, windowMs: 5 * MINUTE_MS, lockMs: 5 * MINUTE_MS },
+    { scope: 'ip', limit: 5, windowMs: HOUR_MS, lockMs: HOUR_MS },
+    { scope: 'code', limit: 5, windowMs: HOUR_MS, lockMs: HOUR_MS }
+];
+
+const LOGIN_LOCK_RULES = [
+    { scope: 'ip', limit: 5, windowMs: 5 * MINUTE_MS, lockMs: 5 * MINUTE_MS },
+    { scope: 'ip', limit: 10, windowMs: HOUR_MS, lockMs: HOUR_MS },
+    { scope: 'username', limit: 10, windowMs: HOUR_MS, lockMs: 15 * MINUTE_MS }
+];
+
+// 입력 종류별 기록 테이블과 잠금 규칙 (scope → 기록 컬럼)
+const ATTEMPT_KINDS = {
+    code: {
+        table: 'code_attempts',
+        rules: LOCK_RULES,
+        columns: { ip: 'ip_address', code: 'attempted_code' }
+    },
+    login: {
+        table: 'login_attempts',
+        rules: LOGIN_LOCK_RULES,
+        columns: { ip: 'ip_address', username: 'username' }
+    }
+};
+
+const LOCK_MESSAGES = {
+    ip: '코드 입력 실패가 반복되어 잠시 입력이 제한됩니다.',
+    code: '이 코드로 실패한 시도가 많아 잠시 입력이 제한됩니다.'
+};
+
+const LOGIN_LOCK_MESSAGES = {
+    ip: '로그인 실패가 반복되어 잠시 로그인이 제한됩니다.',
+    username: '이 계정으로 실패한 로그인이 많아 잠시 로그인이 제한됩니다.'
+};
+
+/**
+ * 남은 대기 시간 안내 문구
+ */
+function formatWait(seconds) {
+    const minutes = Math.ceil(seconds / 60);
+    return minutes >= 2 ? `${minutes}분 후에 다시 시도해주세요.` : '잠시 후에 다시 시도해주세요.';
+}
+
+/**
+ * 최근 실패 기록 (제한 중 입력 제외, 최신순)
+ */
+async function recentFailures(store, table, column, value, limit, since) {
+    return store.select(table, {
+        filters: [
+            [column, 'eq', value],
+            ['success', 'eq', false],
+            ['error_message', 'neq', THROTTLED_MESSAGE],
+            ['attempted_at', 'gte', since.toISOString()]
+        ],
+        order: { column: 'attempted_at', ascending: false },
+        limit
+    });
+}
+
+/**
+ * 현재 잠금 상태 확인
+ * @param {Object} store - 저장소 어댑터
+ * @param {Object} values - 잠금 범위별 값 (부스 코드 { ip, code }, 로그인 { ip, username })
+ * @param {string} kind - 입력 종류 (code | login)
+ * @returns {Promise<Object|null>} 잠겨 있으면 { scope, retryAfter(초) }
+ */
+async function getLockout(store, values, kind = 'code') {
+    const { table, rules, columns } = ATTEMPT_KINDS[kind];
+    const now = Date.now();
+    let lockout = null;
+
+    for (const rule of rules) {
+        const value = values[rule.scope];
+        if (!value) continue;
+
+        const since = new Date(now - rule.windowMs - rule.lockMs);
+        const failures = await recentFailures(store, table, columns[rule.scope], value, rule.limit, since);
+        if (failures.length < rule.limit) continue;
+
+        const latest = new Date(failures[0].attempted_at).getTime();
+        const oldest = new Date(failures[rule.limit - 1].attempted_at).getTime();
+        if (latest - oldest > rule.windowMs) continue;
+
+        const retryAfter = Math.ceil((latest + rule.lockMs - now) / 1000);
+        if (retryAfter > 0 && (!lockout || retryAfter > lockout.retryAfter)) {
+            lockout = { scope: rule.scope, retryAfter };
+        }
+    }
+
+    return lockout;
+}
+
+/**
+ * 입력 기록
+ */
+async function recordAttempt(store, { code, ip, userAgent, success, boothId = null, errorMessage = null }) {
+    await store.insert('code_attempts', {
+        attempted_code: code,
+        ip_address: ip,
+        user_agent: userAgent,
+        success,
+        booth_id: boothId,
+        error_message: errorMessage
+    });
+}
+
+function lockoutError(lockout, prefix = '', messages = LOCK_MESSAGES) {
+    const message = `${prefix}${messages[lockout.scope]} ${formatWait(lockout.retryAfter)}`;
+    return new ApiError(429, message, { retry_after: lockout.retryAfter });
+}
+
+function getUserAgent(req) {
+    return req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 500) : null;
+}
+
+/**
+ * 입력 제한을 적용한 부스 코드 확인
+ * - 잠금 중이면 429 (retry_after: 남은 초)
+ * - 틀린 코드는 400, 이번 실패로 잠기면 429
+ * @param {Object} store - 저장소 어댑터
+ * @param {http.IncomingMessage} req - 요청 (IP, User-Agent 기록용)
+ * @param {string} code - 검증된 6자리 코드
+ * @returns {Promise<{ booth: Object, message: string }>}
+ */
+async function checkBoothCodeAttempt(store, req, code) {
+    const ip = getClientIp(req);
+    const userAgent = getUserAgent(req);
+
+    const lockout = await getLockout(store, { ip, code });
+    if (lockout) {
+        await recordAttempt(store, { code, ip, userAgent, success: false, errorMessage: THROTTLED_MESSAGE });
+        throw lockoutError(lockout);
+    }
+
+    const { booth, message } = await checkBoothCode(store, code);
+    await recordAttempt(store, {
+        code,
+        ip,
+        userAgent,
+        success: Boolean(booth),
+        boothId: booth ? booth.id : null,
+        errorMessage: booth ? null : message
+    });
+
+    if (!booth) {
+        const lockedNow = await getLockout(store, { ip, code });
+        if (lockedNow) throw lockoutError(lockedNow, `${message} `);
+        throw new ApiError(400, message);
+    }
+
+    return { booth, message };
+}
+
+/**
+ * 입력 제한을 적용한 계정 로그인
+ * - 잠금 중이면 비밀번호를 확인하지 않고 429 (retry_after: 남은 초)
+ * - 실패는 login_attempts에 기록하고, 이번 실패로 잠기면 429
+ * @param {Object} store - 저장소 어댑터
+ * @param {http.IncomingMessage} req - 요청 (IP, User-Agent 기록용)
+ * @param {string} username - 입력한 사용자명
+ * @param {Function} verify - async () => 로그인 결과 (실패하면 null)
+ * @param {string} failureMessage - 실패 시 메시지 (401)
+ * @returns {Promise<Object>} verify 결과
+ */
+async function checkLoginAttempt(store, req, username, verify, failureMessage) {
+    const ip = getClientIp(req);
+    const record = (success, errorMessage = null) => store.insert('login_attempts', {
+        username,
+        ip_address: ip,
+        user_agent: getUserAgent(req),
+        success,
+        error_message: errorMessage
+    });
+
+    const lockout = await getLockout(store, { ip, username }, 'login');
+    if (lockout) {
+        await record(false, THROTTLED_MESSAGE);
+        throw lockoutError(lockout, '', LOGIN_LOCK_MESSAGES);
+    }
+
+    const result = await verify();
+    await record(Boolean(result), result ? null : failureMessage);
+    if (result) return result;
+
+    const lockedNow = await getLockout(store, { ip, username }, 'login');
+    if (lockedNow) throw lockoutError(lockedNow, `${failureMessage} `, LOGIN_LOCK_MESSAGES);
+    throw new ApiError(401, failureMessage);
+}
+
+module.exports = {
+    THROTTLED_MESSAGE,
+    getLockout,
+    checkBoothCodeAttempt,
+    checkLoginAttempt
+};
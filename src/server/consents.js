@@ -0,0 +1,198 @@
+/**
+ * 개인정보 수집·이용 동의서
+ * 동의서는 행사별로 버전을 매겨 저장하고, 한 번 게시한 버전은 고치지 않는다 (내용을 바꾸면 새 버전)
+ * 참가자 기록은 동의한 동의서 ID, 버전, 동의 시각을 함께 저장해 누가 어떤 내용에 동의했는지 증명한다
+ * 만 14세 미만(나이를 확인할 수 없거나 유아·초등 교급 포함) 참가자는 법정대리인 동의(보호자 이름, 관계, 연락처, 서명)를
+ * guardian_consents에 함께 저장한다 (동의가 필요한지는 화면과 함께 쓰는 src/shared/consent.js의 기준)
+ */
+
+const { ApiError } = require('./http-utils');
+const { selectOne } = require('./db');
+const { getRetentionDays } = require('./retention');
+const { requireString, requireId, optionalTimestamp, optionalPhone } = require('./validators');
+const { getGuardianConsentReason, buildDefaultConsentBody, rewriteRetentionPeriod } = require('../shared/consent.js');
+
+const DEFAULT_CONSENT_TITLE = '개인정보 수집 및 이용 동의';
+// 서명 이미지(PNG data URL) 최대 길이
+const MAX_SIGNATURE_LENGTH = 300 * 1024;
+
+/**
+ * 행사 동의서 조건 (행사 없는 부스는 event_id가 null인 동의서)
+ */
+function eventFilter(eventId) {
+    return eventId ? ['event_id', 'eq', eventId] : ['event_id', 'is', null];
+}
+
+/**
+ * 행사의 동의서 버전 목록 (최신 버전부터)
+ */
+async function listConsentDocuments(store, eventId) {
+    return store.select('consent_documents', {
+        filters: [eventFilter(eventId)],
+        order: { column: 'version', ascending: false }
+    });
+}
+
+/**
+ * 새 버전 게시
+ * @param {Object} document - { eventId, title, body, createdBy }
+ */
+async function publishConsentDocument(store, { eventId, title, body, createdBy = null }) {
+    const [latest] = await listConsentDocuments(store, eventId);
+    const [created] = await store.insert('consent_documents', {
+        event_id: eventId || null,
+        version: latest ? latest.version + 1 : 1,
+        title,
+        body,
+        created_by: createdBy
+    });
+    return created;
+}
+
+/**
+ * 행사의 현재(최신) 동의서 (없으면 null)
+ */
+async function getCurrentConsentDocument(store, event) {
+    const [latest] = await listConsentDocuments(store, event ? event.id : null);
+    return latest || null;
+}
+
+/**
+ * 행사에 동의서가 없으면 기본 내용으로 1번 버전을 게시 (행사, 부스를 만들 때)
+ * 방명록 화면의 현재 동의서 조회는 게시하지 않으므로 여러 기기가 동시에 조회해도 버전이 겹치지 않는다
+ * @param {Object|null} event - 행사 (행사 없는 부스는 null)
+ */
+async function ensureDefaultConsentDocument(store, event) {
+    const eventId = event ? event.id : null;
+    const current = await getCurrentConsentDocument(store, event);
+    if (current) return current;
+
+    try {
+        return await publishConsentDocument(store, {
+            eventId,
+            title: DEFAULT_CONSENT_TITLE,
+            body: buildDefaultConsentBody(getRetentionDays(event)),
+            createdBy: 'system'
+        });
+    } catch (error) {
+        // 같은 행사에 동시에 게시된 경우 먼저 게시된 버전 사용
+        const published = error.code === '23505' ? await getCurrentConsentDocument(store, event) : null;
+        if (published) return published;
+        throw error;
+    }
+}
+
+/**
+ * 보유 기간을 바꾼 행사에 바뀐 기간을 안내하는 새 버전 게시 (행사 수정)
+ * 최신 버전 내용의 보유 기간 문구를 고쳐 쓰고, 문구를 찾을 수 없거나 동의서가 없으면 기본 안내문으로 게시한다
+ * @param {Object} event - 보유 기간을 바꾼 행사
+ * @param {number} previousDays - 바꾸기 전 보유 기간 (일)
+ * @param {string} createdBy - 행사를 수정한 관리자 아이디
+ * @returns {Promise<Object|null>} 게시한 동의서 (보유 기간이 그대로면 null)
+ */
+async function publishRetentionChange(store, event, previousDays, createdBy) {
+    const retentionDays = getRetentionDays(event);
+    if (retentionDays === previousDays) return null;
+
+    const current = await getCurrentConsentDocument(store, event);
+    const body = current ? rewriteRetentionPeriod(current.body, previousDays, retentionDays) : null;
+    return publishConsentDocument(store, {
+        eventId: event.id,
+        title: current ? current.title : DEFAULT_CONSENT_TITLE,
+        body: body || buildDefaultConsentBody(retentionDays),
+        createdBy
+    });
+}
+
+/**
+ * 동의서가 없는 기존 행사에 기본 동의서 게시 (서버 시작 시, 여러 번 실행해도 같은 결과)
+ * 동의서 기능 이전에 만든 행사와 행사 없는 부스는 동의서가 없어 방명록을 받을 수 없으므로 채운다
+ * @param {Object} store - 저장소 어댑터
+ * @returns {Promise<number>} 게시한 동의서 수
+ */
+async function ensureDefaultConsentDocuments(store) {
+    const events = await store.select('events');
+    const [boothWithoutEvent] = await store.select('booths', { filters: [['event_id', 'is', null]], limit: 1 });
+    const targets = boothWithoutEvent ? [...events, null] : events;
+
+    let published = 0;
+    for (const event of targets) {
+        if (await getCurrentConsentDocument(store, event)) continue;
+        await ensureDefaultConsentDocument(store, event);
+        published += 1;
+    }
+    return published;
+}
+
+/**
+ * 방명록 등록 시 동의 확인
+ * - consent_document_id: 참가자가 본 동의서 (부스 행사의 동의서여야 함, 이전 버전도 허용: 오프라인 기록)
+ * - consentedAt: 동의 시각 (작성 시각보다 늦을 수 없음)
+ * @returns {Promise<Object>} participants에 저장할 동의 컬럼
+ */
+async function resolveConsent(store, body, booth, consentedAt, createdAt) {
+    if (body.consent_document_id === undefined || body.consent_document_id === null || body.consent_document_id === '') {
+        throw new ApiError(400, '개인정보 수집·이용 동의가 필요합니다.');
+    }
+
+    const document = await selectOne(store, 'consent_documents', [
+        ['id', 'eq', requireId(body.consent_document_id, '동의서 ID')]
+    ]);
+    if (!document || (document.event_id || null) !== (booth.event_id || null)) {
+        throw new ApiError(400, '이 부스 행사의 동의서가 아닙니다. 동의 내용을 다시 확인해주세요.');
+    }
+
+    return {
+        consent_document_id: document.id,
+        consent_version: document.version,
+        consented_at: Date.parse(consentedAt) > Date.parse(createdAt) ? createdAt : consentedAt
+    };
+}
+
+/**
+ * 법정대리인 동의 확인
+ * - 동의가 필요하면(getGuardianConsentReason) guardian(보호자 이름, 관계, 연락처, 서명)이 있어야 함
+ * - 필요 없어도 화면이 보낸 보호자 동의는 저장 (날짜 경계에서 화면과 서버 판단이 다를 수 있음)
+ * @param {Object} guardian - 요청 본문의 guardian
+ * @param {Object} participant - 검증된 참가자 값 { birth_date, school_level } (양식에 없는 항목은 null)
+ * @param {string} createdAt - 작성 시각
+ * @returns {Object|null} guardian_consents에 저장할 컬럼 (participant_id, event_id 제외)
+ */
+function resolveGuardianConsent(guardian, participant, createdAt) {
+    if (!guardian) {
+        const reason = getGuardianConsentReason(participant, createdAt);
+        if (reason) throw new ApiError(400, reason);
+        return null;
+    }
+
+    const signature = guardian.signature_image;
+    if (typeof signature !== 'string' || !signature.startsWith('data:image/png;base64,')) {
+        throw new ApiError(400, '보호자 서명이 필요합니다.');
+    }
+    if (signature.length > MAX_SIGNATURE_LENGTH) {
+        throw new ApiError(400, '서명 이미지가 너무 큽니다.');
+    }
+
+    const phone = optionalPhone(guardian.phone, '보호자 연락처');
+    if (!phone) throw new ApiError(400, '보호자 연락처는 필수 입력 항목입니다.');
+
+    const signedAt = optionalTimestamp(guardian.signed_at, '서명 시각') || createdAt;
+    return {
+        guardian_name: requireString(guardian.name, '보호자 이름', 50),
+        relationship: requireString(guardian.relationship, '보호자 관계', 20),
+        guardian_phone: phone,
+        signature_image: signature,
+        signed_at: Date.parse(signedAt) > Date.parse(createdAt) ? createdAt : signedAt
+    };
+}
+
+module.exports = {
+    resolveGuardianConsent,
+    listConsentDocuments,
+    publishConsentDocument,
+    getCurrentConsentDocument,
+    ensureDefaultConsentDocument,
+    ensureDefaultConsentDocuments,
+    publishRetentionChange,
+    resolveConsent
+};
@@ -0,0 +1,138 @@
+/**
+ * 정보주체 요청 처리 (한 사람의 기록 찾기, 내보내기, 파기/삭제)
+ * "아이 기록을 지워주세요" 같은 요청에 SQL 없이 답하기 위한 기능
+ * - 이름과 생년월일 또는 연락처로 모든 행사의 방명록 기록을 찾는다 (routes/participants.js buildFilters)
+ *   저장 형식(생년월일 YYYY-MM-DD, 연락처 숫자만)으로 비교하므로 예전 형식으로 저장된 기록은 서버 시작 시 바꾼다
+ * - 내보내기, 익명화, 삭제는 data_subject_requests에 처리 기록을 남긴다
+ *   처리 기록에는 그 사람의 개인정보를 남기지 않는다 (가운데를 가린 이름과 참가자 ID만)
+ */
+
+const { anonymizeParticipants } = require('./retention');
+const { maskName } = require('./privacy');
+const { optionalBirthDate, optionalPhone } = require('./validators');
+
+// 처리 방식 (data_subject_requests.action)
+const DATA_SUBJECT_ACTIONS = {
+    EXPORT: 'export',
+    ANONYMIZE: 'anonymize',
+    DELETE: 'delete'
+};
+
+/**
+ * 참가자 기록에 부스, 행사, 동의서, 법정대리인 동의 붙이기
+ * @param {Object} options
+ * @param {boolean} options.includeSignature - 보호자 서명 이미지 포함 (내보내기 파일)
+ */
+async function collectSubjectRecords(store, participants, { includeSignature = false } = {}) {
+    const idsOf = (rows, key) => [...new Set(rows.map(row => row[key]).filter(Boolean))];
+    const selectIn = (table, column, ids) => (ids.length > 0
+        ? store.select(table, { filters: [[column, 'in', ids]] })
+        : []);
+
+    const [booths, events, documents, guardians] = await Promise.all([
+        selectIn('booths', 'id', idsOf(participants, 'booth_id')),
+        selectIn('events', 'id', idsOf(participants, 'event_id')),
+        selectIn('consent_documents', 'id', idsOf(participants, 'consent_document_id')),
+        selectIn('guardian_consents', 'participant_id', participants.map(p => p.id))
+    ]);
+
+    return participants.map(participant => {
+        const booth = booths.find(b => b.id === participant.booth_id);
+        const event = events.find(e => e.id === participant.event_id);
+        const document = documents.find(d => d.id === participant.consent_document_id);
+        const guardian = guardians.find(g => g.participant_id === participant.id);
+
+        let guardianRecord = null;
+        if (guardian) {
+            const { signature_image: signature, ...rest } = guardian;
+            guardianRecord = includeSignature
+                ? guardian
+                : { ...rest, has_signature: Boolean(signature) };
+        }
+
+        return {
+            ...participant,
+            booth_name: booth ? booth.name : null,
+            event_name: event ? event.name : null,
+            consent_document: document
+                ? { id: document.id, version: document.version, title: document.title, body: document.body }
+                : null,
+            guardian_consent: guardianRecord
+        };
+    });
+}
+
+/**
+ * 처리 기록 남기기
+ * @param {Object} request - { action, participants, reason, requestedBy }
+ */
+async function recordSubjectRequest(store, { action, participants, reason = null, requestedBy = null }) {
+    const [created] = await store.insert('data_subject_requests', {
+        action,
+        subject_label: participants.length > 0 ? maskName(participants[0].name) : null,
+        participant_ids: JSON.stringify(participants.map(p => p.id)),
+        event_ids: JSON.stringify([...new Set(participants.map(p => p.event_id).filter(Boolean))]),
+        record_count: participants.length,
+        reason,
+        requested_by: requestedBy
+    });
+    return created;
+}
+
+/**
+ * 기록 파기 또는 삭제
+ * - anonymize: 보유 기간 파기와 같이 개인정보만 지우고 성별, 교급, 부스, 작성 시각은 통계용으로 남긴다
+ * - delete: 기록 자체를 삭제한다 (법정대리인 동의도 함께 삭제, 부스 통계에서도 빠진다)
+ * 처리 기록은 지우기 전에 남긴다 (가린 이름을 만들려면 원래 이름이 필요)
+ * @returns {Promise<Object>} { request, count }
+ */
+async function eraseSubjectRecords(store, participants, { mode, reason, requestedBy }) {
+    const request = await recordSubjectRequest(store, { action: mode, participants, reason, requestedBy });
+    const filters = [['id', 'in', participants.map(p => p.id)]];
+
+    const erased = mode === DATA_SUBJECT_ACTIONS.DELETE
+        ? await store.remove('participants', filters)
+        : await anonymizeParticipants(store, filters);
+
+    return { request, count: erased.length };
+}
+
+/**
+ * 예전 화면이 저장한 생년월일(YYYYMMDD)과 연락처(010-1234-5678)를 저장 형식으로 바꾸기 (여러 번 실행해도 같은 결과)
+ * 값마다 다르므로 기록마다 update하고, 형식을 알 수 없는 값은 그대로 둔다
+ * @param {Object} store - 저장소 어댑터
+ * @returns {Promise<number>} 바꾼 기록 수
+ */
+async function normalizeStoredContacts(store) {
+    const normalize = (parse, value) => {
+        try {
+            return parse(value);
+        } catch (error) {
+            return null;
+        }
+    };
+    const targets = [
+        ['birth_date', '________', optionalBirthDate],
+        ['phone', '%-%', optionalPhone]
+    ];
+
+    let changed = 0;
+    for (const [column, pattern, parse] of targets) {
+        const rows = await store.select('participants', { filters: [[column, 'like', pattern]] });
+        for (const row of rows) {
+            const value = normalize(parse, row[column]);
+            if (!value || value === row[column]) continue;
+            await store.update('participants', { [column]: value }, [['id', 'eq', row.id]]);
+            changed += 1;
+        }
+    }
+    return changed;
+}
+
+module.exports = {
+    DATA_SUBJECT_ACTIONS,
+    collectSubjectRecords,
+    recordSubjectRequest,
+    eraseSubjectRecords,
+    normalizeStoredContacts
+};
@@ -0,0 +1,78 @@
+/**
+ * 저장소 선택
+ * 환경 변수에 따라 사용할 저장소 어댑터를 생성한다
+ */
+
+const path = require('path');
+const { createSupabaseStore } = require('./supabase-store');
+const { createLocalStore } = require('./local-store');
+
+// Supabase 기본 프로젝트 URL
+const DEFAULT_SUPABASE_URL = 'https://jxvctchiwgbduzlkvohg.supabase.co';
+
+// 로컬 저장소 기본 파일 (프로젝트 루트의 data/)
+const DEFAULT_LOCAL_DB_FILE = path.join(__dirname, '..', '..', '..', 'data', 'festival-db.json');
+// 데모 서버 기본 파일 (운영 데이터 파일과 섞이지 않도록 따로 둔다)
+const DEFAULT_DEMO_DB_FILE = path.join(__dirname, '..', '..', '..', 'data', 'demo-db.json');
+
+/**
+ * 저장소 생성
+ * - DEMO_MODE=1: 데모용 로컬 JSON 파일 저장소 (DEMO_DB_FILE, Supabase에는 연결하지 않음)
+ * - DB_ADAPTER=local: 로컬 JSON 파일 저장소 (LOCAL_DB_FILE)
+ * - 그 외: Supabase (SUPABASE_URL, SUPABASE_SERVICE_KEY)
+ * @param {Object} env - 환경 변수 (기본값: process.env)
+ */
+function createStore(env = process.env) {
+    if (env.DEMO_MODE === '1') {
+        return createLocalStore({
+            file: env.DEMO_DB_FILE || DEFAULT_DEMO_DB_FILE,
+            adminPassword: env.ADMIN_INITIAL_PASSWORD
+        });
+    }
+
+    if (env.DB_ADAPTER === 'local') {
+        return createLocalStore({
+            file: env.LOCAL_DB_FILE || DEFAULT_LOCAL_DB_FILE,
+            adminPassword: env.ADMIN_INITIAL_PASSWORD
+        });
+    }
+
+    return createSupabaseStore({
+        url: env.SUPABASE_URL || DEFAULT_SUPABASE_URL,
+        serviceKey: env.SUPABASE_SERVICE_KEY
+    });
+}
+
+/**
+ * 첫 번째 행만 조회 (없으면 null)
+ */
+async function selectOne(store, table, filters) {
+    const rows = await store.select(table, { filters, limit: 1 });
+    return rows[0] || null;
+}
+
+/**
+ * 연관 테이블 행 붙이기 (Supabase의 `booths (name)` 임베드와 같은 형태)
+ * @param {Object} store - 저장소
+ * @param {Array} rows - 원본 행 목록
+ * @param {string} table - 연관 테이블 (예: booths)
+ * @param {string} foreignKey - 원본 행의 외래 키 컬럼 (예: booth_id)
+ * @returns {Promise<Array>} rows[i][table]에 연관 행이 붙은 목록
+ */
+async function embed(store, rows, table, foreignKey) {
+    const ids = [...new Set(rows.map(row => row[foreignKey]).filter(id => id !== null && id !== undefined))];
+    if (ids.length === 0) {
+        return rows.map(row => ({ ...row, [table]: null }));
+    }
+
+    const related = await store.select(table, { filters: [['id', 'in', ids]] });
+    const byId = new Map(related.map(item => [String(item.id), item]));
+
+    return rows.map(row => ({ ...row, [table]: byId.get(String(row[foreignKey])) || null }));
+}
+
+module.exports = {
+    createStore,
+    selectOne,
+    embed
+};
@@ -0,0 +1,581 @@
+/**
+ * 로컬 저장소 어댑터
+ * 인터넷 없이 노트북 한 대로 운영할 수 있도록 JSON 파일 하나에 모든 테이블을 저장한다
+ *
+ * supabase-store.js와 같은 인터페이스(select/insert/update/remove)를 제공하며
+ * schema.js의 기본값, NOT NULL, UNIQUE, 외래 키(ON DELETE) 제약과
+ * docs/booth-code-migration.sql의 트리거 동작을 그대로 따른다.
+ * 제약 위반 시 PostgreSQL과 같은 오류 코드(error.code)를 사용한다.
+ *
+ * - 변경 작업이 실패하면 작업 중에 남긴 되돌리기 기록(journal)으로 이전 상태를 복원한다
+ * - id와 UNIQUE 제약은 색인으로 확인하므로 행이 많아도 한 행 삽입의 비용이 늘지 않는다
+ * - 파일 저장은 변경 작업이 끝난 뒤 모아서 비동기로 한 번에 한다 (임시 파일에 쓴 뒤 교체)
+ *   프로세스가 끝날 때(종료 신호 포함) 아직 저장하지 않은 변경은 동기로 저장한다
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TABLES, createSeedRows } = require('./schema');
+
+// 저장 파일 형식 버전
+const FILE_VERSION = 1;
+
+// 아직 파일에 저장하지 않은 변경이 있는 저장소의 동기 저장 함수 (프로세스 종료 시 실행)
+const pendingWrites = new Set();
+const writePending = () => pendingWrites.forEach(writeSync => writeSync());
+process.on('exit', writePending);
+// 종료 신호는 exit 이벤트 없이 끝나므로 저장한 뒤 같은 신호로 다시 종료
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, () => {
+        writePending();
+        process.kill(process.pid, signal);
+    });
+});
+
+/**
+ * PostgreSQL 오류 코드를 가진 오류 생성
+ */
+function dbError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * 컬럼 타입에 맞게 값 변환
+ */
+function coerceValue(column, def, value) {
+    if (value === null || value === undefined) return null;
+
+    switch (def.type) {
+        case 'serial':
+        case 'integer': {
+            const number = Number(value);
+            if (value === '' || typeof value === 'boolean' || !Number.isInteger(number)) {
+                throw dbError('22P02', `invalid input syntax for type integer: "${value}" (${column})`);
+            }
+            return number;
+        }
+        case 'decimal': {
+            const number = Number(value);
+            if (value === '' || typeof value === 'boolean' || !Number.isFinite(number)) {
+                throw dbError('22P02', `invalid input syntax for type numeric: "${value}" (${column})`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            throw dbError('22P02', `invalid input syntax for type boolean: "${value}" (${column})`);
+        case 'date': {
+            const text = String(value).slice(0, 10);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) {
+                throw dbError('22007', `invalid input syntax for type date: "${value}" (${column})`);
+            }
+            return text;
+        }
+        case 'timestamp': {
+            const time = value instanceof Date ? value.getTime() : Date.parse(value);
+            if (Number.isNaN(time)) {
+                throw dbError('22007', `invalid input syntax for type timestamp: "${value}" (${column})`);
+            }
+            return new Date(time).toISOString();
+        }
+        default: {
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            if (def.maxLength && text.length > def.maxLength) {
+                throw dbError('22001', `value too long for type character varying(${def.maxLength}) (${column})`);
+            }
+            return text;
+        }
+    }
+}
+
+/**
+ * 정렬/비교용 값 (타임스탬프는 시간 값, 숫자는 숫자)
+ */
+function comparable(def, value) {
+    if (def.type === 'timestamp') return Date.parse(value);
+    return value;
+}
+
+/**
+ * 두 값 비교 (-1, 0, 1)
+ */
+function compare(def, a, b) {
+    const left = comparable(def, a);
+    const right = comparable(def, b);
+    if (left < right) return -1;
+    if (left > right) return 1;
+    return 0;
+}
+
+/**
+ * LIKE 패턴을 정규식으로 변환 (% → .*, _ → .)
+ */
+function likeToRegExp(pattern, caseInsensitive) {
+    const source = String(pattern)
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/%/g, '.*')
+        .replace(/_/g, '.');
+    return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+}
+
+/**
+ * 로컬 저장소 생성
+ * @param {Object} options
+ * @param {string} options.file - 데이터 파일 경로 (없으면 새로 만든다)
+ * @param {string} options.adminPassword - 새 파일의 기본 관리자 비밀번호 (없으면 임의로 만들어 로그에 출력)
+ */
+function createLocalStore({ file, adminPassword }) {
+    if (!file) {
+        throw new Error('LOCAL_DB_FILE 경로가 필요합니다.');
+    }
+
+    let state = load();
+    const tempFile = `${file}.tmp`;
+    // 테이블별 색인: byId(id → 행), unique(UNIQUE 제약마다 값 → 행)
+    const indexes = {};
+    Object.keys(TABLES).forEach(table => {
+        indexes[table] = { byId: new Map(), unique: TABLES[table].unique.map(() => new Map()) };
+        state.tables[table].forEach(row => indexRow(table, row));
+    });
+    // 진행 중인 변경 작업의 되돌리기 기록 (작업 밖에서는 null)
+    let journal = null;
+    // 파일 저장 상태: dirty(저장할 변경 있음), writing(저장 중인 작업)
+    let dirty = false;
+    let writing = null;
+
+    /**
+     * 데이터 파일 읽기 (없으면 빈 테이블과 기본 데이터로 초기화)
+     */
+    function load() {
+        let data = null;
+        if (fs.existsSync(file)) {
+            data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            if (data.version !== FILE_VERSION) {
+                throw new Error(`지원하지 않는 데이터 파일 버전입니다: ${data.version}`);
+            }
+        }
+
+        const loaded = {
+            version: FILE_VERSION,
+            sequences: { ...(data?.sequences || {}) },
+            tables: {}
+        };
+
+        // 스키마에 새로 추가된 테이블은 빈 테이블로 시작
+        Object.keys(TABLES).forEach(table => {
+            loaded.tables[table] = data?.tables?.[table] || [];
+            loaded.sequences[table] = loaded.sequences[table] || 0;
+        });
+
+        return loaded;
+    }
+
+    /**
+     * 데이터 파일 저장 예약 (같은 틱의 변경은 한 번에 저장, 저장 중에 바뀌면 끝난 뒤 다시 저장)
+     * 임시 파일에 쓴 뒤 교체해 중간에 꺼져도 파일이 깨지지 않도록 한다
+     */
+    function schedulePersist() {
+        dirty = true;
+        pendingWrites.add(writeSync);
+        if (writing) return;
+
+        writing = (async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            try {
+                while (dirty) {
+                    dirty = false;
+                    const data = JSON.stringify(state);
+                    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                    await fs.promises.writeFile(tempFile, data);
+                    await fs.promises.rename(tempFile, file);
+                }
+                pendingWrites.delete(writeSync);
+            } catch (error) {
+                console.error('로컬 저장소 파일 저장 실패:', error.message);
+            } finally {
+                writing = null;
+            }
+        })();
+    }
+
+    /**
+     * 저장하지 않은 변경을 바로 동기로 저장 (프로세스 종료 시)
+     */
+    function writeSync() {
+        if (!dirty && !writing) return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify(state));
+        fs.renameSync(tempFile, file);
+        dirty = false;
+        pendingWrites.delete(writeSync);
+    }
+
+    /**
+     * 변경 작업 실행 (오류 시 되돌리기 기록으로 이전 상태를 복원하고, 성공 시 파일 저장 예약)
+     */
+    function transaction(work) {
+        const sequences = { ...state.sequences };
+        journal = [];
+        try {
+            const result = work();
+            schedulePersist();
+            return result;
+        } catch (error) {
+            journal.reverse().forEach(undo => undo());
+            state.sequences = sequences;
+            throw error;
+        } finally {
+            journal = null;
+        }
+    }
+
+    /**
+     * 되돌리기 기록 추가 (변경 작업이 실패하면 역순으로 실행)
+     */
+    function record(undo) {
+        if (journal) journal.push(undo);
+    }
+
+    /**
+     * UNIQUE 제약 비교 값 (NULL이 있으면 null: PostgreSQL과 같이 UNIQUE 비교에서 제외)
+     */
+    function uniqueKey(columns, row) {
+        if (columns.some(column => row[column] === null || row[column] === undefined)) return null;
+        return JSON.stringify(columns.map(column => row[column]));
+    }
+
+    /**
+     * 행을 색인에 추가
+     */
+    function indexRow(table, row) {
+        const index = indexes[table];
+        if (row.id !== undefined && row.id !== null) index.byId.set(row.id, row);
+        TABLES[table].unique.forEach((columns, i) => {
+            const key = uniqueKey(columns, row);
+            if (key !== null) index.unique[i].set(key, row);
+        });
+    }
+
+    /**
+     * 행을 색인에서 제거
+     * @param {Object} values - 색인에 넣을 때의 값 (수정 전 값, 기본값: 행)
+     */
+    function unindexRow(table, row, values = row) {
+        const index = indexes[table];
+        if (index.byId.get(values.id) === row) index.byId.delete(values.id);
+        TABLES[table].unique.forEach((columns, i) => {
+            const key = uniqueKey(columns, values);
+            if (key !== null && index.unique[i].get(key) === row) index.unique[i].delete(key);
+        });
+    }
+
+    /**
+     * 조건에 맞는 행 (id 조건이 있으면 색인으로 찾음)
+     */
+    function findRows(table, filters) {
+        const byId = filters.find(([column, op]) => column === 'id' && op === 'eq');
+        let candidates = state.tables[table];
+        if (byId) {
+            const row = indexes[table].byId.get(coerceValue('id', getColumn(table, 'id'), byId[2]));
+            candidates = row ? [row] : [];
+        }
+        return candidates.filter(row => matches(table, row, filters));
+    }
+
+    /**
+     * 행의 값 바꾸기 (제약 확인, 색인 갱신, 되돌리기 기록)
+     * @returns {Object} 바꾸기 전 값
+     */
+    function updateRow(table, row, values) {
+        const oldRow = { ...row };
+        unindexRow(table, row);
+        Object.assign(row, values);
+        record(() => {
+            unindexRow(table, row);
+            Object.keys(row).forEach(column => { row[column] = oldRow[column]; });
+            indexRow(table, row);
+        });
+        checkConstraints(table, row);
+        indexRow(table, row);
+        return oldRow;
+    }
+
+    function getTable(table) {
+        const schema = TABLES[table];
+        if (!schema) {
+            throw dbError('42P01', `relation "${table}" does not exist`);
+        }
+        return schema;
+    }
+
+    function getColumn(table, column) {
+        const def = getTable(table).columns[column];
+        if (!def) {
+            throw dbError('42703', `column "${column}" of relation "${table}" does not exist`);
+        }
+        return def;
+    }
+
+    /**
+     * 행이 필터 조건을 모두 만족하는지 확인
+     */
+    function matches(table, row, filters) {
+        return filters.every(([column, op, value]) => {
+            const def = getColumn(table, column);
+            const actual = row[column] ?? null;
+
+            if (op === 'is') {
+                return value === null ? actual === null : actual === coerceValue(column, def, value);
+            }
+            if (op === 'like' || op === 'ilike') {
+                return actual !== null && likeToRegExp(value, op === 'ilike').test(String(actual));
+            }
+            if (actual === null) return false;
+
+            if (op === 'in') {
+                return value.some(item => compare(def, actual, coerceValue(column, def, item)) === 0);
+            }
+
+            const expected = coerceValue(column, def, value);
+            if (expected === null) return false;
+            const result = compare(def, actual, expected);
+
+            switch (op) {
+                case 'eq': return result === 0;
+                case 'neq': return result !== 0;
+                case 'gt': return result > 0;
+                case 'gte': return result >= 0;
+                case 'lt': return result < 0;
+                case 'lte': return result <= 0;
+                default:
+                    throw dbError('42883', `지원하지 않는 필터 연산자입니다: ${op}`);
+            }
+        });
+    }
+
+    /**
+     * 입력값을 스키마에 맞게 정리 (알 수 없는 컬럼 거부, 타입 변환)
+     */
+    function normalizeValues(table, values) {
+        const result = {};
+        Object.entries(values).forEach(([column, value]) => {
+            if (value === undefined) return;
+            result[column] = coerceValue(column, getColumn(table, column), value);
+        });
+        return result;
+    }
+
+    /**
+     * NOT NULL, 외래 키, UNIQUE 제약 확인
+     */
+    function checkConstraints(table, row) {
+        const schema = getTable(table);
+
+        Object.entries(schema.columns).forEach(([column, def]) => {
+            const value = row[column];
+
+            if (def.notNull && (value === null || value === undefined)) {
+                throw dbError('23502', `null value in column "${column}" of relation "${table}" violates not-null constraint`);
+            }
+
+            if (def.references && value !== null && value !== undefined) {
+                if (!indexes[def.references.table].byId.has(value)) {
+                    throw dbError('23503', `insert or update on table "${table}" violates foreign key constraint (${column}=${value})`);
+                }
+            }
+        });
+
+        schema.unique.forEach((columns, i) => {
+            // NULL은 UNIQUE 비교에서 제외 (PostgreSQL과 동일)
+            const key = uniqueKey(columns, row);
+            const other = key === null ? null : indexes[table].unique[i].get(key);
+            if (other && other !== row) {
+                throw dbError('23505', `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+            }
+        });
+    }
+
+    /**
+     * 행 삽입 (기본값 및 일련번호 적용)
+     */
+    function insertRow(table, values) {
+        const schema = getTable(table);
+        const row = {};
+
+        Object.entries(schema.columns).forEach(([column, def]) => {
+            if (column in values) {
+                row[column] = values[column];
+            } else if (def.type === 'serial') {
+                state.sequences[table] += 1;
+                row[column] = state.sequences[table];
+            } else if (typeof def.default === 'function') {
+                row[column] = def.default();
+            } else {
+                row[column] = def.default ?? null;
+            }
+        });
+
+        // 일련번호를 직접 지정한 경우 이후 번호와 겹치지 않도록 조정
+        if (typeof row.id === 'number' && row.id > state.sequences[table]) {
+            state.sequences[table] = row.id;
+        }
+
+        checkConstraints(table, row);
+        state.tables[table].push(row);
+        indexRow(table, row);
+        record(() => {
+            const rows = state.tables[table];
+            rows.splice(rows.lastIndexOf(row), 1);
+            unindexRow(table, row);
+        });
+        return row;
+    }
+
+    /**
+     * 행 삭제 및 참조하는 행 처리 (ON DELETE CASCADE / SET NULL / 기본은 거부)
+     */
+    function deleteRows(table, rows) {
+        if (rows.length === 0) return;
+        const ids = new Set(rows.map(row => row.id));
+
+        const previous = state.tables[table];
+        state.tables[table] = previous.filter(row => !ids.has(row.id));
+        rows.forEach(row => unindexRow(table, row));
+        record(() => {
+            state.tables[table] = previous;
+            rows.forEach(row => indexRow(table, row));
+        });
+
+        Object.entries(TABLES).forEach(([childTable, schema]) => {
+            Object.entries(schema.columns).forEach(([column, def]) => {
+                if (def.references?.table !== table) return;
+
+                const children = state.tables[childTable].filter(row => ids.has(row[column]));
+                if (children.length === 0) return;
+
+                if (def.references.onDelete === 'cascade') {
+                    deleteRows(childTable, children);
+                } else if (def.references.onDelete === 'set null') {
+                    children.forEach(child => updateRow(childTable, child, { [column]: null }));
+                } else {
+                    throw dbError('23503', `update or delete on table "${table}" violates foreign key constraint on table "${childTable}"`);
+                }
+            });
+        });
+    }
+
+    /**
+     * 수정 후 트리거 (docs/booth-code-migration.sql 11번)
+     */
+    const afterUpdateTriggers = {
+        booth_operations(oldRow, newRow) {
+            // 운영 종료 시 일일 통계 갱신
+            if (!newRow.ended_at || oldRow.ended_at) return;
+
+            const hours = (Date.parse(newRow.ended_at) - Date.parse(newRow.started_at)) / (1000 * 60 * 60);
+            const statDate = newRow.started_at.slice(0, 10);
+            const existing = state.tables.booth_daily_stats.find(stat => (
+                stat.booth_id === newRow.booth_id && stat.stat_date === statDate
+            ));
+
+            if (existing) {
+                updateRow('booth_daily_stats', existing, {
+                    operator_count: existing.operator_count + 1,
+                    operation_hours: Math.round((existing.operation_hours + hours) * 100) / 100,
+                    updated_at: new Date().toISOString()
+                });
+            } else if (newRow.booth_id !== null) {
+                insertRow('booth_daily_stats', {
+                    booth_id: newRow.booth_id,
+                    stat_date: statDate,
+                    operator_count: 1,
+                    operation_hours: Math.round(hours * 100) / 100
+                });
+            }
+        }
+    };
+
+    // 새 파일이면 기본 데이터 입력
+    if (!fs.existsSync(file)) {
+        transaction(() => {
+            Object.entries(createSeedRows({ adminPassword })).forEach(([table, rows]) => {
+                rows.forEach(row => insertRow(table, normalizeValues(table, row)));
+            });
+        });
+    }
+
+    return {
+        name: 'local',
+
+        /**
+         * 예약된 파일 저장이 끝날 때까지 기다림 (테스트, 파일 복사 전)
+         */
+        async flush() {
+            while (writing) await writing;
+        },
+
+        async select(table, { filters = [], order = null, limit = null } = {}) {
+            getTable(table);
+            let rows = findRows(table, filters);
+
+            if (order) {
+                const def = getColumn(table, order.column);
+                const direction = order.ascending === false ? -1 : 1;
+                // NULL은 오름차순에서 마지막, 내림차순에서 처음 (PostgreSQL 기본값)
+                rows = [...rows].sort((a, b) => {
+                    const left = a[order.column] ?? null;
+                    const right = b[order.column] ?? null;
+                    if (left === null && right === null) return 0;
+                    if (left === null) return direction;
+                    if (right === null) return -direction;
+                    return compare(def, left, right) * direction;
+                });
+            }
+
+            if (limit) {
+                rows = rows.slice(0, limit);
+            }
+
+            return structuredClone(rows);
+        },
+
+        async insert(table, rows) {
+            const list = Array.isArray(rows) ? rows : [rows];
+            return transaction(() => structuredClone(
+                list.map(values => insertRow(table, normalizeValues(table, values)))
+            ));
+        },
+
+        async update(table, patch, filters = []) {
+            return transaction(() => {
+                const schema = getTable(table);
+                const values = normalizeValues(table, patch);
+                const targets = findRows(table, filters);
+
+                const updated = targets.map(row => {
+                    const oldRow = updateRow(table, row, schema.touchUpdatedAt && !('updated_at' in values)
+                        ? { ...values, updated_at: new Date().toISOString() }
+                        : values);
+                    afterUpdateTriggers[table]?.(oldRow, row);
+                    return row;
+                });
+
+                return structuredClone(updated);
+            });
+        },
+
+        async remove(table, filters = []) {
+            return transaction(() => {
+                getTable(table);
+                const targets = findRows(table, filters);
+                deleteRows(table, targets);
+                return structuredClone(targets);
+            });
+        }
+    };
+}
+
+module.exports = { createLocalStore };
@@ -0,0 +1,394 @@
+/**
+ * 로컬 저장소 스키마
+ * docs/admin-setup.sql, docs/booth-code-migration.sql의 테이블 정의를 옮긴 것
+ *
+ * 컬럼 정의:
+ *   type        serial | integer | decimal | text | boolean | date | timestamp
+ *   notNull     NOT NULL 제약
+ *   maxLength   VARCHAR(n) 길이 제한
+ *   default     기본값 (함수면 삽입 시점에 호출)
+ *   references  { table, onDelete: 'cascade' | 'set null' | 'restrict' }
+ * unique: 단일/복합 UNIQUE 제약 목록
+ * touchUpdatedAt: 수정 시 updated_at 자동 갱신 (update_updated_at_column 트리거)
+ */
+
+const crypto = require('crypto');
+const { MIN_PASSWORD_LENGTH, hashPasswordSync } = require('../passwords');
+
+const now = () => new Date().toISOString();
+
+const TABLES = {
+    events: {
+        columns: {
+            id: { type: 'serial' },
+            name: { type: 'text', notNull: true, maxLength: 100 },
+            description: { type: 'text' },
+            start_date: { type: 'date' },
+            end_date: { type: 'date' },
+            location: { type: 'text', maxLength: 200 },
+            status: { type: 'text', maxLength: 20, default: 'active' },
+            // 참가자 개인정보 보유 기간 (수집일로부터, 지나면 src/server/retention.js가 파기)
+            retention_days: { type: 'integer', notNull: true, default: 90 },
+            created_at: { type: 'timestamp', default: now },
+            updated_at: { type: 'timestamp', default: now }
+        },
+        unique: [],
+        touchUpdatedAt: true
+    },
+
+    booths: {
+        columns: {
+            id: { type: 'serial' },
+            event_id: { type: 'integer', references: { table: 'events', onDelete: 'cascade' } },
+            name: { type: 'text', notNull: true, maxLength: 100 },
+            description: { type: 'text' },
+            operator_id: { type: 'integer' },
+            is_active: { type: 'boolean', default: true },
+            booth_code: { type: 'text', maxLength: 6 },
+            code_expires_at: { type: 'timestamp' },
+            max_operators: { type: 'integer', default: 3 },
+            require_operator_info: { type: 'boolean', default: true },
+            // 부스 분류 (체험, 상담, 전시 등)와 운영 담당 연락처 (부스 일괄 등록 CSV)
+            category: { type: 'text', maxLength: 50 },
+            contact_phone: { type: 'text', maxLength: 20 },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: [['booth_code']]
+    },
+
+    participants: {
+        columns: {
+            id: { type: 'serial' },
+            booth_id: { type: 'integer', references: { table: 'booths', onDelete: 'cascade' } },
+            event_id: { type: 'integer', references: { table: 'events', onDelete: 'cascade' } },
+            // 방명록을 받은 부스 운영 (운영자 세션으로 등록된 기록만, 방문자가 직접 작성하면 null)
+            booth_operation_id: { type: 'integer', references: { table: 'booth_operations', onDelete: 'set null' } },
+            name: { type: 'text', notNull: true, maxLength: 50 },
+            gender: { type: 'text', maxLength: 10 },
+            grade: { type: 'text', maxLength: 20 },
+            school_level: { type: 'text', maxLength: 20 },
+            birth_date: { type: 'text', maxLength: 10 },
+            phone: { type: 'text', maxLength: 20 },
+            message: { type: 'text' },
+            client_id: { type: 'text', maxLength: 36 },
+            // 동의한 동의서와 버전, 동의 시각 (src/server/consents.js)
+            consent_document_id: { type: 'integer', references: { table: 'consent_documents', onDelete: 'set null' } },
+            consent_version: { type: 'integer' },
+            consented_at: { type: 'timestamp' },
+            // 방명록 양식의 추가 질문 답 ([{ key, label, type, value }] JSON 문자열, src/server/form-schemas.js)
+            answers: { type: 'text' },
+            // 보유 기한 (작성 시각 + 등록할 때 행사의 보유 기간, 행사의 보유 기간을 늘려도 바뀌지 않음: src/server/retention.js)
+            retain_until: { type: 'timestamp' },
+            // 보유 기간이 지나 이름, 생년월일, 연락처, 메시지를 파기한 시각 (성별, 교급, 부스는 통계용으로 유지)
+            anonymized_at: { type: 'timestamp' },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: [['client_id']]
+    },
+
+    // 개인정보 수집·이용 동의서 (행사별 버전, 게시 후 수정하지 않음)
+    consent_documents: {
+        columns: {
+            id: { type: 'serial' },
+            // 행사 없는 부스의 동의서는 null
+            event_id: { type: 'integer', references: { table: 'events', onDelete: 'cascade' } },
+            version: { type: 'integer', notNull: true },
+            title: { type: 'text', notNull: true, maxLength: 200 },
+            body: { type: 'text', notNull: true },
+            // 게시한 관리자 아이디 (기본 동의서는 system)
+            created_by: { type: 'text', maxLength: 50 },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: [['event_id', 'version']]
+    },
+
+    // 방명록 양식 (행사 양식은 booth_id가 null, 부스 양식은 행사 양식 대신 쓰임, 행사/부스당 하나)
+    form_schemas: {
+        columns: {
+            id: { type: 'serial' },
+            event_id: { type: 'integer', notNull: true, references: { table: 'events', onDelete: 'cascade' } },
+            booth_id: { type: 'integer', references: { table: 'booths', onDelete: 'cascade' } },
+            // 항목 목록 (JSON 문자열, 배열 순서가 화면 순서)
+            fields: { type: 'text', notNull: true },
+            // 마지막으로 저장한 관리자 아이디
+            updated_by: { type: 'text', maxLength: 50 },
+            created_at: { type: 'timestamp', default: now },
+            updated_at: { type: 'timestamp', default: now }
+        },
+        unique: [['booth_id']],
+        touchUpdatedAt: true
+    },
+
+    // 법정대리인 동의 (만 14세 미만 참가자, 참가자 1명당 1행)
+    guardian_consents: {
+        columns: {
+            id: { type: 'serial' },
+            participant_id: { type: 'integer', notNull: true, references: { table: 'participants', onDelete: 'cascade' } },
+            event_id: { type: 'integer', references: { table: 'events', onDelete: 'cascade' } },
+            guardian_name: { type: 'text', notNull: true, maxLength: 50 },
+            // 참가자와의 관계 (부, 모, 후견인 등)
+            relationship: { type: 'text', notNull: true, maxLength: 20 },
+            guardian_phone: { type: 'text', maxLength: 20 },
+            // 화면에서 받은 서명 (PNG data URL)
+            signature_image: { type: 'text' },
+            signed_at: { type: 'timestamp' },
+            // 참가자 기록과 함께 파기한 시각 (이름, 연락처, 서명 파기)
+            anonymized_at: { type: 'timestamp' },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: [['participant_id']]
+    },
+
+    // 개인정보 파기 기록 (파기 작업 1회, 행사별 1행)
+    retention_reports: {
+        columns: {
+            id: { type: 'serial' },
+            event_id: { type: 'integer', references: { table: 'events', onDelete: 'set null' } },
+            event_name: { type: 'text', maxLength: 100 },
+            retention_days: { type: 'integer', notNull: true },
+            // 이 시각 이전에 수집된 기록을 파기
+            cutoff_at: { type: 'timestamp', notNull: true },
+            anonymized_count: { type: 'integer', notNull: true, default: 0 },
+            // 파기한 기록의 집계 (부스/성별/교급별 인원, JSON 문자열)
+            summary: { type: 'text' },
+            // schedule: 정기 작업, manual: 관리자 실행
+            triggered_by: { type: 'text', maxLength: 50 },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: []
+    },
+
+    // 정보주체 요청 처리 기록 (내보내기, 익명화, 삭제 1회당 1행)
+    // 처리한 사람의 개인정보는 남기지 않는다 (이름은 가운데를 가린 값, 참가자는 ID만)
+    data_subject_requests: {
+        columns: {
+            id: { type: 'serial' },
+            // export: 기록 내보내기, anonymize: 개인정보 파기(통계 유지), delete: 기록 삭제
+            action: { type: 'text', notNull: true, maxLength: 20 },
+            subject_label: { type: 'text', maxLength: 50 },
+            // 처리한 참가자 ID와 행사 ID (JSON 배열 문자열)
+            participant_ids: { type: 'text', notNull: true },
+            event_ids: { type: 'text' },
+            record_count: { type: 'integer', notNull: true, default: 0 },
+            reason: { type: 'text', maxLength: 500 },
+            requested_by: { type: 'text', maxLength: 50 },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: []
+    },
+
+    privacy_access_logs: {
+        columns: {
+            id: { type: 'serial' },
+            username: { type: 'text', maxLength: 50 },
+            role: { type: 'text', notNull: true, maxLength: 20 },
+            // 원본을 본 API 경로 (예: /api/participants)
+            resource: { type: 'text', notNull: true, maxLength: 100 },
+            reason: { type: 'text', notNull: true, maxLength: 200 },
+            record_count: { type: 'integer', notNull: true, default: 0 },
+            // 조회 조건 (JSON 문자열)
+            filters: { type: 'text' },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: []
+    },
+
+    booth_operations: {
+        columns: {
+            id: { type: 'serial' },
+            booth_id: { type: 'integer', references: { table: 'booths', onDelete: 'cascade' } },
+            event_id: { type: 'integer', references: { table: 'events', onDelete: 'cascade' } },
+            operation_type: { type: 'text', maxLength: 20 },
+            operator_name: { type: 'text', notNull: true, maxLength: 100 },
+            operator_phone: { type: 'text', maxLength: 20 },
+            operator_email: { type: 'text', maxLength: 100 },
+            operator_organization: { type: 'text', maxLength: 100 },
+            started_at: { type: 'timestamp', default: now },
+            ended_at: { type: 'timestamp' },
+            is_active: { type: 'boolean', default: true },
+            total_participants: { type: 'integer', default: 0 },
+            notes: { type: 'text' },
+            // 종료 방식 (logout: 운영자 종료, replaced: 새 운영자로 교체, handover: 교대 완료, forced: 관리자 강제 종료, idle: 무응답 자동 종료)
+            end_reason: { type: 'text', maxLength: 20 },
+            ended_by: { type: 'text', maxLength: 50 },
+            end_message: { type: 'text', maxLength: 200 },
+            created_at: { type: 'timestamp', default: now },
+            updated_at: { type: 'timestamp', default: now }
+        },
+        unique: [],
+        touchUpdatedAt: true
+    },
+
+    operator_sessions: {
+        columns: {
+            id: { type: 'serial' },
+            session_token: { type: 'text', notNull: true, maxLength: 64 },
+            booth_operation_id: { type: 'integer', references: { table: 'booth_operations', onDelete: 'cascade' } },
+            created_at: { type: 'timestamp', default: now },
+            expires_at: { type: 'timestamp', notNull: true },
+            last_activity: { type: 'timestamp', default: now },
+            // 운영 종료 시 기록 (행은 만료까지 남겨 운영자 화면에 종료 사유를 알림)
+            revoked_at: { type: 'timestamp' },
+            ip_address: { type: 'text', maxLength: 45 }
+        },
+        unique: [['session_token']]
+    },
+
+    // 운영자 교대 기록 (나가는 운영자가 작성, 들어오는 운영자가 인수 확인)
+    operation_handovers: {
+        columns: {
+            id: { type: 'serial' },
+            booth_id: { type: 'integer', notNull: true, references: { table: 'booths', onDelete: 'cascade' } },
+            event_id: { type: 'integer', references: { table: 'events', onDelete: 'cascade' } },
+            from_operation_id: { type: 'integer', notNull: true, references: { table: 'booth_operations', onDelete: 'cascade' } },
+            to_operation_id: { type: 'integer', references: { table: 'booth_operations', onDelete: 'set null' } },
+            // pending: 인수 대기, acknowledged: 인수 완료, cancelled: 취소
+            status: { type: 'text', notNull: true, maxLength: 20, default: 'pending' },
+            notes: { type: 'text', maxLength: 1000 },
+            supply_count: { type: 'integer' },
+            acknowledge_note: { type: 'text', maxLength: 500 },
+            created_at: { type: 'timestamp', default: now },
+            acknowledged_at: { type: 'timestamp' }
+        },
+        unique: []
+    },
+
+    admin_sessions: {
+        columns: {
+            id: { type: 'serial' },
+            session_id: { type: 'text', notNull: true, maxLength: 64 },
+            role: { type: 'text', notNull: true, maxLength: 20 },
+            user_id: { type: 'integer', notNull: true },
+            username: { type: 'text', maxLength: 50 },
+            created_at: { type: 'timestamp', default: now },
+            expires_at: { type: 'timestamp', notNull: true },
+            last_activity: { type: 'timestamp', default: now },
+            revoked_at: { type: 'timestamp' },
+            ip_address: { type: 'text', maxLength: 45 },
+            user_agent: { type: 'text', maxLength: 255 }
+        },
+        unique: [['session_id']]
+    },
+
+    code_attempts: {
+        columns: {
+            id: { type: 'serial' },
+            attempted_code: { type: 'text', maxLength: 6 },
+            ip_address: { type: 'text', maxLength: 45 },
+            user_agent: { type: 'text' },
+            attempted_at: { type: 'timestamp', default: now },
+            success: { type: 'boolean', default: false },
+            booth_id: { type: 'integer', references: { table: 'booths', onDelete: 'set null' } },
+            error_message: { type: 'text', maxLength: 255 }
+        },
+        unique: []
+    },
+
+    // 계정 로그인 기록 (src/server/code-attempts.js의 로그인 입력 제한, docs/login-attempt-migration.sql)
+    login_attempts: {
+        columns: {
+            id: { type: 'serial' },
+            username: { type: 'text', maxLength: 50 },
+            ip_address: { type: 'text', maxLength: 45 },
+            user_agent: { type: 'text' },
+            attempted_at: { type: 'timestamp', default: now },
+            success: { type: 'boolean', default: false },
+            error_message: { type: 'text', maxLength: 255 }
+        },
+        unique: []
+    },
+
+    booth_daily_stats: {
+        columns: {
+            id: { type: 'serial' },
+            booth_id: { type: 'integer', references: { table: 'booths', onDelete: 'cascade' } },
+            stat_date: { type: 'date', notNull: true },
+            total_participants: { type: 'integer', default: 0 },
+            male_count: { type: 'integer', default: 0 },
+            female_count: { type: 'integer', default: 0 },
+            elementary_count: { type: 'integer', default: 0 },
+            middle_count: { type: 'integer', default: 0 },
+            high_count: { type: 'integer', default: 0 },
+            operator_count: { type: 'integer', default: 0 },
+            operation_hours: { type: 'decimal', default: 0 },
+            created_at: { type: 'timestamp', default: now },
+            updated_at: { type: 'timestamp', default: now }
+        },
+        unique: [['booth_id', 'stat_date']]
+    },
+
+    admins: {
+        columns: {
+            id: { type: 'serial' },
+            username: { type: 'text', notNull: true, maxLength: 50 },
+            password: { type: 'text', notNull: true, maxLength: 255 },
+            is_super_admin: { type: 'boolean', default: false },
+            created_at: { type: 'timestamp', default: now },
+            updated_at: { type: 'timestamp', default: now }
+        },
+        unique: [['username']],
+        touchUpdatedAt: true
+    },
+
+    event_managers: {
+        columns: {
+            id: { type: 'serial' },
+            username: { type: 'text', notNull: true, maxLength: 50 },
+            password: { type: 'text', notNull: true, maxLength: 255 },
+            name: { type: 'text', maxLength: 100 },
+            organization: { type: 'text', maxLength: 100 },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: [['username']]
+    },
+
+    event_manager_events: {
+        columns: {
+            id: { type: 'serial' },
+            manager_id: { type: 'integer', notNull: true, references: { table: 'event_managers', onDelete: 'cascade' } },
+            event_id: { type: 'integer', notNull: true, references: { table: 'events', onDelete: 'cascade' } },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: [['manager_id', 'event_id']]
+    },
+
+    operators: {
+        columns: {
+            id: { type: 'serial' },
+            username: { type: 'text', notNull: true, maxLength: 50 },
+            password: { type: 'text', notNull: true, maxLength: 255 },
+            name: { type: 'text', maxLength: 100 },
+            assigned_booth_id: { type: 'integer', references: { table: 'booths', onDelete: 'restrict' } },
+            created_at: { type: 'timestamp', default: now }
+        },
+        unique: [['username']]
+    }
+};
+
+/**
+ * 새 저장소에 넣을 기본 데이터 (admin-setup.sql의 기본 관리자 계정)
+ * - 비밀번호는 adminPassword(ADMIN_INITIAL_PASSWORD 환경 변수), 없으면 임의로 만들어 서버 로그에 한 번 출력
+ * - 비밀번호는 해시로 저장 (src/server/passwords.js)
+ * @param {Object} options - { adminPassword }
+ */
+function createSeedRows({ adminPassword } = {}) {
+    if (adminPassword && adminPassword.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`ADMIN_INITIAL_PASSWORD는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.`);
+    }
+
+    const password = adminPassword || crypto.randomBytes(12).toString('base64url');
+    if (!adminPassword) {
+        console.log(`기본 관리자 계정: admin / ${password} (로그인 후 비밀번호를 바꿔주세요)`);
+    }
+
+    return {
+        admins: [
+            { username: 'admin', password: hashPasswordSync(password), is_super_admin: true }
+        ]
+    };
+}
+
+module.exports = {
+    TABLES,
+    createSeedRows
+};
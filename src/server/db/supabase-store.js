@@ -0,0 +1,101 @@
+/**
+ * Supabase 저장소 어댑터
+ * 서버에서 service role 키로 PostgREST API를 호출한다
+ *
+ * 모든 저장소 어댑터는 같은 인터페이스를 제공한다:
+ *   select(table, { filters, order, limit })
+ *   insert(table, rows)
+ *   update(table, patch, filters)
+ *   remove(table, filters)
+ * filters는 [컬럼, 연산자, 값] 배열의 배열이며
+ * 연산자는 eq, neq, gt, gte, lt, lte, in, like, ilike, is 를 지원한다.
+ */
+
+/**
+ * 필터를 PostgREST 쿼리 파라미터로 변환
+ */
+function appendFilters(params, filters = []) {
+    filters.forEach(([column, op, value]) => {
+        if (op === 'in') {
+            const list = value.map(v => `"${String(v).replace(/"/g, '\\"')}"`).join(',');
+            params.append(column, `in.(${list})`);
+        } else if (op === 'is') {
+            params.append(column, `is.${value === null ? 'null' : value}`);
+        } else if (op === 'like' || op === 'ilike') {
+            params.append(column, `${op}.${String(value).replace(/%/g, '*')}`);
+        } else {
+            params.append(column, `${op}.${value}`);
+        }
+    });
+}
+
+/**
+ * Supabase 저장소 생성
+ * @param {Object} options
+ * @param {string} options.url - Supabase 프로젝트 URL
+ * @param {string} options.serviceKey - service role 키 (브라우저에 노출 금지)
+ */
+function createSupabaseStore({ url, serviceKey }) {
+    if (!url || !serviceKey) {
+        throw new Error('SUPABASE_URL 및 SUPABASE_SERVICE_KEY 환경 변수가 필요합니다.');
+    }
+
+    async function request(method, table, params, body) {
+        const query = params.toString();
+        const response = await fetch(`${url}/rest/v1/${table}${query ? `?${query}` : ''}`, {
+            method,
+            headers: {
+                apikey: serviceKey,
+                Authorization: `Bearer ${serviceKey}`,
+                'Content-Type': 'application/json',
+                Prefer: 'return=representation'
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+
+        if (!response.ok) {
+            const error = new Error(data?.message || `Supabase 요청 실패 (${response.status})`);
+            error.code = data?.code;
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    return {
+        name: 'supabase',
+
+        async select(table, { filters = [], order = null, limit = null } = {}) {
+            const params = new URLSearchParams({ select: '*' });
+            appendFilters(params, filters);
+            if (order) {
+                params.append('order', `${order.column}.${order.ascending === false ? 'desc' : 'asc'}`);
+            }
+            if (limit) {
+                params.append('limit', String(limit));
+            }
+            return request('GET', table, params);
+        },
+
+        async insert(table, rows) {
+            return request('POST', table, new URLSearchParams(), Array.isArray(rows) ? rows : [rows]);
+        },
+
+        async update(table, patch, filters = []) {
+            const params = new URLSearchParams();
+            appendFilters(params, filters);
+            return request('PATCH', table, params, patch);
+        },
+
+        async remove(table, filters = []) {
+            const params = new URLSearchParams();
+            appendFilters(params, filters);
+            return request('DELETE', table, params);
+        }
+    };
+}
+
+module.exports = { createSupabaseStore };
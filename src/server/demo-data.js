@@ -0,0 +1,187 @@
+/**
+ * 데모 데이터
+ * DEMO_MODE=1로 실행한 서버의 로컬 저장소에 데모 행사, 부스, 운영 기록, 참가자를 넣는다
+ * - 화면은 실제 서버 API를 그대로 쓰므로 데모에서도 운영과 같은 규칙(동의, 권한, 가림)이 적용된다
+ * - 데모 참가자도 운영 기록과 같이 동의 기록을 갖고, 법정대리인 동의가 필요한 참가자는 보호자 동의를 함께 넣는다
+ * - 관리자 계정은 로컬 저장소 기본값(ADMIN_INITIAL_PASSWORD 또는 서버 로그에 출력한 임의 비밀번호)을 쓴다
+ */
+
+const { ensureDefaultConsentDocument } = require('./consents');
+const { getRetainUntil } = require('./retention');
+const { getGuardianConsentReason } = require('../shared/consent.js');
+
+// 데모 부스 코드 (docs/booth-code-setup.sql의 테스트 코드와 동일)
+const DEMO_BOOTH_CODES = ['ABC123', 'DEF456', 'GHI789', 'JKL012', 'MNO345'];
+
+const DEMO_NAMES = [
+    '김민준', '이서연', '박도윤', '최하은', '정시우', '강지유', '조하준', '윤서아',
+    '장예준', '임수아', '한지호', '오지안', '서주원', '신하린', '권유찬', '황채원',
+    '안은우', '송윤서', '류시윤', '홍지우'
+];
+
+const DEMO_MESSAGES = [
+    '정말 재미있었어요!', '다음에도 또 오고 싶어요.', '설명이 친절했어요.',
+    '진로에 대해 많이 배웠습니다.', null, null
+];
+
+const DEMO_BOOTHS = [
+    ['AI 체험 부스', '인공지능 챗봇과 이미지 생성 체험'],
+    ['VR 게임존', '가상현실 게임 체험'],
+    ['코딩 교실', '블록 코딩으로 게임 만들기'],
+    ['로봇 만들기', '간단한 로봇 조립과 조종'],
+    ['진로 상담 부스', '전문 상담사와 진로 상담'],
+    ['과학 실험실', '지난 행사 부스']
+];
+
+const DEMO_RELATIONSHIPS = ['모', '부'];
+
+// 보호자 서명 자리 (1x1 투명 PNG)
+const DEMO_SIGNATURE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * 날짜 문자열 (YYYY-MM-DD)
+ */
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * 기준 시각에서 분 단위로 이동한 ISO 문자열
+ */
+function minutesFrom(base, minutes) {
+    return new Date(base.getTime() + minutes * MINUTE_MS).toISOString();
+}
+
+/**
+ * 데모 데이터 넣기 (행사가 하나라도 있으면 건너뜀)
+ * - 진행 중인 행사 1개와 종료된 행사 1개
+ * - 부스 6개 (5개는 부스 코드 발급, 1개는 비활성)
+ * - 3시간 전부터의 운영 기록(모두 종료)과 참가자 60명 (만 14세 미만 등은 보호자 동의 포함)
+ * @param {Object} store - 저장소 어댑터
+ * @param {Date} now - 기준 시각
+ * @returns {Promise<number>} 넣은 참가자 수 (건너뛰면 0)
+ */
+async function seedDemoData(store, now = new Date()) {
+    const existing = await store.select('events', { limit: 1 });
+    if (existing.length > 0) return 0;
+
+    // 운영 시작 시각: 3시간 전
+    const operationStart = new Date(now.getTime() - 3 * 60 * MINUTE_MS);
+    const lastMonth = new Date(operationStart);
+    lastMonth.setMonth(lastMonth.getMonth() - 1);
+    const codeExpiresAt = new Date(now);
+    codeExpiresAt.setDate(codeExpiresAt.getDate() + 30);
+
+    const [currentEvent] = await store.insert('events', {
+        name: '2025 청소년 진로 축제 (데모)',
+        description: '데모 서버용 행사입니다.',
+        start_date: toDateString(operationStart),
+        end_date: toDateString(new Date(operationStart.getTime() + 2 * 24 * 60 * MINUTE_MS)),
+        location: '시민체육관',
+        status: 'active'
+    });
+    const [pastEvent] = await store.insert('events', {
+        name: '봄 과학 체험전 (데모)',
+        description: '종료된 데모 행사입니다.',
+        start_date: toDateString(lastMonth),
+        end_date: toDateString(lastMonth),
+        location: '청소년수련관',
+        status: 'completed'
+    });
+
+    const consents = new Map();
+    for (const event of [currentEvent, pastEvent]) {
+        consents.set(event.id, await ensureDefaultConsentDocument(store, event));
+    }
+
+    const booths = [];
+    for (const [index, [name, description]] of DEMO_BOOTHS.entries()) {
+        const code = DEMO_BOOTH_CODES[index] || null;
+        const [booth] = await store.insert('booths', {
+            event_id: index < 5 ? currentEvent.id : pastEvent.id,
+            name,
+            description,
+            is_active: index < 5,
+            booth_code: code,
+            code_expires_at: code ? codeExpiresAt.toISOString() : null
+        });
+        booths.push(booth);
+    }
+
+    // 운영 기록 (진행 중인 행사의 부스 5개, 하트비트가 없으므로 모두 종료된 운영으로 넣는다)
+    const operations = [];
+    for (const [index, booth] of booths.slice(0, 5).entries()) {
+        const [operation] = await store.insert('booth_operations', {
+            booth_id: booth.id,
+            event_id: booth.event_id,
+            operator_name: `데모운영자${index + 1}`,
+            operator_phone: `0101234${String(1000 + index).slice(-4)}`,
+            operator_organization: '데모 봉사단',
+            started_at: minutesFrom(operationStart, index * 10),
+            ended_at: minutesFrom(operationStart, 170),
+            is_active: false,
+            end_reason: 'logout'
+        });
+        operations.push(operation);
+    }
+
+    // 참가자: 운영 시작 이후 고르게 분포 (성별/교급은 demographics.js의 저장 값)
+    const genders = ['남성', '여성'];
+    const schoolLevels = ['초등', '중등', '고등', '유아', '대학', '성인'];
+    const counts = new Map();
+
+    for (let i = 0; i < 60; i++) {
+        const operation = operations[i % operations.length];
+        const consent = consents.get(operation.event_id);
+        // 마법사 형식은 방문자가 직접 작성한 기록 (운영 연결 없음)
+        const fromWizard = i % 4 === 0;
+        const createdAt = minutesFrom(operationStart, 45 + (i * 13) % 120);
+
+        const [participant] = await store.insert('participants', {
+            booth_id: operation.booth_id,
+            event_id: operation.event_id,
+            booth_operation_id: fromWizard ? null : operation.id,
+            name: DEMO_NAMES[i % DEMO_NAMES.length],
+            gender: genders[i % 2],
+            // 초등/중등/고등 위주, 가끔 유아/대학/성인
+            school_level: schoolLevels[i % 10 === 9 ? 3 + (i % 3) : i % 3],
+            birth_date: fromWizard ? `${2008 + (i % 10)}-0${1 + i % 9}-1${i % 9}` : null,
+            phone: i % 5 === 0 ? `0109876${String(1000 + i).slice(-4)}` : null,
+            message: DEMO_MESSAGES[i % DEMO_MESSAGES.length],
+            consent_document_id: consent.id,
+            consent_version: consent.version,
+            consented_at: createdAt,
+            retain_until: getRetainUntil(currentEvent, createdAt),
+            created_at: createdAt
+        });
+        // 운영과 같이 법정대리인 동의가 필요한 참가자(유아·초등, 만 14세 미만, 생년월일 없음)는 보호자 동의를 넣는다
+        if (getGuardianConsentReason(participant, createdAt)) {
+            await store.insert('guardian_consents', {
+                participant_id: participant.id,
+                event_id: participant.event_id,
+                guardian_name: `${participant.name.slice(0, 1)}보호자`,
+                relationship: DEMO_RELATIONSHIPS[i % DEMO_RELATIONSHIPS.length],
+                guardian_phone: `0105555${String(1000 + i).slice(-4)}`,
+                signature_image: DEMO_SIGNATURE,
+                signed_at: createdAt
+            });
+        }
+        if (!fromWizard) counts.set(operation.id, (counts.get(operation.id) || 0) + 1);
+    }
+
+    // 종료된 운영의 참가자 수 반영
+    for (const operation of operations) {
+        await store.update('booth_operations', {
+            total_participants: counts.get(operation.id) || 0
+        }, [['id', 'eq', operation.id]]);
+    }
+
+    return 60;
+}
+
+module.exports = {
+    DEMO_BOOTH_CODES,
+    seedDemoData
+};
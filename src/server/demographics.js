@@ -0,0 +1,80 @@
+/**
+ * 참가자 성별/교급 분류 (서버)
+ * 목록과 정규화는 화면과 함께 쓰는 src/shared/demographics.js, 저장 값은 성별 '남성'/'여성', 교급 '유아'/'초등'/'중등'/'고등'/'대학'/'성인'
+ * - 참가자 등록 시 예전 화면이 보내는 값('남', '초등학생' 등)도 저장 값으로 바꿔 저장한다 (parseDemographics)
+ * - 교급을 grade에 보낸 요청(예전 participant.html 등)은 school_level로 옮긴다
+ * - 서버 시작 시 이미 저장된 기록도 같은 규칙으로 바꾼다 (normalizeStoredParticipants, SQL은 docs/demographics-migration.sql)
+ */
+
+const { ApiError } = require('./http-utils');
+const { optionalString } = require('./validators');
+const { GENDERS, SCHOOL_LEVELS, normalizeGender, normalizeSchoolLevel } = require('../shared/demographics.js');
+
+/**
+ * 목록 값 검증 (빈 값은 null, 목록에 없는 값은 400)
+ */
+function parseValue(items, value, label, normalizer) {
+    const text = optionalString(value, label, 20);
+    if (text === null) return null;
+
+    const normalized = normalizer(text);
+    if (!normalized) {
+        throw new ApiError(400, `${label}은(는) ${items.map(item => item.value).join(', ')} 중 하나여야 합니다.`);
+    }
+    return normalized;
+}
+
+/**
+ * 참가자 등록 요청의 성별/학년/교급
+ * grade가 교급 이름이면(예전 화면) school_level로 옮기고 grade는 비운다
+ * @returns {Object} { gender, grade, school_level }
+ */
+function parseDemographics(body) {
+    const gender = parseValue(GENDERS, body.gender, '성별', normalizeGender);
+    let grade = optionalString(body.grade, '학년', 20);
+    let schoolLevel = parseValue(SCHOOL_LEVELS, body.school_level, '교급', normalizeSchoolLevel);
+
+    const gradeLevel = normalizeSchoolLevel(grade);
+    if (gradeLevel) {
+        schoolLevel = schoolLevel || gradeLevel;
+        grade = null;
+    }
+    return { gender, grade, school_level: schoolLevel };
+}
+
+/**
+ * 저장된 참가자 기록의 성별/교급을 저장 값으로 바꾸기 (여러 번 실행해도 같은 결과)
+ * 예전 값별로 한 번씩 update하고, 교급이 비어 있고 grade에 교급 이름이 있는 기록은 school_level로 옮긴다
+ * @param {Object} store - 저장소 어댑터
+ * @returns {Promise<number>} 바꾼 기록 수
+ */
+async function normalizeStoredParticipants(store) {
+    let changed = 0;
+
+    for (const [column, items] of [['gender', GENDERS], ['school_level', SCHOOL_LEVELS]]) {
+        for (const item of items) {
+            const aliases = [...item.aliases, ...item.aliases.map(alias => alias.toUpperCase())]
+                .filter((alias, index, list) => list.indexOf(alias) === index);
+            const rows = await store.update('participants', { [column]: item.value }, [[column, 'in', aliases]]);
+            changed += rows.length;
+        }
+    }
+
+    for (const item of SCHOOL_LEVELS) {
+        const rows = await store.update('participants', { school_level: item.value, grade: null }, [
+            ['school_level', 'is', null],
+            ['grade', 'in', [item.value, ...item.aliases]]
+        ]);
+        changed += rows.length;
+    }
+    return changed;
+}
+
+module.exports = {
+    GENDERS,
+    SCHOOL_LEVELS,
+    normalizeGender,
+    normalizeSchoolLevel,
+    parseDemographics,
+    normalizeStoredParticipants
+};
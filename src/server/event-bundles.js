@@ -0,0 +1,336 @@
+/**
+ * 행사 백업/복원 묶음 (event bundle)
+ * 행사 하나와 딸린 기록(부스와 코드, 동의서, 방명록 양식, 운영, 교대, 참가자, 법정대리인 동의, 일일 통계, 파기 기록)을
+ * 버전이 붙은 JSON 묶음으로 내보내고, 같은 서버나 다른 서버(스테이징 ↔ 운영)로 다시 가져온다
+ * - 가져올 때는 모든 ID를 새로 발급받고 묶음 안의 참조(부스, 운영, 동의서, 참가자)를 새 ID로 바꾼다
+ * - 같은 이름의 행사, 이미 쓰이는 부스 코드, 이미 있는 오프라인 기록 ID(client_id)는 충돌로 보고 처리 방식을 따른다
+ * - 세션, 코드 입력 기록, 행사 담당자 배정은 서버마다 다른 정보라 묶음에 넣지 않는다
+ */
+
+const { ApiError } = require('./http-utils');
+const { selectOne } = require('./db');
+const { TABLES } = require('./db/schema');
+const { END_REASONS, HANDOVER_STATUS } = require('./booth-operations');
+const { generateUniqueBoothCode } = require('./booth-codes');
+const { ensureDefaultConsentDocument } = require('./consents');
+
+// 묶음 형식과 버전 (형식이 바뀌면 버전을 올리고 importEventBundle에서 이전 버전을 변환)
+const BUNDLE_FORMAT = 'festival-event-bundle';
+const BUNDLE_VERSION = 1;
+
+// 묶음에 담는 테이블 (가져올 때 이 순서로 저장: 참조하는 테이블이 뒤에 온다)
+// 묶음에 없는 테이블(방명록 양식 이전에 만든 묶음의 form_schemas)은 빈 목록으로 본다
+const BUNDLE_TABLES = [
+    'consent_documents',
+    'booths',
+    'form_schemas',
+    'booth_operations',
+    'operation_handovers',
+    'participants',
+    'guardian_consents',
+    'booth_daily_stats',
+    'retention_reports'
+];
+
+// 같은 이름의 행사가 있을 때 처리 방식
+const CONFLICT_MODES = {
+    RENAME: 'rename',
+    FAIL: 'fail'
+};
+
+// 한 번에 저장하는 행 수
+const INSERT_BATCH_SIZE = 500;
+
+const TABLE_LABELS = {
+    events: '행사',
+    consent_documents: '동의서',
+    booths: '부스',
+    form_schemas: '방명록 양식',
+    booth_operations: '운영',
+    operation_handovers: '교대',
+    participants: '참가자',
+    guardian_consents: '법정대리인 동의',
+    booth_daily_stats: '일일 통계',
+    retention_reports: '파기 기록'
+};
+
+/**
+ * 행사 묶음 만들기
+ * @param {Object} options - { exportedBy }
+ * @returns {Promise<Object|null>} 행사가 없으면 null
+ */
+async function exportEventBundle(store, eventId, { exportedBy = null } = {}) {
+    const event = await selectOne(store, 'events', [['id', 'eq', eventId]]);
+    if (!event) return null;
+
+    const byEvent = (table, column) => store.select(table, {
+        filters: [['event_id', 'eq', eventId]],
+        order: { column, ascending: true }
+    });
+
+    const [consentDocuments, booths, formSchemas, operations, handovers, participants, guardians, retentionReports] = await Promise.all([
+        byEvent('consent_documents', 'version'),
+        byEvent('booths', 'id'),
+        byEvent('form_schemas', 'id'),
+        byEvent('booth_operations', 'id'),
+        byEvent('operation_handovers', 'id'),
+        byEvent('participants', 'id'),
+        byEvent('guardian_consents', 'id'),
+        byEvent('retention_reports', 'id')
+    ]);
+    const dailyStats = booths.length > 0
+        ? await store.select('booth_daily_stats', {
+            filters: [['booth_id', 'in', booths.map(booth => booth.id)]],
+            order: { column: 'stat_date', ascending: true }
+        })
+        : [];
+
+    const tables = {
+        consent_documents: consentDocuments,
+        booths,
+        form_schemas: formSchemas,
+        booth_operations: operations,
+        operation_handovers: handovers,
+        participants,
+        guardian_consents: guardians,
+        booth_daily_stats: dailyStats,
+        retention_reports: retentionReports
+    };
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exported_at: new Date().toISOString(),
+        exported_by: exportedBy,
+        event,
+        tables,
+        counts: countRows(tables)
+    };
+}
+
+function countRows(tables) {
+    return Object.fromEntries(BUNDLE_TABLES.map(table => [table, (tables[table] || []).length]));
+}
+
+/**
+ * 묶음 형식 확인
+ */
+function validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+        throw new ApiError(400, '행사 백업 파일이 아닙니다.');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        throw new ApiError(400, `지원하지 않는 백업 파일 버전입니다. (파일 버전 ${bundle.version}, 지원 버전 ${BUNDLE_VERSION})`);
+    }
+    if (!bundle.event || typeof bundle.event !== 'object' || !bundle.tables || typeof bundle.tables !== 'object') {
+        throw new ApiError(400, '백업 파일에 행사 정보가 없습니다.');
+    }
+    BUNDLE_TABLES.forEach(table => {
+        const rows = bundle.tables[table] ?? [];
+        if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+            throw new ApiError(400, `백업 파일의 ${TABLE_LABELS[table]} 기록 형식이 올바르지 않습니다.`);
+        }
+    });
+}
+
+/**
+ * 스키마에 있는 컬럼만 남기기 (ID는 새로 발급)
+ */
+function pickColumns(table, row) {
+    return Object.fromEntries(Object.keys(TABLES[table].columns)
+        .filter(column => column !== 'id' && row[column] !== undefined)
+        .map(column => [column, row[column]]));
+}
+
+/**
+ * 이전 ID → 새 ID
+ * @param {boolean} required - 묶음 안에 없는 ID면 오류 (false면 null로 끊음)
+ */
+function remap(ids, table, id, required) {
+    if (id === null || id === undefined) return null;
+    if (ids[table].has(id)) return ids[table].get(id);
+    if (required) {
+        throw new ApiError(400, `백업 파일의 기록이 묶음에 없는 ${TABLE_LABELS[table]}(ID ${id})를 가리킵니다.`);
+    }
+    return null;
+}
+
+/**
+ * 같은 이름의 행사가 없을 때까지 이름 뒤에 번호 붙이기
+ */
+async function resolveEventName(store, name, onConflict) {
+    if (!await selectOne(store, 'events', [['name', 'eq', name]])) return name;
+    if (onConflict === CONFLICT_MODES.FAIL) {
+        throw new ApiError(409, `같은 이름의 행사(${name})가 이미 있습니다.`);
+    }
+
+    for (let n = 1; ; n++) {
+        const suffix = n === 1 ? ' (가져옴)' : ` (가져옴 ${n})`;
+        const candidate = name.slice(0, TABLES.events.columns.name.maxLength - suffix.length) + suffix;
+        if (!await selectOne(store, 'events', [['name', 'eq', candidate]])) return candidate;
+    }
+}
+
+/**
+ * 행 목록을 나눠 저장하고 이전 ID → 새 ID 기록
+ */
+async function insertRows(store, ids, table, sourceRows, rows) {
+    for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+        const inserted = await store.insert(table, rows.slice(start, start + INSERT_BATCH_SIZE));
+        inserted.forEach((row, index) => ids[table].set(sourceRows[start + index].id, row.id));
+    }
+}
+
+/**
+ * 묶음 가져오기
+ * 중간에 실패하면 만든 행사를 지워(딸린 기록은 함께 삭제) 가져오기 전 상태로 되돌린다
+ * @param {Object} options
+ * @param {string} options.onConflict - CONFLICT_MODES 값 (같은 이름의 행사가 있을 때)
+ * @param {string} options.importedBy - 가져온 관리자 아이디 (진행 중이던 운영의 종료자로 기록)
+ * @returns {Promise<Object>} { event, counts, warnings }
+ */
+async function importEventBundle(store, bundle, { onConflict = CONFLICT_MODES.RENAME, importedBy = null } = {}) {
+    validateBundle(bundle);
+
+    const tables = Object.fromEntries(BUNDLE_TABLES.map(table => [table, bundle.tables[table] || []]));
+    const ids = Object.fromEntries(['events', ...BUNDLE_TABLES].map(table => [table, new Map()]));
+    const warnings = [];
+    const endedAt = bundle.exported_at || new Date().toISOString();
+
+    const sourceEvent = bundle.event;
+    const name = await resolveEventName(store, String(sourceEvent.name || '').trim() || '가져온 행사', onConflict);
+    if (name !== sourceEvent.name) warnings.push(`같은 이름의 행사가 있어 "${name}"(으)로 가져왔습니다.`);
+
+    let event = null;
+    let currentTable = 'events';
+    try {
+        [event] = await store.insert('events', { ...pickColumns('events', sourceEvent), name });
+        ids.events.set(sourceEvent.id, event.id);
+        const eventId = event.id;
+
+        currentTable = 'consent_documents';
+        await insertRows(store, ids, currentTable, tables.consent_documents, tables.consent_documents.map(row => ({
+            ...pickColumns(currentTable, row),
+            event_id: eventId
+        })));
+        // 동의서가 없는 묶음이면 기본 동의서 게시
+        if (tables.consent_documents.length === 0) await ensureDefaultConsentDocument(store, event);
+
+        // 다른 부스가 쓰는 코드는 새로 발급, 운영자 계정(operator_id)은 서버마다 달라 연결을 끊는다
+        currentTable = 'booths';
+        const booths = [];
+        let reissuedCodes = 0;
+        for (const row of tables.booths) {
+            let boothCode = row.booth_code || null;
+            if (boothCode && await selectOne(store, 'booths', [['booth_code', 'eq', boothCode]])) {
+                boothCode = await generateUniqueBoothCode(store);
+                reissuedCodes += 1;
+            }
+            booths.push({ ...pickColumns(currentTable, row), event_id: eventId, booth_code: boothCode, operator_id: null });
+        }
+        await insertRows(store, ids, currentTable, tables.booths, booths);
+        if (reissuedCodes > 0) warnings.push(`이미 사용 중인 부스 코드 ${reissuedCodes}개를 새로 발급했습니다.`);
+
+        currentTable = 'form_schemas';
+        await insertRows(store, ids, currentTable, tables.form_schemas, tables.form_schemas.map(row => ({
+            ...pickColumns(currentTable, row),
+            event_id: eventId,
+            booth_id: remap(ids, 'booths', row.booth_id, true)
+        })));
+
+        // 운영자 세션은 가져오지 않으므로 진행 중이던 운영은 백업 시각에 종료된 것으로 기록
+        currentTable = 'booth_operations';
+        let endedOperations = 0;
+        await insertRows(store, ids, currentTable, tables.booth_operations, tables.booth_operations.map(row => {
+            const operation = {
+                ...pickColumns(currentTable, row),
+                booth_id: remap(ids, 'booths', row.booth_id, true),
+                event_id: eventId
+            };
+            if (!row.is_active) return operation;
+            endedOperations += 1;
+            return {
+                ...operation,
+                is_active: false,
+                ended_at: row.ended_at || endedAt,
+                end_reason: END_REASONS.FORCED,
+                ended_by: importedBy,
+                end_message: '백업에서 가져온 운영'
+            };
+        }));
+        if (endedOperations > 0) warnings.push(`진행 중이던 운영 ${endedOperations}건을 백업 시각에 종료된 것으로 가져왔습니다.`);
+
+        currentTable = 'operation_handovers';
+        await insertRows(store, ids, currentTable, tables.operation_handovers, tables.operation_handovers.map(row => ({
+            ...pickColumns(currentTable, row),
+            booth_id: remap(ids, 'booths', row.booth_id, true),
+            event_id: eventId,
+            from_operation_id: remap(ids, 'booth_operations', row.from_operation_id, true),
+            to_operation_id: remap(ids, 'booth_operations', row.to_operation_id, false),
+            status: row.status === HANDOVER_STATUS.PENDING ? HANDOVER_STATUS.CANCELLED : row.status
+        })));
+
+        // 같은 오프라인 기록 ID가 이미 있으면(같은 서버에 원본이 남아 있는 경우) ID를 비워 중복 제약을 피한다
+        currentTable = 'participants';
+        const clientIds = tables.participants.map(row => row.client_id).filter(Boolean);
+        const existingClientIds = new Set();
+        for (let start = 0; start < clientIds.length; start += INSERT_BATCH_SIZE) {
+            const existing = await store.select('participants', {
+                filters: [['client_id', 'in', clientIds.slice(start, start + INSERT_BATCH_SIZE)]]
+            });
+            existing.forEach(row => existingClientIds.add(row.client_id));
+        }
+        await insertRows(store, ids, currentTable, tables.participants, tables.participants.map(row => ({
+            ...pickColumns(currentTable, row),
+            booth_id: remap(ids, 'booths', row.booth_id, true),
+            event_id: eventId,
+            booth_operation_id: remap(ids, 'booth_operations', row.booth_operation_id, false),
+            consent_document_id: remap(ids, 'consent_documents', row.consent_document_id, false),
+            client_id: existingClientIds.has(row.client_id) ? null : row.client_id
+        })));
+        if (existingClientIds.size > 0) warnings.push(`이미 있는 오프라인 기록 ID ${existingClientIds.size}개를 비우고 가져왔습니다.`);
+
+        currentTable = 'guardian_consents';
+        await insertRows(store, ids, currentTable, tables.guardian_consents, tables.guardian_consents.map(row => ({
+            ...pickColumns(currentTable, row),
+            participant_id: remap(ids, 'participants', row.participant_id, true),
+            event_id: eventId
+        })));
+
+        currentTable = 'booth_daily_stats';
+        await insertRows(store, ids, currentTable, tables.booth_daily_stats, tables.booth_daily_stats.map(row => ({
+            ...pickColumns(currentTable, row),
+            booth_id: remap(ids, 'booths', row.booth_id, true)
+        })));
+
+        currentTable = 'retention_reports';
+        await insertRows(store, ids, currentTable, tables.retention_reports, tables.retention_reports.map(row => ({
+            ...pickColumns(currentTable, row),
+            event_id: eventId
+        })));
+    } catch (error) {
+        if (event) {
+            // 파기 기록은 행사가 지워져도 남으므로(set null) 직접 지운다
+            const reportIds = [...ids.retention_reports.values()];
+            if (reportIds.length > 0) await store.remove('retention_reports', [['id', 'in', reportIds]]);
+            await store.remove('events', [['id', 'eq', event.id]]);
+        }
+        if (error instanceof ApiError) throw error;
+        console.error('행사 백업 가져오기 실패:', error);
+        throw new ApiError(400, `백업 파일의 ${TABLE_LABELS[currentTable]} 기록을 저장하지 못했습니다. (${error.message})`);
+    }
+
+    return {
+        event,
+        counts: Object.fromEntries(BUNDLE_TABLES.map(table => [table, ids[table].size])),
+        warnings
+    };
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    CONFLICT_MODES,
+    exportEventBundle,
+    importEventBundle
+};
@@ -0,0 +1,86 @@
+/**
+ * 행사 복제 (새 회차 만들기)
+ * 매년 같은 부스로 열리는 행사를 새 날짜의 행사로 복사한다
+ * - 부스 정의와 설정(설명, 분류, 최대 운영자 수, 운영자 정보 필수 여부, 활성 상태)을 복사하고 부스 코드는 새로 발급한다
+ * - 동의서는 현재(최신) 버전의 제목과 내용을 새 행사의 1번 버전으로 게시한다
+ *   보유 기간 문구는 새 행사의 보유 기간으로 고쳐 쓰고, 고쳐 쓸 수 없거나 원본에 동의서가 없으면 기본 동의서를 게시한다
+ * - 방명록 양식은 행사 양식과 부스 양식을 모두 복사한다 (부스 양식은 새 부스에 연결)
+ * - 참가자, 운영, 교대, 통계 같은 기록과 부스 운영 담당 연락처, 운영자 계정 연결은 복사하지 않는다
+ */
+
+const { generateUniqueBoothCode } = require('./booth-codes');
+const { listConsentDocuments, publishConsentDocument, ensureDefaultConsentDocument } = require('./consents');
+const { getRetentionDays } = require('./retention');
+const { rewriteRetentionPeriod } = require('../shared/consent.js');
+
+// 복사하는 부스 컬럼
+const BOOTH_FIELDS = ['name', 'description', 'category', 'max_operators', 'require_operator_info', 'is_active'];
+
+/**
+ * 행사 내용 복제
+ * 새 행사(target)는 호출한 쪽에서 만들고, 여기서는 부스, 동의서, 방명록 양식을 채운다
+ * 중간에 실패하면 새 행사를 지워(딸린 기록은 함께 삭제) 복제 전 상태로 되돌린다
+ * @param {Object} store - 저장소 어댑터
+ * @param {Object} source - 원본 행사
+ * @param {Object} target - 새로 만든 행사
+ * @param {Object} options
+ * @param {number} options.expiryDays - 새 부스 코드 유효 기간 (일)
+ * @param {string} options.createdBy - 복제한 관리자 아이디 (동의서 게시자로 기록)
+ * @returns {Promise<Object>} { booths, consentDocument, formSchemas }
+ */
+async function cloneEventContents(store, source, target, { expiryDays = 30, createdBy = null } = {}) {
+    try {
+        const sourceBooths = await store.select('booths', {
+            filters: [['event_id', 'eq', source.id]],
+            order: { column: 'id', ascending: true }
+        });
+
+        const expiresAt = new Date();
+        expiresAt.setDate(expiresAt.getDate() + expiryDays);
+
+        const booths = [];
+        const boothIds = new Map();
+        for (const booth of sourceBooths) {
+            const row = Object.fromEntries(BOOTH_FIELDS.map(field => [field, booth[field]]));
+            const [created] = await store.insert('booths', {
+                ...row,
+                event_id: target.id,
+                booth_code: await generateUniqueBoothCode(store),
+                code_expires_at: expiresAt.toISOString(),
+                created_at: new Date().toISOString()
+            });
+            booths.push(created);
+            boothIds.set(booth.id, created.id);
+        }
+
+        const [latest] = await listConsentDocuments(store, source.id);
+        const consentBody = latest ? rewriteRetentionPeriod(latest.body, getRetentionDays(source), getRetentionDays(target)) : null;
+        const consentDocument = consentBody
+            ? await publishConsentDocument(store, {
+                eventId: target.id,
+                title: latest.title,
+                body: consentBody,
+                createdBy
+            })
+            : await ensureDefaultConsentDocument(store, target);
+
+        const sourceSchemas = await store.select('form_schemas', { filters: [['event_id', 'eq', source.id]] });
+        const formSchemas = sourceSchemas.length > 0
+            ? await store.insert('form_schemas', sourceSchemas.map(schema => ({
+                event_id: target.id,
+                booth_id: schema.booth_id ? boothIds.get(schema.booth_id) : null,
+                fields: schema.fields,
+                updated_by: createdBy
+            })))
+            : [];
+
+        return { booths, consentDocument, formSchemas };
+    } catch (error) {
+        await store.remove('events', [['id', 'eq', target.id]]);
+        throw error;
+    }
+}
+
+module.exports = {
+    cloneEventContents
+};
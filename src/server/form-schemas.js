@@ -0,0 +1,250 @@
+/**
+ * 방명록 양식 (행사별, 필요하면 부스별)
+ * 관리자가 행사마다 묻는 항목(질문)과 순서, 필수 여부, 입력 형식을 정하고 방명록 화면 세 곳이 같은 양식을 그린다
+ * - 양식은 항목 목록(fields, JSON 문자열)으로 저장한다. 부스 양식 → 행사 양식 → 기본 양식(DEFAULT_FORM_FIELDS) 순으로 찾는다
+ * - 표준 항목(이름, 성별, 교급, 생년월일, 연락처, 메시지)은 participants 컬럼에, 추가 질문의 답은 participants.answers에 저장한다
+ * - answers는 [{ key, label, type, value }] JSON 문자열 (질문 이름과 형식을 함께 남겨 양식이 바뀌어도 내보내기와 통계가 그대로 읽힌다)
+ * 항목 정의와 입력 검증(validateFieldValue, buildAnswers)은 화면과 함께 쓰는 src/shared/form-fields.js에 있다
+ */
+
+const { ApiError } = require('./http-utils');
+const { selectOne } = require('./db');
+const { parseDemographics } = require('./demographics');
+const {
+    requireString, optionalString, optionalInteger, optionalBoolean, optionalDate, optionalBirthDate, optionalPhone, optionalEnum
+} = require('./validators');
+const {
+    FIELD_TYPES,
+    STANDARD_FIELDS,
+    LOCKED_FIELD_KEYS,
+    DEFAULT_FORM_FIELDS,
+    withLockedFields,
+    validateFieldValue,
+    buildAnswers,
+    keepStatAnswers
+} = require('../shared/form-fields.js');
+
+// 양식 한 개의 최대 항목 수
+const MAX_FIELDS = 30;
+// 선택지 수
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 20;
+// 추가 질문 키 (영문 소문자로 시작, 영문 소문자/숫자/_)
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{1,29}$/;
+
+/**
+ * 표준 항목(participants 컬럼) 값 꺼내기
+ * 형식과 입력 제한은 STANDARD_FIELDS에 고정이고, 관리자는 이름표(label), 필수 여부, 안내 문구, 순서만 바꾼다
+ * (body, demographics) → 컬럼 값 (형식이 틀리면 400)
+ */
+const STANDARD_FIELD_PARSERS = {
+    name: body => optionalString(body.name, '이름', 50),
+    gender: (body, demographics) => demographics.gender,
+    school_level: (body, demographics) => demographics.school_level,
+    birth_date: body => optionalBirthDate(body.birth_date),
+    phone: body => optionalPhone(body.phone),
+    message: body => optionalString(body.message, '메시지', 500)
+};
+
+/**
+ * 항목 하나 검증 (형식별로 쓰는 설정만 남긴다)
+ */
+function parseField(source, index) {
+    const prefix = `${index + 1}번째 항목`;
+    if (!source || typeof source !== 'object') {
+        throw new ApiError(400, `${prefix} 형식이 올바르지 않습니다.`);
+    }
+
+    const key = requireString(source.key, `${prefix} 키`, 30);
+    const standard = STANDARD_FIELDS[key];
+    if (!standard && !FIELD_KEY_PATTERN.test(key)) {
+        throw new ApiError(400, `${prefix} 키는 영문 소문자로 시작하는 2~30자(영문 소문자, 숫자, _)여야 합니다.`);
+    }
+
+    const type = standard
+        ? standard.type
+        : optionalEnum(source.type, `${prefix} 형식`, Object.values(FIELD_TYPES));
+    if (!type) throw new ApiError(400, `${prefix} 형식은(는) 필수 입력 항목입니다.`);
+
+    const field = {
+        key,
+        label: requireString(source.label, `${prefix} 질문`, 100),
+        type,
+        // 잠긴 항목은 항상 필수 (이름: participants.name NOT NULL, 교급·생년월일: 법정대리인 동의 확인)
+        required: standard?.locked ? true : optionalBoolean(source.required, `${prefix} 필수 여부`) === true
+    };
+    const help = optionalString(source.help, `${prefix} 안내 문구`, 200);
+    if (help) field.help = help;
+
+    if (standard) {
+        if (standard.multiline) field.multiline = true;
+        return field;
+    }
+
+    if (type === FIELD_TYPES.TEXT) {
+        field.max_length = optionalInteger(source.max_length, `${prefix} 최대 글자 수`, 1, 1000) || 200;
+        if (optionalBoolean(source.multiline, `${prefix} 여러 줄 입력`)) field.multiline = true;
+        const pattern = optionalString(source.pattern, `${prefix} 입력 형식`, 200);
+        if (pattern) {
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                throw new ApiError(400, `${prefix} 입력 형식(정규식)이 올바르지 않습니다.`);
+            }
+            field.pattern = pattern;
+            field.pattern_message = optionalString(source.pattern_message, `${prefix} 형식 안내`, 100);
+        }
+    } else if (type === FIELD_TYPES.CHOICE) {
+        if (!Array.isArray(source.options)) {
+            throw new ApiError(400, `${prefix} 선택지는 목록이어야 합니다.`);
+        }
+        const options = source.options.map(option => requireString(option, `${prefix} 선택지`, 50));
+        if (new Set(options).size !== options.length) {
+            throw new ApiError(400, `${prefix} 선택지가 중복되었습니다.`);
+        }
+        if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+            throw new ApiError(400, `${prefix} 선택지는 ${MIN_OPTIONS}~${MAX_OPTIONS}개여야 합니다.`);
+        }
+        field.options = options;
+        if (optionalBoolean(source.multiple, `${prefix} 여러 개 선택`)) field.multiple = true;
+    } else if (type === FIELD_TYPES.DATE) {
+        const min = optionalDate(source.min, `${prefix} 시작 날짜`);
+        const max = optionalDate(source.max, `${prefix} 끝 날짜`);
+        if (min && max && min > max) {
+            throw new ApiError(400, `${prefix} 시작 날짜가 끝 날짜보다 늦습니다.`);
+        }
+        if (min) field.min = min;
+        if (max) field.max = max;
+    } else if (type === FIELD_TYPES.RATING) {
+        field.scale = optionalInteger(source.scale, `${prefix} 점수 단계`, 3, 10) || 5;
+    }
+    return field;
+}
+
+/**
+ * 양식 항목 목록 검증 (관리자가 저장할 때)
+ * 배열 순서가 화면에 보이는 순서, 잠긴 항목(이름, 교급, 생년월일)은 반드시 있어야 한다
+ * @returns {Array} 정리된 항목 목록
+ */
+function parseFormFields(fields) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+        throw new ApiError(400, '양식 항목이 없습니다.');
+    }
+    if (fields.length > MAX_FIELDS) {
+        throw new ApiError(400, `양식 항목은 ${MAX_FIELDS}개까지 만들 수 있습니다.`);
+    }
+
+    const parsed = fields.map(parseField);
+    const keys = parsed.map(field => field.key);
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) throw new ApiError(400, `항목 키(${duplicate})가 중복되었습니다.`);
+    const missing = LOCKED_FIELD_KEYS.find(key => !keys.includes(key));
+    if (missing) throw new ApiError(400, `${STANDARD_FIELDS[missing].label} 항목은 뺄 수 없습니다.`);
+    return parsed;
+}
+
+/**
+ * 저장된 행 → 응답 형식 (fields는 배열로)
+ */
+function toFormSchema(row) {
+    return { ...row, fields: withLockedFields(JSON.parse(row.fields)), is_default: false };
+}
+
+/**
+ * 부스에서 쓰는 양식 (부스 양식 → 행사 양식 → 기본 양식)
+ * @param {Object} booth - 부스 (행사 없는 부스는 기본 양식)
+ * @returns {Promise<Object>} { id, event_id, booth_id, fields, is_default }
+ */
+async function getFormSchema(store, booth) {
+    if (booth.event_id) {
+        const own = await selectOne(store, 'form_schemas', [['booth_id', 'eq', booth.id]]);
+        if (own) return toFormSchema(own);
+
+        const eventSchema = await selectOne(store, 'form_schemas', [
+            ['event_id', 'eq', booth.event_id],
+            ['booth_id', 'is', null]
+        ]);
+        if (eventSchema) return toFormSchema(eventSchema);
+    }
+
+    return {
+        id: null,
+        event_id: booth.event_id || null,
+        booth_id: null,
+        fields: DEFAULT_FORM_FIELDS,
+        is_default: true
+    };
+}
+
+/**
+ * 행사의 양식 목록 (행사 양식과 부스 양식)
+ */
+async function listFormSchemas(store, eventId) {
+    const rows = await store.select('form_schemas', {
+        filters: [['event_id', 'eq', eventId]],
+        order: { column: 'id', ascending: true }
+    });
+    return rows.map(toFormSchema);
+}
+
+/**
+ * 양식 저장 (행사 또는 부스당 하나, 있으면 고친다)
+ * @param {Object} schema - { eventId, boothId, fields(검증된 목록), updatedBy }
+ * @returns {Promise<Object>} { schema, created }
+ */
+async function saveFormSchema(store, { eventId, boothId = null, fields, updatedBy = null }) {
+    const existing = await selectOne(store, 'form_schemas', [
+        ['event_id', 'eq', eventId],
+        boothId ? ['booth_id', 'eq', boothId] : ['booth_id', 'is', null]
+    ]);
+    const values = { fields: JSON.stringify(fields), updated_by: updatedBy };
+
+    if (existing) {
+        const [updated] = await store.update('form_schemas', values, [['id', 'eq', existing.id]]);
+        return { schema: toFormSchema(updated), created: false };
+    }
+    const [created] = await store.insert('form_schemas', { event_id: eventId, booth_id: boothId, ...values });
+    return { schema: toFormSchema(created), created: true };
+}
+
+/**
+ * 방명록 등록 요청을 양식대로 검증
+ * - 표준 항목은 본문 최상위(name, gender, school_level, birth_date, phone, message), 추가 질문은 body.answers[키]
+ * - 양식에 없는 표준 항목은 저장하지 않는다 (예전 화면이나 오프라인 대기열이 보낸 값)
+ * @param {Array} fields - 부스 양식 항목
+ * @param {Object} body - 요청 본문
+ * @returns {Object} participants에 저장할 컬럼 (표준 항목, grade, answers)
+ */
+function parseFormValues(fields, body) {
+    const demographics = parseDemographics(body);
+    const answerValues = body.answers && typeof body.answers === 'object' && !Array.isArray(body.answers) ? body.answers : {};
+    const columns = Object.fromEntries(Object.keys(STANDARD_FIELDS).map(key => [key, null]));
+
+    fields.forEach(field => {
+        const parse = STANDARD_FIELD_PARSERS[field.key];
+        const value = parse ? parse(body, demographics) : answerValues[field.key];
+        const error = validateFieldValue(field, value);
+        if (error) throw new ApiError(400, error);
+        if (parse) columns[field.key] = value;
+    });
+
+    const answers = buildAnswers(fields, answerValues);
+    return {
+        ...columns,
+        grade: demographics.grade,
+        answers: answers.length > 0 ? JSON.stringify(answers) : null
+    };
+}
+
+module.exports = {
+    FIELD_TYPES,
+    STANDARD_FIELDS,
+    LOCKED_FIELD_KEYS,
+    DEFAULT_FORM_FIELDS,
+    parseFormFields,
+    getFormSchema,
+    listFormSchemas,
+    saveFormSchema,
+    parseFormValues,
+    keepStatAnswers
+};
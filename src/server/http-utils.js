@@ -0,0 +1,138 @@
+/**
+ * HTTP 유틸리티
+ * JSON 요청 본문 파싱, 응답 전송, API 오류 정의
+ */
+
+// 요청 본문 최대 크기 (1MB)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * 신뢰할 프록시 주소 목록 (쉼표로 구분, 예: "127.0.0.1,::1")
+ */
+function parseTrustedProxies(value) {
+    return String(value || '')
+        .split(',')
+        .map(address => normalizeIp(address.trim()))
+        .filter(Boolean);
+}
+
+/**
+ * IPv4-mapped IPv6 주소(::ffff:127.0.0.1)를 IPv4로
+ */
+function normalizeIp(address) {
+    if (!address) return null;
+    return address.startsWith('::ffff:') ? address.slice(7) : address;
+}
+
+// TRUST_PROXY 환경 변수의 프록시 주소 (비어 있으면 X-Forwarded-For를 쓰지 않음)
+const TRUSTED_PROXIES = parseTrustedProxies(process.env.TRUST_PROXY);
+
+/**
+ * API 오류
+ * 상태 코드와 사용자에게 보여줄 메시지를 함께 가진다
+ * details는 응답 본문에 함께 담을 값 (예: 429의 retry_after)
+ */
+class ApiError extends Error {
+    constructor(status, message, details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * 요청 본문을 JSON으로 읽기
+ * @param {http.IncomingMessage} req - 요청
+ * @param {number} maxSize - 본문 최대 크기 (기본값: MAX_BODY_SIZE)
+ * @returns {Promise<Object>} 파싱된 본문 (본문이 없으면 빈 객체)
+ */
+function readJsonBody(req, maxSize = MAX_BODY_SIZE) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxSize) {
+                reject(new ApiError(413, '요청 본문이 너무 큽니다.'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (chunks.length === 0) {
+                resolve({});
+                return;
+            }
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+                resolve(body && typeof body === 'object' ? body : {});
+            } catch (error) {
+                reject(new ApiError(400, '잘못된 JSON 형식입니다.'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * JSON 응답 전송
+ * @param {http.ServerResponse} res - 응답
+ * @param {number} status - HTTP 상태 코드
+ * @param {Object} payload - 응답 본문
+ * @param {Object} headers - 추가 응답 헤더
+ */
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * 요청한 클라이언트 IP 확인
+ * - 기본은 연결한 소켓 주소 (X-Forwarded-For는 누구나 보낼 수 있으므로 무시)
+ * - 소켓 주소가 신뢰할 프록시(TRUST_PROXY)일 때만 X-Forwarded-For를 오른쪽부터 읽어
+ *   신뢰할 프록시가 아닌 첫 주소를 사용 (왼쪽 값은 클라이언트가 마음대로 넣을 수 있음)
+ * @param {http.IncomingMessage} req - 요청
+ * @param {string[]} trustedProxies - 신뢰할 프록시 주소 (기본값: TRUST_PROXY 환경 변수)
+ */
+function getClientIp(req, trustedProxies = TRUSTED_PROXIES) {
+    const remote = normalizeIp(req.socket?.remoteAddress);
+    if (!remote || !trustedProxies.includes(remote)) {
+        return remote;
+    }
+
+    const hops = String(req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => normalizeIp(address.trim()))
+        .filter(Boolean);
+
+    for (let i = hops.length - 1; i >= 0; i--) {
+        if (!trustedProxies.includes(hops[i])) return hops[i];
+    }
+    return hops[0] || remote;
+}
+
+/**
+ * Authorization 헤더의 Bearer 토큰 (없으면 null)
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() || null : null;
+}
+
+module.exports = {
+    ApiError,
+    readJsonBody,
+    sendJson,
+    parseTrustedProxies,
+    getClientIp,
+    getBearerToken
+};
@@ -0,0 +1,110 @@
+/**
+ * 비밀번호 해시
+ * scrypt(솔트 포함)로 저장하고, 기존 평문 행은 로그인 성공 시 해시로 교체한다
+ *
+ * 저장 형식: scrypt$N$r$p$솔트(base64)$해시(base64)
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt 파라미터 (N=2^15, 메모리 약 32MB)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const HASH_PREFIX = 'scrypt$';
+
+// 새 비밀번호 최소 길이
+const MIN_PASSWORD_LENGTH = 8;
+
+function scryptOptions({ N, r, p }) {
+    return { N, r, p, maxmem: 128 * N * r * 2 };
+}
+
+function formatHash(params, salt, hash) {
+    return [
+        'scrypt', params.N, params.r, params.p,
+        salt.toString('base64'), hash.toString('base64')
+    ].join('$');
+}
+
+/**
+ * 해시 형식인지 확인 (아니면 평문으로 저장된 기존 행)
+ */
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(HASH_PREFIX);
+}
+
+/**
+ * 비밀번호 해시 생성
+ * @returns {Promise<string>} 저장용 해시 문자열
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(password, salt, KEY_LENGTH, scryptOptions(SCRYPT_PARAMS));
+    return formatHash(SCRYPT_PARAMS, salt, hash);
+}
+
+/**
+ * 비밀번호 해시 생성 (동기, 기본 데이터 생성용)
+ */
+function hashPasswordSync(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH, scryptOptions(SCRYPT_PARAMS));
+    return formatHash(SCRYPT_PARAMS, salt, hash);
+}
+
+/**
+ * 비밀번호 확인
+ * - 평문 행은 상수 시간 비교 후 needsRehash로 교체 필요 표시
+ * - 해시 파라미터가 현재 설정과 다르면 needsRehash
+ * @returns {Promise<Object>} { valid, needsRehash }
+ */
+async function verifyPassword(password, stored) {
+    if (typeof stored !== 'string' || stored === '') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!isHashed(stored)) {
+        const expected = crypto.createHash('sha256').update(stored).digest();
+        const actual = crypto.createHash('sha256').update(password).digest();
+        const valid = crypto.timingSafeEqual(expected, actual);
+        return { valid, needsRehash: valid };
+    }
+
+    const [, N, r, p, saltText, hashText] = stored.split('$');
+    const params = { N: Number(N), r: Number(r), p: Number(p) };
+    if (!params.N || !params.r || !params.p || !saltText || !hashText) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const expected = Buffer.from(hashText, 'base64');
+    const actual = await scrypt(password, Buffer.from(saltText, 'base64'), expected.length, scryptOptions(params));
+    const valid = crypto.timingSafeEqual(expected, actual);
+    const outdated = params.N !== SCRYPT_PARAMS.N || params.r !== SCRYPT_PARAMS.r || params.p !== SCRYPT_PARAMS.p;
+
+    return { valid, needsRehash: valid && outdated };
+}
+
+// 없는 계정도 같은 시간이 걸리도록 비교할 더미 해시
+let dummyHash = null;
+
+/**
+ * 계정이 없을 때 시간 맞추기용 확인 (항상 실패)
+ */
+async function verifyDummy(password) {
+    if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, dummyHash);
+    return { valid: false, needsRehash: false };
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    isHashed,
+    hashPassword,
+    hashPasswordSync,
+    verifyPassword,
+    verifyDummy
+};
@@ -0,0 +1,67 @@
+/**
+ * 개인정보 가림 정책
+ * 조회/내보내기 응답의 개인정보 필드를 가리고, 관리자가 사유를 남길 때만 원본을 돌려준다
+ * - 운영자, 행사 담당자: 항상 가린 값 (협력 기관에 넘기는 내보내기 파일도 가린 값)
+ * - 관리자: 기본은 가린 값, ?reveal=1&reveal_reason=...으로 요청하면 원본 (privacy_access_logs에 기록)
+ * 가리는 필드와 규칙(maskRow)은 화면과 함께 쓰는 src/shared/privacy.js에 있다
+ */
+
+const { ApiError } = require('./http-utils');
+const { PERMISSIONS, hasPermission } = require('./rbac');
+const { requireString } = require('./validators');
+const { maskName, maskPhone, maskBirthDate, maskRow } = require('../shared/privacy.js');
+
+/**
+ * 원본 보기 요청 확인
+ * @returns {string|null} 원본 보기 사유 (요청하지 않았으면 null)
+ */
+function resolveRevealReason(user, query) {
+    if (!query.reveal || query.reveal === '0' || query.reveal === 'false') return null;
+    if (!hasPermission(user, PERMISSIONS.REVEAL_PERSONAL_DATA)) {
+        throw new ApiError(403, '개인정보 원본을 볼 권한이 없습니다.');
+    }
+    return requireString(query.reveal_reason, '원본 보기 사유', 200);
+}
+
+/**
+ * 개인정보 원본 열람 기록
+ * @param {Object} access - { user, resource, reason, recordCount, query }
+ */
+async function logPersonalDataAccess(store, { user, resource, reason, recordCount, query = {} }) {
+    const { reveal, reveal_reason: revealReason, ...filters } = query;
+    await store.insert('privacy_access_logs', {
+        username: user.username || null,
+        role: user.role,
+        resource,
+        reason,
+        record_count: recordCount,
+        filters: JSON.stringify(filters)
+    });
+}
+
+/**
+ * 응답 행에 가림 정책 적용
+ * 원본 보기를 요청한 관리자에게는 원본을 돌려주고 열람 기록을 남긴다
+ * @param {Object} options
+ * @param {Object} options.user - 요청한 사용자
+ * @param {Object} options.query - 요청 쿼리 (reveal, reveal_reason)
+ * @param {string} options.resource - 열람 기록에 남길 자원 이름 (API 경로)
+ * @param {Function} options.mask - 행 가리기 함수 (기본값: maskRow(table))
+ * @param {string} options.table - PERSONAL_FIELDS의 테이블 이름
+ */
+async function applyPrivacy(store, rows, { user, query, resource, table, mask = row => maskRow(table, row) }) {
+    const reason = resolveRevealReason(user, query);
+    if (!reason) return rows.map(mask);
+
+    await logPersonalDataAccess(store, { user, resource, reason, recordCount: rows.length, query });
+    return rows;
+}
+
+module.exports = {
+    maskName,
+    maskPhone,
+    maskBirthDate,
+    maskRow,
+    logPersonalDataAccess,
+    applyPrivacy
+};
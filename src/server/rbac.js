@@ -0,0 +1,58 @@
+/**
+ * 역할 기반 권한 (서버)
+ * 역할/권한 정의와 접근 범위는 화면과 함께 쓰는 src/shared/rbac.js에 있고, 라우트는 requirePermission으로 확인한다
+ */
+
+const { ApiError } = require('./http-utils');
+const {
+    ROLES,
+    PERMISSIONS,
+    SCOPES,
+    ROLE_DEFINITIONS,
+    hasPermission,
+    getEventScope,
+    canAccessEvent
+} = require('../shared/rbac.js');
+
+/**
+ * 권한 확인
+ * - 게스트면 401, 권한이 없거나 범위 밖 행사면 403
+ * @param {Object} user - resolveUser 결과
+ * @param {string} permission - PERMISSIONS 값
+ * @param {Object} target - { eventId } 지정 시 해당 행사 범위도 확인 (행사 없는 부스는 null)
+ */
+function requirePermission(user, permission, target = {}) {
+    if (user.role === ROLES.GUEST) {
+        throw new ApiError(401, '로그인이 필요합니다.');
+    }
+    if (!hasPermission(user, permission)) {
+        throw new ApiError(403, '이 기능을 사용할 권한이 없습니다.');
+    }
+    if ('eventId' in target && !canAccessEvent(user, target.eventId)) {
+        throw new ApiError(403, '담당 행사가 아닙니다.');
+    }
+}
+
+/**
+ * 조회 필터에 행사 범위 추가
+ * @param {Array} filters - 저장소 필터 (직접 추가됨)
+ * @returns {boolean} 조회할 수 있는 행사가 없으면 false (빈 결과 반환)
+ */
+function applyEventScope(filters, user, column = 'event_id') {
+    const scope = getEventScope(user);
+    if (scope === null) return true;
+    if (scope.length === 0) return false;
+    filters.push([column, 'in', scope]);
+    return true;
+}
+
+module.exports = {
+    PERMISSIONS,
+    SCOPES,
+    ROLE_DEFINITIONS,
+    hasPermission,
+    getEventScope,
+    canAccessEvent,
+    requirePermission,
+    applyEventScope
+};
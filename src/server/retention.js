@@ -0,0 +1,204 @@
+/**
+ * 참가자 개인정보 보유 기간 관리
+ * 방명록 동의 화면(index.html)에 안내한 보유 기간이 지나면 참가자 기록의 개인정보를 되돌릴 수 없게 파기한다
+ * - 이름은 ANONYMIZED_NAME으로, 생년월일/연락처/메시지/client_id는 null로 바꾼다
+ * - 법정대리인 동의도 보호자 이름은 ANONYMIZED_NAME으로, 연락처와 서명은 null로 바꾼다 (anonymizeParticipants)
+ * - 방명록 양식의 추가 질문 답은 선택형, 체크박스, 점수만 남기고 글, 날짜, 연락처 답은 지운다
+ * - 성별, 교급, 학년, 부스, 운영, 작성 시각은 남겨 통계(부스별/성별/교급별 인원)는 그대로 계산된다
+ * - 기록마다 등록할 때의 보유 기간으로 보유 기한(retain_until)을 정해 두므로, 행사의 보유 기간을 늘려도
+ *   이미 받은 기록은 동의한 기간에 파기하고, 줄이면 이미 받은 기록에도 바로 적용한다
+ * - 행사별로 파기한 건수와 집계를 retention_reports에 남긴다
+ */
+
+const { normalizeGender, normalizeSchoolLevel } = require('./demographics');
+const { keepStatAnswers } = require('./form-schemas');
+// 파기된 기록의 이름 (participants.name은 NOT NULL, 화면과 함께 씀)
+const { ANONYMIZED_NAME } = require('../shared/privacy.js');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// 행사에 보유 기간이 없을 때의 기본값 (동의 화면의 "수집일로부터 90일")
+const DEFAULT_RETENTION_DAYS = 90;
+// 파기 작업 실행 간격 (1시간)
+const RETENTION_INTERVAL_MS = 60 * MINUTE_MS;
+// 파기 작업을 실행한 주체 (retention_reports.triggered_by)
+const RETENTION_TRIGGERS = {
+    SCHEDULE: 'schedule',
+    MANUAL: 'manual'
+};
+
+/**
+ * 행사의 보유 기간 (일)
+ */
+function getRetentionDays(event) {
+    return Number(event?.retention_days) || DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * 참가자 기록의 보유 기한 (등록할 때 participants.retain_until에 저장)
+ * @param {Object|null} event - 부스 행사 (행사 없는 부스는 null)
+ * @param {string} createdAt - 작성 시각
+ */
+function getRetainUntil(event, createdAt) {
+    return new Date(Date.parse(createdAt) + getRetentionDays(event) * DAY_MS).toISOString();
+}
+
+/**
+ * 파기한 기록의 집계 (부스별 인원, 성별, 교급별 인원)
+ */
+function summarize(participants) {
+    const countBy = (key, normalize = value => value) => participants.reduce((counts, participant) => {
+        const value = normalize(participant[key]) ?? participant[key] ?? '미입력';
+        counts[value] = (counts[value] || 0) + 1;
+        return counts;
+    }, {});
+
+    return {
+        booths: countBy('booth_id'),
+        gender: countBy('gender', normalizeGender),
+        school_level: countBy('school_level', normalizeSchoolLevel)
+    };
+}
+
+/**
+ * 참가자 기록의 개인정보 파기 (보유 기간 파기와 정보주체 삭제 요청이 함께 사용)
+ * 법정대리인 동의의 보호자 이름, 연락처, 서명도 함께 파기한다
+ * @param {Object} store - 저장소 어댑터
+ * @param {Array} filters - 파기할 참가자 조건 (이미 파기된 기록은 제외)
+ * @param {Date} now - 파기 시각
+ * @returns {Promise<Array>} 파기한 참가자 기록
+ */
+async function anonymizeParticipants(store, filters, now = new Date()) {
+    const anonymized = await store.update('participants', {
+        name: ANONYMIZED_NAME,
+        birth_date: null,
+        phone: null,
+        message: null,
+        client_id: null,
+        anonymized_at: now.toISOString()
+    }, [...filters, ['anonymized_at', 'is', null]]);
+    if (anonymized.length === 0) return anonymized;
+
+    // 추가 질문 답은 기록마다 남길 답이 달라 하나씩 고친다
+    for (const participant of anonymized.filter(row => row.answers)) {
+        const answers = keepStatAnswers(participant.answers);
+        if (answers === participant.answers) continue;
+        await store.update('participants', { answers }, [['id', 'eq', participant.id]]);
+        participant.answers = answers;
+    }
+
+    await store.update('guardian_consents', {
+        guardian_name: ANONYMIZED_NAME,
+        guardian_phone: null,
+        signature_image: null,
+        anonymized_at: now.toISOString()
+    }, [
+        ['participant_id', 'in', anonymized.map(participant => participant.id)],
+        ['anonymized_at', 'is', null]
+    ]);
+    return anonymized;
+}
+
+/**
+ * 보유 기간이 지난 참가자 기록 파기
+ * - 보유 기한(retain_until)이 지난 기록과, 지금 행사의 보유 기간보다 오래된 기록(보유 기한이 없는 이전 기록 포함)
+ * - 행사가 없는 기록(행사 없는 부스)은 기본 보유 기간을 적용한다
+ * @param {Object} store - 저장소 어댑터
+ * @param {Object} options
+ * @param {Date} options.now - 기준 시각
+ * @param {string} options.triggeredBy - RETENTION_TRIGGERS 값 또는 실행한 관리자 아이디
+ * @returns {Promise<Array>} 이번에 작성한 파기 기록 (파기한 기록이 있는 행사만)
+ */
+async function purgeExpiredParticipants(store, {
+    now = new Date(), triggeredBy = RETENTION_TRIGGERS.SCHEDULE
+} = {}) {
+    const events = await store.select('events');
+    const targets = [
+        ...events.map(event => ({ event, filter: ['event_id', 'eq', event.id] })),
+        { event: null, filter: ['event_id', 'is', null] }
+    ];
+
+    const reports = [];
+    for (const { event, filter } of targets) {
+        const retentionDays = getRetentionDays(event);
+        const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+
+        const anonymized = [
+            ...await anonymizeParticipants(store, [filter, ['retain_until', 'lt', now.toISOString()]], now),
+            ...await anonymizeParticipants(store, [filter, ['created_at', 'lt', cutoff]], now)
+        ];
+        if (anonymized.length === 0) continue;
+
+        const [report] = await store.insert('retention_reports', {
+            event_id: event ? event.id : null,
+            event_name: event ? event.name : null,
+            retention_days: retentionDays,
+            cutoff_at: cutoff,
+            anonymized_count: anonymized.length,
+            summary: JSON.stringify(summarize(anonymized)),
+            triggered_by: triggeredBy
+        });
+        reports.push(report);
+    }
+    return reports;
+}
+
+/**
+ * 파기 작업 생성 (server.js에서 시작, pm2로 서버가 재시작되면 다시 시작된다)
+ * @param {Object} store - 저장소 어댑터
+ * @param {Object} options
+ * @param {number} options.intervalMs - 실행 간격 (기본값: RETENTION_INTERVAL_MINUTES 환경 변수 또는 60분)
+ */
+function createRetentionJob(store, {
+    intervalMs = (Number(process.env.RETENTION_INTERVAL_MINUTES) * MINUTE_MS) || RETENTION_INTERVAL_MS
+} = {}) {
+    let timer = null;
+    let running = false;
+
+    /**
+     * 한 번 실행 (이전 실행이 끝나지 않았으면 건너뜀)
+     */
+    async function run() {
+        if (running) return null;
+        running = true;
+        try {
+            const reports = await purgeExpiredParticipants(store);
+            reports.forEach(report => {
+                console.log(`개인정보 파기: ${report.event_name || '행사 없음'} ${report.anonymized_count}건 (보유 기간 ${report.retention_days}일)`);
+            });
+            return reports;
+        } catch (error) {
+            console.error('개인정보 파기 작업 실패:', error);
+            return null;
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        intervalMs,
+        run,
+        start() {
+            if (timer) return;
+            run();
+            timer = setInterval(run, intervalMs);
+            timer.unref();
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_RETENTION_DAYS,
+    ANONYMIZED_NAME,
+    RETENTION_TRIGGERS,
+    getRetentionDays,
+    getRetainUntil,
+    anonymizeParticipants,
+    purgeExpiredParticipants,
+    createRetentionJob
+};
@@ -0,0 +1,84 @@
+/**
+ * 간단한 API 라우터
+ * '/api/booths/:id' 형태의 경로 패턴을 지원한다
+ */
+
+const { ApiError } = require('./http-utils');
+
+/**
+ * 경로 패턴을 정규식으로 변환
+ * @param {string} pattern - 경로 패턴 (예: /api/booths/:id)
+ * @returns {{ regex: RegExp, keys: string[] }}
+ */
+function compilePattern(pattern) {
+    const keys = [];
+    const source = pattern
+        .split('/')
+        .map(segment => {
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * 경로 값 디코딩 (잘못된 % 인코딩은 400)
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new ApiError(400, '요청 경로가 올바르지 않습니다.');
+    }
+}
+
+/**
+ * 라우터 생성
+ */
+function createRouter() {
+    const routes = [];
+
+    return {
+        /**
+         * 라우트 등록
+         * @param {string} method - HTTP 메서드
+         * @param {string} pattern - 경로 패턴
+         * @param {Function} handler - async (ctx) => 응답 본문
+         * @param {Object} options - { maxBodySize: 요청 본문 최대 크기 (기본값: http-utils의 MAX_BODY_SIZE) }
+         */
+        add(method, pattern, handler, { maxBodySize } = {}) {
+            routes.push({ method, handler, maxBodySize, ...compilePattern(pattern) });
+        },
+
+        /**
+         * 요청에 맞는 라우트 찾기
+         * @returns {{ handler: Function, params: Object, maxBodySize: number } | null | 'method_not_allowed'}
+         */
+        match(method, pathname) {
+            let pathMatched = false;
+
+            for (const route of routes) {
+                const result = route.regex.exec(pathname);
+                if (!result) continue;
+
+                pathMatched = true;
+                if (route.method !== method) continue;
+
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    params[key] = decodeParam(result[index + 1]);
+                });
+                return { handler: route.handler, params, maxBodySize: route.maxBodySize };
+            }
+
+            return pathMatched ? 'method_not_allowed' : null;
+        }
+    };
+}
+
+module.exports = { createRouter };
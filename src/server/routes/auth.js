@@ -0,0 +1,176 @@
+/**
+ * 인증 API
+ * 관리자/행사 담당자/운영자 계정 로그인 및 로그아웃, 세션 확인/폐기, 비밀번호 변경
+ */
+
+const { ApiError } = require('../http-utils');
+const { selectOne } = require('../db');
+const { ROLES, ADMIN_IDLE_TIMEOUT_MS } = require('../sessions');
+const { requireString, requireId, requireNewPassword } = require('../validators');
+const { hashPassword, verifyPassword, verifyDummy } = require('../passwords');
+const { checkLoginAttempt } = require('../code-attempts');
+
+// 역할별 계정 테이블 (로그인 시 이 순서로 사용자명 확인)
+const ACCOUNT_TABLES = {
+    [ROLES.ADMIN]: 'admins',
+    [ROLES.EVENT_MANAGER]: 'event_managers',
+    [ROLES.OPERATOR]: 'operators'
+};
+
+/**
+ * 사용자명으로 계정 찾기 (관리자 → 행사 담당자 → 운영자 순)
+ * @returns {Promise<Object|null>} { role, table, account }
+ */
+async function findAccount(store, username) {
+    for (const [role, table] of Object.entries(ACCOUNT_TABLES)) {
+        const account = await selectOne(store, table, [['username', 'eq', username]]);
+        if (account) return { role, table, account };
+    }
+    return null;
+}
+
+/**
+ * 사용자명 중복 확인 (모든 계정 테이블에서 유일해야 로그인 대상이 하나로 정해짐)
+ */
+async function isUsernameTaken(store, username) {
+    return Boolean(await findAccount(store, username));
+}
+
+/**
+ * 계정 비밀번호 확인
+ * - 평문으로 저장된 기존 행은 확인에 성공하면 해시로 교체
+ * @returns {Promise<boolean>}
+ */
+async function checkAccountPassword(store, table, account, password) {
+    const { valid, needsRehash } = await verifyPassword(password, account.password);
+
+    if (valid && needsRehash) {
+        try {
+            await store.update(table, { password: await hashPassword(password) }, [['id', 'eq', account.id]]);
+        } catch (error) {
+            // 교체 실패는 로그인을 막지 않음 (다음 로그인에서 다시 시도)
+            console.error('비밀번호 해시 교체 실패:', error.message);
+        }
+    }
+    return valid;
+}
+
+function register(router, { store, sessions, requireRole }) {
+    // 로그인 (실패가 반복되면 IP/사용자명별로 잠시 차단, src/server/code-attempts.js)
+    router.add('POST', '/api/auth/login', async ({ req, body }) => {
+        const username = requireString(body.username, '사용자명', 50);
+        const password = requireString(body.password, '비밀번호', 255);
+
+        return checkLoginAttempt(store, req, username, async () => {
+            const found = await findAccount(store, username);
+
+            // 없는 계정도 같은 시간이 걸리도록 확인 (계정 존재 여부 노출 방지)
+            if (!found) {
+                await verifyDummy(password);
+                return null;
+            }
+            if (!await checkAccountPassword(store, found.table, found.account, password)) {
+                return null;
+            }
+
+            const { role, account } = found;
+            const user = { id: account.id, username: account.username };
+            if (role !== ROLES.ADMIN) user.name = account.name;
+            return {
+                token: await sessions.issueAdminSession(account, role, req),
+                user,
+                role
+            };
+        }, '아이디 또는 비밀번호가 일치하지 않습니다.');
+    });
+
+    // 로그아웃
+    router.add('POST', '/api/auth/logout', async ({ user }) => {
+        if (user.adminSessionId) {
+            await sessions.revokeAdminSession(user.token);
+        }
+        return { success: true };
+    });
+
+    // 현재 사용자 (GET이므로 유휴 시간을 연장하지 않음)
+    router.add('GET', '/api/auth/me', async ({ user }) => {
+        const { token, ...profile } = user;
+        return profile;
+    });
+
+    // 활동 알림 (관리자: 화면을 사용 중일 때 유휴 만료 연장, 운영자: 운영 화면이 열려 있음을 알림)
+    router.add('POST', '/api/auth/heartbeat', async ({ user }) => {
+        requireRole(user, ROLES.ADMIN, ROLES.EVENT_MANAGER, ROLES.OPERATOR);
+        return { expiresAt: user.expiresAt || null, idleExpiresAt: user.idleExpiresAt || null };
+    });
+
+    // 유효한 관리자 세션 목록
+    router.add('GET', '/api/auth/sessions', async ({ user }) => {
+        requireRole(user, ROLES.ADMIN);
+
+        const now = new Date();
+        const idleLimit = new Date(now.getTime() - ADMIN_IDLE_TIMEOUT_MS).toISOString();
+        const rows = await store.select('admin_sessions', {
+            filters: [
+                ['revoked_at', 'is', null],
+                ['expires_at', 'gt', now.toISOString()],
+                ['last_activity', 'gt', idleLimit]
+            ],
+            order: { column: 'last_activity', ascending: false }
+        });
+
+        return rows.map(({ session_id, ...session }) => ({
+            ...session,
+            is_current: session_id === user.adminSessionId
+        }));
+    });
+
+    // 관리자 세션 강제 종료
+    router.add('POST', '/api/auth/sessions/:id/revoke', async ({ params, user }) => {
+        requireRole(user, ROLES.ADMIN);
+
+        const id = requireId(params.id, '세션 ID');
+        const session = await selectOne(store, 'admin_sessions', [['id', 'eq', id]]);
+        if (!session) throw new ApiError(404, '세션을 찾을 수 없습니다.');
+
+        if (!session.revoked_at) {
+            await store.update('admin_sessions', { revoked_at: new Date().toISOString() }, [['id', 'eq', id]]);
+        }
+        return { success: true };
+    });
+
+    // 비밀번호 변경 (계정으로 로그인한 관리자/행사 담당자/운영자 본인)
+    router.add('POST', '/api/auth/password', async ({ body, user }) => {
+        requireRole(user, ROLES.ADMIN, ROLES.EVENT_MANAGER, ROLES.OPERATOR);
+
+        // 부스 코드로 시작한 운영자 세션에는 계정이 없음
+        if (!user.userId) {
+            throw new ApiError(403, '계정으로 로그인한 경우에만 비밀번호를 변경할 수 있습니다.');
+        }
+        const table = ACCOUNT_TABLES[user.role];
+
+        const currentPassword = requireString(body.current_password, '현재 비밀번호', 255);
+        const newPassword = requireNewPassword(body.new_password, '새 비밀번호');
+
+        const account = await selectOne(store, table, [['id', 'eq', user.userId]]);
+        if (!account) {
+            throw new ApiError(404, '계정을 찾을 수 없습니다.');
+        }
+
+        const { valid } = await verifyPassword(currentPassword, account.password);
+        if (!valid) {
+            throw new ApiError(400, '현재 비밀번호가 일치하지 않습니다.');
+        }
+
+        await store.update(table, { password: await hashPassword(newPassword) }, [['id', 'eq', account.id]]);
+
+        // 다른 기기/탭의 세션은 종료
+        await sessions.revokeAccountSessions(user.role, account.id, user.adminSessionId);
+        return { success: true, message: '비밀번호가 변경되었습니다.' };
+    });
+}
+
+module.exports = {
+    register,
+    isUsernameTaken
+};
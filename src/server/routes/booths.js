@@ -0,0 +1,252 @@
+/**
+ * 부스 및 부스 코드 API
+ */
+
+const { ApiError } = require('../http-utils');
+const { selectOne, embed } = require('../db');
+const { ROLES } = require('../sessions');
+const { PERMISSIONS, hasPermission, canAccessEvent, applyEventScope } = require('../rbac');
+const { assignCode } = require('../booth-codes');
+const { checkBoothCodeAttempt } = require('../code-attempts');
+const { ensureDefaultConsentDocument } = require('../consents');
+const { maskRow, applyPrivacy } = require('../privacy');
+const {
+    requireString, optionalString, requireId, optionalId, optionalInteger, optionalBoolean, optionalPhone,
+    requireBoothCode, compact
+} = require('../validators');
+
+// 일괄 등록 한 번에 받을 수 있는 부스 수
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * 코드 관리 권한이 없거나 담당 행사가 아니면 부스 코드 정보를 제거
+ * 운영 담당 연락처는 부스 관리 권한이 있는 담당 행사에만 남긴다 (가림은 applyPrivacy)
+ */
+function toPublicBooth(booth, user) {
+    const { contact_phone, ...publicBooth } = booth;
+    const result = hasPermission(user, PERMISSIONS.MANAGE_BOOTHS) && canAccessEvent(user, booth.event_id)
+        ? booth
+        : publicBooth;
+    if (hasPermission(user, PERMISSIONS.MANAGE_CODES) && canAccessEvent(user, booth.event_id)) return result;
+    const { booth_code, code_expires_at, ...rest } = result;
+    return rest;
+}
+
+/**
+ * 부스 입력값 검증
+ */
+function parseBooth(body, partial) {
+    const has = key => !partial || key in body;
+
+    return compact({
+        event_id: has('event_id') ? optionalId(body.event_id, '행사 ID') : undefined,
+        name: has('name') ? requireString(body.name, '부스명', 100) : undefined,
+        description: has('description') ? optionalString(body.description, '설명', 1000) : undefined,
+        category: has('category') ? optionalString(body.category, '분류', 50) : undefined,
+        contact_phone: has('contact_phone') ? optionalPhone(body.contact_phone, '운영 담당 연락처') : undefined,
+        max_operators: has('max_operators') ? (optionalInteger(body.max_operators, '최대 운영자 수', 1, 20) ?? 3) : undefined,
+        require_operator_info: has('require_operator_info') ? (optionalBoolean(body.require_operator_info, '운영자 정보 필수 여부') ?? true) : undefined,
+        is_active: has('is_active') ? (optionalBoolean(body.is_active, '활성 상태') ?? true) : undefined
+    });
+}
+
+/**
+ * 일괄 등록 행 검증
+ * 행마다 부스 입력값 검증과 같은 규칙을 적용하고, 파일 안이나 행사에 같은 이름의 부스가 있으면 오류로 표시한다
+ * @param {Array} rows - 부스 입력값 목록 (event_id 제외)
+ * @param {Array} existingBooths - 행사에 이미 있는 부스
+ * @returns {Array} [{ index, booth, error }]
+ */
+function validateImportRows(rows, eventId, existingBooths) {
+    const nameKey = name => name.trim().toLowerCase();
+    const existingNames = new Set(existingBooths.map(booth => nameKey(booth.name)));
+    const seenNames = new Map();
+
+    return rows.map((row, index) => {
+        try {
+            if (!row || typeof row !== 'object') throw new ApiError(400, '행 형식이 올바르지 않습니다.');
+            const booth = parseBooth({ ...row, event_id: eventId }, false);
+
+            const key = nameKey(booth.name);
+            if (existingNames.has(key)) throw new ApiError(400, '행사에 같은 이름의 부스가 이미 있습니다.');
+            if (seenNames.has(key)) throw new ApiError(400, `${seenNames.get(key) + 1}번째 행과 부스명이 같습니다.`);
+            seenNames.set(key, index);
+
+            return { index, booth, error: null };
+        } catch (error) {
+            if (!(error instanceof ApiError)) throw error;
+            return { index, booth: null, error: error.message };
+        }
+    });
+}
+
+/**
+ * 부스 조회 (없으면 404)
+ */
+async function findBooth(store, id) {
+    const booth = await selectOne(store, 'booths', [['id', 'eq', id]]);
+    if (!booth) throw new ApiError(404, '부스 정보를 찾을 수 없습니다.');
+    return booth;
+}
+
+function register(router, { store, requirePermission }) {
+    // 부스 목록 (행사명 포함)
+    // - 방문자도 조회 가능, 코드 정보는 관리자와 담당 행사 관리자만
+    // - 행사 담당자는 담당 행사의 부스만
+    router.add('GET', '/api/booths', async ({ query, user }) => {
+        const filters = [];
+        if (query.event_id) filters.push(['event_id', 'eq', requireId(query.event_id, '행사 ID')]);
+        if (query.is_active !== undefined) filters.push(['is_active', 'eq', query.is_active === 'true']);
+        if (user.role === ROLES.EVENT_MANAGER && !applyEventScope(filters, user)) return [];
+
+        const booths = await store.select('booths', { filters, order: { column: 'name' } });
+        const withEvents = await embed(store, booths.map(booth => toPublicBooth(booth, user)), 'events', 'event_id');
+        return applyPrivacy(store, withEvents, {
+            user, query, resource: '/api/booths', table: 'booths'
+        });
+    });
+
+    // 부스 상세
+    router.add('GET', '/api/booths/:id', async ({ params, user }) => {
+        const booth = await selectOne(store, 'booths', [['id', 'eq', requireId(params.id, '부스 ID')]]);
+        if (!booth) throw new ApiError(404, '부스 정보를 찾을 수 없습니다.');
+        return maskRow('booths', toPublicBooth(booth, user));
+    });
+
+    // 부스 일괄 등록 (CSV에서 읽은 행 목록)
+    // dry_run이면 저장하지 않고 행별 검증 결과만 돌려준다 (미리보기)
+    // 오류가 있는 행이 하나라도 있으면 아무것도 저장하지 않는다 (400, rows에 행별 결과)
+    router.add('POST', '/api/booths/import', async (ctx) => {
+        const { body, user } = ctx;
+        const eventId = requireId(body.event_id, '행사 ID');
+        requirePermission(user, PERMISSIONS.MANAGE_BOOTHS, { eventId });
+        const issueCodes = optionalBoolean(body.issue_codes, '코드 발급 여부') ?? false;
+        if (issueCodes) requirePermission(user, PERMISSIONS.MANAGE_CODES, { eventId });
+        const expiryDays = optionalInteger(body.expiry_days, '유효 기간', 1, 365) ?? 30;
+
+        if (!Array.isArray(body.booths) || body.booths.length === 0) {
+            throw new ApiError(400, '등록할 부스가 없습니다.');
+        }
+        if (body.booths.length > MAX_IMPORT_ROWS) {
+            throw new ApiError(400, `한 번에 ${MAX_IMPORT_ROWS}개까지 등록할 수 있습니다.`);
+        }
+        const event = await selectOne(store, 'events', [['id', 'eq', eventId]]);
+        if (!event) throw new ApiError(400, '존재하지 않는 행사입니다.');
+
+        const existing = await store.select('booths', { filters: [['event_id', 'eq', eventId]] });
+        const rows = validateImportRows(body.booths, eventId, existing);
+        const invalid = rows.filter(row => row.error).length;
+
+        if (optionalBoolean(body.dry_run, '미리보기 여부')) {
+            return { rows, valid: rows.length - invalid, invalid };
+        }
+        if (invalid > 0) {
+            throw new ApiError(400, `오류가 있는 행 ${invalid}개를 고친 뒤 다시 등록해주세요.`, { rows });
+        }
+
+        await ensureDefaultConsentDocument(store, event);
+        const createdAt = new Date().toISOString();
+        const inserted = await store.insert('booths', rows.map(row => ({ ...row.booth, created_at: createdAt })));
+        const created = [];
+        for (const booth of inserted) {
+            created.push(issueCodes ? await assignCode(store, booth.id, expiryDays) : booth);
+        }
+
+        ctx.status = 201;
+        return { count: created.length, booths: created };
+    });
+
+    // 부스 생성
+    router.add('POST', '/api/booths', async (ctx) => {
+        const booth = parseBooth(ctx.body, false);
+        requirePermission(ctx.user, PERMISSIONS.MANAGE_BOOTHS, { eventId: booth.event_id ?? null });
+
+        const event = booth.event_id ? await selectOne(store, 'events', [['id', 'eq', booth.event_id]]) : null;
+        if (booth.event_id && !event) throw new ApiError(400, '존재하지 않는 행사입니다.');
+
+        // 방명록이 바로 동의서를 받을 수 있도록 행사(행사 없는 부스는 공통) 동의서 준비
+        await ensureDefaultConsentDocument(store, event);
+        const [created] = await store.insert('booths', { ...booth, created_at: new Date().toISOString() });
+        ctx.status = 201;
+        return created;
+    });
+
+    // 부스 수정
+    router.add('PATCH', '/api/booths/:id', async ({ params, body, user }) => {
+        requirePermission(user, PERMISSIONS.MANAGE_BOOTHS);
+        const id = requireId(params.id, '부스 ID');
+        const existing = await findBooth(store, id);
+        requirePermission(user, PERMISSIONS.MANAGE_BOOTHS, { eventId: existing.event_id });
+
+        // 다른 행사로 옮길 때는 옮길 행사도 담당 범위여야 함
+        const patch = parseBooth(body, true);
+        if ('event_id' in patch) {
+            requirePermission(user, PERMISSIONS.MANAGE_BOOTHS, { eventId: patch.event_id });
+            const event = patch.event_id ? await selectOne(store, 'events', [['id', 'eq', patch.event_id]]) : null;
+            if (patch.event_id && !event) throw new ApiError(400, '존재하지 않는 행사입니다.');
+            await ensureDefaultConsentDocument(store, event);
+        }
+
+        const [booth] = await store.update('booths', patch, [['id', 'eq', id]]);
+        if (!booth) throw new ApiError(404, '부스 정보를 찾을 수 없습니다.');
+        return booth;
+    });
+
+    // 부스 삭제
+    router.add('DELETE', '/api/booths/:id', async ({ params, user }) => {
+        requirePermission(user, PERMISSIONS.MANAGE_BOOTHS);
+        const id = requireId(params.id, '부스 ID');
+        const existing = await findBooth(store, id);
+        requirePermission(user, PERMISSIONS.MANAGE_BOOTHS, { eventId: existing.event_id });
+
+        const removed = await store.remove('booths', [['id', 'eq', id]]);
+        if (removed.length === 0) throw new ApiError(404, '부스 정보를 찾을 수 없습니다.');
+        return { success: true };
+    });
+
+    // 부스 코드 발급/재발급
+    router.add('POST', '/api/booths/:id/code', async ({ params, body, user }) => {
+        requirePermission(user, PERMISSIONS.MANAGE_CODES);
+        const id = requireId(params.id, '부스 ID');
+        const existing = await findBooth(store, id);
+        requirePermission(user, PERMISSIONS.MANAGE_CODES, { eventId: existing.event_id });
+        const expiryDays = optionalInteger(body.expiry_days, '유효 기간', 1, 365) ?? 30;
+
+        const booth = await assignCode(store, id, expiryDays);
+        if (!booth) throw new ApiError(404, '부스 정보를 찾을 수 없습니다.');
+
+        return {
+            code: booth.booth_code,
+            expires_at: booth.code_expires_at
+        };
+    });
+
+    // 부스 코드 목록 (관리자용, 행사 담당자는 담당 행사만)
+    router.add('GET', '/api/booth-codes', async ({ query, user }) => {
+        requirePermission(user, PERMISSIONS.MANAGE_CODES);
+        const filters = [];
+        if (query.code) filters.push(['booth_code', 'eq', requireBoothCode(query.code)]);
+        if (query.event_id) filters.push(['event_id', 'eq', requireId(query.event_id, '행사 ID')]);
+        if (!applyEventScope(filters, user)) return [];
+
+        const booths = await store.select('booths', { filters, order: { column: 'name' } });
+        return booths.map(({ id, event_id, name, booth_code, code_expires_at, is_active }) => (
+            { id, event_id, name, booth_code, code_expires_at, is_active }
+        ));
+    });
+
+    // 부스 코드 검증
+    // - 모든 입력을 기록하고 실패가 반복되면 429 (code-attempts.js)
+    router.add('POST', '/api/booth-codes/validate', async ({ body, req }) => {
+        const code = requireBoothCode(body.code);
+        const { booth, message } = await checkBoothCodeAttempt(store, req, code);
+
+        return {
+            booth_id: booth.id,
+            booth_name: booth.name,
+            message
+        };
+    });
+}
+
+module.exports = { register };
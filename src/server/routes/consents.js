@@ -0,0 +1,116 @@
+/**
+ * 개인정보 수집·이용 동의서 API
+ * 방명록 화면은 현재 동의서를 받아 보여주고, 참가자 등록 시 동의서 ID를 함께 보낸다 (src/server/consents.js)
+ * 만 14세 미만 참가자의 법정대리인 동의는 참가자 등록과 함께 저장되고 여기서 감사용으로 조회한다
+ */
+
+const { ApiError } = require('../http-utils');
+const { selectOne, embed } = require('../db');
+const { PERMISSIONS, applyEventScope } = require('../rbac');
+const { publishConsentDocument, getCurrentConsentDocument } = require('../consents');
+const { maskRow, applyPrivacy } = require('../privacy');
+const { requireString, requireId, optionalDateFilter } = require('../validators');
+
+function register(router, { store, requirePermission }) {
+    // 현재 동의서 (누구나, booth_id 또는 event_id)
+    router.add('GET', '/api/consent-documents/current', async ({ query }) => {
+        let eventId = null;
+        if (query.booth_id) {
+            const booth = await selectOne(store, 'booths', [['id', 'eq', requireId(query.booth_id, '부스 ID')]]);
+            if (!booth) throw new ApiError(404, '부스 정보를 찾을 수 없습니다.');
+            eventId = booth.event_id || null;
+        } else if (query.event_id) {
+            eventId = requireId(query.event_id, '행사 ID');
+        } else {
+            throw new ApiError(400, '부스 ID 또는 행사 ID가 필요합니다.');
+        }
+
+        const event = eventId ? await selectOne(store, 'events', [['id', 'eq', eventId]]) : null;
+        if (eventId && !event) throw new ApiError(404, '행사 정보를 찾을 수 없습니다.');
+
+        // 조회만 한다 (기본 동의서는 행사, 부스를 만들 때와 서버 시작 시 게시: ensureDefaultConsentDocument(s))
+        const document = await getCurrentConsentDocument(store, event);
+        if (!document) throw new ApiError(404, '게시된 동의서가 없습니다. 관리자에게 문의해주세요.');
+        return document;
+    });
+
+    // 동의서 버전 목록 (동의 증빙 내보내기용, 행사 담당자는 담당 행사만)
+    router.add('GET', '/api/consent-documents', async ({ query, user }) => {
+        requirePermission(user, PERMISSIONS.EXPORT_DATA);
+
+        const filters = [];
+        if (!applyEventScope(filters, user)) return [];
+        if (query.event_id) filters.push(['event_id', 'eq', requireId(query.event_id, '행사 ID')]);
+
+        return store.select('consent_documents', {
+            filters,
+            order: { column: 'version', ascending: false }
+        });
+    });
+
+    // 법정대리인 동의 목록 (감사용 내보내기, 참가자와 부스명 포함)
+    router.add('GET', '/api/guardian-consents', async ({ query, user }) => {
+        requirePermission(user, PERMISSIONS.EXPORT_DATA);
+
+        const filters = [];
+        if (!applyEventScope(filters, user)) return [];
+        if (query.event_id) filters.push(['event_id', 'eq', requireId(query.event_id, '행사 ID')]);
+        if (query.start_date) filters.push(['created_at', 'gte', optionalDateFilter(query.start_date, '시작일')]);
+        if (query.end_date) filters.push(['created_at', 'lte', optionalDateFilter(query.end_date, '종료일')]);
+
+        const consents = await store.select('guardian_consents', {
+            filters,
+            order: { column: 'created_at', ascending: false }
+        });
+        const withParticipants = await embed(store, consents, 'participants', 'participant_id');
+        const boothIds = [...new Set(withParticipants.map(c => c.participants?.booth_id).filter(Boolean))];
+        const booths = boothIds.length > 0
+            ? await store.select('booths', { filters: [['id', 'in', boothIds]] })
+            : [];
+
+        const rows = withParticipants.map(({ participants: participant, ...consent }) => {
+            const booth = participant && booths.find(b => b.id === participant.booth_id);
+            return {
+                ...consent,
+                participant: participant ? {
+                    name: participant.name,
+                    birth_date: participant.birth_date,
+                    booth_name: booth ? booth.name : null,
+                    created_at: participant.created_at
+                } : null
+            };
+        });
+
+        // 보호자 정보와 참가자 이름/생년월일을 함께 가린다 (서명 이미지는 원본 조회에서만)
+        return applyPrivacy(store, rows, {
+            user,
+            query,
+            resource: '/api/guardian-consents',
+            mask: row => ({
+                ...maskRow('guardian_consents', row),
+                participant: maskRow('participants', row.participant)
+            })
+        });
+    });
+
+    // 새 버전 게시 (관리자, 기존 버전은 그대로 남는다)
+    router.add('POST', '/api/consent-documents', async (ctx) => {
+        const { body, user } = ctx;
+        requirePermission(user, PERMISSIONS.MANAGE_EVENTS);
+
+        const eventId = requireId(body.event_id, '행사 ID');
+        const event = await selectOne(store, 'events', [['id', 'eq', eventId]]);
+        if (!event) throw new ApiError(404, '행사 정보를 찾을 수 없습니다.');
+
+        const created = await publishConsentDocument(store, {
+            eventId,
+            title: requireString(body.title, '동의서 제목', 200),
+            body: requireString(body.body, '동의서 내용', 5000),
+            createdBy: user.username || null
+        });
+        ctx.status = 201;
+        return created;
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,102 @@
+/**
+ * 정보주체 요청 API (관리자 전용)
+ * 한 사람의 방명록 기록을 모든 행사에서 찾아 보여주고, 내보내거나 파기/삭제한다 (src/server/data-subjects.js)
+ */
+
+const { ApiError } = require('../http-utils');
+const { ROLES } = require('../sessions');
+const { buildFilters } = require('./participants');
+const {
+    DATA_SUBJECT_ACTIONS, collectSubjectRecords, recordSubjectRequest, eraseSubjectRecords
+} = require('../data-subjects');
+const { logPersonalDataAccess } = require('../privacy');
+const { requireString, optionalString, optionalIdList, optionalInteger, optionalEnum } = require('../validators');
+
+// 한 번에 처리할 수 있는 기록 수
+const MAX_RECORDS = 500;
+
+/**
+ * 본문의 participant_ids로 참가자 기록 조회 (하나라도 없으면 404)
+ */
+async function findParticipants(store, body) {
+    const ids = optionalIdList(body.participant_ids, '참가자 ID');
+    if (ids.length === 0) throw new ApiError(400, '처리할 기록을 선택해주세요.');
+    if (ids.length > MAX_RECORDS) throw new ApiError(400, `한 번에 ${MAX_RECORDS}건까지 처리할 수 있습니다.`);
+
+    const participants = await store.select('participants', {
+        filters: [['id', 'in', ids]],
+        order: { column: 'created_at', ascending: true }
+    });
+    if (participants.length !== ids.length) {
+        throw new ApiError(404, '이미 삭제되었거나 없는 기록이 있습니다. 다시 검색해주세요.');
+    }
+    return participants;
+}
+
+function register(router, { store, requireRole }) {
+    // 한 사람의 기록 찾기 (이름 + 생년월일 또는 연락처, 모든 행사)
+    // 본인 확인을 위해 원본을 보여주므로 개인정보 열람 기록을 남긴다
+    router.add('GET', '/api/data-subjects', async ({ query, user }) => {
+        requireRole(user, ROLES.ADMIN);
+        if (!query.name || (!query.birth_date && !query.phone)) {
+            throw new ApiError(400, '이름과 생년월일 또는 연락처를 입력해주세요.');
+        }
+
+        const participants = await store.select('participants', {
+            filters: buildFilters(query, user),
+            order: { column: 'created_at', ascending: true }
+        });
+        await logPersonalDataAccess(store, {
+            user,
+            resource: '/api/data-subjects',
+            reason: '정보주체 요청 본인 확인',
+            recordCount: participants.length,
+            query
+        });
+        return collectSubjectRecords(store, participants);
+    });
+
+    // 선택한 기록 내보내기 (보호자 서명 포함, 처리 기록 남김)
+    router.add('POST', '/api/data-subjects/export', async ({ body, user }) => {
+        requireRole(user, ROLES.ADMIN);
+        const participants = await findParticipants(store, body);
+
+        const request = await recordSubjectRequest(store, {
+            action: DATA_SUBJECT_ACTIONS.EXPORT,
+            participants,
+            reason: optionalString(body.reason, '요청 내용', 500),
+            requestedBy: user.username || null
+        });
+        return {
+            request,
+            exported_at: request.created_at,
+            records: await collectSubjectRecords(store, participants, { includeSignature: true })
+        };
+    });
+
+    // 선택한 기록 파기(anonymize) 또는 삭제(delete)
+    router.add('POST', '/api/data-subjects/erase', async ({ body, user }) => {
+        requireRole(user, ROLES.ADMIN);
+        const mode = optionalEnum(body.mode, '처리 방식', [DATA_SUBJECT_ACTIONS.ANONYMIZE, DATA_SUBJECT_ACTIONS.DELETE])
+            || DATA_SUBJECT_ACTIONS.ANONYMIZE;
+        const reason = requireString(body.reason, '요청 내용', 500);
+        const participants = await findParticipants(store, body);
+
+        return eraseSubjectRecords(store, participants, {
+            mode,
+            reason,
+            requestedBy: user.username || null
+        });
+    });
+
+    // 처리 기록 (최신순)
+    router.add('GET', '/api/data-subjects/requests', async ({ query, user }) => {
+        requireRole(user, ROLES.ADMIN);
+        return store.select('data_subject_requests', {
+            order: { column: 'created_at', ascending: false },
+            limit: optionalInteger(query.limit, 'limit', 1, 1000) ?? 100
+        });
+    });
+}
+
+module.exports = { register };
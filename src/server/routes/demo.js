@@ -0,0 +1,10 @@
+/**
+ * 데모 서버 안내 API
+ * DEMO_MODE=1로 실행한 서버인지 알려 화면이 데모 배너를 띄우게 한다 (src/js/demo-banner.js)
+ */
+
+function register(router, { demo }) {
+    router.add('GET', '/api/demo', async () => ({ demo }));
+}
+
+module.exports = { register };
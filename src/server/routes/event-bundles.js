@@ -0,0 +1,48 @@
+/**
+ * 행사 백업/복원 API (관리자 전용)
+ * 행사 하나를 묶음(JSON)으로 내보내고, 같은 서버나 다른 서버에서 새 행사로 가져온다 (src/server/event-bundles.js)
+ */
+
+const { ApiError } = require('../http-utils');
+const { ROLES } = require('../sessions');
+const { CONFLICT_MODES, exportEventBundle, importEventBundle } = require('../event-bundles');
+const { logPersonalDataAccess } = require('../privacy');
+const { requireId, optionalEnum } = require('../validators');
+
+// 가져오기 요청 본문 최대 크기 (서명 이미지가 들어 있어 일반 요청보다 크게 허용)
+const MAX_BUNDLE_SIZE = 50 * 1024 * 1024;
+
+function register(router, { store, requireRole }) {
+    // 행사 묶음 내보내기 (개인정보 원본과 보호자 서명 포함, 개인정보 열람 기록 남김)
+    router.add('GET', '/api/events/:id/bundle', async ({ params, user }) => {
+        requireRole(user, ROLES.ADMIN);
+
+        const eventId = requireId(params.id, '행사 ID');
+        const bundle = await exportEventBundle(store, eventId, { exportedBy: user.username });
+        if (!bundle) throw new ApiError(404, '행사를 찾을 수 없습니다.');
+
+        await logPersonalDataAccess(store, {
+            user,
+            resource: `/api/events/${eventId}/bundle`,
+            reason: '행사 백업',
+            recordCount: bundle.counts.participants,
+            query: { event_id: eventId }
+        });
+        return bundle;
+    });
+
+    // 행사 묶음 가져오기 (새 행사로 저장, on_conflict: 같은 이름의 행사가 있을 때 rename | fail)
+    router.add('POST', '/api/event-bundles/import', async (ctx) => {
+        const { body, user } = ctx;
+        requireRole(user, ROLES.ADMIN);
+
+        const onConflict = optionalEnum(body.on_conflict, '충돌 처리 방식', Object.values(CONFLICT_MODES))
+            || CONFLICT_MODES.RENAME;
+        const result = await importEventBundle(store, body.bundle, { onConflict, importedBy: user.username });
+
+        ctx.status = 201;
+        return result;
+    }, { maxBodySize: MAX_BUNDLE_SIZE });
+}
+
+module.exports = { register };
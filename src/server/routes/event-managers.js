@@ -0,0 +1,109 @@
+/**
+ * 행사 담당자 계정 API
+ * 행사 담당자는 배정된 행사의 부스, 코드, 통계, 내보내기만 관리한다 (src/server/rbac.js)
+ */
+
+const { ApiError } = require('../http-utils');
+const { selectOne } = require('../db');
+const { ROLES } = require('../sessions');
+const { PERMISSIONS } = require('../rbac');
+const { requireString, optionalString, requireId, optionalIdList, requireNewPassword } = require('../validators');
+const { hashPassword } = require('../passwords');
+const { isUsernameTaken } = require('./auth');
+
+/**
+ * 응답용 담당자 정보 (비밀번호 제외, 배정 행사 포함)
+ */
+function toPublicManager({ password, ...manager }, assignments) {
+    return {
+        ...manager,
+        event_ids: assignments.filter(a => a.manager_id === manager.id).map(a => a.event_id)
+    };
+}
+
+/**
+ * 배정할 행사 확인
+ */
+async function requireEvents(store, eventIds) {
+    for (const eventId of eventIds) {
+        if (!await selectOne(store, 'events', [['id', 'eq', eventId]])) {
+            throw new ApiError(400, '존재하지 않는 행사입니다.');
+        }
+    }
+    return eventIds;
+}
+
+/**
+ * 담당자의 배정 행사를 목록으로 교체
+ */
+async function replaceAssignments(store, managerId, eventIds) {
+    await store.remove('event_manager_events', [['manager_id', 'eq', managerId]]);
+    if (eventIds.length === 0) return [];
+    return store.insert('event_manager_events', eventIds.map(eventId => ({
+        manager_id: managerId,
+        event_id: eventId
+    })));
+}
+
+function register(router, { store, sessions, requirePermission }) {
+    // 담당자 목록
+    router.add('GET', '/api/event-managers', async ({ user }) => {
+        requirePermission(user, PERMISSIONS.MANAGE_ACCOUNTS);
+
+        const managers = await store.select('event_managers', { order: { column: 'created_at', ascending: false } });
+        const assignments = await store.select('event_manager_events');
+        return managers.map(manager => toPublicManager(manager, assignments));
+    });
+
+    // 담당자 생성 (event_ids: 배정할 행사)
+    router.add('POST', '/api/event-managers', async (ctx) => {
+        const { body, user } = ctx;
+        requirePermission(user, PERMISSIONS.MANAGE_ACCOUNTS);
+
+        const username = requireString(body.username, '사용자명', 50);
+        const password = requireNewPassword(body.password);
+        const eventIds = await requireEvents(store, optionalIdList(body.event_ids, '행사 ID'));
+
+        if (await isUsernameTaken(store, username)) {
+            throw new ApiError(409, '이미 사용 중인 사용자명입니다.');
+        }
+
+        const [created] = await store.insert('event_managers', {
+            username,
+            password: await hashPassword(password),
+            name: optionalString(body.name, '이름', 100),
+            organization: optionalString(body.organization, '소속', 100)
+        });
+        const assignments = await replaceAssignments(store, created.id, eventIds);
+
+        ctx.status = 201;
+        return toPublicManager(created, assignments);
+    });
+
+    // 배정 행사 변경 (다음 요청부터 바로 적용)
+    router.add('PUT', '/api/event-managers/:id/events', async ({ params, body, user }) => {
+        requirePermission(user, PERMISSIONS.MANAGE_ACCOUNTS);
+
+        const id = requireId(params.id, '담당자 ID');
+        const manager = await selectOne(store, 'event_managers', [['id', 'eq', id]]);
+        if (!manager) throw new ApiError(404, '담당자 계정을 찾을 수 없습니다.');
+
+        const eventIds = await requireEvents(store, optionalIdList(body.event_ids, '행사 ID'));
+        const assignments = await replaceAssignments(store, id, eventIds);
+        return toPublicManager(manager, assignments);
+    });
+
+    // 담당자 삭제 (로그인 세션도 종료)
+    router.add('DELETE', '/api/event-managers/:id', async ({ params, user }) => {
+        requirePermission(user, PERMISSIONS.MANAGE_ACCOUNTS);
+
+        const id = requireId(params.id, '담당자 ID');
+        const removed = await store.remove('event_managers', [['id', 'eq', id]]);
+        if (removed.length === 0) throw new ApiError(404, '담당자 계정을 찾을 수 없습니다.');
+
+        await sessions.revokeAccountSessions(ROLES.EVENT_MANAGER, id);
+        return { success: true };
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,131 @@
+/**
+ * 행사 API
+ */
+
+const { ApiError } = require('../http-utils');
+const { selectOne } = require('../db');
+const { ROLES } = require('../sessions');
+const { applyEventScope } = require('../rbac');
+const { DEFAULT_RETENTION_DAYS, getRetentionDays } = require('../retention');
+const { cloneEventContents } = require('../event-clones');
+const { ensureDefaultConsentDocument, publishRetentionChange } = require('../consents');
+const {
+    requireString, optionalString, requireId, optionalDate, optionalEnum, optionalInteger, compact
+} = require('../validators');
+
+const EVENT_STATUSES = ['active', 'completed', 'cancelled'];
+// 참가자 개인정보 보유 기간 범위 (일)
+const MAX_RETENTION_DAYS = 1095;
+
+/**
+ * 행사 입력값 검증
+ * @param {Object} body - 요청 본문
+ * @param {boolean} partial - PATCH 여부 (전달된 필드만 검증)
+ */
+function parseEvent(body, partial) {
+    const has = key => !partial || key in body;
+
+    const event = compact({
+        name: has('name') ? requireString(body.name, '행사명', 100) : undefined,
+        description: has('description') ? optionalString(body.description, '행사 설명', 2000) : undefined,
+        start_date: has('start_date') ? optionalDate(body.start_date, '시작일') : undefined,
+        end_date: has('end_date') ? optionalDate(body.end_date, '종료일') : undefined,
+        location: has('location') ? optionalString(body.location, '장소', 200) : undefined,
+        status: has('status') ? (optionalEnum(body.status, '상태', EVENT_STATUSES) || 'active') : undefined,
+        retention_days: has('retention_days')
+            ? (optionalInteger(body.retention_days, '보유 기간', 1, MAX_RETENTION_DAYS) ?? DEFAULT_RETENTION_DAYS)
+            : undefined
+    });
+
+    if (!partial && (!event.start_date || !event.end_date)) {
+        throw new ApiError(400, '시작일과 종료일은 필수 입력 항목입니다.');
+    }
+    if (event.start_date && event.end_date && event.start_date > event.end_date) {
+        throw new ApiError(400, '종료일은 시작일 이후여야 합니다.');
+    }
+
+    return event;
+}
+
+function register(router, { store, requireRole }) {
+    // 행사 목록 (방문자와 운영자는 전체 목록, 행사 담당자는 담당 행사만)
+    router.add('GET', '/api/events', async ({ query, user }) => {
+        const filters = [];
+        if (query.status) filters.push(['status', 'eq', query.status]);
+        if (user.role === ROLES.EVENT_MANAGER && !applyEventScope(filters, user, 'id')) return [];
+
+        return store.select('events', {
+            filters,
+            order: { column: 'start_date', ascending: false }
+        });
+    });
+
+    // 행사 상세
+    router.add('GET', '/api/events/:id', async ({ params }) => {
+        const event = await selectOne(store, 'events', [['id', 'eq', requireId(params.id, '행사 ID')]]);
+        if (!event) throw new ApiError(404, '행사 정보를 찾을 수 없습니다.');
+        return event;
+    });
+
+    // 행사 생성
+    router.add('POST', '/api/events', async (ctx) => {
+        requireRole(ctx.user, ROLES.ADMIN);
+        const [event] = await store.insert('events', parseEvent(ctx.body, false));
+        // 기본 동의서 1번 버전 게시 (방명록의 현재 동의서 조회는 게시하지 않음)
+        await ensureDefaultConsentDocument(store, event);
+        ctx.status = 201;
+        return event;
+    });
+
+    // 행사 복제 (새 회차): 본문의 name, start_date, end_date로 새 행사를 만들고 부스, 동의서, 방명록 양식을 복사
+    // 설명, 장소, 보유 기간은 본문에 없으면 원본 값을 사용한다
+    router.add('POST', '/api/events/:id/clone', async (ctx) => {
+        const { params, body, user } = ctx;
+        requireRole(user, ROLES.ADMIN);
+        const source = await selectOne(store, 'events', [['id', 'eq', requireId(params.id, '행사 ID')]]);
+        if (!source) throw new ApiError(404, '행사 정보를 찾을 수 없습니다.');
+
+        const expiryDays = optionalInteger(body.expiry_days, '유효 기간', 1, 365) ?? 30;
+        const [event] = await store.insert('events', parseEvent({
+            description: source.description,
+            location: source.location,
+            retention_days: source.retention_days,
+            ...body,
+            status: 'active'
+        }, false));
+        const { booths, consentDocument, formSchemas } = await cloneEventContents(store, source, event, {
+            expiryDays,
+            createdBy: user.username
+        });
+
+        ctx.status = 201;
+        return { event, booths, consent_document: consentDocument, form_schemas: formSchemas };
+    });
+
+    // 행사 수정
+    // 보유 기간을 바꾸면 바뀐 기간을 안내하는 동의서 새 버전을 게시한다
+    // (이미 받은 기록은 등록할 때의 보유 기한까지만 보관하므로 늘린 기간은 새 기록에만 적용된다)
+    router.add('PATCH', '/api/events/:id', async ({ params, body, user }) => {
+        requireRole(user, ROLES.ADMIN);
+        const id = requireId(params.id, '행사 ID');
+        const changes = parseEvent(body, true);
+        const previous = await selectOne(store, 'events', [['id', 'eq', id]]);
+        if (!previous) throw new ApiError(404, '행사 정보를 찾을 수 없습니다.');
+
+        const [event] = await store.update('events', changes, [['id', 'eq', id]]);
+        if (!event) throw new ApiError(404, '행사 정보를 찾을 수 없습니다.');
+        await publishRetentionChange(store, event, getRetentionDays(previous), user.username);
+        return event;
+    });
+
+    // 행사 삭제 (부스와 참가자 데이터도 함께 삭제됨)
+    router.add('DELETE', '/api/events/:id', async ({ params, user }) => {
+        requireRole(user, ROLES.ADMIN);
+        const id = requireId(params.id, '행사 ID');
+        const removed = await store.remove('events', [['id', 'eq', id]]);
+        if (removed.length === 0) throw new ApiError(404, '행사 정보를 찾을 수 없습니다.');
+        return { success: true };
+    });
+}
+
+module.exports = { register };
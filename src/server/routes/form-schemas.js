@@ -0,0 +1,61 @@
+/**
+ * 방명록 양식 API
+ * 방명록 화면은 부스에서 쓰는 양식을 받아 그리고, 관리자는 행사 양식과 부스 양식을 저장한다 (src/server/form-schemas.js)
+ */
+
+const { ApiError } = require('../http-utils');
+const { selectOne } = require('../db');
+const { PERMISSIONS } = require('../rbac');
+const { parseFormFields, getFormSchema, listFormSchemas, saveFormSchema } = require('../form-schemas');
+const { requireId, optionalId } = require('../validators');
+
+function register(router, { store, requirePermission }) {
+    // 부스에서 쓰는 양식 (누구나, 양식이 없으면 기본 양식)
+    router.add('GET', '/api/form-schemas/current', async ({ query }) => {
+        const booth = await selectOne(store, 'booths', [['id', 'eq', requireId(query.booth_id, '부스 ID')]]);
+        if (!booth) throw new ApiError(404, '부스 정보를 찾을 수 없습니다.');
+        return getFormSchema(store, booth);
+    });
+
+    // 행사의 양식 목록 (관리자)
+    router.add('GET', '/api/form-schemas', async ({ query, user }) => {
+        requirePermission(user, PERMISSIONS.MANAGE_EVENTS);
+        return listFormSchemas(store, requireId(query.event_id, '행사 ID'));
+    });
+
+    // 양식 저장 (관리자, booth_id가 있으면 그 부스만 쓰는 양식)
+    router.add('PUT', '/api/form-schemas', async (ctx) => {
+        const { body, user } = ctx;
+        requirePermission(user, PERMISSIONS.MANAGE_EVENTS);
+
+        const eventId = requireId(body.event_id, '행사 ID');
+        const event = await selectOne(store, 'events', [['id', 'eq', eventId]]);
+        if (!event) throw new ApiError(404, '행사 정보를 찾을 수 없습니다.');
+
+        const boothId = optionalId(body.booth_id, '부스 ID');
+        if (boothId) {
+            const booth = await selectOne(store, 'booths', [['id', 'eq', boothId]]);
+            if (!booth || booth.event_id !== eventId) throw new ApiError(400, '이 행사의 부스가 아닙니다.');
+        }
+
+        const { schema, created } = await saveFormSchema(store, {
+            eventId,
+            boothId,
+            fields: parseFormFields(body.fields),
+            updatedBy: user.username || null
+        });
+        if (created) ctx.status = 201;
+        return schema;
+    });
+
+    // 양식 삭제 (관리자, 부스 양식을 지우면 행사 양식, 행사 양식을 지우면 기본 양식을 쓴다)
+    router.add('DELETE', '/api/form-schemas/:id', async ({ params, user }) => {
+        requirePermission(user, PERMISSIONS.MANAGE_EVENTS);
+
+        const removed = await store.remove('form_schemas', [['id', 'eq', requireId(params.id, '양식 ID')]]);
+        if (removed.length === 0) throw new ApiError(404, '양식을 찾을 수 없습니다.');
+        return { success: true };
+    });
+}
+
+module.exports = { register };
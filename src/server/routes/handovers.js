@@ -0,0 +1,162 @@
+/**
+ * 운영자 교대(operation_handovers) API
+ * 나가는 운영자가 인수인계 메모와 물품 수량을 남기고, 같은 부스에 들어온 운영자가 인수를 확인하면
+ * 두 운영을 연결하고 나가는 운영을 종료한다 (docs/booth-operator-system.md "운영자 교대 기록")
+ */
+
+const { ApiError } = require('../http-utils');
+const { selectOne } = require('../db');
+const { PERMISSIONS, canAccessEvent, applyEventScope } = require('../rbac');
+const { ROLES } = require('../sessions');
+const { END_REASONS, HANDOVER_STATUS, finishOperation } = require('../booth-operations');
+const { optionalString, requireId, optionalInteger, optionalEnum } = require('../validators');
+
+/**
+ * 교대 기록에 부스명과 양쪽 운영 요약 붙이기
+ */
+async function withOperations(store, handovers) {
+    const operationIds = [...new Set(handovers.flatMap(h => [h.from_operation_id, h.to_operation_id]).filter(Boolean))];
+    const boothIds = [...new Set(handovers.map(h => h.booth_id))];
+
+    const operations = operationIds.length > 0
+        ? await store.select('booth_operations', { filters: [['id', 'in', operationIds]] })
+        : [];
+    const booths = boothIds.length > 0
+        ? await store.select('booths', { filters: [['id', 'in', boothIds]] })
+        : [];
+
+    const summarize = (id) => {
+        const operation = operations.find(op => op.id === id);
+        if (!operation) return null;
+        const { operator_name, started_at, ended_at, is_active, total_participants } = operation;
+        return { id, operator_name, started_at, ended_at, is_active, total_participants };
+    };
+
+    return handovers.map(handover => {
+        const booth = booths.find(b => b.id === handover.booth_id);
+        return {
+            ...handover,
+            booths: booth ? { name: booth.name } : null,
+            from_operation: summarize(handover.from_operation_id),
+            to_operation: summarize(handover.to_operation_id)
+        };
+    });
+}
+
+/**
+ * 교대 기록 찾기 (없으면 404)
+ */
+async function findHandover(store, id) {
+    const handover = await selectOne(store, 'operation_handovers', [['id', 'eq', requireId(id, '교대 ID')]]);
+    if (!handover) throw new ApiError(404, '교대 기록을 찾을 수 없습니다.');
+    return handover;
+}
+
+function register(router, { store, requireRole, requirePermission }) {
+    // 교대 기록 목록 (운영자는 자기 부스, 행사 담당자는 담당 행사)
+    router.add('GET', '/api/handovers', async ({ query, user }) => {
+        requirePermission(user, PERMISSIONS.VIEW_BOOTH_STATS);
+
+        const filters = [];
+        if (user.role === ROLES.OPERATOR) {
+            filters.push(['booth_id', 'eq', user.boothId]);
+        } else {
+            if (query.booth_id) filters.push(['booth_id', 'eq', requireId(query.booth_id, '부스 ID')]);
+            if (!applyEventScope(filters, user)) return [];
+        }
+        if (query.event_id) filters.push(['event_id', 'eq', requireId(query.event_id, '행사 ID')]);
+        if (query.status) {
+            filters.push(['status', 'eq', optionalEnum(query.status, '상태', Object.values(HANDOVER_STATUS))]);
+        }
+
+        const handovers = await store.select('operation_handovers', {
+            filters,
+            order: { column: 'created_at', ascending: true }
+        });
+        return withOperations(store, handovers);
+    });
+
+    // 교대 요청 (나가는 운영자)
+    // 운영은 다음 운영자가 인수를 확인할 때까지 계속된다
+    router.add('POST', '/api/handovers', async (ctx) => {
+        const { body, user } = ctx;
+        requireRole(user, ROLES.OPERATOR);
+
+        const pending = await selectOne(store, 'operation_handovers', [
+            ['from_operation_id', 'eq', user.operationId],
+            ['status', 'eq', HANDOVER_STATUS.PENDING]
+        ]);
+        if (pending) throw new ApiError(409, '이미 교대를 요청했습니다. 다음 운영자의 인수 확인을 기다려주세요.');
+
+        const booth = await selectOne(store, 'booths', [['id', 'eq', user.boothId]]);
+        const [created] = await store.insert('operation_handovers', {
+            booth_id: user.boothId,
+            event_id: booth ? booth.event_id : null,
+            from_operation_id: user.operationId,
+            status: HANDOVER_STATUS.PENDING,
+            notes: optionalString(body.notes, '인수인계 메모', 1000),
+            supply_count: optionalInteger(body.supply_count, '물품 수량', 0, 100000)
+        });
+
+        ctx.status = 201;
+        const [result] = await withOperations(store, [created]);
+        return result;
+    });
+
+    // 인수 확인 (같은 부스에 로그인한 들어오는 운영자)
+    router.add('POST', '/api/handovers/:id/acknowledge', async ({ params, body, user }) => {
+        requireRole(user, ROLES.OPERATOR);
+        const handover = await findHandover(store, params.id);
+
+        if (handover.booth_id !== user.boothId) {
+            throw new ApiError(403, '다른 부스의 교대 요청입니다.');
+        }
+        if (handover.from_operation_id === user.operationId) {
+            throw new ApiError(400, '교대를 요청한 운영자는 직접 인수할 수 없습니다.');
+        }
+        if (handover.status !== HANDOVER_STATUS.PENDING) {
+            throw new ApiError(409, '이미 처리된 교대 요청입니다.');
+        }
+
+        const [acknowledged] = await store.update('operation_handovers', {
+            status: HANDOVER_STATUS.ACKNOWLEDGED,
+            to_operation_id: user.operationId,
+            acknowledge_note: optionalString(body.note, '확인 메모', 500),
+            acknowledged_at: new Date().toISOString()
+        }, [['id', 'eq', handover.id]]);
+
+        // 나가는 운영이 아직 진행 중이면 교대 완료로 종료 (운영자 화면은 안내 후 로그아웃)
+        const fromOperation = await selectOne(store, 'booth_operations', [['id', 'eq', handover.from_operation_id]]);
+        if (fromOperation && fromOperation.is_active) {
+            await finishOperation(store, fromOperation, { reason: END_REASONS.HANDOVER });
+        }
+
+        const [result] = await withOperations(store, [acknowledged]);
+        return result;
+    });
+
+    // 교대 요청 취소 (요청한 운영자, 관리자 또는 담당 행사 관리자)
+    router.add('POST', '/api/handovers/:id/cancel', async ({ params, user }) => {
+        requireRole(user, ROLES.ADMIN, ROLES.EVENT_MANAGER, ROLES.OPERATOR);
+        const handover = await findHandover(store, params.id);
+
+        if (user.role === ROLES.OPERATOR && handover.from_operation_id !== user.operationId) {
+            throw new ApiError(403, '본인이 요청한 교대만 취소할 수 있습니다.');
+        }
+        if (user.role === ROLES.EVENT_MANAGER && !canAccessEvent(user, handover.event_id)) {
+            throw new ApiError(403, '담당 행사가 아닙니다.');
+        }
+        if (handover.status !== HANDOVER_STATUS.PENDING) {
+            throw new ApiError(409, '이미 처리된 교대 요청입니다.');
+        }
+
+        const [cancelled] = await store.update('operation_handovers', {
+            status: HANDOVER_STATUS.CANCELLED
+        }, [['id', 'eq', handover.id]]);
+        return cancelled;
+    });
+}
+
+module.exports = {
+    register
+};
@@ -0,0 +1,203 @@
+/**
+ * 부스 운영(booth_operations) API
+ * 운영 시작/종료, 현재 운영 조회, 운영 기록 조회
+ */
+
+const { ApiError, getClientIp, getBearerToken } = require('../http-utils');
+const { selectOne, embed } = require('../db');
+const { PERMISSIONS, canAccessEvent, applyEventScope } = require('../rbac');
+const { ROLES, generateToken } = require('../sessions');
+const { assignCode } = require('../booth-codes');
+const { END_REASONS, HANDOVER_STATUS, finishOperation, describeEndedSession } = require('../booth-operations');
+const { checkBoothCodeAttempt } = require('../code-attempts');
+const { applyPrivacy } = require('../privacy');
+const {
+    requireString, optionalString, requireId, optionalInteger, optionalBoolean, optionalPhone, optionalDateFilter, requireBoothCode
+} = require('../validators');
+
+// 운영자 세션 유효 시간 (8시간)
+const OPERATOR_SESSION_TTL_HOURS = 8;
+
+/**
+ * 운영 조회 필터 생성
+ * @returns {Array|null} 조회할 수 있는 범위가 없으면 null
+ */
+function buildFilters(query, user) {
+    const filters = [];
+
+    // 운영자는 자신의 부스 운영만 조회 가능
+    if (user.role === ROLES.OPERATOR) {
+        filters.push(['booth_id', 'eq', user.boothId]);
+    } else if (query.booth_id) {
+        filters.push(['booth_id', 'eq', requireId(query.booth_id, '부스 ID')]);
+    }
+
+    // 행사 담당자는 담당 행사만 (담당 행사가 없으면 null)
+    if (user.role !== ROLES.OPERATOR && !applyEventScope(filters, user)) {
+        return null;
+    }
+
+    if (query.event_id) filters.push(['event_id', 'eq', requireId(query.event_id, '행사 ID')]);
+    if (query.is_active !== undefined) filters.push(['is_active', 'eq', query.is_active === 'true']);
+    if (query.operator_name) filters.push(['operator_name', 'ilike', `%${query.operator_name}%`]);
+    if (query.start_date) filters.push(['started_at', 'gte', optionalDateFilter(query.start_date, '시작일')]);
+    if (query.end_date) filters.push(['started_at', 'lte', optionalDateFilter(query.end_date, '종료일')]);
+
+    return filters;
+}
+
+function register(router, { store, sessions, requireRole, requirePermission }) {
+    // 운영 기록 목록 (부스명 포함)
+    router.add('GET', '/api/operations', async ({ query, user }) => {
+        requirePermission(user, PERMISSIONS.VIEW_BOOTH_STATS);
+
+        const filters = buildFilters(query, user);
+        if (!filters) return [];
+
+        const operations = await store.select('booth_operations', {
+            filters,
+            order: { column: 'started_at', ascending: false }
+        });
+
+        const withBooths = await embed(store, operations, 'booths', 'booth_id');
+        return applyPrivacy(store, withBooths, { user, query, resource: '/api/operations', table: 'booth_operations' });
+    });
+
+    // 운영 시작
+    // - booth_code: 부스 코드로 시작 (누구나)
+    // - booth_id: 부스 ID로 직접 시작 (관리자, 담당 행사 관리자)
+    // - exclusive: true면 기존 활성 운영을 종료, false면 max_operators 제한 적용
+    router.add('POST', '/api/operations', async (ctx) => {
+        const { body, user, req } = ctx;
+        let booth;
+
+        if (body.booth_code !== undefined) {
+            const result = await checkBoothCodeAttempt(store, req, requireBoothCode(body.booth_code));
+            booth = result.booth;
+        } else {
+            requirePermission(user, PERMISSIONS.MANAGE_BOOTHS);
+            booth = await selectOne(store, 'booths', [['id', 'eq', requireId(body.booth_id, '부스 ID')]]);
+            if (!booth) throw new ApiError(404, '부스 정보를 찾을 수 없습니다.');
+            requirePermission(user, PERMISSIONS.MANAGE_BOOTHS, { eventId: booth.event_id });
+        }
+
+        const operatorName = requireString(body.operator_name, '운영자 이름', 100);
+        const operatorPhone = optionalPhone(body.operator_phone);
+        const exclusive = optionalBoolean(body.exclusive, 'exclusive') ?? true;
+
+        const activeOperations = await store.select('booth_operations', {
+            filters: [['booth_id', 'eq', booth.id], ['is_active', 'eq', true]]
+        });
+
+        if (exclusive) {
+            // 교대를 요청한 운영은 새 운영자가 인수를 확인할 때 종료 (routes/handovers.js)
+            const handingOver = await store.select('operation_handovers', {
+                filters: [['booth_id', 'eq', booth.id], ['status', 'eq', HANDOVER_STATUS.PENDING]]
+            });
+            const handingOverIds = new Set(handingOver.map(handover => handover.from_operation_id));
+
+            for (const operation of activeOperations) {
+                if (handingOverIds.has(operation.id)) continue;
+                await finishOperation(store, operation, { reason: END_REASONS.REPLACED });
+            }
+        } else if (activeOperations.length >= (booth.max_operators || 3)) {
+            throw new ApiError(409, `이 부스는 최대 ${booth.max_operators || 3}명까지 동시 운영 가능합니다.`);
+        }
+
+        const now = new Date();
+        const [operation] = await store.insert('booth_operations', {
+            booth_id: booth.id,
+            event_id: booth.event_id || null,
+            operator_name: operatorName,
+            operator_phone: operatorPhone,
+            operator_email: optionalString(body.operator_email, '이메일', 100),
+            operator_organization: optionalString(body.operator_organization, '소속', 100),
+            notes: optionalString(body.notes, '메모', 1000),
+            started_at: now.toISOString(),
+            is_active: true
+        });
+
+        const expiresAt = new Date(now);
+        expiresAt.setHours(expiresAt.getHours() + OPERATOR_SESSION_TTL_HOURS);
+
+        const sessionToken = generateToken();
+        await store.insert('operator_sessions', {
+            session_token: sessionToken,
+            booth_operation_id: operation.id,
+            expires_at: expiresAt.toISOString(),
+            ip_address: getClientIp(req)
+        });
+
+        ctx.status = 201;
+        return {
+            operation,
+            booth: { id: booth.id, name: booth.name },
+            session_token: sessionToken,
+            // 운영자 세션이 끝난 뒤 재전송되는 오프라인 기록을 이 운영에 연결하기 위한 토큰 (routes/participants.js)
+            operation_token: sessions.issueOperationToken(operation, expiresAt.toISOString()),
+            expires_at: expiresAt.toISOString()
+        };
+    });
+    // 현재 운영 조회 (운영자 세션, 오프라인 기록용 운영 토큰 포함)
+    // 운영이 종료된 토큰이면 401과 함께 종료 사유(reason)를 알려 운영자 화면이 안내 후 로그아웃
+    router.add('GET', '/api/operations/current', async ({ req, user }) => {
+        if (user.role === ROLES.GUEST) {
+            const ended = await describeEndedSession(store, getBearerToken(req));
+            if (ended) throw new ApiError(401, ended.message, { reason: ended.reason });
+        }
+        requireRole(user, ROLES.OPERATOR);
+
+        const operation = await selectOne(store, 'booth_operations', [['id', 'eq', user.operationId]]);
+        const [withBooth] = await embed(store, [operation], 'booths', 'booth_id');
+        return { ...withBooth, operation_token: sessions.issueOperationToken(operation, user.expiresAt) };
+    });
+
+    // 운영 종료 (본인 운영, 관리자 또는 담당 행사 관리자)
+    // 관리자/행사 담당자의 종료는 강제 종료로 기록하며, 본문으로 다음을 지정할 수 있다
+    // - message: 운영자 화면에 보여줄 사유
+    // - regenerate_code: true면 부스 코드를 새로 발급 (expiry_days: 유효 기간)
+    router.add('POST', '/api/operations/:id/end', async ({ params, body, user }) => {
+        requireRole(user, ROLES.ADMIN, ROLES.EVENT_MANAGER, ROLES.OPERATOR);
+        const id = requireId(params.id, '운영 ID');
+
+        if (user.role === ROLES.OPERATOR && user.operationId !== id) {
+            throw new ApiError(403, '세션이 유효하지 않습니다.');
+        }
+
+        const operation = await selectOne(store, 'booth_operations', [['id', 'eq', id]]);
+        if (!operation) throw new ApiError(404, '운영 기록을 찾을 수 없습니다.');
+        if (user.role === ROLES.EVENT_MANAGER && !canAccessEvent(user, operation.event_id)) {
+            throw new ApiError(403, '담당 행사가 아닙니다.');
+        }
+        if (!operation.is_active) throw new ApiError(409, '이미 종료된 운영입니다.');
+
+        if (user.role === ROLES.OPERATOR) {
+            return finishOperation(store, operation);
+        }
+
+        const message = optionalString(body.message, '종료 사유', 200);
+        const regenerateCode = optionalBoolean(body.regenerate_code, 'regenerate_code') ?? false;
+        const expiryDays = optionalInteger(body.expiry_days, '유효 기간', 1, 365) ?? 30;
+        if (regenerateCode) {
+            requirePermission(user, PERMISSIONS.MANAGE_CODES, { eventId: operation.event_id });
+        }
+
+        const ended = await finishOperation(store, operation, {
+            reason: END_REASONS.FORCED,
+            endedBy: user.username || null,
+            message
+        });
+
+        if (!regenerateCode) return ended;
+
+        const booth = await assignCode(store, operation.booth_id, expiryDays);
+        return {
+            ...ended,
+            new_code: booth ? { code: booth.booth_code, expires_at: booth.code_expires_at } : null
+        };
+    });
+}
+
+module.exports = {
+    register
+};
@@ -0,0 +1,58 @@
+/**
+ * 운영자 계정 API
+ * 비밀번호는 해시로만 저장하고 응답에는 포함하지 않는다
+ */
+
+const { ApiError } = require('../http-utils');
+const { selectOne } = require('../db');
+const { ROLES } = require('../sessions');
+const { requireString, optionalString, optionalId, requireNewPassword } = require('../validators');
+const { hashPassword } = require('../passwords');
+const { isUsernameTaken } = require('./auth');
+
+/**
+ * 응답용 운영자 정보 (비밀번호 제외)
+ */
+function toPublicOperator({ password, ...operator }) {
+    return operator;
+}
+
+function register(router, { store, requireRole }) {
+    // 운영자 계정 목록
+    router.add('GET', '/api/operators', async ({ user }) => {
+        requireRole(user, ROLES.ADMIN);
+
+        const operators = await store.select('operators', {
+            order: { column: 'created_at', ascending: false }
+        });
+        return operators.map(toPublicOperator);
+    });
+
+    // 운영자 계정 생성
+    router.add('POST', '/api/operators', async (ctx) => {
+        const { body, user } = ctx;
+        requireRole(user, ROLES.ADMIN);
+
+        const assignedBoothId = optionalId(body.assigned_booth_id, '담당 부스 ID');
+        if (assignedBoothId && !await selectOne(store, 'booths', [['id', 'eq', assignedBoothId]])) {
+            throw new ApiError(404, '부스 정보를 찾을 수 없습니다.');
+        }
+
+        const username = requireString(body.username, '사용자명', 50);
+        if (await isUsernameTaken(store, username)) {
+            throw new ApiError(409, '이미 사용 중인 사용자명입니다.');
+        }
+
+        const [created] = await store.insert('operators', {
+            username,
+            password: await hashPassword(requireNewPassword(body.password)),
+            name: optionalString(body.name, '이름', 100),
+            assigned_booth_id: assignedBoothId
+        });
+
+        ctx.status = 201;
+        return toPublicOperator(created);
+    });
+}
+
+module.exports = { register };
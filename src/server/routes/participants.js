@@ -0,0 +1,186 @@
+/**
+ * 참가자(방명록) API
+ */
+
+const { ApiError } = require('../http-utils');
+const { selectOne, embed } = require('../db');
+const { PERMISSIONS, applyEventScope } = require('../rbac');
+const { ROLES } = require('../sessions');
+const { END_REASONS, extendIdleOperation } = require('../booth-operations');
+const { resolveConsent, resolveGuardianConsent } = require('../consents');
+const { applyPrivacy } = require('../privacy');
+const { getRetainUntil } = require('../retention');
+const { getFormSchema, parseFormValues } = require('../form-schemas');
+const {
+    requireString, requireId, optionalBirthDate, optionalUuid, optionalInteger, optionalTimestamp, optionalDateFilter, optionalPhone
+} = require('../validators');
+
+// 오프라인 대기열에서 재전송된 기록의 작성 시각 허용 범위 (7일 전까지)
+const MAX_OFFLINE_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 등록 시각 결정
+ * - 오프라인에서 작성된 기록은 작성 시각(client_created_at)을 유지
+ * - 허용 범위를 벗어나거나 미래 시각이면 서버 시각 사용
+ */
+function resolveCreatedAt(clientCreatedAt) {
+    const now = Date.now();
+    const recorded = optionalTimestamp(clientCreatedAt, '작성 시각');
+    if (!recorded) return new Date(now).toISOString();
+
+    const time = Date.parse(recorded);
+    if (time > now || now - time > MAX_OFFLINE_AGE_MS) {
+        return new Date(now).toISOString();
+    }
+    return recorded;
+}
+
+/**
+ * 방명록을 받은 운영 결정
+ * - 운영 토큰(operation_token)이 있으면 토큰만으로 결정한다: 운영 시작 때 서버가 발급한 토큰이고,
+ *   같은 부스의 운영이고 작성 시각이 운영 시간 안에 있을 때만 인정 (재전송된 오프라인 기록은
+ *   기기의 다른 운영자 세션이 아니라 기록을 받은 운영에 연결)
+ * - 무응답으로 종료된 운영은 종료 시각이 마지막 하트비트이므로, 토큰을 받은 운영자 세션의 만료 전에
+ *   작성된 기록이면 인정하고 운영 종료 시각을 작성 시각까지 늘린다
+ * - 토큰이 없으면 운영자 세션으로 자기 부스에 등록한 경우 현재 운영
+ * - 그 밖에는 null (방문자가 직접 작성, 본문의 booth_operation_id는 무시)
+ */
+async function resolveOperationId(store, sessions, user, body, booth, createdAt) {
+    if (body.operation_token === undefined || body.operation_token === null || body.operation_token === '') {
+        return user.role === ROLES.OPERATOR && user.boothId === booth.id ? user.operationId : null;
+    }
+
+    const claim = sessions.verifyOperationToken(body.operation_token);
+    if (!claim || claim.boothId !== booth.id) return null;
+
+    const operation = await selectOne(store, 'booth_operations', [['id', 'eq', claim.operationId]]);
+    if (!operation || operation.booth_id !== booth.id) return null;
+
+    const time = Date.parse(createdAt);
+    if (time < Date.parse(operation.started_at)) return null;
+    if (!operation.ended_at || time <= Date.parse(operation.ended_at)) return operation.id;
+
+    if (operation.end_reason === END_REASONS.IDLE && claim.sessionExpiresAt && time <= claim.sessionExpiresAt) {
+        await extendIdleOperation(store, operation, createdAt);
+        return operation.id;
+    }
+    return null;
+}
+
+/**
+ * 참가자 조회 필터 생성
+ * @returns {Array|null} 조회할 수 있는 범위가 없으면 null
+ */
+function buildFilters(query, user) {
+    const filters = [];
+
+    // 운영자는 자신의 부스만 조회 가능
+    if (user.role === ROLES.OPERATOR) {
+        filters.push(['booth_id', 'eq', user.boothId]);
+    } else if (query.booth_id) {
+        filters.push(['booth_id', 'eq', requireId(query.booth_id, '부스 ID')]);
+    }
+
+    // 행사 담당자는 담당 행사만 (담당 행사가 없으면 null)
+    if (user.role !== ROLES.OPERATOR && !applyEventScope(filters, user)) {
+        return null;
+    }
+
+    if (query.event_id) filters.push(['event_id', 'eq', requireId(query.event_id, '행사 ID')]);
+    if (query.booth_operation_id) filters.push(['booth_operation_id', 'eq', requireId(query.booth_operation_id, '운영 ID')]);
+    if (query.start_date) filters.push(['created_at', 'gte', optionalDateFilter(query.start_date, '시작일')]);
+    if (query.end_date) filters.push(['created_at', 'lte', optionalDateFilter(query.end_date, '종료일')]);
+
+    // 한 사람의 기록 찾기 (정보주체 요청, routes/data-subjects.js)
+    if (query.name) filters.push(['name', 'eq', requireString(query.name, '이름', 50)]);
+    if (query.birth_date) filters.push(['birth_date', 'eq', optionalBirthDate(query.birth_date)]);
+    if (query.phone) filters.push(['phone', 'eq', optionalPhone(query.phone)]);
+
+    return filters;
+}
+
+function register(router, { store, sessions, requirePermission }) {
+    // 참가자 목록 (부스명 포함, 이름/연락처/생년월일은 가린 값, 관리자는 사유를 남기고 원본 조회)
+    router.add('GET', '/api/participants', async ({ query, user }) => {
+        requirePermission(user, PERMISSIONS.VIEW_BOOTH_STATS);
+
+        const filters = buildFilters(query, user);
+        if (!filters) return [];
+
+        const participants = await store.select('participants', {
+            filters,
+            order: { column: 'created_at', ascending: false },
+            limit: optionalInteger(query.limit, 'limit', 1, 10000)
+        });
+
+        const withBooths = await embed(store, participants, 'booths', 'booth_id');
+        return applyPrivacy(store, withBooths, { user, query, resource: '/api/participants', table: 'participants' });
+    });
+
+    // 방명록 등록 (방문자도 가능)
+    // - client_id: 오프라인 대기열의 기록 ID, 같은 ID로 다시 전송되면 기존 기록을 반환 (중복 방지)
+    // - operation_token: 오프라인 기록을 받은 운영의 토큰 (운영자 세션이 끝난 뒤 재전송될 때, POST /api/operations 응답)
+    // - consent_document_id, consented_at: 참가자가 동의한 동의서와 동의 시각 (필수)
+    // - guardian: 법정대리인 동의 { name, relationship, phone, signature_image, signed_at }
+    //   (만 14세 미만, 생년월일이 없거나 유아·초등 교급이면 필수: getGuardianConsentReason)
+    // - answers: 부스 양식의 추가 질문 답 { 질문 키: 값 } (표준 항목은 name, gender 등 최상위 필드)
+    router.add('POST', '/api/participants', async (ctx) => {
+        const { body, user } = ctx;
+        const boothId = requireId(body.booth_id, '부스 ID');
+        const clientId = optionalUuid(body.client_id, '전송 ID');
+
+        if (clientId) {
+            const existing = await selectOne(store, 'participants', [['client_id', 'eq', clientId]]);
+            if (existing) return existing;
+        }
+
+        const booth = await selectOne(store, 'booths', [['id', 'eq', boothId]]);
+        if (!booth || !booth.is_active) {
+            throw new ApiError(400, '운영 중인 부스가 아닙니다.');
+        }
+
+        const createdAt = resolveCreatedAt(body.client_created_at);
+        const event = booth.event_id ? await selectOne(store, 'events', [['id', 'eq', booth.event_id]]) : null;
+        const { fields } = await getFormSchema(store, booth);
+        const consent = await resolveConsent(store, body, booth, resolveCreatedAt(body.consented_at), createdAt);
+        const participant = {
+            booth_id: booth.id,
+            event_id: booth.event_id || null,
+            booth_operation_id: await resolveOperationId(store, sessions, user, body, booth, createdAt),
+            // 부스 양식의 표준 항목(이름, 성별, 교급, 생년월일, 연락처, 메시지)과 추가 질문 답
+            ...parseFormValues(fields, body),
+            client_id: clientId,
+            ...consent,
+            retain_until: getRetainUntil(event, createdAt),
+            created_at: createdAt
+        };
+        const guardian = resolveGuardianConsent(body.guardian, participant, createdAt);
+
+        let created;
+        try {
+            [created] = await store.insert('participants', participant);
+        } catch (error) {
+            // 같은 client_id가 동시에 두 번 전송된 경우 먼저 저장된 기록을 돌려준다
+            const existing = clientId && error.code === '23505'
+                ? await selectOne(store, 'participants', [['client_id', 'eq', clientId]])
+                : null;
+            if (existing) return existing;
+            throw error;
+        }
+        if (guardian) {
+            await store.insert('guardian_consents', {
+                participant_id: created.id,
+                event_id: created.event_id,
+                ...guardian
+            });
+        }
+        ctx.status = 201;
+        return created;
+    });
+}
+
+module.exports = {
+    register,
+    buildFilters,
+    resolveOperationId
+};
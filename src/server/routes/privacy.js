@@ -0,0 +1,26 @@
+/**
+ * 개인정보 열람 기록 API (관리자 전용)
+ * 관리자가 가린 값 대신 원본을 본 기록을 조회한다 (src/server/privacy.js)
+ */
+
+const { ROLES } = require('../sessions');
+const { optionalString, optionalInteger } = require('../validators');
+
+function register(router, { store, requireRole }) {
+    // 열람 기록 (최근 기록부터, username으로 거르기)
+    router.add('GET', '/api/privacy/access-logs', async ({ query, user }) => {
+        requireRole(user, ROLES.ADMIN);
+
+        const filters = [];
+        const username = optionalString(query.username, '아이디', 50);
+        if (username) filters.push(['username', 'eq', username]);
+
+        return store.select('privacy_access_logs', {
+            filters,
+            order: { column: 'created_at', ascending: false },
+            limit: optionalInteger(query.limit, 'limit', 1, 1000) ?? 100
+        });
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,36 @@
+/**
+ * 개인정보 파기 API (관리자 전용)
+ * 정기 파기 작업은 server.js가 실행하고 (src/server/retention.js), 여기서는 기록 조회와 즉시 실행을 제공한다
+ */
+
+const { ROLES } = require('../sessions');
+const { purgeExpiredParticipants } = require('../retention');
+const { requireId, optionalInteger } = require('../validators');
+
+function register(router, { store, requireRole }) {
+    // 파기 기록 (최신순)
+    router.add('GET', '/api/retention/reports', async ({ query, user }) => {
+        requireRole(user, ROLES.ADMIN);
+
+        const filters = [];
+        if (query.event_id) filters.push(['event_id', 'eq', requireId(query.event_id, '행사 ID')]);
+
+        return store.select('retention_reports', {
+            filters,
+            order: { column: 'created_at', ascending: false },
+            limit: optionalInteger(query.limit, 'limit', 1, 1000) ?? 100
+        });
+    });
+
+    // 보유 기간이 지난 기록 즉시 파기 (정기 작업과 같은 처리, 실행한 관리자 아이디를 기록)
+    router.add('POST', '/api/retention/run', async ({ user }) => {
+        requireRole(user, ROLES.ADMIN);
+        const reports = await purgeExpiredParticipants(store, { triggeredBy: user.username || 'manual' });
+        return {
+            anonymized_count: reports.reduce((sum, report) => sum + report.anonymized_count, 0),
+            reports
+        };
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,265 @@
+/**
+ * 서버 세션 관리
+ * 관리자 세션 발급(서명된 토큰) 및 요청별 사용자 역할 확인
+ *
+ * 관리자 토큰: base64url(내용).base64url(HMAC-SHA256 서명)
+ *   내용 = { sid, role, uid, exp } — 서명 키(SESSION_SECRET) 없이는 위조할 수 없고,
+ *   admin_sessions 행으로 폐기 여부와 유휴 시간을 확인한다
+ * 운영 토큰: 같은 형식, 내용 = { op, booth, exp }
+ *   운영 시작 시 운영자 기기에 발급하고, 오프라인 대기열이 운영자 세션이 끝난 뒤 재전송할 때
+ *   그 기록이 이 운영에서 받은 것임을 증명한다 (본문의 운영 ID는 믿지 않음)
+ */
+
+const crypto = require('crypto');
+const { selectOne } = require('./db');
+const { getClientIp, getBearerToken } = require('./http-utils');
+const { ROLES } = require('../shared/rbac.js');
+
+// 관리자 세션 유효 시간 (8시간)
+const ADMIN_SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+// 관리자 세션 유휴 제한 (30분 동안 활동이 없으면 만료)
+const ADMIN_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+// 마지막 활동 시각 기록 간격 (요청마다 쓰지 않도록 1분 단위)
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+// 운영 토큰 유효 시간 (운영 중 쌓인 오프라인 기록을 7일 안에 재전송할 수 있도록 8일)
+const OPERATION_TOKEN_TTL_MS = 8 * 24 * 60 * 60 * 1000;
+
+
+/**
+ * 64자리 랜덤 토큰 생성
+ */
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * 서명 키 (SESSION_SECRET이 없으면 실행마다 새로 생성 → 재시작 시 관리자 재로그인 필요)
+ */
+function resolveSecret(secret) {
+    if (secret) return secret;
+    console.warn('SESSION_SECRET이 설정되지 않아 임시 서명 키를 사용합니다. 서버를 재시작하면 관리자 세션이 만료됩니다.');
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * 세션 관리자 생성
+ * @param {Object} store - 저장소 어댑터
+ * @param {Object} options
+ * @param {string} options.secret - 토큰 서명 키 (기본값: SESSION_SECRET 환경 변수)
+ */
+function createSessionManager(store, { secret = process.env.SESSION_SECRET } = {}) {
+    const signingKey = resolveSecret(secret);
+
+    function sign(encoded) {
+        return crypto.createHmac('sha256', signingKey).update(encoded).digest('base64url');
+    }
+
+    /**
+     * 토큰 서명 확인 후 내용 반환 (위조/형식 오류/만료면 null)
+     */
+    function verifyToken(token) {
+        const [encoded, signature, extra] = token.split('.');
+        if (!encoded || !signature || extra !== undefined) return null;
+
+        const expected = Buffer.from(sign(encoded));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf-8'));
+            if (!payload.exp || payload.exp < Date.now()) return null;
+            return payload;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function signPayload(payload) {
+        const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        return `${encoded}.${sign(encoded)}`;
+    }
+
+    /**
+     * 운영 토큰 발급 (운영자 기기의 오프라인 기록용)
+     * @param {Object} operation - booth_operations 행
+     * @param {string} sessionExpiresAt - 토큰을 받는 운영자 세션의 만료 시각 (무응답 종료 뒤 기록을 인정하는 한계)
+     * @returns {string} 서명된 토큰
+     */
+    function issueOperationToken(operation, sessionExpiresAt) {
+        return signPayload({
+            op: operation.id,
+            booth: operation.booth_id,
+            until: Date.parse(sessionExpiresAt) || null,
+            exp: Date.now() + OPERATION_TOKEN_TTL_MS
+        });
+    }
+
+    /**
+     * 운영 토큰 확인
+     * @returns {Object|null} { operationId, boothId, sessionExpiresAt } (위조/만료/형식 오류면 null)
+     */
+    function verifyOperationToken(token) {
+        if (typeof token !== 'string' || token.length > 512) return null;
+        const payload = verifyToken(token);
+        if (!payload || !payload.op || payload.sid) return null;
+        return { operationId: payload.op, boothId: payload.booth, sessionExpiresAt: payload.until || null };
+    }
+
+    /**
+     * 관리자(계정) 세션 발급
+     * @param {Object} user - admins/event_managers/operators 행
+     * @param {string} role - ROLES.ADMIN, ROLES.EVENT_MANAGER 또는 ROLES.OPERATOR
+     * @param {http.IncomingMessage} req - 로그인 요청 (IP, 브라우저 기록용)
+     * @returns {Promise<string>} 서명된 토큰
+     */
+    async function issueAdminSession(user, role, req) {
+        const sessionId = generateToken();
+        const now = Date.now();
+        const expiresAt = now + ADMIN_SESSION_TTL_MS;
+
+        await store.insert('admin_sessions', {
+            session_id: sessionId,
+            role,
+            user_id: user.id,
+            username: user.username,
+            created_at: new Date(now).toISOString(),
+            expires_at: new Date(expiresAt).toISOString(),
+            last_activity: new Date(now).toISOString(),
+            ip_address: req ? getClientIp(req) : null,
+            user_agent: req ? (req.headers['user-agent'] || '').slice(0, 255) || null : null
+        });
+
+        return signPayload({ sid: sessionId, role, uid: user.id, exp: expiresAt });
+    }
+
+    /**
+     * 관리자 세션 폐기
+     */
+    async function revokeAdminSession(token) {
+        const payload = verifyToken(token);
+        if (!payload?.sid) return;
+        await store.update('admin_sessions', { revoked_at: new Date().toISOString() },
+            [['session_id', 'eq', payload.sid], ['revoked_at', 'is', null]]);
+    }
+
+    /**
+     * 계정의 다른 세션 모두 폐기 (비밀번호 변경 시)
+     * @param {string} role - 역할
+     * @param {number} userId - 계정 ID
+     * @param {string} exceptSessionId - 유지할 세션 (현재 세션)
+     */
+    async function revokeAccountSessions(role, userId, exceptSessionId = null) {
+        const filters = [['role', 'eq', role], ['user_id', 'eq', userId], ['revoked_at', 'is', null]];
+        if (exceptSessionId) filters.push(['session_id', 'neq', exceptSessionId]);
+        await store.update('admin_sessions', { revoked_at: new Date().toISOString() }, filters);
+    }
+
+    /**
+     * 관리자 세션 확인
+     * - GET이 아닌 요청만 활동으로 기록 (자동 새로고침으로 유휴 만료가 미뤄지지 않도록)
+     */
+    async function resolveAdminSession(req, token) {
+        const payload = verifyToken(token);
+        if (!payload?.sid) return null;
+
+        const session = await selectOne(store, 'admin_sessions', [['session_id', 'eq', payload.sid]]);
+        if (!session || session.revoked_at) return null;
+
+        const now = Date.now();
+        const lastActivity = new Date(session.last_activity).getTime();
+        if (new Date(session.expires_at).getTime() < now) return null;
+        if (lastActivity + ADMIN_IDLE_TIMEOUT_MS < now) {
+            await store.update('admin_sessions', { revoked_at: new Date(now).toISOString() }, [['id', 'eq', session.id]]);
+            return null;
+        }
+
+        let activeAt = lastActivity;
+        if (req.method !== 'GET' && now - lastActivity > ACTIVITY_WRITE_INTERVAL_MS) {
+            activeAt = now;
+            await store.update('admin_sessions', { last_activity: new Date(now).toISOString() }, [['id', 'eq', session.id]]);
+        }
+
+        const user = {
+            role: session.role,
+            userId: session.user_id,
+            username: session.username,
+            adminSessionId: session.session_id,
+            expiresAt: session.expires_at,
+            idleExpiresAt: new Date(activeAt + ADMIN_IDLE_TIMEOUT_MS).toISOString(),
+            token
+        };
+
+        // 행사 담당자는 요청마다 배정된 행사를 확인 (배정 변경이 바로 반영되도록)
+        if (session.role === ROLES.EVENT_MANAGER) {
+            const assignments = await store.select('event_manager_events', {
+                filters: [['manager_id', 'eq', session.user_id]]
+            });
+            user.eventIds = assignments.map(a => a.event_id);
+        }
+
+        return user;
+    }
+
+    /**
+     * 요청의 Authorization 헤더로 사용자 확인
+     * @returns {Promise<Object>} { role, ... } (인증 실패 시 게스트)
+     */
+    async function resolveUser(req) {
+        const token = getBearerToken(req);
+
+        if (!token) {
+            return { role: ROLES.GUEST };
+        }
+
+        // 관리자 세션 확인 (서명된 토큰)
+        if (token.includes('.')) {
+            return (await resolveAdminSession(req, token)) || { role: ROLES.GUEST };
+        }
+
+        // 운영자 세션 확인
+        const session = await selectOne(store, 'operator_sessions', [['session_token', 'eq', token]]);
+        if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) {
+            return { role: ROLES.GUEST };
+        }
+
+        const operation = await selectOne(store, 'booth_operations', [['id', 'eq', session.booth_operation_id]]);
+        if (!operation || !operation.is_active) {
+            return { role: ROLES.GUEST };
+        }
+
+        // 하트비트(POST /api/auth/heartbeat)와 방명록 등록을 활동으로 기록
+        // (활동이 끊긴 운영은 booth-operations.js 정리 작업이 자동 종료)
+        const now = Date.now();
+        if (req.method !== 'GET' && now - new Date(session.last_activity).getTime() > ACTIVITY_WRITE_INTERVAL_MS) {
+            await store.update('operator_sessions', { last_activity: new Date(now).toISOString() }, [['id', 'eq', session.id]]);
+        }
+
+        return {
+            role: ROLES.OPERATOR,
+            token,
+            sessionId: session.id,
+            operationId: operation.id,
+            boothId: operation.booth_id,
+            operatorName: operation.operator_name,
+            expiresAt: session.expires_at
+        };
+    }
+
+    return {
+        issueAdminSession,
+        revokeAdminSession,
+        revokeAccountSessions,
+        issueOperationToken,
+        verifyOperationToken,
+        resolveUser
+    };
+}
+
+module.exports = {
+    ROLES,
+    ADMIN_IDLE_TIMEOUT_MS,
+    generateToken,
+    createSessionManager
+};
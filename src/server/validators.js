@@ -0,0 +1,244 @@
+/**
+ * 입력값 검증 유틸리티
+ * 검증 실패 시 400 ApiError를 던진다
+ */
+
+const { ApiError } = require('./http-utils');
+const { MIN_PASSWORD_LENGTH } = require('./passwords');
+
+/**
+ * 필수 문자열 검증
+ */
+function requireString(value, label, maxLength = 100) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new ApiError(400, `${label}은(는) 필수 입력 항목입니다.`);
+    }
+    return optionalString(value, label, maxLength);
+}
+
+/**
+ * 선택 문자열 검증 (빈 값은 null)
+ */
+function optionalString(value, label, maxLength = 100) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string') {
+        throw new ApiError(400, `${label} 형식이 올바르지 않습니다.`);
+    }
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) {
+        throw new ApiError(400, `${label}은(는) ${maxLength}자 이하로 입력해주세요.`);
+    }
+    return trimmed || null;
+}
+
+// UUID 형식 (Supabase 기본 키가 uuid인 테이블 대비)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * ID 검증 (양의 정수 또는 UUID)
+ */
+function requireId(value, label = 'ID') {
+    if (typeof value === 'string' && UUID_PATTERN.test(value)) {
+        return value;
+    }
+    const id = Number(value);
+    if (value === null || value === '' || !Number.isInteger(id) || id <= 0) {
+        throw new ApiError(400, `${label}가 올바르지 않습니다.`);
+    }
+    return id;
+}
+
+/**
+ * 선택 ID 검증
+ */
+function optionalId(value, label = 'ID') {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return requireId(value, label);
+}
+
+/**
+ * ID 목록 검증 (없으면 빈 배열, 중복 제거)
+ */
+function optionalIdList(value, label = 'ID') {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        throw new ApiError(400, `${label} 목록이 올바르지 않습니다.`);
+    }
+    return [...new Set(value.map(item => requireId(item, label)))];
+}
+
+/**
+ * 선택 정수 검증 (범위 포함)
+ */
+function optionalInteger(value, label, min, max) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new ApiError(400, `${label}은(는) ${min}~${max} 사이의 정수여야 합니다.`);
+    }
+    return number;
+}
+
+/**
+ * 선택 불리언 검증
+ */
+function optionalBoolean(value, label) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'boolean') {
+        throw new ApiError(400, `${label} 형식이 올바르지 않습니다.`);
+    }
+    return value;
+}
+
+/**
+ * 날짜 검증 (YYYY-MM-DD)
+ */
+function optionalDate(value, label) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+        throw new ApiError(400, `${label}은(는) YYYY-MM-DD 형식이어야 합니다.`);
+    }
+    return value;
+}
+
+/**
+ * 생년월일 검증 (YYYYMMDD 또는 YYYY-MM-DD, YYYY-MM-DD로 정규화)
+ */
+function optionalBirthDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const digits = String(value).replace(/-/g, '');
+    if (!/^\d{8}$/.test(digits)) {
+        throw new ApiError(400, '생년월일은 YYYYMMDD 형식이어야 합니다.');
+    }
+    return optionalDate(`${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`, '생년월일');
+}
+
+/**
+ * 선택 UUID 검증 (소문자 정규화)
+ */
+function optionalUuid(value, label) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || !UUID_PATTERN.test(value)) {
+        throw new ApiError(400, `${label} 형식이 올바르지 않습니다.`);
+    }
+    return value.toLowerCase();
+}
+
+/**
+ * 선택 일시 검증 (ISO 8601, ISO 문자열로 정규화)
+ */
+function optionalTimestamp(value, label) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    if (Number.isNaN(time)) {
+        throw new ApiError(400, `${label} 형식이 올바르지 않습니다.`);
+    }
+    return new Date(time).toISOString();
+}
+
+/**
+ * 기간 조회 값 검증 (YYYY-MM-DD 또는 ISO 8601 일시, 목록 조회의 start_date/end_date)
+ * 저장소에서 형식 오류(22007)가 나기 전에 400으로 돌려준다
+ */
+function optionalDateFilter(value, label) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new ApiError(400, `${label}은(는) YYYY-MM-DD 형식이어야 합니다.`);
+    }
+    return value;
+}
+
+/**
+ * 전화번호 검증 (숫자만 남겨 10~11자리)
+ */
+function optionalPhone(value, label = '연락처') {
+    const phone = optionalString(value, label, 20);
+    if (!phone) return null;
+
+    const digits = phone.replace(/[^0-9]/g, '');
+    if (digits.length < 10 || digits.length > 11) {
+        throw new ApiError(400, '올바른 전화번호를 입력해주세요.');
+    }
+    return digits;
+}
+
+/**
+ * 허용 값 목록 검증
+ */
+function optionalEnum(value, label, allowed) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (!allowed.includes(value)) {
+        throw new ApiError(400, `${label} 값이 올바르지 않습니다.`);
+    }
+    return value;
+}
+
+/**
+ * 새 비밀번호 검증 (최소 길이)
+ */
+function requireNewPassword(value, label = '비밀번호') {
+    const password = requireString(value, label, 255);
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new ApiError(400, `${label}는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.`);
+    }
+    return password;
+}
+
+/**
+ * 부스 코드 형식 검증 (영문 3자리 + 숫자 3자리, 대문자 정규화)
+ */
+function requireBoothCode(value) {
+    const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+    if (!/^[A-Z0-9]{6}$/.test(code)) {
+        throw new ApiError(400, '올바른 부스 코드를 입력해주세요. (6자리)');
+    }
+    return code;
+}
+
+/**
+ * undefined 값을 제외한 객체 생성 (PATCH용)
+ */
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+    requireString,
+    optionalString,
+    requireId,
+    optionalId,
+    optionalIdList,
+    optionalInteger,
+    optionalBoolean,
+    optionalDate,
+    optionalBirthDate,
+    optionalUuid,
+    optionalTimestamp,
+    optionalDateFilter,
+    optionalPhone,
+    optionalEnum,
+    requireNewPassword,
+    requireBoothCode,
+    compact
+};
@@ -0,0 +1,101 @@
+/**
+ * 동의 규칙 (화면과 서버가 함께 쓰는 ES 모듈)
+ * - 법정대리인 동의: 만 14세 미만이거나 나이를 확인할 수 없으면(생년월일 없음, 유아·초등 교급) 보호자 동의가 필요하다
+ * - 기본 동의서 내용과 보유 기간 문구 ("수집일로부터 N일")
+ * 서버는 require()로 읽어 등록할 때 다시 확인하고(src/server/consents.js), 화면은 src/js/consent.js가 다시 내보낸다
+ */
+
+import { normalizeSchoolLevel } from './demographics.js';
+
+// 이 나이(만) 미만이면 법정대리인 동의 필요 (개인정보 보호법 제22조의2)
+export const GUARDIAN_CONSENT_AGE = 14;
+// 생년월일과 관계없이 법정대리인 동의가 필요한 교급 (저장 값)
+export const GUARDIAN_SCHOOL_LEVELS = ['유아', '초등'];
+// 나이는 한국 날짜 기준으로 계산 (기기 시간대와 관계없이 화면과 서버가 같은 결과)
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+// 동의서의 보유 기간 문구 (buildDefaultConsentBody의 "수집일로부터 N일")
+const RETENTION_PHRASE = /수집일로부터\s*\d+\s*일/g;
+
+/**
+ * 만 나이
+ * @param {string} birthDate - 생년월일 (YYYYMMDD 또는 YYYY-MM-DD)
+ * @param {Date|string} at - 기준 시각 (기본값: 지금)
+ * @returns {number|null} 생년월일 형식이 올바르지 않으면 null
+ */
+export function calculateAge(birthDate, at = new Date()) {
+    const digits = String(birthDate || '').replace(/-/g, '');
+    if (!/^\d{8}$/.test(digits)) return null;
+
+    const year = Number(digits.slice(0, 4));
+    const month = Number(digits.slice(4, 6));
+    const day = Number(digits.slice(6, 8));
+    const today = new Date(new Date(at).getTime() + KST_OFFSET_MS);
+
+    const age = today.getUTCFullYear() - year;
+    const beforeBirthday = today.getUTCMonth() + 1 < month
+        || (today.getUTCMonth() + 1 === month && today.getUTCDate() < day);
+    return beforeBirthday ? age - 1 : age;
+}
+
+/**
+ * 법정대리인 동의가 필요한 이유 (필요 없으면 null)
+ * - 유아·초등 교급이면 생년월일과 관계없이 필요
+ * - 생년월일이 없으면 만 14세 이상인지 확인할 수 없으므로 필요
+ * @param {Object} values - 참가자 값 { birth_date, school_level } (양식에 없는 항목은 null)
+ * @param {Date|string} at - 기준 시각 (서버는 작성 시각, 기본값: 지금)
+ */
+export function getGuardianConsentReason({ birth_date: birthDate, school_level: schoolLevel } = {}, at = new Date()) {
+    if (GUARDIAN_SCHOOL_LEVELS.includes(normalizeSchoolLevel(schoolLevel))) {
+        return '유아·초등학생은 법정대리인(보호자)의 동의가 필요합니다.';
+    }
+    const age = calculateAge(birthDate, at);
+    if (age === null) {
+        return '생년월일이 없어 나이를 확인할 수 없으므로 법정대리인(보호자)의 동의가 필요합니다.';
+    }
+    if (age < GUARDIAN_CONSENT_AGE) {
+        return `만 ${GUARDIAN_CONSENT_AGE}세 미만은 법정대리인(보호자)의 동의가 필요합니다.`;
+    }
+    return null;
+}
+
+/**
+ * 법정대리인 동의가 필요한지 (만 14세 미만, 생년월일 없음, 유아·초등 교급)
+ * @param {Object} values - 참가자 값 { birth_date, school_level }
+ */
+export function requiresGuardianConsent(values, at = new Date()) {
+    return getGuardianConsentReason(values, at) !== null;
+}
+
+/**
+ * 기본 동의서 내용 (행사나 부스를 만들 때 동의서가 없으면 1번 버전으로 게시)
+ * @param {number} retentionDays - 행사의 보유 기간 (일)
+ */
+export function buildDefaultConsentBody(retentionDays) {
+    return [
+        '(주)OOO는 축제 참여자 통계 분석을 위해 개인정보를 수집합니다.',
+        '- 수집 항목: 이름, 성별, 교급, 생년월일',
+        `- 보유 기간: 수집일로부터 ${retentionDays}일 후 자동 파기`
+    ].join('\n');
+}
+
+/**
+ * 다른 행사의 동의서 내용을 새 보유 기간으로 고쳐 쓴 내용 (행사 복제)
+ * 보유 기간 문구를 찾을 수 없는데 두 행사의 보유 기간이 다르면 null (내용을 그대로 쓸 수 없음)
+ * @param {string} body - 원본 동의서 내용
+ * @param {number} sourceDays - 원본 행사의 보유 기간 (일)
+ * @param {number} targetDays - 새 행사의 보유 기간 (일)
+ */
+export function rewriteRetentionPeriod(body, sourceDays, targetDays) {
+    if (body.search(RETENTION_PHRASE) !== -1) return body.replace(RETENTION_PHRASE, `수집일로부터 ${targetDays}일`);
+    return sourceDays === targetDays ? body : null;
+}
+
+export default {
+    GUARDIAN_CONSENT_AGE,
+    GUARDIAN_SCHOOL_LEVELS,
+    calculateAge,
+    getGuardianConsentReason,
+    requiresGuardianConsent,
+    buildDefaultConsentBody,
+    rewriteRetentionPeriod
+};
@@ -0,0 +1,100 @@
+/**
+ * 참가자 성별/교급 분류 (화면과 서버가 함께 쓰는 ES 모듈)
+ * 방명록 화면, 통계, 내보내기와 서버의 등록 검증이 모두 이 목록을 쓴다
+ * - 저장 값(value)은 하나로 통일한다: 성별 '남성'/'여성', 교급 '유아'/'초등'/'중등'/'고등'/'대학'/'성인'
+ * - 예전 화면이 저장한 값('남', '초등학생' 등)과 교급을 grade에 저장한 기록도 별칭(aliases)으로 읽는다
+ * 서버는 require()로 읽고(src/server/demographics.js), 화면은 src/js/demographics.js가 다시 내보낸다
+ */
+
+export const GENDERS = [
+    { value: '남성', label: '남성', aliases: ['남', '남자', 'male', 'm'] },
+    { value: '여성', label: '여성', aliases: ['여', '여자', 'female', 'f'] }
+];
+
+export const SCHOOL_LEVELS = [
+    { value: '유아', label: '유아', aliases: ['유치원', '미취학'] },
+    { value: '초등', label: '초등학생', aliases: ['초등학생', '초등학교', '초'] },
+    { value: '중등', label: '중학생', aliases: ['중학생', '중학교', '중'] },
+    { value: '고등', label: '고등학생', aliases: ['고등학생', '고등학교', '고'] },
+    { value: '대학', label: '대학생', aliases: ['대학생', '대학교'] },
+    { value: '성인', label: '성인', aliases: ['일반', '어른'] }
+];
+
+// 값이 없거나 목록에 없는 기록의 통계 이름
+export const UNKNOWN_LABEL = '미입력';
+
+function normalize(items, value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return null;
+    const item = items.find(entry => entry.value === text || entry.aliases.includes(text));
+    return item ? item.value : null;
+}
+
+/**
+ * 성별 저장 값 (목록에 없으면 null)
+ */
+export function normalizeGender(value) {
+    return normalize(GENDERS, value);
+}
+
+/**
+ * 교급 저장 값 (목록에 없으면 null)
+ */
+export function normalizeSchoolLevel(value) {
+    return normalize(SCHOOL_LEVELS, value);
+}
+
+/**
+ * 참가자 기록의 교급 (school_level이 없으면 예전 화면이 교급을 저장한 grade)
+ */
+export function getParticipantSchoolLevel(participant) {
+    return normalizeSchoolLevel(participant?.school_level) || normalizeSchoolLevel(participant?.grade);
+}
+
+/**
+ * 화면 표시 이름 (목록에 없는 값은 그대로)
+ */
+export function getGenderLabel(value) {
+    const gender = normalizeGender(value);
+    return gender ? GENDERS.find(item => item.value === gender).label : (value || '-');
+}
+
+export function getSchoolLevelLabel(value) {
+    const level = normalizeSchoolLevel(value);
+    return level ? SCHOOL_LEVELS.find(item => item.value === level).label : (value || '-');
+}
+
+/**
+ * 성별/교급별 인원
+ * 모든 분류를 0부터 세고, 값이 없거나 목록에 없는 기록은 UNKNOWN_LABEL로 센다 (있을 때만 포함)
+ * @param {Array} participants - 참가자 기록
+ * @returns {Object} { total, gender: { 남성, 여성, [미입력] }, school_level: { 유아, 초등, ..., [미입력] } }
+ */
+export function countDemographics(participants = []) {
+    const count = (items, resolve) => {
+        const counts = Object.fromEntries(items.map(item => [item.value, 0]));
+        participants.forEach(participant => {
+            const key = resolve(participant) || UNKNOWN_LABEL;
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    };
+
+    return {
+        total: participants.length,
+        gender: count(GENDERS, participant => normalizeGender(participant.gender)),
+        school_level: count(SCHOOL_LEVELS, getParticipantSchoolLevel)
+    };
+}
+
+export default {
+    GENDERS,
+    SCHOOL_LEVELS,
+    UNKNOWN_LABEL,
+    normalizeGender,
+    normalizeSchoolLevel,
+    getParticipantSchoolLevel,
+    getGenderLabel,
+    getSchoolLevelLabel,
+    countDemographics
+};
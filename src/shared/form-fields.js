@@ -0,0 +1,306 @@
+/**
+ * 방명록 양식 항목
+ * 관리자가 행사(필요하면 부스)마다 정한 양식의 항목 정의와 입력 검증, 추가 질문 답 읽기
+ * - 표준 항목(이름, 성별, 교급, 생년월일, 연락처, 메시지)은 참가자 기록의 컬럼, 추가 질문의 답은 participants.answers
+ * - answers는 [{ key, label, type, value }] JSON 문자열이라 양식이 바뀌어도 내보내기와 통계가 그대로 읽는다
+ * 화면과 서버가 함께 쓰는 ES 모듈: 화면은 입력 중에 검증하고, 서버(src/server/form-schemas.js)는 저장할 때 같은 규칙으로 다시 검증한다
+ */
+
+import { GENDERS, SCHOOL_LEVELS } from './demographics.js';
+
+export const FIELD_TYPES = {
+    TEXT: 'text',
+    CHOICE: 'choice',
+    DATE: 'date',
+    PHONE: 'phone',
+    CHECKBOX: 'checkbox',
+    RATING: 'rating'
+};
+
+export const FIELD_TYPE_LABELS = {
+    text: '글',
+    choice: '선택',
+    date: '날짜',
+    phone: '연락처',
+    checkbox: '체크박스',
+    rating: '점수'
+};
+
+// 통계로 모으는 답의 형식 (파기 후에도 남는 답)
+export const STAT_FIELD_TYPES = [FIELD_TYPES.CHOICE, FIELD_TYPES.CHECKBOX, FIELD_TYPES.RATING];
+
+// 표준 항목 (형식과 입력 제한은 고정)
+// locked: 모든 양식에 있어야 하고 항상 필수인 항목 (이름, 법정대리인 동의 확인에 쓰는 교급과 생년월일)
+export const STANDARD_FIELDS = {
+    name: { label: '이름', type: FIELD_TYPES.TEXT, max_length: 50, locked: true },
+    gender: { label: '성별', type: FIELD_TYPES.CHOICE },
+    school_level: { label: '교급', type: FIELD_TYPES.CHOICE, locked: true },
+    birth_date: { label: '생년월일', type: FIELD_TYPES.DATE, locked: true },
+    phone: { label: '연락처', type: FIELD_TYPES.PHONE },
+    message: { label: '메시지', type: FIELD_TYPES.TEXT, max_length: 500, multiline: true }
+};
+
+// 모든 양식에 있어야 하는 항목 (항상 필수)
+export const LOCKED_FIELD_KEYS = Object.keys(STANDARD_FIELDS).filter(key => STANDARD_FIELDS[key].locked);
+
+// 기본 양식 (행사에 양식이 없을 때)
+export const DEFAULT_FORM_FIELDS = [
+    { key: 'name', label: '이름', type: FIELD_TYPES.TEXT, required: true },
+    { key: 'gender', label: '성별', type: FIELD_TYPES.CHOICE, required: true },
+    { key: 'school_level', label: '교급', type: FIELD_TYPES.CHOICE, required: true },
+    { key: 'birth_date', label: '생년월일', type: FIELD_TYPES.DATE, required: true, help: '만 14세 미만은 보호자 동의가 필요합니다.' },
+    { key: 'phone', label: '연락처', type: FIELD_TYPES.PHONE, required: false },
+    { key: 'message', label: '메시지', type: FIELD_TYPES.TEXT, required: false, multiline: true }
+];
+
+/**
+ * 잠긴 항목을 필수로 고치고, 없으면 기본 양식의 항목을 뒤에 붙인다
+ * (잠긴 항목을 정하기 전에 저장한 양식도 교급과 생년월일을 묻도록)
+ */
+export function withLockedFields(fields) {
+    const locked = fields.map(field => (STANDARD_FIELDS[field.key]?.locked ? { ...field, required: true } : field));
+    const missing = DEFAULT_FORM_FIELDS.filter(field => LOCKED_FIELD_KEYS.includes(field.key)
+        && !fields.some(existing => existing.key === field.key));
+    return [...locked, ...missing];
+}
+
+/**
+ * 선택형 항목의 선택지 ([{ value, label }], 성별/교급은 demographics.js 목록)
+ */
+export function getFieldOptions(field) {
+    if (field.key === 'gender') return GENDERS.map(({ value, label }) => ({ value, label }));
+    if (field.key === 'school_level') return SCHOOL_LEVELS.map(({ value, label }) => ({ value, label }));
+    return (field.options || []).map(option => ({ value: option, label: option }));
+}
+
+/**
+ * 최대 글자 수 (표준 항목은 고정 값)
+ */
+export function getMaxLength(field) {
+    return STANDARD_FIELDS[field.key]?.max_length || field.max_length || 200;
+}
+
+/**
+ * 빈 답인지 (공백만 있는 글도 빈 답, 체크박스의 false는 답)
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+        || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * YYYYMMDD 또는 YYYY-MM-DD → YYYY-MM-DD (형식이 다르면 null)
+ */
+export function normalizeDate(value) {
+    const digits = String(value || '').replace(/-/g, '');
+    if (!/^\d{8}$/.test(digits)) return null;
+    const date = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+    return isNaN(new Date(date)) ? null : date;
+}
+
+/**
+ * 항목 하나의 값 검증
+ * @returns {string|null} 오류 문구 (문제가 없으면 null)
+ */
+export function validateFieldValue(field, value) {
+    const { label } = field;
+    const missing = field.type === FIELD_TYPES.CHECKBOX ? value !== true : isEmpty(value);
+    if (missing) {
+        if (!field.required) return null;
+        return field.type === FIELD_TYPES.CHECKBOX ? `${label}에 체크해주세요.` : `${label}은(는) 필수 입력 항목입니다.`;
+    }
+
+    switch (field.type) {
+        case FIELD_TYPES.TEXT: {
+            if (typeof value !== 'string' && typeof value !== 'number') return `${label} 형식이 올바르지 않습니다.`;
+            const text = String(value).trim();
+            if (text.length > getMaxLength(field)) return `${label}은(는) ${getMaxLength(field)}자 이하여야 합니다.`;
+            if (field.pattern && !new RegExp(field.pattern).test(text)) {
+                return field.pattern_message || `${label} 형식이 올바르지 않습니다.`;
+            }
+            return null;
+        }
+        case FIELD_TYPES.CHOICE: {
+            const values = Array.isArray(value) ? value : [value];
+            const options = getFieldOptions(field).map(option => option.value);
+            if (!field.multiple && values.length > 1) return `${label}은(는) 하나만 선택할 수 있습니다.`;
+            if (values.some(item => !options.includes(item))) {
+                return `${label}은(는) ${options.join(', ')} 중에서 선택해야 합니다.`;
+            }
+            return null;
+        }
+        case FIELD_TYPES.DATE: {
+            const date = normalizeDate(value);
+            if (!date) return field.key === 'birth_date' ? '생년월일은 YYYYMMDD 형식이어야 합니다.' : `${label}은(는) YYYY-MM-DD 형식이어야 합니다.`;
+            if ((field.min && date < field.min) || (field.max && date > field.max)) {
+                return `${label}은(는) ${field.min || ''} ~ ${field.max || ''} 사이여야 합니다.`;
+            }
+            return null;
+        }
+        case FIELD_TYPES.PHONE: {
+            if (typeof value !== 'string' && typeof value !== 'number') return `${label} 형식이 올바르지 않습니다.`;
+            const digits = String(value).replace(/[^0-9]/g, '');
+            return digits.length < 10 || digits.length > 11 ? '올바른 전화번호를 입력해주세요.' : null;
+        }
+        case FIELD_TYPES.RATING: {
+            const score = Number(value);
+            return Number.isInteger(score) && score >= 1 && score <= (field.scale || 5)
+                ? null
+                : `${label}은(는) 1~${field.scale || 5}점 중에서 골라야 합니다.`;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * 입력 값 전체 검증 (표준 항목은 values[키], 추가 질문은 values.answers[키])
+ * @returns {string|null} 첫 번째 오류 문구
+ */
+export function checkFormValues(fields, values) {
+    for (const field of fields) {
+        const value = STANDARD_FIELDS[field.key] ? values[field.key] : values.answers?.[field.key];
+        const error = validateFieldValue(field, value);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * 추가 질문 답 목록 (participants.answers에 저장하는 형식, 빈 답은 뺀다)
+ * @param {Array} fields - 양식 항목
+ * @param {Object} answerValues - 키 → 값
+ * @returns {Array} [{ key, label, type, value }]
+ */
+export function buildAnswers(fields, answerValues = {}) {
+    return fields
+        .filter(field => !STANDARD_FIELDS[field.key])
+        .map(field => {
+            let value = answerValues[field.key];
+            if (field.type === FIELD_TYPES.CHOICE && Array.isArray(value)) value = field.multiple ? [...new Set(value)] : value[0];
+            if (field.type === FIELD_TYPES.CHECKBOX) value = value === true;
+            if (field.type === FIELD_TYPES.DATE && !isEmpty(value)) value = normalizeDate(value);
+            if (field.type === FIELD_TYPES.PHONE && !isEmpty(value)) value = String(value).replace(/[^0-9]/g, '');
+            if (field.type === FIELD_TYPES.RATING && !isEmpty(value)) value = Number(value);
+            if (field.type === FIELD_TYPES.TEXT && !isEmpty(value)) value = String(value).trim() || null;
+            return { key: field.key, label: field.label, type: field.type, value };
+        })
+        .filter(answer => !isEmpty(answer.value));
+}
+
+/**
+ * 참가자 기록의 추가 질문 답 (없거나 읽을 수 없으면 빈 목록)
+ */
+export function parseAnswers(participant) {
+    if (!participant?.answers) return [];
+    try {
+        const answers = JSON.parse(participant.answers);
+        return Array.isArray(answers) ? answers : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * 파기할 때 남길 답 (통계용 형식만, 남는 답이 없으면 null)
+ * @param {string} answers - participants.answers
+ */
+export function keepStatAnswers(answers) {
+    const kept = parseAnswers({ answers }).filter(answer => STAT_FIELD_TYPES.includes(answer.type));
+    return kept.length > 0 ? JSON.stringify(kept) : null;
+}
+
+/**
+ * 답 표시 문자열 (체크박스 예/아니오, 여러 개 선택은 쉼표로, 점수는 N점)
+ */
+export function formatAnswerValue(answer) {
+    if (!answer || isEmpty(answer.value)) return '';
+    if (answer.type === FIELD_TYPES.CHECKBOX) return answer.value ? '예' : '아니오';
+    if (answer.type === FIELD_TYPES.RATING) return `${answer.value}점`;
+    if (Array.isArray(answer.value)) return answer.value.join(', ');
+    return String(answer.value);
+}
+
+/**
+ * 참가자 목록에 나온 추가 질문 (처음 나온 순서, 질문 이름은 마지막으로 저장된 것)
+ * @returns {Array} [{ key, label, type }]
+ */
+export function collectAnswerColumns(participants = []) {
+    const columns = new Map();
+    participants.forEach(participant => parseAnswers(participant).forEach(({ key, label, type }) => {
+        columns.set(key, { key, label, type });
+    }));
+    return [...columns.values()];
+}
+
+/**
+ * 참가자 기록의 한 질문 답 (표시 문자열)
+ */
+export function getAnswerText(participant, key) {
+    return formatAnswerValue(parseAnswers(participant).find(answer => answer.key === key));
+}
+
+/**
+ * 추가 질문 응답 집계 (선택형, 체크박스, 점수 질문)
+ * 양식에 있는 질문은 선택지를 0부터 세고, 양식에서 빠진 질문도 기록에 답이 있으면 함께 센다
+ * @param {Array} participants - 참가자 기록
+ * @param {Array} fields - 양식 항목 (선택지 순서용, 생략 가능)
+ * @returns {Array} [{ key, label, type, responses, counts: { 값: 인원 }, average }]
+ */
+export function summarizeAnswers(participants = [], fields = []) {
+    const summaries = new Map();
+    const summaryFor = ({ key, label, type }) => {
+        if (!summaries.has(key)) summaries.set(key, { key, label, type, responses: 0, counts: {}, total: 0 });
+        return summaries.get(key);
+    };
+
+    fields.filter(field => !STANDARD_FIELDS[field.key] && STAT_FIELD_TYPES.includes(field.type)).forEach(field => {
+        const summary = summaryFor(field);
+        if (field.type === FIELD_TYPES.CHOICE) field.options.forEach(option => { summary.counts[option] = 0; });
+        if (field.type === FIELD_TYPES.CHECKBOX) Object.assign(summary.counts, { 예: 0, 아니오: 0 });
+        if (field.type === FIELD_TYPES.RATING) {
+            for (let score = 1; score <= (field.scale || 5); score++) summary.counts[`${score}점`] = 0;
+        }
+    });
+
+    participants.forEach(participant => parseAnswers(participant)
+        .filter(answer => STAT_FIELD_TYPES.includes(answer.type))
+        .forEach(answer => {
+            const summary = summaryFor(answer);
+            const values = Array.isArray(answer.value) ? answer.value : [answer.value];
+            summary.responses += 1;
+            values.forEach(value => {
+                const label = formatAnswerValue({ ...answer, value });
+                summary.counts[label] = (summary.counts[label] || 0) + 1;
+            });
+            if (answer.type === FIELD_TYPES.RATING) summary.total += Number(answer.value);
+        }));
+
+    return [...summaries.values()].map(({ total, ...summary }) => ({
+        ...summary,
+        average: summary.type === FIELD_TYPES.RATING && summary.responses > 0
+            ? Math.round((total / summary.responses) * 10) / 10
+            : null
+    }));
+}
+
+export default {
+    FIELD_TYPES,
+    FIELD_TYPE_LABELS,
+    STANDARD_FIELDS,
+    LOCKED_FIELD_KEYS,
+    DEFAULT_FORM_FIELDS,
+    withLockedFields,
+    getFieldOptions,
+    getMaxLength,
+    normalizeDate,
+    validateFieldValue,
+    checkFormValues,
+    buildAnswers,
+    parseAnswers,
+    keepStatAnswers,
+    formatAnswerValue,
+    collectAnswerColumns,
+    getAnswerText,
+    summarizeAnswers
+};
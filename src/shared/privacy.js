@@ -0,0 +1,98 @@
+/**
+ * 개인정보 가림 규칙 (화면과 서버가 함께 쓰는 ES 모듈)
+ * 조회/내보내기 응답의 이름, 연락처, 생년월일, 서명을 가린 값으로 바꾼다
+ * 가린 값: 이름 홍*동, 연락처 010-****-5678, 생년월일 2016-**-**, 서명 이미지는 null
+ * 방명록 양식의 추가 질문 답(participants.answers)도 연락처, 날짜 답은 같은 규칙으로 가린다
+ * 서버는 require()로 읽고(src/server/privacy.js), 화면은 src/js/privacy.js가 다시 내보낸다
+ */
+
+// 보유 기간이 지나 파기된 기록의 이름 (가리지 않음, src/server/retention.js)
+export const ANONYMIZED_NAME = '(파기됨)';
+
+/**
+ * 이름 가리기 (홍길동 → 홍*동, 김철 → 김*)
+ */
+export function maskName(name) {
+    if (name === ANONYMIZED_NAME) return name;
+    const chars = [...String(name || '')];
+    if (chars.length <= 1) return '*';
+    if (chars.length === 2) return `${chars[0]}*`;
+    return `${chars[0]}${'*'.repeat(chars.length - 2)}${chars[chars.length - 1]}`;
+}
+
+/**
+ * 연락처 가리기 (01012345678 → 010-****-5678)
+ */
+export function maskPhone(phone) {
+    const digits = String(phone || '').replace(/[^0-9]/g, '');
+    if (digits.length < 8) return '****';
+    return `${digits.slice(0, 3)}-****-${digits.slice(-4)}`;
+}
+
+/**
+ * 생년월일 가리기 (2016-09-18 → 2016-**-**, 연도는 나이대 통계용으로 남김)
+ */
+export function maskBirthDate(birthDate) {
+    return `${String(birthDate).slice(0, 4)}-**-**`;
+}
+
+/**
+ * 추가 질문 답 가리기 (JSON 문자열 [{ key, label, type, value }], 연락처와 날짜 답만 가린다)
+ */
+export function maskAnswers(answers) {
+    let items;
+    try {
+        items = JSON.parse(answers);
+    } catch (error) {
+        return null;
+    }
+    if (!Array.isArray(items)) return null;
+
+    return JSON.stringify(items.map(item => {
+        if (item.value === null || item.value === undefined || item.value === '') return item;
+        if (item.type === 'phone') return { ...item, value: maskPhone(item.value) };
+        if (item.type === 'date') return { ...item, value: maskBirthDate(item.value) };
+        return item;
+    }));
+}
+
+const MASKERS = {
+    name: maskName,
+    phone: maskPhone,
+    birth_date: maskBirthDate,
+    answers: maskAnswers,
+    hidden: () => null
+};
+
+// 테이블별 개인정보 필드와 가리는 방식
+export const PERSONAL_FIELDS = {
+    participants: { name: 'name', phone: 'phone', birth_date: 'birth_date', answers: 'answers' },
+    booth_operations: { operator_phone: 'phone' },
+    booths: { contact_phone: 'phone' },
+    guardian_consents: { guardian_name: 'name', guardian_phone: 'phone', signature_image: 'hidden' }
+};
+
+/**
+ * 한 행의 개인정보 필드 가리기 (빈 값과 이미 파기된 값은 그대로)
+ * @param {string} table - PERSONAL_FIELDS의 테이블 이름
+ */
+export function maskRow(table, row) {
+    if (!row) return row;
+    const masked = { ...row };
+    Object.entries(PERSONAL_FIELDS[table] || {}).forEach(([field, kind]) => {
+        const value = row[field];
+        if (value === null || value === undefined || value === '' || value === ANONYMIZED_NAME) return;
+        masked[field] = MASKERS[kind](value);
+    });
+    return masked;
+}
+
+export default {
+    ANONYMIZED_NAME,
+    PERSONAL_FIELDS,
+    maskName,
+    maskPhone,
+    maskBirthDate,
+    maskAnswers,
+    maskRow
+};
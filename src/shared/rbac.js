@@ -0,0 +1,171 @@
+/**
+ * 역할 기반 권한 엔진 (화면과 서버가 함께 쓰는 ES 모듈)
+ * 역할마다 권한 목록, 접근 범위, 레벨을 정의한다
+ * 서버는 require()로 읽어 라우트 권한을 확인하고(src/server/rbac.js), 화면은 메뉴와 페이지 접근을 가린다
+ *
+ * 접근 범위:
+ *   all     모든 행사/부스
+ *   events  배정된 행사(user.eventIds)의 부스, 참가자, 운영 기록만
+ *   booth   운영 중인 부스(user.boothId)만
+ *   none    공개 정보만
+ */
+
+// 사용자 역할
+export const ROLES = {
+    ADMIN: 'admin',
+    EVENT_MANAGER: 'event_manager',
+    OPERATOR: 'operator',
+    GUEST: 'guest'
+};
+
+// 권한
+export const PERMISSIONS = {
+    // 관리자 권한
+    MANAGE_EVENTS: 'manage_events',
+    MANAGE_ACCOUNTS: 'manage_accounts',
+    REVEAL_PERSONAL_DATA: 'reveal_personal_data',
+
+    // 관리자/행사 담당자 권한
+    MANAGE_BOOTHS: 'manage_booths',
+    MANAGE_CODES: 'manage_codes',
+    VIEW_ALL_STATS: 'view_all_stats',
+    EXPORT_DATA: 'export_data',
+
+    // 운영자 권한
+    OPERATE_BOOTH: 'operate_booth',
+    VIEW_BOOTH_STATS: 'view_booth_stats',
+    ADD_PARTICIPANT: 'add_participant',
+
+    // 공통 권한
+    VIEW_PUBLIC: 'view_public'
+};
+
+// 접근 범위
+export const SCOPES = {
+    ALL: 'all',
+    EVENTS: 'events',
+    BOOTH: 'booth',
+    NONE: 'none'
+};
+
+// 역할 정의 (level: 페이지 접근 비교용, 높을수록 상위)
+export const ROLE_DEFINITIONS = {
+    [ROLES.ADMIN]: {
+        label: '관리자',
+        level: 4,
+        scope: SCOPES.ALL,
+        permissions: Object.values(PERMISSIONS)
+    },
+    [ROLES.EVENT_MANAGER]: {
+        label: '행사 담당자',
+        level: 3,
+        scope: SCOPES.EVENTS,
+        permissions: [
+            PERMISSIONS.MANAGE_BOOTHS,
+            PERMISSIONS.MANAGE_CODES,
+            PERMISSIONS.VIEW_ALL_STATS,
+            PERMISSIONS.EXPORT_DATA,
+            PERMISSIONS.VIEW_BOOTH_STATS,
+            PERMISSIONS.ADD_PARTICIPANT,
+            PERMISSIONS.VIEW_PUBLIC
+        ]
+    },
+    [ROLES.OPERATOR]: {
+        label: '운영자',
+        level: 2,
+        scope: SCOPES.BOOTH,
+        permissions: [
+            PERMISSIONS.OPERATE_BOOTH,
+            PERMISSIONS.VIEW_BOOTH_STATS,
+            PERMISSIONS.ADD_PARTICIPANT,
+            PERMISSIONS.VIEW_PUBLIC
+        ]
+    },
+    [ROLES.GUEST]: {
+        label: '방문자',
+        level: 1,
+        scope: SCOPES.NONE,
+        permissions: [PERMISSIONS.VIEW_PUBLIC]
+    }
+};
+
+/**
+ * 역할 정의 조회 (알 수 없는 역할은 방문자)
+ */
+export function getRoleDefinition(role) {
+    return ROLE_DEFINITIONS[role] || ROLE_DEFINITIONS[ROLES.GUEST];
+}
+
+/**
+ * 역할 표시 이름
+ */
+export function getRoleLabel(role) {
+    return getRoleDefinition(role).label;
+}
+
+/**
+ * 역할의 권한 목록
+ */
+export function getRolePermissions(role) {
+    return [...getRoleDefinition(role).permissions];
+}
+
+/**
+ * 권한 보유 여부 (범위 확인 없음)
+ */
+export function hasPermission(user, permission) {
+    return getRoleDefinition(user.role).permissions.includes(permission);
+}
+
+/**
+ * 역할 레벨 비교 (role이 requiredRole 이상인지)
+ */
+export function isRoleAtLeast(role, requiredRole) {
+    return getRoleDefinition(role).level >= getRoleDefinition(requiredRole).level;
+}
+
+/**
+ * 행사 접근 범위
+ * @param {Object} user - { role, eventIds }
+ * @returns {number[]|null} null이면 모든 행사, 배열이면 해당 행사만
+ */
+export function getEventScope(user) {
+    const { scope } = getRoleDefinition(user.role);
+    if (scope === SCOPES.ALL) return null;
+    if (scope === SCOPES.EVENTS) return (user.eventIds || []).map(Number);
+    return [];
+}
+
+/**
+ * 행사 접근 가능 여부
+ */
+export function canAccessEvent(user, eventId) {
+    const scope = getEventScope(user);
+    return scope === null || (eventId !== null && eventId !== undefined && scope.includes(Number(eventId)));
+}
+
+/**
+ * 부스 접근 가능 여부
+ * - 행사 담당자는 부스의 행사(eventId)가 담당 행사여야 함
+ * - 운영자는 운영 중인 부스만
+ */
+export function canAccessBooth(user, boothId, eventId = null) {
+    const { scope } = getRoleDefinition(user.role);
+    if (scope === SCOPES.ALL) return true;
+    if (scope === SCOPES.EVENTS) return canAccessEvent(user, eventId);
+    if (scope === SCOPES.BOOTH) return user.boothId !== null && user.boothId !== undefined && Number(user.boothId) === Number(boothId);
+    return false;
+}
+
+/**
+ * 권한 확인
+ * @param {Object} user - { role, eventIds, boothId }
+ * @param {string} permission - PERMISSIONS 값
+ * @param {Object} target - { eventId } 또는 { boothId, eventId } 지정 시 범위도 확인
+ */
+export function can(user, permission, target = {}) {
+    if (!hasPermission(user, permission)) return false;
+    if ('boothId' in target) return canAccessBooth(user, target.boothId, target.eventId ?? null);
+    if ('eventId' in target) return canAccessEvent(user, target.eventId);
+    return true;
+}
@@ -0,0 +1,111 @@
+/**
+ * 서비스 워커
+ * - 방명록 작성에 필요한 페이지/스크립트를 캐시해 오프라인에서도 화면을 열 수 있게 함
+ * - 백그라운드 동기화(sync) 시 열린 페이지에 대기열 재전송 요청 (src/js/offline-queue.js)
+ */
+
+const CACHE_NAME = 'festival-shell-v11';
+
+// 오프라인에서 열 수 있어야 하는 파일
+const APP_SHELL = [
+    'index.html',
+    'participant.html',
+    'operator-dashboard.html',
+    'operator-login.html',
+    'src/js/api-client.js',
+    'src/js/offline-queue.js',
+    'src/js/demo-banner.js',
+    'src/js/operator-auth.js',
+    'src/js/booth-operation.js',
+    'src/js/booth-code.js',
+    'src/js/auth-session.js',
+    'src/js/auth-manager.js',
+    'src/js/consent.js',
+    'src/js/signature-pad.js',
+    'src/js/privacy.js',
+    'src/js/demographics.js',
+    'src/js/form-schema.js',
+    'src/shared/demographics.js',
+    'src/shared/privacy.js',
+    'src/shared/rbac.js',
+    'src/shared/form-fields.js',
+    'src/shared/consent.js'
+];
+
+// 외부 CDN (Tailwind, Supabase 등)은 캐시 우선
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'unpkg.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // API는 캐시하지 않음 (오프라인 처리는 offline-queue.js 담당)
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * 네트워크 우선 (온라인이면 최신 파일, 오프라인이면 캐시)
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * 캐시 우선 (없으면 네트워크에서 받아 캐시)
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// 백그라운드 동기화: 열린 페이지에 재전송 요청
+self.addEventListener('sync', (event) => {
+    if (event.tag !== 'guestbook-queue') return;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(clients => clients.forEach(client => client.postMessage({ type: 'flush-guestbook-queue' })))
+    );
+});
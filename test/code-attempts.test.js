@@ -0,0 +1,81 @@
+/**
+ * 부스 코드 입력 제한 테스트
+ * X-Forwarded-For를 바꿔 보내도 IP 잠금을 피할 수 없는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkBoothCodeAttempt } = require('../src/server/code-attempts');
+const { getClientIp, parseTrustedProxies } = require('../src/server/http-utils');
+const { createTempStore } = require('./helpers');
+
+function fakeRequest(remoteAddress, forwardedFor) {
+    const headers = { 'user-agent': 'node-test' };
+    if (forwardedFor) headers['x-forwarded-for'] = forwardedFor;
+    return { socket: { remoteAddress }, headers };
+}
+
+async function attempt(store, req, code) {
+    try {
+        await checkBoothCodeAttempt(store, req, code);
+        return { status: 200 };
+    } catch (error) {
+        return { status: error.status, message: error.message };
+    }
+}
+
+test('getClientIp는 TRUST_PROXY가 없으면 X-Forwarded-For를 무시한다', () => {
+    const req = fakeRequest('203.0.113.5', '198.51.100.1');
+    assert.equal(getClientIp(req, []), '203.0.113.5');
+});
+
+test('getClientIp는 신뢰할 프록시 뒤에서 오른쪽부터 신뢰하지 않는 첫 주소를 쓴다', () => {
+    const trusted = parseTrustedProxies('127.0.0.1, 10.0.0.2');
+    const req = fakeRequest('::ffff:127.0.0.1', '1.2.3.4, 203.0.113.5, 10.0.0.2');
+    assert.equal(getClientIp(req, trusted), '203.0.113.5');
+});
+
+test('X-Forwarded-For를 바꿔 보내도 IP 잠금이 풀리지 않는다', async (t) => {
+    const store = createTempStore(t);
+    const ip = '203.0.113.5';
+
+    for (const code of ['AAAAAA', 'BBBBBB']) {
+        assert.equal((await attempt(store, fakeRequest(ip), code)).status, 400);
+    }
+    const locked = await attempt(store, fakeRequest(ip), 'CCCCCC');
+    assert.equal(locked.status, 429);
+
+    const spoofed = await attempt(store, fakeRequest(ip, '198.51.100.77'), 'DDDDDD');
+    assert.equal(spoofed.status, 429);
+});
+
+test('신뢰할 프록시 뒤에서도 왼쪽에 넣은 주소로 잠금이 풀리지 않는다', async (t) => {
+    const store = createTempStore(t);
+    const proxy = '127.0.0.1';
+    const client = '203.0.113.9';
+    const original = process.env.TRUST_PROXY;
+
+    // TRUST_PROXY는 모듈을 읽을 때 적용되므로 설정한 뒤 다시 읽는다
+    process.env.TRUST_PROXY = proxy;
+    const modules = ['../src/server/http-utils', '../src/server/code-attempts'].map(name => require.resolve(name));
+    modules.forEach(name => delete require.cache[name]);
+    t.after(() => {
+        if (original === undefined) delete process.env.TRUST_PROXY;
+        else process.env.TRUST_PROXY = original;
+        modules.forEach(name => delete require.cache[name]);
+    });
+    const { checkBoothCodeAttempt: checkBehindProxy } = require('../src/server/code-attempts');
+    const send = async (forwardedFor, code) => {
+        try {
+            await checkBehindProxy(store, fakeRequest(proxy, forwardedFor), code);
+            return 200;
+        } catch (error) {
+            return error.status;
+        }
+    };
+
+    assert.equal(await send(client, 'AAAAAA'), 400);
+    assert.equal(await send(client, 'BBBBBB'), 400);
+    assert.equal(await send(client, 'CCCCCC'), 429);
+    assert.equal(await send(`198.51.100.77, ${client}`, 'DDDDDD'), 429);
+});
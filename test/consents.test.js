@@ -0,0 +1,49 @@
+/**
+ * 동의서 조회와 기본 동의서 게시 테스트
+ * 동의서 기능 이전에 만든 행사도 서버 시작 시 기본 동의서를 받아 방명록을 쓸 수 있는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRouter } = require('../src/server/router');
+const consentRoutes = require('../src/server/routes/consents');
+const { ensureDefaultConsentDocuments } = require('../src/server/consents');
+const { createTempStore, statusOfAsync } = require('./helpers');
+
+async function setup(t) {
+    const store = createTempStore(t);
+    const router = createRouter();
+    consentRoutes.register(router, { store, requireRole: () => {}, requirePermission: () => {} });
+
+    // 동의서 없이 저장된 예전 행사와 부스
+    const [event] = await store.insert('events', { name: '예전 행사', start_date: '2025-05-01', end_date: '2025-05-02', retention_days: 30 });
+    const [booth] = await store.insert('booths', { event_id: event.id, name: '예전 부스' });
+    const [boothWithoutEvent] = await store.insert('booths', { event_id: null, name: '행사 없는 부스' });
+
+    const current = query => router.match('GET', '/api/consent-documents/current').handler({ query, user: { role: 'guest' }, params: {} });
+    return { store, event, booth, boothWithoutEvent, current };
+}
+
+test('게시된 동의서가 없으면 현재 동의서 조회는 404이고 게시하지 않는다', async (t) => {
+    const { store, booth, current } = await setup(t);
+
+    assert.equal(await statusOfAsync(() => current({ booth_id: String(booth.id) })), 404);
+    assert.equal((await store.select('consent_documents')).length, 0);
+});
+
+test('서버 시작 시 동의서가 없는 행사와 행사 없는 부스에 기본 동의서를 게시한다', async (t) => {
+    const { store, event, booth, boothWithoutEvent, current } = await setup(t);
+
+    assert.equal(await ensureDefaultConsentDocuments(store), 2);
+    const document = await current({ booth_id: String(booth.id) });
+    assert.equal(document.event_id, event.id);
+    assert.equal(document.version, 1);
+    assert.equal(document.created_by, 'system');
+    assert.match(document.body, /30일/);
+    assert.equal((await current({ booth_id: String(boothWithoutEvent.id) })).event_id, null);
+
+    // 다시 실행해도 새 버전을 게시하지 않는다
+    assert.equal(await ensureDefaultConsentDocuments(store), 0);
+    assert.equal((await store.select('consent_documents')).length, 2);
+});
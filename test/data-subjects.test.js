@@ -0,0 +1,35 @@
+/**
+ * 정보주체 찾기 테스트
+ * 예전 형식(YYYYMMDD 생년월일, 하이픈 연락처)으로 저장된 기록도 정규화 뒤에 찾아지는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildFilters } = require('../src/server/routes/participants');
+const { normalizeStoredContacts } = require('../src/server/data-subjects');
+const { ROLES } = require('../src/server/sessions');
+const { createTempStore } = require('./helpers');
+
+const admin = { role: ROLES.ADMIN };
+
+test('예전 형식으로 저장된 생년월일과 연락처를 저장 형식으로 바꿔 찾는다', async (t) => {
+    const store = createTempStore(t);
+    await store.insert('participants', [
+        { name: '김예전', birth_date: '20100315', phone: '010-1234-5678' },
+        { name: '김예전', birth_date: '2010-03-15', phone: '01012345678' },
+        { name: '김예전', birth_date: '2010년3월', phone: '02-12' }
+    ]);
+
+    const find = query => store.select('participants', { filters: buildFilters({ name: '김예전', ...query }, admin) });
+    assert.equal((await find({ birth_date: '2010-03-15' })).length, 1);
+
+    assert.equal(await normalizeStoredContacts(store), 2);
+    assert.equal((await find({ birth_date: '20100315' })).length, 2);
+    assert.equal((await find({ phone: '010-1234-5678' })).length, 2);
+
+    // 형식을 알 수 없는 값은 그대로 두고, 다시 실행해도 바꾸지 않는다
+    const [unknown] = await store.select('participants', { filters: [['phone', 'eq', '02-12']] });
+    assert.equal(unknown.birth_date, '2010년3월');
+    assert.equal(await normalizeStoredContacts(store), 0);
+});
@@ -0,0 +1,36 @@
+/**
+ * 데모 데이터 테스트
+ * 데모 서버 저장소에 넣은 데이터가 운영과 같은 제약을 지키는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../src/server/db');
+const { seedDemoData, DEMO_BOOTH_CODES } = require('../src/server/demo-data');
+const { getGuardianConsentReason } = require('../src/shared/consent.js');
+const { createTempStore } = require('./helpers');
+
+test('데모 저장소에는 동의 기록이 있는 데모 데이터를 한 번만 넣는다', async (t) => {
+    const store = createTempStore(t, file => createStore({ DEMO_MODE: '1', DEMO_DB_FILE: file, ADMIN_INITIAL_PASSWORD: 'test-password' }));
+
+    assert.equal(await seedDemoData(store), 60);
+    assert.equal(await seedDemoData(store), 0);
+
+    const booths = await store.select('booths');
+    assert.deepEqual(booths.map(booth => booth.booth_code).filter(Boolean), DEMO_BOOTH_CODES);
+
+    const participants = await store.select('participants');
+    assert.equal(participants.length, 60);
+    assert.ok(participants.every(participant => participant.consent_document_id !== null));
+
+    // 법정대리인 동의가 필요한 참가자는 모두 보호자 동의가 있다
+    const guardians = await store.select('guardian_consents');
+    const minors = participants.filter(participant => getGuardianConsentReason(participant, participant.created_at));
+    assert.ok(minors.length > 0);
+    assert.deepEqual(guardians.map(guardian => guardian.participant_id).sort(), minors.map(participant => participant.id).sort());
+
+    // 하트비트가 없는 진행 중 운영과 고정 비밀번호 계정은 넣지 않는다
+    assert.equal((await store.select('booth_operations', { filters: [['is_active', 'eq', true]] })).length, 0);
+    assert.equal((await store.select('operators')).length, 0);
+    assert.equal((await store.select('admins')).length, 1);
+});
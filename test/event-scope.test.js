@@ -0,0 +1,53 @@
+/**
+ * 행사 담당자 조회 범위 테스트
+ * 행사와 부스 목록을 서버가 담당 행사로 걸러 주는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRouter } = require('../src/server/router');
+const eventRoutes = require('../src/server/routes/events');
+const boothRoutes = require('../src/server/routes/booths');
+const { createTempStore } = require('./helpers');
+
+async function setup(t) {
+    const store = createTempStore(t);
+
+    const router = createRouter();
+    const deps = { store, requireRole: () => {}, requirePermission: () => {} };
+    eventRoutes.register(router, deps);
+    boothRoutes.register(router, deps);
+
+    const [mine] = await store.insert('events', { name: '담당 행사', start_date: '2025-09-01', end_date: '2025-09-02' });
+    const [other] = await store.insert('events', { name: '다른 행사', start_date: '2025-10-01', end_date: '2025-10-02' });
+    await store.insert('booths', { event_id: mine.id, name: '담당 부스' });
+    await store.insert('booths', { event_id: other.id, name: '다른 부스' });
+
+    const get = (pathname, user, query = {}) => router.match('GET', pathname).handler({ query, user, params: {} });
+    return { mine, get };
+}
+
+test('행사 담당자는 담당 행사와 그 부스만 받는다', async (t) => {
+    const { mine, get } = await setup(t);
+    const manager = { role: 'event_manager', eventIds: [mine.id] };
+
+    assert.deepEqual((await get('/api/events', manager)).map(event => event.name), ['담당 행사']);
+    const booths = await get('/api/booths', manager);
+    assert.deepEqual(booths.map(booth => [booth.name, booth.events.name]), [['담당 부스', '담당 행사']]);
+});
+
+test('담당 행사가 없는 행사 담당자는 빈 목록을 받는다', async (t) => {
+    const { get } = await setup(t);
+    const manager = { role: 'event_manager', eventIds: [] };
+
+    assert.deepEqual(await get('/api/events', manager), []);
+    assert.deepEqual(await get('/api/booths', manager), []);
+});
+
+test('방문자는 공개 행사와 부스 목록을 모두 받는다', async (t) => {
+    const { get } = await setup(t);
+    const guest = { role: 'guest' };
+
+    assert.equal((await get('/api/events', guest)).length, 2);
+    assert.equal((await get('/api/booths', guest)).length, 2);
+});
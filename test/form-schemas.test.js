@@ -0,0 +1,48 @@
+/**
+ * 방명록 양식 잠긴 항목 테스트
+ * 교급과 생년월일을 빼거나 선택 항목으로 바꿔 법정대리인 동의 확인을 끌 수 없는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseFormFields, getFormSchema } = require('../src/server/form-schemas');
+const { createTempStore, statusOf } = require('./helpers');
+
+test('교급이나 생년월일을 뺀 양식은 저장할 수 없다', () => {
+    const name = { key: 'name', label: '이름' };
+    assert.equal(statusOf(() => parseFormFields([name, { key: 'school_level', label: '교급' }])), 400);
+    assert.equal(statusOf(() => parseFormFields([name, { key: 'birth_date', label: '생년월일' }])), 400);
+});
+
+test('잠긴 항목은 선택 항목으로 저장해도 필수가 된다', () => {
+    const fields = parseFormFields([
+        { key: 'name', label: '이름', required: false },
+        { key: 'school_level', label: '교급', required: false },
+        { key: 'birth_date', label: '생년월일', required: false },
+        { key: 'phone', label: '연락처', required: false }
+    ]);
+    assert.deepEqual(fields.map(field => [field.key, field.required]), [
+        ['name', true], ['school_level', true], ['birth_date', true], ['phone', false]
+    ]);
+});
+
+test('잠긴 항목이 빠진 채 저장된 예전 양식도 교급과 생년월일을 묻는다', async (t) => {
+    const store = createTempStore(t);
+
+    const [event] = await store.insert('events', { name: '행사', start_date: '2025-09-01', end_date: '2025-09-02' });
+    const [booth] = await store.insert('booths', { event_id: event.id, name: '부스' });
+    await store.insert('form_schemas', {
+        event_id: event.id,
+        booth_id: null,
+        fields: JSON.stringify([
+            { key: 'name', label: '이름', type: 'text', required: true },
+            { key: 'birth_date', label: '생년월일', type: 'date', required: false }
+        ])
+    });
+
+    const { fields } = await getFormSchema(store, booth);
+    assert.deepEqual(fields.map(field => [field.key, field.required]), [
+        ['name', true], ['birth_date', true], ['school_level', true]
+    ]);
+});
@@ -0,0 +1,52 @@
+/**
+ * 법정대리인 동의 확인 테스트
+ * 생년월일이 없거나 유아·초등 교급이면 보호자 동의 없이 등록할 수 없는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveGuardianConsent } = require('../src/server/consents');
+const { statusOf } = require('./helpers');
+
+const CREATED_AT = '2025-09-01T03:00:00.000Z';
+const GUARDIAN = {
+    name: '김보호',
+    relationship: '모',
+    phone: '010-1234-5678',
+    signature_image: 'data:image/png;base64,iVBORw0KGgo=',
+    signed_at: CREATED_AT
+};
+
+test('만 14세 이상이고 교급이 중등 이상이면 보호자 동의 없이 등록된다', () => {
+    const participant = { birth_date: '2000-01-01', school_level: '성인' };
+    assert.equal(resolveGuardianConsent(null, participant, CREATED_AT), null);
+});
+
+test('만 14세 미만이면 보호자 동의가 필요하다', () => {
+    const participant = { birth_date: '2015-05-05', school_level: null };
+    assert.equal(statusOf(() => resolveGuardianConsent(null, participant, CREATED_AT)), 400);
+});
+
+test('생년월일이 없어 나이를 확인할 수 없으면 보호자 동의가 필요하다', () => {
+    for (const schoolLevel of [null, '성인']) {
+        const participant = { birth_date: null, school_level: schoolLevel };
+        assert.equal(statusOf(() => resolveGuardianConsent(null, participant, CREATED_AT)), 400);
+    }
+});
+
+test('유아·초등 교급이면 생년월일과 관계없이 보호자 동의가 필요하다', () => {
+    for (const schoolLevel of ['유아', '초등']) {
+        for (const birthDate of [null, '2000-01-01']) {
+            const participant = { birth_date: birthDate, school_level: schoolLevel };
+            assert.equal(statusOf(() => resolveGuardianConsent(null, participant, CREATED_AT)), 400);
+        }
+    }
+});
+
+test('보호자 동의가 있으면 생년월일이 없어도 등록된다', () => {
+    const participant = { birth_date: null, school_level: '초등' };
+    const guardian = resolveGuardianConsent(GUARDIAN, participant, CREATED_AT);
+    assert.equal(guardian.guardian_name, '김보호');
+    assert.equal(guardian.guardian_phone, '01012345678');
+});
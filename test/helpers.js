@@ -0,0 +1,55 @@
+/**
+ * 테스트 공통 도구
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalStore } = require('../src/server/db/local-store');
+
+/**
+ * 임시 폴더의 로컬 저장소 (테스트가 끝나면 폴더를 지운다)
+ * @param {Object} t - node:test 테스트 컨텍스트
+ * @param {Function} open - 데이터 파일 경로로 저장소를 여는 함수 (기본값: 로컬 저장소)
+ */
+function createTempStore(t, open = file => createLocalStore({ file, adminPassword: 'test-password' })) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'festival-test-'));
+    const store = open(path.join(dir, 'db.json'));
+    // 예약된 파일 저장이 끝난 뒤 지워야 폴더가 다시 생기지 않는다
+    t.after(async () => {
+        await store.flush();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return store;
+}
+
+/**
+ * 동기 함수가 던진 ApiError의 상태 코드 (던지지 않으면 200)
+ */
+function statusOf(fn) {
+    try {
+        fn();
+        return 200;
+    } catch (error) {
+        return error.status;
+    }
+}
+
+/**
+ * 비동기 함수가 던진 ApiError의 상태 코드 (던지지 않으면 200)
+ */
+async function statusOfAsync(fn) {
+    try {
+        await fn();
+        return 200;
+    } catch (error) {
+        return error.status;
+    }
+}
+
+module.exports = {
+    createTempStore,
+    statusOf,
+    statusOfAsync
+};
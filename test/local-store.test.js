@@ -0,0 +1,104 @@
+/**
+ * 로컬 저장소 테스트
+ * 필터, UNIQUE·외래 키 제약, 실패한 변경 작업의 되돌리기, 파일 저장을 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalStore } = require('../src/server/db/local-store');
+const { createTempStore } = require('./helpers');
+
+async function setup(t) {
+    const store = createTempStore(t);
+    const events = await store.insert('events', [
+        { name: '봄 축제', start_date: '2025-04-01', status: 'completed' },
+        { name: '여름 축제', start_date: '2025-07-01' },
+        { name: '가을 박람회', start_date: null }
+    ]);
+    return { store, events };
+}
+
+test('필터 연산자와 정렬, 개수 제한', async (t) => {
+    const { store, events } = await setup(t);
+    const names = rows => rows.map(row => row.name);
+
+    assert.deepEqual(names(await store.select('events', { filters: [['id', 'eq', String(events[1].id)]] })), ['여름 축제']);
+    assert.deepEqual(names(await store.select('events', { filters: [['id', 'eq', 999]] })), []);
+    assert.deepEqual(names(await store.select('events', { filters: [['status', 'neq', 'active']] })), ['봄 축제']);
+    assert.deepEqual(names(await store.select('events', { filters: [['id', 'in', [events[0].id, events[2].id]]] })), ['봄 축제', '가을 박람회']);
+    assert.deepEqual(names(await store.select('events', { filters: [['name', 'like', '%축제']] })), ['봄 축제', '여름 축제']);
+    assert.deepEqual(names(await store.select('events', { filters: [['name', 'like', '_ 축제']] })), ['봄 축제']);
+    assert.deepEqual(names(await store.select('events', { filters: [['start_date', 'is', null]] })), ['가을 박람회']);
+    // NULL은 비교 연산에 맞지 않는다
+    assert.deepEqual(names(await store.select('events', { filters: [['start_date', 'lt', '2025-12-31']] })), ['봄 축제', '여름 축제']);
+
+    const sorted = await store.select('events', {
+        filters: [['start_date', 'gte', '2025-01-01']],
+        order: { column: 'start_date', ascending: false },
+        limit: 1
+    });
+    assert.deepEqual(names(sorted), ['여름 축제']);
+});
+
+test('UNIQUE 제약 위반은 23505, 없는 부모를 참조하면 23503', async (t) => {
+    const { store, events } = await setup(t);
+    const [booth] = await store.insert('booths', { event_id: events[0].id, name: '부스 A', booth_code: 'ABC123' });
+    await store.insert('booths', { event_id: events[0].id, name: '부스 B', booth_code: null });
+
+    await assert.rejects(store.insert('booths', { event_id: events[0].id, name: '부스 C', booth_code: 'ABC123' }), { code: '23505' });
+    // NULL은 UNIQUE 비교에서 제외
+    await store.insert('booths', { event_id: events[0].id, name: '부스 D', booth_code: null });
+
+    const [other] = await store.insert('booths', { event_id: events[0].id, name: '부스 E', booth_code: 'DEF456' });
+    await assert.rejects(store.update('booths', { booth_code: 'ABC123' }, [['id', 'eq', other.id]]), { code: '23505' });
+    // 여러 행을 같은 값으로 바꾸는 수정도 거부
+    await assert.rejects(store.update('booths', { booth_code: 'GHI789' }, [['event_id', 'eq', events[0].id]]), { code: '23505' });
+
+    // 코드를 바꾸면 이전 코드는 다시 쓸 수 있다
+    await store.update('booths', { booth_code: 'JKL012' }, [['id', 'eq', booth.id]]);
+    await store.update('booths', { booth_code: 'ABC123' }, [['id', 'eq', other.id]]);
+
+    await assert.rejects(store.insert('booths', { event_id: 999, name: '부스 F' }), { code: '23503' });
+});
+
+test('실패한 변경 작업은 행, 일련번호, 색인을 모두 되돌린다', async (t) => {
+    const { store, events } = await setup(t);
+    const [booth] = await store.insert('booths', { event_id: events[0].id, name: '부스 A', booth_code: 'ABC123' });
+
+    // 두 번째 행이 실패하면 첫 번째 행도 저장하지 않는다
+    await assert.rejects(store.insert('booths', [
+        { event_id: events[1].id, name: '부스 B', booth_code: 'DEF456' },
+        { event_id: events[1].id, name: '부스 C', booth_code: 'ABC123' }
+    ]), { code: '23505' });
+    assert.equal((await store.select('booths')).length, 1);
+    const [next] = await store.insert('booths', { event_id: events[1].id, name: '부스 D', booth_code: 'DEF456' });
+    assert.equal(next.id, booth.id + 1);
+
+    // 배정된 운영자가 있는 부스는 행사와 함께 지울 수 없다 (ON DELETE RESTRICT)
+    await store.insert('operators', { username: 'op1', password: 'x', assigned_booth_id: booth.id });
+    await assert.rejects(store.remove('events', [['id', 'eq', events[0].id]]), { code: '23503' });
+    assert.equal((await store.select('events', { filters: [['id', 'eq', events[0].id]] })).length, 1);
+    assert.equal((await store.select('booths', { filters: [['id', 'eq', booth.id]] }))[0].booth_code, 'ABC123');
+    await assert.rejects(store.insert('booths', { event_id: events[0].id, name: '부스 E', booth_code: 'ABC123' }), { code: '23505' });
+});
+
+test('변경 내용을 파일에 저장해 다시 열어도 유지한다', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'festival-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'db.json');
+
+    const store = createLocalStore({ file, adminPassword: 'test-password' });
+    const [event] = await store.insert('events', { name: '저장 확인' });
+    await store.update('events', { location: '시민체육관' }, [['id', 'eq', event.id]]);
+    await store.flush();
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+    const reopened = createLocalStore({ file, adminPassword: 'test-password' });
+    const [saved] = await reopened.select('events', { filters: [['id', 'eq', event.id]] });
+    assert.equal(saved.location, '시민체육관');
+    await assert.rejects(reopened.insert('admins', { username: 'admin', password: 'x' }), { code: '23505' });
+});
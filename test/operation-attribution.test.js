@@ -0,0 +1,94 @@
+/**
+ * 방명록 운영 연결 테스트
+ * 운영 토큰이 있으면 기기의 운영자 세션보다 토큰을 먼저 확인하는지,
+ * 무응답으로 종료된 운영에 연결이 끊긴 동안 받은 기록이 연결되는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSessionManager, ROLES } = require('../src/server/sessions');
+const { resolveOperationId } = require('../src/server/routes/participants');
+const { END_REASONS, endIdleOperations } = require('../src/server/booth-operations');
+const { createTempStore } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function setup(t) {
+    const store = createTempStore(t);
+    const sessions = createSessionManager(store, { secret: 'test-secret' });
+    const [booth] = await store.insert('booths', { name: '테스트 부스' });
+    const start = Date.now() - 3 * HOUR_MS;
+
+    // 교대 전 운영(종료)과 지금 기기에 로그인한 운영
+    const [previous] = await store.insert('booth_operations', {
+        booth_id: booth.id, operator_name: '이전 운영자',
+        started_at: new Date(start).toISOString(), ended_at: new Date(start + HOUR_MS).toISOString(), is_active: false
+    });
+    const [current] = await store.insert('booth_operations', {
+        booth_id: booth.id, operator_name: '현재 운영자',
+        started_at: new Date(start + HOUR_MS).toISOString(), is_active: true
+    });
+    const operator = { role: ROLES.OPERATOR, boothId: booth.id, operationId: current.id };
+    const at = offset => new Date(start + offset).toISOString();
+    return { store, sessions, booth, previous, current, operator, at };
+}
+
+test('운영 토큰이 있으면 운영자 세션보다 토큰의 운영에 연결한다', async (t) => {
+    const { store, sessions, booth, previous, operator, at } = await setup(t);
+    const body = { operation_token: sessions.issueOperationToken(previous) };
+
+    assert.equal(await resolveOperationId(store, sessions, operator, body, booth, at(30 * 60 * 1000)), previous.id);
+});
+
+test('운영 토큰이 맞지 않으면 운영자 세션이 있어도 연결하지 않는다', async (t) => {
+    const { store, sessions, booth, previous, operator, at } = await setup(t);
+
+    const forged = { operation_token: 'forged.token' };
+    assert.equal(await resolveOperationId(store, sessions, operator, forged, booth, at(2 * HOUR_MS)), null);
+
+    // 토큰의 운영 시간 밖에서 작성된 기록
+    const late = { operation_token: sessions.issueOperationToken(previous) };
+    assert.equal(await resolveOperationId(store, sessions, operator, late, booth, at(2 * HOUR_MS)), null);
+});
+
+test('운영 토큰이 없으면 자기 부스의 운영자 세션으로 연결한다', async (t) => {
+    const { store, sessions, booth, current, operator, at } = await setup(t);
+
+    assert.equal(await resolveOperationId(store, sessions, operator, {}, booth, at(2 * HOUR_MS)), current.id);
+    assert.equal(await resolveOperationId(store, sessions, { role: ROLES.GUEST }, {}, booth, at(2 * HOUR_MS)), null);
+});
+
+test('무응답으로 종료된 운영은 세션 만료 전의 오프라인 기록을 연결하고 종료 시각을 늘린다', async (t) => {
+    const { store, sessions, booth, at } = await setup(t);
+    const [operation] = await store.insert('booth_operations', {
+        booth_id: booth.id, operator_name: '오프라인 운영자', started_at: at(0), is_active: true
+    });
+    // 1시간 뒤 연결이 끊겨 하트비트가 멈춘 세션
+    const [session] = await store.insert('operator_sessions', {
+        session_token: 'offline-session', booth_operation_id: operation.id,
+        last_activity: at(HOUR_MS), expires_at: at(8 * HOUR_MS)
+    });
+    const body = { operation_token: sessions.issueOperationToken(operation, session.expires_at) };
+
+    await endIdleOperations(store, 30, new Date(Date.parse(at(2 * HOUR_MS))));
+    const [ended] = await store.select('booth_operations', { filters: [['id', 'eq', operation.id]] });
+    assert.equal(ended.end_reason, END_REASONS.IDLE);
+    assert.equal(Date.parse(ended.ended_at), Date.parse(at(HOUR_MS)));
+
+    // 연결이 끊긴 뒤 받은 기록
+    const guest = { role: ROLES.GUEST };
+    assert.equal(await resolveOperationId(store, sessions, guest, body, booth, at(90 * 60 * 1000)), operation.id);
+    const [extended] = await store.select('booth_operations', { filters: [['id', 'eq', operation.id]] });
+    assert.equal(Date.parse(extended.ended_at), Date.parse(at(90 * 60 * 1000)));
+
+    // 세션 만료 뒤에 작성된 기록은 연결하지 않는다
+    assert.equal(await resolveOperationId(store, sessions, guest, body, booth, at(9 * HOUR_MS)), null);
+});
+
+test('무응답 종료가 아닌 운영은 종료 뒤의 기록을 연결하지 않는다', async (t) => {
+    const { store, sessions, booth, previous, at } = await setup(t);
+    const body = { operation_token: sessions.issueOperationToken(previous, at(8 * HOUR_MS)) };
+
+    assert.equal(await resolveOperationId(store, sessions, { role: ROLES.GUEST }, body, booth, at(2 * HOUR_MS)), null);
+});
@@ -0,0 +1,77 @@
+/**
+ * 개인정보 보유 기간 테스트
+ * 행사의 보유 기간을 늘려도 이미 받은 기록은 동의한 기간에 파기하고, 바뀐 기간의 동의서가 게시되는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRouter } = require('../src/server/router');
+const eventRoutes = require('../src/server/routes/events');
+const { ROLES } = require('../src/server/sessions');
+const { ensureDefaultConsentDocument, getCurrentConsentDocument } = require('../src/server/consents');
+const { getRetainUntil, purgeExpiredParticipants } = require('../src/server/retention');
+const { createTempStore } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function setup(t) {
+    const store = createTempStore(t);
+    const router = createRouter();
+    eventRoutes.register(router, { store, requireRole: () => {}, requirePermission: () => {} });
+
+    const [event] = await store.insert('events', { name: '보유 기간 행사', start_date: '2025-05-01', end_date: '2025-05-02', retention_days: 30 });
+    await ensureDefaultConsentDocument(store, event);
+
+    const addParticipant = async (name, daysAgo, retainedEvent) => {
+        const createdAt = new Date(Date.now() - daysAgo * DAY_MS).toISOString();
+        const [participant] = await store.insert('participants', {
+            event_id: event.id, name, created_at: createdAt, retain_until: getRetainUntil(retainedEvent, createdAt)
+        });
+        return participant;
+    };
+    const patchEvent = body => router.match('PATCH', `/api/events/${event.id}`).handler({
+        params: { id: String(event.id) }, body, user: { role: ROLES.ADMIN, username: 'admin' }, query: {}
+    });
+    const names = async () => (await store.select('participants', { filters: [['anonymized_at', 'is', null]] }))
+        .map(participant => participant.name).sort();
+    return { store, event, addParticipant, patchEvent, names };
+}
+
+test('보유 기간을 늘려도 이미 받은 기록은 등록할 때의 보유 기한에 파기한다', async (t) => {
+    const { store, event, addParticipant, patchEvent, names } = await setup(t);
+    await addParticipant('이전 기록', 40, event);
+    await addParticipant('최근 기록', 10, event);
+
+    const extended = await patchEvent({ retention_days: 365 });
+    // 늘린 기간으로 등록된 기록
+    await addParticipant('새 기록', 40, extended);
+
+    const [report] = await purgeExpiredParticipants(store);
+    assert.equal(report.anonymized_count, 1);
+    assert.ok(JSON.parse(report.summary).gender);
+    assert.deepEqual(await names(), ['새 기록', '최근 기록']);
+});
+
+test('보유 기간을 줄이면 이미 받은 기록에도 바로 적용한다', async (t) => {
+    const { store, event, addParticipant, patchEvent, names } = await setup(t);
+    await addParticipant('이전 기록', 20, event);
+    await addParticipant('최근 기록', 5, event);
+
+    await patchEvent({ retention_days: 10 });
+    await purgeExpiredParticipants(store);
+    assert.deepEqual(await names(), ['최근 기록']);
+});
+
+test('보유 기간을 바꾸면 바뀐 기간을 안내하는 동의서 새 버전을 게시한다', async (t) => {
+    const { store, event, patchEvent } = await setup(t);
+
+    await patchEvent({ name: '이름만 바꾼 행사' });
+    assert.equal((await getCurrentConsentDocument(store, event)).version, 1);
+
+    await patchEvent({ retention_days: 60 });
+    const current = await getCurrentConsentDocument(store, event);
+    assert.equal(current.version, 2);
+    assert.equal(current.created_by, 'admin');
+    assert.match(current.body, /수집일로부터 60일/);
+});
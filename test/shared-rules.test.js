@@ -0,0 +1,38 @@
+/**
+ * 화면과 서버가 함께 쓰는 규칙 테스트 (src/shared)
+ * 서버가 require()로 읽은 규칙이 화면과 같은 결과를 내는지 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getGuardianConsentReason } = require('../src/shared/consent.js');
+const { maskRow, ANONYMIZED_NAME } = require('../src/shared/privacy.js');
+const { parseFormValues } = require('../src/server/form-schemas');
+const { maskName } = require('../src/server/privacy');
+const { statusOf } = require('./helpers');
+
+test('나이는 기기 시간대와 관계없이 한국 날짜로 계산한다', () => {
+    // 한국 시각 2025-09-01 00:30 (UTC로는 8월 31일), 2011-09-01생은 이날 만 14세
+    const at = '2025-08-31T15:30:00.000Z';
+    assert.equal(getGuardianConsentReason({ birth_date: '20110901', school_level: '중학생' }, at), null);
+    assert.equal(getGuardianConsentReason({ birth_date: '2011-09-02', school_level: '중등' }, at),
+        '만 14세 미만은 법정대리인(보호자)의 동의가 필요합니다.');
+});
+
+test('서버와 화면이 같은 가림 규칙을 쓴다', () => {
+    assert.equal(maskName('홍길동'), '홍*동');
+    assert.deepEqual(maskRow('participants', { name: ANONYMIZED_NAME, phone: '01012345678', birth_date: '2016-09-18' }), {
+        name: ANONYMIZED_NAME, phone: '010-****-5678', birth_date: '2016-**-**'
+    });
+});
+
+test('공백만 입력한 필수 질문은 빈 답으로 본다', () => {
+    const fields = [
+        { key: 'name', label: '이름', type: 'text', required: true },
+        { key: 'memo', label: '메모', type: 'text', required: true }
+    ];
+    assert.equal(statusOf(() => parseFormValues(fields, { name: '홍길동', answers: { memo: '   ' } })), 400);
+    assert.equal(parseFormValues(fields, { name: '홍길동', answers: { memo: ' 좋아요 ' } }).answers,
+        JSON.stringify([{ key: 'memo', label: '메모', type: 'text', value: '좋아요' }]));
+});
@@ -0,0 +1,30 @@
+/**
+ * .xlsx 내보내기 테스트
+ * 날짜 셀이 기기 시간대와 관계없이 한국 표준시 시각으로 적히는지 확인
+ */
+
+// 한국이 아닌 시간대의 기기에서 내보내는 경우
+process.env.TZ = 'America/Los_Angeles';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createXlsxWorkbook } = require('../src/js/xlsx-writer.js');
+
+// 1970-01-01의 Excel 일련번호
+const EXCEL_EPOCH_OFFSET = 25569;
+
+test('날짜 셀은 기기 시간대와 관계없이 한국 표준시 시각으로 적는다', () => {
+    const file = createXlsxWorkbook([{
+        name: '참가자',
+        columns: [{ header: '등록일시(KST)', type: 'date' }],
+        // 한국 시각 2025-05-01 09:30
+        rows: [['2025-05-01T00:30:00.000Z']]
+    }]);
+
+    // ZIP은 압축하지 않으므로 시트 XML을 그대로 읽을 수 있다
+    const xml = new TextDecoder().decode(file);
+    const serial = Number(xml.match(/<c r="A2" s="\d+"><v>([\d.]+)<\/v>/)[1]);
+    const expected = Date.UTC(2025, 4, 1, 9, 30) / (24 * 60 * 60 * 1000) + EXCEL_EPOCH_OFFSET;
+    assert.ok(Math.abs(serial - expected) < 1e-9);
+});